@@ -6,12 +6,43 @@
  * generated by Nano Banana Pro. Falls back to programmatic rendering when images
  * are not available.
  *
+ * Render modes:
+ *   image   Each slide is one full-bleed generated image (default)
+ *   hybrid  Generated images are backgrounds; headlines, bullets and metrics
+ *           are laid out as editable text boxes on top
+ *
+ * Slides with numeric chart data (marketData, series, revenueMix) get native,
+ * editable PowerPoint charts in either mode.
+ *
+ * Backup slides (`"appendix": true`, after the ask slide) have no image and
+ * always use their fallback layout, which lists their sources at the foot.
+ *
+ * Every slide gets speaker notes: the slide's own `notes`, plus talking points,
+ * sources with quotes, and low-confidence and unsupported-citation flags from
+ * citations.json when given.
+ *
+ * With --pdf the deck is also exported as a 16:9 PDF, through headless
+ * LibreOffice when installed, otherwise drawn directly (see pdf-export.js).
+ * With --html it is also written as a self-contained web deck with keyboard
+ * navigation and speaker notes (see html-export.js).
+ *
+ * The config is checked against pipeline/config/schemas/deck-config.schema.json
+ * first; any wrong or missing field stops the render with its path.
+ *
  * Usage: node generate-deck.js --config deck-config.json --output investor-deck.pptx
+ *        [--mode image|hybrid] [--slide-types ../../pipeline/config/slide-types.json]
+ *        [--citations ../../intermediate/citations.json]
+ *        [--pdf investor-deck.pdf] [--pdf-engine auto|libreoffice|direct]
+ *        [--html investor-deck.html]
  */
 
 const pptxgen = require("pptxgenjs");
 const fs = require("fs");
 const path = require("path");
+const { mirrorPresentation } = require("./render-targets");
+const { PdfDeck, findLibreOffice, convertWithLibreOffice, PDF_ENGINES } = require("./pdf-export");
+const { HtmlDeck } = require("./html-export");
+const { validateSchema } = require("../../pipeline/utils/schema-validator");
 
 // =============================================================================
 // Configuration
@@ -22,10 +53,22 @@ const args = process.argv.slice(2);
 let configPath = "deck-config.json";
 let outputPath = "investor-deck.pptx";
 let forceImageOnly = false;
+let cliRenderMode = null;
+let slideTypesPath = path.join(__dirname, "../../pipeline/config/slide-types.json");
+let citationsPath = null;
+let pdfPath = null;
+let pdfEngine = "auto";
+let htmlPath = null;
 
 for (let i = 0; i < args.length; i++) {
   if (args[i] === "--config" && args[i + 1]) configPath = args[++i];
   if (args[i] === "--output" && args[i + 1]) outputPath = args[++i];
+  if (args[i] === "--slide-types" && args[i + 1]) slideTypesPath = args[++i];
+  if (args[i] === "--mode" && args[i + 1]) cliRenderMode = args[++i];
+  if (args[i] === "--citations" && args[i + 1]) citationsPath = args[++i];
+  if (args[i] === "--pdf" && args[i + 1]) pdfPath = args[++i];
+  if (args[i] === "--pdf-engine" && args[i + 1]) pdfEngine = args[++i];
+  if (args[i] === "--html" && args[i + 1]) htmlPath = args[++i];
   if (args[i] === "--image-only") forceImageOnly = true;
 }
 
@@ -36,7 +79,21 @@ if (!fs.existsSync(configPath)) {
   process.exit(1);
 }
 
-const config = JSON.parse(fs.readFileSync(configPath, "utf8"));
+let config;
+try {
+  config = JSON.parse(fs.readFileSync(configPath, "utf8"));
+} catch (err) {
+  console.error(`Invalid JSON in ${configPath}: ${err.message}`);
+  process.exit(1);
+}
+
+const { errors: configErrors } = validateSchema(config, "deck-config");
+if (configErrors.length > 0) {
+  console.error(`Invalid deck config ${configPath}:`);
+  configErrors.forEach((error) => console.error(`  - ${error}`));
+  process.exit(1);
+}
+
 const { company, design, slides } = config;
 
 // Get the directory of the config file for resolving relative paths
@@ -45,19 +102,60 @@ const configDir = path.dirname(path.resolve(configPath));
 // Check if image-only mode is enabled
 const imageOnlyMode = forceImageOnly || config.imageOnlyMode || false;
 
+// Render mode: CLI flag, then deck-config.json, then image
+const renderMode = cliRenderMode || config.renderMode || "image";
+if (!["image", "hybrid"].includes(renderMode)) {
+  console.error(`Unknown render mode: ${renderMode} (expected image or hybrid)`);
+  process.exit(1);
+}
+if (!PDF_ENGINES.includes(pdfEngine)) {
+  console.error(`Unknown PDF engine: ${pdfEngine} (expected ${PDF_ENGINES.join(", ")})`);
+  process.exit(1);
+}
+
+// Fallback layout and image layout hint per slide type (and appendix type)
+// from the slide type registry (optional: without it each type uses the
+// layout of the same name)
+const slideTypeLayouts = {};
+const slideTypeImageLayouts = {};
+if (fs.existsSync(slideTypesPath)) {
+  const registry = JSON.parse(fs.readFileSync(slideTypesPath, "utf8"));
+  for (const entry of [...(registry.slideTypes || []), ...(registry.appendixTypes || [])]) {
+    if (entry.fallbackLayout) slideTypeLayouts[entry.type] = entry.fallbackLayout;
+    if (entry.image?.layout) slideTypeImageLayouts[entry.type] = entry.image.layout;
+  }
+}
+
+// Citations from the synthesis phase, for speaker notes
+let citations = null;
+if (citationsPath) {
+  if (!fs.existsSync(citationsPath)) {
+    console.error(`Citations file not found: ${citationsPath}`);
+    process.exit(1);
+  }
+  citations = JSON.parse(fs.readFileSync(citationsPath, "utf8"));
+}
+
 // =============================================================================
 // Presentation Setup
 // =============================================================================
 
-const pres = new pptxgen();
-pres.layout = "LAYOUT_16x9";
-pres.title = `${company.name} - Investor Deck`;
-pres.author = company.name;
+const pptx = new pptxgen();
+pptx.layout = "LAYOUT_16x9";
+pptx.title = `${company.name} - Investor Deck`;
+pptx.author = company.name;
 
 // Slide dimensions (16:9)
 const SLIDE = { w: 10, h: 5.625 };
 const MARGIN = 0.5;
 
+// Slides drawn on `pres` are also drawn on the direct PDF when one may be
+// needed, and on the web deck
+const pdfDeck = pdfPath && pdfEngine !== "libreoffice" ? new PdfDeck(SLIDE) : null;
+const htmlDeck = htmlPath ? new HtmlDeck(SLIDE, { title: pptx.title }) : null;
+const renderTargets = [pdfDeck, htmlDeck].filter(Boolean);
+const pres = renderTargets.length > 0 ? mirrorPresentation(pptx, renderTargets) : pptx;
+
 // Design constants
 const COLORS = {
   primary: design?.primaryColor || "0A0A0A",
@@ -185,10 +283,520 @@ function generateImageSlide(slideConfig, slideNum, totalSlides) {
   return true; // Successfully generated from image
 }
 
+// =============================================================================
+// Native Charts
+// =============================================================================
+
+// Chart drawn by each fallback layout when its slide carries chart data
+const LAYOUT_CHARTS = { marketSize: "market", traction: "traction", businessModel: "revenueMix" };
+
+const MONEY_SCALES = { K: 1e3, M: 1e6, B: 1e9, T: 1e12 };
+const MONEY_WORDS = { thousand: "K", million: "M", billion: "B", trillion: "T" };
+
+/**
+ * Parse a money string such as "$20B+" or "$1.2 billion" into dollars
+ */
+function parseMoney(text) {
+  const match = String(text || "").replace(/,/g, "")
+    .match(/\$\s*(\d+(?:\.\d+)?)\s*(thousand|million|billion|trillion|[KMBT])?\b/i);
+  if (!match) return null;
+  const suffix = match[2] ? MONEY_WORDS[match[2].toLowerCase()] || match[2].toUpperCase() : null;
+  return parseFloat(match[1]) * (MONEY_SCALES[suffix] || 1);
+}
+
+/**
+ * Excel number format that shows a value with its unit ("$B" -> $20B)
+ */
+function unitFormatCode(unit) {
+  if (!unit) return "General";
+  const prefix = unit.startsWith("$") ? '"$"' : "";
+  const suffix = unit.replace(/^\$/, "");
+  if (!suffix) return `${prefix}General`;
+  const spaced = suffix.length > 1 && suffix !== "%" ? ` ${suffix}` : suffix;
+  return `${prefix}General"${spaced}"`;
+}
+
+/**
+ * Chart data builders: each returns { series: [{name, labels, values}], unit }
+ * or null when the slide has too little numeric data to chart
+ */
+const chartData = {
+  // TAM/SAM/SOM from marketData, else parsed from the tam/sam/som strings
+  market: (slideConfig) => {
+    const keys = ["tam", "sam", "som"];
+    const data = slideConfig.marketData;
+    let unit = data?.unit || "";
+    let points = keys
+      .map((key) => ({ label: key.toUpperCase(), value: data?.[key] }))
+      .filter((p) => typeof p.value === "number");
+
+    if (points.length < 2) {
+      const dollars = keys
+        .map((key) => ({ label: key.toUpperCase(), value: parseMoney(slideConfig[key]) }))
+        .filter((p) => p.value !== null);
+      // Scale to the median figure so no bar reads like "$0.0008T"
+      const sorted = dollars.map((p) => p.value).sort((x, y) => x - y);
+      const median = sorted[Math.floor((sorted.length - 1) / 2)];
+      const scale = ["T", "B", "M", "K"].find((s) => median >= MONEY_SCALES[s]);
+      unit = scale ? `$${scale}` : "$";
+      points = dollars.map((p) => ({ ...p, value: scale ? p.value / MONEY_SCALES[scale] : p.value }));
+    }
+
+    if (points.length < 2) return null;
+    return {
+      series: [{ name: "Market", labels: points.map((p) => p.label), values: points.map((p) => p.value) }],
+      unit
+    };
+  },
+
+  // Time series sharing the first series' unit, aligned on its periods
+  traction: (slideConfig) => {
+    const series = (slideConfig.series || []).filter((s) =>
+      (s.points || []).filter((p) => typeof p.value === "number").length >= 2);
+    if (series.length === 0) return null;
+
+    const unit = series[0].unit || "";
+    const periods = series[0].points.filter((p) => typeof p.value === "number").map((p) => String(p.period));
+    const aligned = series
+      .filter((s) => (s.unit || "") === unit)
+      .map((s) => {
+        const byPeriod = new Map(s.points.map((p) => [String(p.period), p.value]));
+        return { name: s.name || "Value", labels: periods, values: periods.map((p) => byPeriod.get(p)) };
+      })
+      .filter((s) => s.values.every((v) => typeof v === "number"));
+
+    return { series: aligned, unit };
+  },
+
+  // Share of revenue per stream
+  revenueMix: (slideConfig) => {
+    const mix = (slideConfig.revenueMix || []).filter((m) => typeof m.percent === "number");
+    if (mix.length < 2) return null;
+    return {
+      series: [{ name: "Revenue mix", labels: mix.map((m) => m.name || ""), values: mix.map((m) => m.percent) }],
+      unit: "%"
+    };
+  }
+};
+
+/**
+ * Draw a native, editable chart. Market size and revenue mix are horizontal
+ * bars (largest first); traction is a line chart over its periods.
+ */
+function addNativeChart(slide, kind, data, box, palette) {
+  const line = kind === "traction";
+  const formatCode = unitFormatCode(data.unit);
+  slide.addChart(line ? pres.charts.LINE : pres.charts.BAR, data.series, {
+    x: box.x, y: box.y, w: box.w, h: box.h,
+    barDir: "bar",
+    catAxisOrientation: line ? "minMax" : "maxMin",
+    barGapWidthPct: 60,
+    chartColors: line ? [palette.accent, palette.primary, palette.muted] : [palette.accent],
+    lineSize: 3,
+    lineDataSymbol: "circle",
+    lineDataSymbolSize: 8,
+    showValue: true,
+    dataLabelFormatCode: formatCode,
+    dataLabelColor: palette.text,
+    dataLabelFontFace: FONTS.heading,
+    dataLabelFontSize: 12,
+    dataLabelFontBold: true,
+    dataLabelPosition: line ? "t" : "outEnd",
+    catAxisLabelColor: palette.text,
+    catAxisLabelFontFace: FONTS.body,
+    catAxisLabelFontSize: 12,
+    catAxisLineShow: false,
+    valAxisHidden: true,
+    valAxisLabelFormatCode: formatCode,
+    valGridLine: { style: "none" },
+    showLegend: data.series.length > 1,
+    legendPos: "b",
+    legendColor: palette.text,
+    legendFontFace: FONTS.body
+  });
+}
+
+// Colors for charts on the light programmatic layouts
+const CHART_PALETTE = { text: COLORS.dark, primary: COLORS.primary, accent: COLORS.accent, muted: COLORS.muted };
+
+// =============================================================================
+// Hybrid Slide Generator
+// =============================================================================
+
+const CONTENT_W = SLIDE.w - MARGIN * 2;
+
+/**
+ * Standard headline region shared by most layouts
+ */
+function headlineRegion(defaultText) {
+  return {
+    kind: "text", from: ["headline"], default: defaultText,
+    x: MARGIN, y: 0.4, w: CONTENT_W, h: 0.6,
+    fontSize: 28, font: "heading", bold: true, color: "primary"
+  };
+}
+
+// Text regions per layout hint (the `layout` that buildSlideTypePrompt sends to
+// the image model, so the artwork leaves these areas clear). Each region reads
+// the first non-empty field in `from`; "company.*" reads the company block.
+// A "chart" region draws a native chart when the slide has chart data; regions
+// with `ifChart` are drawn only with (true) or without (false) that chart.
+const hybridLayouts = {
+  "centered-hero": {
+    theme: "dark",
+    regions: [
+      { kind: "text", from: ["company.name"], x: MARGIN, y: 1.7, w: CONTENT_W, h: 1,
+        fontSize: 44, font: "title", bold: true, align: "center" },
+      { kind: "text", from: ["company.tagline", "tagline"], x: MARGIN, y: 2.75, w: CONTENT_W, h: 0.6,
+        fontSize: 22, align: "center" },
+      { kind: "text", from: ["subtitle"], x: MARGIN, y: 3.4, w: CONTENT_W, h: 0.4,
+        fontSize: 14, align: "center", color: "muted" }
+    ]
+  },
+  "statement-hero": {
+    theme: "light",
+    regions: [
+      { kind: "text", from: ["headline"], default: "COMPANY PURPOSE", x: MARGIN + 0.2, y: 0.5, w: 4, h: 0.4,
+        fontSize: 12, bold: true, color: "muted" },
+      { kind: "text", from: ["statement", "mission"], x: MARGIN + 0.2, y: 1.4, w: CONTENT_W - 0.5, h: 2,
+        fontSize: 30, font: "title", valign: "middle" },
+      { kind: "text", from: ["context"], x: MARGIN + 0.2, y: 3.6, w: CONTENT_W - 0.5, h: 0.9,
+        fontSize: 14, color: "muted" }
+    ]
+  },
+  "headline-bullets-stat": {
+    theme: "light",
+    regions: [
+      headlineRegion("THE PROBLEM"),
+      { kind: "bullets", from: ["points", "bullets", "painPoints"], x: MARGIN, y: 1.2, w: 5.5, h: 3.2, fontSize: 16 },
+      { kind: "metrics", from: ["statistic"], x: 6.3, y: 1.4, w: 3.2, h: 2.4, fontSize: 36 }
+    ]
+  },
+  "value-prop-benefits": {
+    theme: "light",
+    regions: [
+      headlineRegion("OUR SOLUTION"),
+      { kind: "text", from: ["valueProposition", "valueProp", "description"], x: MARGIN, y: 1.1, w: CONTENT_W, h: 0.8,
+        fontSize: 20, bold: true },
+      { kind: "bullets", from: ["benefits", "keyPoints"], x: MARGIN, y: 2.1, w: CONTENT_W, h: 2.9, fontSize: 16 }
+    ]
+  },
+  "trend-cards": {
+    theme: "light",
+    regions: [
+      headlineRegion("WHY NOW?"),
+      { kind: "cards", from: ["trends", "drivers"], x: MARGIN, y: 1.3, w: CONTENT_W, h: 3.5 }
+    ]
+  },
+  "nested-circles": {
+    theme: "light",
+    regions: [
+      headlineRegion("MARKET OPPORTUNITY"),
+      { kind: "metrics", x: MARGIN, y: 1.3, w: CONTENT_W, h: 2.4, fontSize: 40, ifChart: false,
+        fields: [["tam", "TAM", "tamDesc"], ["sam", "SAM", "samDesc"], ["som", "SOM", "somDesc"]] },
+      { kind: "chart", chart: "market", x: MARGIN, y: 1.2, w: 5.6, h: 2.9 },
+      { kind: "bullets", x: 6.3, y: 1.3, w: 3.2, h: 2.8, fontSize: 12, ifChart: true,
+        fields: [["tam", "TAM", "tamDesc"], ["sam", "SAM", "samDesc"], ["som", "SOM", "somDesc"]] },
+      { kind: "text", from: ["growth"], x: MARGIN, y: 4.2, w: CONTENT_W, h: 0.5,
+        fontSize: 14, align: "center", color: "muted" }
+    ]
+  },
+  "2x2-matrix": {
+    theme: "light",
+    regions: [
+      headlineRegion("COMPETITIVE LANDSCAPE"),
+      { kind: "matrix", from: ["competitors"], x: 0.8, y: 1.3, w: 5.5, h: 3.5 },
+      { kind: "text", from: ["xAxisLabel"], x: 0.8, y: 4.9, w: 5.5, h: 0.3, fontSize: 11, align: "center" },
+      { kind: "text", from: ["yAxisLabel"], x: -1.35, y: 2.9, w: 3.5, h: 0.3, fontSize: 11, align: "center", rotate: 270 },
+      { kind: "bullets", from: ["advantages"], x: 6.6, y: 1.3, w: 2.9, h: 3.5, fontSize: 12 }
+    ]
+  },
+  "product-features": {
+    theme: "light",
+    regions: [
+      headlineRegion("THE PRODUCT"),
+      { kind: "text", from: ["description"], x: MARGIN, y: 1.1, w: CONTENT_W, h: 0.8, fontSize: 16 },
+      { kind: "bullets", from: ["features"], x: MARGIN, y: 2.1, w: CONTENT_W, h: 2.9, fontSize: 14, numbered: true }
+    ]
+  },
+  "revenue-cards": {
+    theme: "light",
+    regions: [
+      headlineRegion("BUSINESS MODEL"),
+      { kind: "text", from: ["model"], x: MARGIN, y: 1.1, w: CONTENT_W, h: 0.5, fontSize: 20, bold: true },
+      { kind: "cards", from: ["revenueStreams"], x: MARGIN, y: 1.8, w: CONTENT_W, h: 2.2, ifChart: false },
+      { kind: "chart", chart: "revenueMix", x: MARGIN, y: 1.7, w: 4.4, h: 2.3 },
+      { kind: "bullets", from: ["revenueStreams"], x: 5.1, y: 1.8, w: 4.4, h: 2.2, fontSize: 12, ifChart: true },
+      { kind: "metrics", from: ["unitEconomics"], x: MARGIN, y: 4.1, w: CONTENT_W, h: 0.9, fontSize: 20 }
+    ]
+  },
+  "metrics-timeline": {
+    theme: "light",
+    regions: [
+      headlineRegion("TRACTION"),
+      { kind: "metrics", from: ["metrics"], x: MARGIN, y: 1.2, w: CONTENT_W, h: 1.5, fontSize: 40, ifChart: false },
+      { kind: "chart", chart: "traction", x: MARGIN, y: 1.1, w: CONTENT_W, h: 1.8 },
+      { kind: "bullets", from: ["milestones"], title: "Key Milestones", x: MARGIN, y: 3, w: CONTENT_W, h: 2, fontSize: 14 }
+    ]
+  },
+  "team-cards": {
+    theme: "light",
+    regions: [
+      headlineRegion("THE TEAM"),
+      { kind: "cards", from: ["members", "team"], x: MARGIN, y: 1.3, w: CONTENT_W, h: 3.4 }
+    ]
+  },
+  "ask-funds-milestones": {
+    theme: "dark",
+    regions: [
+      headlineRegion("THE ASK"),
+      { kind: "text", from: ["amount", "fundingAmount"], x: MARGIN, y: 1.2, w: 5, h: 0.8,
+        fontSize: 40, font: "title", bold: true, color: "accent" },
+      { kind: "text", from: ["round"], x: MARGIN, y: 2, w: 5, h: 0.4, fontSize: 20, color: "muted" },
+      { kind: "bullets", from: ["useOfFunds"], title: "Use of Funds", x: MARGIN, y: 2.6, w: 4.6, h: 2.1, fontSize: 14 },
+      { kind: "bullets", from: ["milestones", "nextMilestones"], title: "Milestones", x: 5.5, y: 1.2, w: 4, h: 3.2, fontSize: 14 },
+      { kind: "text", from: ["contact"], x: MARGIN, y: 4.85, w: CONTENT_W, h: 0.4, fontSize: 14, bold: true, align: "center" }
+    ]
+  },
+  generic: {
+    theme: "light",
+    regions: [
+      headlineRegion(null),
+      { kind: "text", from: ["description", "statement"], x: MARGIN, y: 1.1, w: CONTENT_W, h: 0.7, fontSize: 16 },
+      { kind: "bullets", from: ["points", "bullets", "items"], x: MARGIN, y: 2, w: CONTENT_W, h: 2.9, fontSize: 16 }
+    ]
+  }
+};
+
+/**
+ * First non-empty field from a region's `from` list
+ */
+function pickField(slideConfig, from) {
+  for (const field of from || []) {
+    const value = field.startsWith("company.") ? company[field.slice(8)] : slideConfig[field];
+    if (Array.isArray(value) ? value.length > 0 : value) return value;
+  }
+  return null;
+}
+
+/**
+ * Value a region displays: labelled `fields` (e.g. TAM/SAM/SOM), else the
+ * first non-empty `from` field, else the region default
+ */
+function regionValue(slideConfig, region) {
+  if (region.kind === "chart") return chartData[region.chart](slideConfig);
+  if (region.fields) {
+    return region.fields
+      .filter(([field]) => slideConfig[field])
+      .map(([field, label, descField]) => ({
+        value: slideConfig[field], label, description: slideConfig[descField]
+      }));
+  }
+  const value = pickField(slideConfig, region.from);
+  if (value) return value;
+
+  // Headlines always show something, down to the slide type
+  if (region.from?.[0] === "headline") return region.default || slideConfig.type.toUpperCase();
+  return region.default;
+}
+
+/**
+ * One-line text for a string or structured list item
+ */
+function formatItem(item) {
+  if (item === null || item === undefined) return "";
+  if (typeof item !== "object") return String(item);
+  if (item.percent !== undefined && item.category) return `${item.percent}% - ${item.category}`;
+  if (item.value !== undefined && item.label) {
+    return [`${item.value} ${item.label}`, item.description].filter(Boolean).join(" — ");
+  }
+  const title = item.title || item.name || item.date || item.year;
+  const body = item.description || item.event || item.background || item.credential;
+  return [title, body].filter(Boolean).join(" — ");
+}
+
+/**
+ * Metrics list from an array, a single metric, or a keyed object such as
+ * { subscriptionACV: "$550K", grossMargins: "82%" } (one metric per key)
+ */
+function toMetricList(value) {
+  if (Array.isArray(value)) return value;
+  if (value && typeof value === "object" && value.value === undefined && value.metric === undefined) {
+    return Object.entries(value).map(([key, v]) => ({
+      value: v,
+      label: key.replace(/([a-z])([A-Z])/g, "$1 $2").replace(/^./, (c) => c.toUpperCase())
+    }));
+  }
+  return [value];
+}
+
+/**
+ * Normalize a metric (string or {value, label}) for display
+ */
+function toMetric(item) {
+  if (typeof item !== "object" || item === null) return { value: String(item), label: "" };
+  return {
+    value: String(item.value ?? item.metric ?? ""),
+    label: item.label || item.name || "",
+    desc: item.description || item.desc || ""
+  };
+}
+
+const regionRenderers = {
+  text: (slide, region, value, palette) => {
+    slide.addText(formatItem(value), {
+      x: region.x, y: region.y, w: region.w, h: region.h,
+      fontSize: region.fontSize || 16, fontFace: FONTS[region.font || "body"],
+      color: palette[region.color || "text"], bold: !!region.bold,
+      align: region.align || "left", valign: region.valign || "top",
+      rotate: region.rotate
+    });
+  },
+
+  bullets: (slide, region, value, palette) => {
+    const items = Array.isArray(value) ? value : [value];
+    let y = region.y;
+    let h = region.h;
+    if (region.title) {
+      slide.addText(region.title, {
+        x: region.x, y, w: region.w, h: 0.4,
+        fontSize: 16, fontFace: FONTS.heading, color: palette.primary, bold: true
+      });
+      y += 0.45;
+      h -= 0.45;
+    }
+    const runs = items.map((item, i) => ({
+      text: formatItem(item),
+      options: {
+        bullet: region.numbered ? { type: "number" } : true,
+        breakLine: i < items.length - 1
+      }
+    }));
+    slide.addText(runs, {
+      x: region.x, y, w: region.w, h,
+      fontSize: region.fontSize || 16, fontFace: FONTS.body, color: palette.text,
+      valign: "top", paraSpaceAfter: 8
+    });
+  },
+
+  metrics: (slide, region, value, palette) => {
+    const metrics = toMetricList(value).slice(0, 4).map(toMetric);
+    const colW = region.w / metrics.length;
+    const valueH = region.h * 0.5;
+    metrics.forEach((metric, i) => {
+      const x = region.x + i * colW;
+      slide.addText(metric.value, {
+        x, y: region.y, w: colW - 0.1, h: valueH,
+        fontSize: region.fontSize || 40, fontFace: FONTS.heading, color: palette.primary,
+        bold: true, align: "center", valign: "bottom"
+      });
+      slide.addText(metric.label, {
+        x, y: region.y + valueH, w: colW - 0.1, h: region.h * 0.2,
+        fontSize: 14, fontFace: FONTS.heading, color: palette.accent, bold: true, align: "center"
+      });
+      if (metric.desc) {
+        slide.addText(metric.desc, {
+          x, y: region.y + region.h * 0.7, w: colW - 0.1, h: region.h * 0.3,
+          fontSize: 11, fontFace: FONTS.body, color: palette.muted, align: "center", valign: "top"
+        });
+      }
+    });
+  },
+
+  cards: (slide, region, value, palette) => {
+    const cards = (Array.isArray(value) ? value : [value]).slice(0, 4);
+    const gap = 0.2;
+    const cardW = (region.w - gap * (cards.length - 1)) / cards.length;
+    cards.forEach((card, i) => {
+      const x = region.x + i * (cardW + gap);
+      const item = typeof card === "object" && card !== null ? card : { description: String(card) };
+      const title = item.name || item.title || "";
+      const subtitle = item.name ? item.title || item.role || "" : "";
+      const body = item.description || item.background || item.credential || "";
+      slide.addText(title, {
+        x, y: region.y, w: cardW, h: 0.5,
+        fontSize: 15, fontFace: FONTS.heading, color: palette.primary, bold: true, valign: "top"
+      });
+      if (subtitle) {
+        slide.addText(subtitle, {
+          x, y: region.y + 0.5, w: cardW, h: 0.35,
+          fontSize: 12, fontFace: FONTS.body, color: palette.accent, valign: "top"
+        });
+      }
+      slide.addText(body, {
+        x, y: region.y + (subtitle ? 0.9 : 0.55), w: cardW, h: region.h - (subtitle ? 0.9 : 0.55),
+        fontSize: 12, fontFace: FONTS.body, color: palette.text, valign: "top"
+      });
+    });
+  },
+
+  matrix: (slide, region, value, palette) => {
+    for (const comp of value) {
+      const cx = region.x + (comp.x ?? 0.5) * region.w;
+      const cy = region.y + (1 - (comp.y ?? 0.5)) * region.h;
+      slide.addText(comp.name || "", {
+        x: cx - 0.6, y: cy - 0.15, w: 1.2, h: 0.3,
+        fontSize: 10, fontFace: FONTS.body, align: "center",
+        color: comp.isUs ? palette.accent : palette.text, bold: !!comp.isUs
+      });
+    }
+  },
+
+  chart: (slide, region, value, palette) => {
+    addNativeChart(slide, region.chart, value, region, palette);
+  }
+};
+
+/**
+ * Generate a slide with the generated image as background and the slide's
+ * text as editable text boxes positioned by its layout hint.
+ * Returns true if successful, false if image not found
+ */
+function generateHybridSlide(slideConfig, slideNum, totalSlides) {
+  const imagePath = resolveImagePath(slideConfig.image);
+
+  if (!imagePath) {
+    return false; // Signal to use fallback
+  }
+
+  const layoutName = slideConfig.layout || slideTypeImageLayouts[slideConfig.type] || "generic";
+  const layout = hybridLayouts[layoutName] || hybridLayouts.generic;
+  const dark = layout.theme === "dark";
+  const palette = {
+    text: dark ? COLORS.white : COLORS.dark,
+    primary: dark ? COLORS.white : COLORS.primary,
+    accent: COLORS.accent,
+    muted: dark ? COLORS.light : COLORS.muted
+  };
+
+  const slide = pres.addSlide();
+  slide.addImage({
+    path: imagePath,
+    x: 0, y: 0, w: SLIDE.w, h: SLIDE.h,
+    sizing: { type: "cover", w: SLIDE.w, h: SLIDE.h }
+  });
+
+  const charted = layout.regions.some((region) => region.kind === "chart" && regionValue(slideConfig, region));
+
+  for (const region of layout.regions) {
+    if (region.ifChart !== undefined && region.ifChart !== charted) continue;
+    const value = regionValue(slideConfig, region);
+    if (!value || (Array.isArray(value) && value.length === 0)) continue;
+    regionRenderers[region.kind](slide, region, value, palette);
+  }
+
+  if (config.showSlideNumbers !== false && slideNum > 1) {
+    addSlideNumber(slide, slideNum, totalSlides);
+  }
+
+  return true; // Successfully generated from image
+}
+
 // =============================================================================
 // Fallback Programmatic Generators
 // =============================================================================
 
+// Keyed by layout name; slide-types.json maps each slide type to one of these
 const fallbackGenerators = {
   title: (slideConfig, slideNum, totalSlides) => {
     const slide = pres.addSlide();
@@ -372,7 +980,23 @@ const fallbackGenerators = {
       { label: "SOM", value: slideConfig.som, desc: slideConfig.somDesc || "Serviceable Obtainable Market" }
     ];
 
-    markets.forEach((market, i) => {
+    const chart = chartData.market(slideConfig);
+    if (chart) {
+      addNativeChart(slide, "market", chart, { x: MARGIN, y: 1.2, w: 5.6, h: 3.4 }, CHART_PALETTE);
+      markets.forEach((market, i) => {
+        const y = 1.3 + (i * 1.1);
+        slide.addText(market.value ? `${market.label}  ${market.value}` : market.label, {
+          x: 6.4, y: y, w: 3.1, h: 0.35,
+          fontSize: 16, fontFace: FONTS.heading, color: COLORS.accent, bold: true
+        });
+        slide.addText(market.desc, {
+          x: 6.4, y: y + 0.35, w: 3.1, h: 0.65,
+          fontSize: 11, fontFace: FONTS.body, color: COLORS.muted, valign: "top"
+        });
+      });
+    }
+
+    (chart ? [] : markets).forEach((market, i) => {
       const x = MARGIN + (i * 3);
       slide.addText(market.value || "$XXB", {
         x: x, y: 1.3, w: 2.8, h: 1,
@@ -484,9 +1108,22 @@ const fallbackGenerators = {
     });
 
     const streams = slideConfig.revenueStreams || [];
+    const chart = chartData.revenueMix(slideConfig);
+    if (chart) {
+      addNativeChart(slide, "revenueMix", chart, { x: MARGIN, y: 1.8, w: 4.4, h: 2.9 }, CHART_PALETTE);
+      const streamsText = streams.flatMap((stream, i) => [
+        { text: stream.name || `Stream ${i + 1}`, options: { bold: true, color: COLORS.primary, breakLine: true } },
+        { text: stream.description || "", options: { breakLine: i < streams.length - 1 } }
+      ]);
+      slide.addText(streamsText, {
+        x: 5.1, y: 1.8, w: 4.4, h: 2.9,
+        fontSize: 12, fontFace: FONTS.body, color: COLORS.dark, valign: "top", paraSpaceAfter: 6
+      });
+    }
+
     const streamW = (SLIDE.w - MARGIN * 2 - 0.4) / Math.min(streams.length || 1, 3);
 
-    streams.forEach((stream, i) => {
+    (chart ? [] : streams).forEach((stream, i) => {
       const x = MARGIN + (i * (streamW + 0.2));
       slide.addShape(pres.shapes.RECTANGLE, {
         x: x, y: 1.8, w: streamW, h: 2.2,
@@ -515,7 +1152,13 @@ const fallbackGenerators = {
       fontSize: 28, fontFace: FONTS.heading, color: COLORS.primary, bold: true
     });
 
-    const metrics = slideConfig.metrics || [];
+    // A time series replaces the headline metrics
+    const chart = chartData.traction(slideConfig);
+    if (chart) {
+      addNativeChart(slide, "traction", chart, { x: MARGIN, y: 1.1, w: SLIDE.w - MARGIN * 2, h: 1.8 }, CHART_PALETTE);
+    }
+
+    const metrics = chart ? [] : slideConfig.metrics || [];
     const metricW = 2.8;
 
     metrics.slice(0, 3).forEach((metric, i) => {
@@ -652,32 +1295,266 @@ const fallbackGenerators = {
     });
 
     addLogo(slide, company.logo);
+  },
+
+  // Headline, optional lead sentence and bullets; used by custom slide types
+  generic: (slideConfig, slideNum, totalSlides) => {
+    const slide = pres.addSlide();
+    slide.background = { color: COLORS.white };
+
+    slide.addText(slideConfig.headline || slideConfig.type.toUpperCase(), {
+      x: MARGIN, y: 0.4, w: SLIDE.w - MARGIN * 2, h: 0.6,
+      fontSize: 28, fontFace: FONTS.heading, color: COLORS.primary, bold: true
+    });
+
+    const lead = slideConfig.description || slideConfig.statement || "";
+    if (lead) {
+      slide.addText(lead, {
+        x: MARGIN, y: 1.1, w: SLIDE.w - MARGIN * 2, h: 0.7,
+        fontSize: 16, fontFace: FONTS.body, color: COLORS.dark
+      });
+    }
+
+    const items = slideConfig.points || slideConfig.bullets || slideConfig.items || [];
+    const itemsText = items.map((item, i) => ({
+      text: typeof item === 'object'
+        ? [item.title || item.name, item.description].filter(Boolean).join(" — ")
+        : String(item),
+      options: { bullet: true, breakLine: i < items.length - 1 }
+    }));
+    slide.addText(itemsText, {
+      x: MARGIN, y: lead ? 2 : 1.2, w: SLIDE.w - MARGIN * 2, h: lead ? 2.9 : 3.7,
+      fontSize: 16, fontFace: FONTS.body, color: COLORS.dark, paraSpaceAfter: 10
+    });
+
+    addSlideNumber(slide, slideNum, totalSlides);
+    addLogo(slide, company.logo);
+  },
+
+  // Backup slide: headline and a list of self-contained points
+  appendix: (slideConfig, slideNum, totalSlides) => {
+    const slide = addAppendixSlide(slideConfig, "SUPPORTING EVIDENCE");
+
+    const items = slideConfig.points || slideConfig.bullets || slideConfig.items || [];
+    const itemsText = items.map((item, i) => ({
+      text: typeof item === 'object'
+        ? [item.title || item.name || item.label, item.description || item.detail || item.value].filter(Boolean).join(" — ")
+        : String(item),
+      options: { bullet: true, breakLine: i < items.length - 1 }
+    }));
+    slide.addText(itemsText, {
+      x: MARGIN, y: 1.3, w: SLIDE.w - MARGIN * 2, h: 3.6,
+      fontSize: items.length > 6 ? 11 : 13, fontFace: FONTS.body, color: COLORS.dark,
+      valign: "top", paraSpaceAfter: 6
+    });
+
+    addSlideNumber(slide, slideNum, totalSlides);
+  },
+
+  // Backup slide: up to six cards of name, role and detail (team bios, competitors)
+  appendixProfiles: (slideConfig, slideNum, totalSlides) => {
+    const slide = addAppendixSlide(slideConfig, "DETAIL");
+
+    const profiles = (slideConfig.profiles || []).slice(0, 6);
+    const columns = 3;
+    const cardW = (SLIDE.w - MARGIN * 2 - 0.2 * (columns - 1)) / columns;
+    const cardH = 1.7;
+
+    profiles.forEach((profile, i) => {
+      const x = MARGIN + (i % columns) * (cardW + 0.2);
+      const y = 1.3 + Math.floor(i / columns) * (cardH + 0.15);
+      slide.addShape(pres.shapes.RECTANGLE, {
+        x: x, y: y, w: cardW, h: cardH,
+        fill: { color: COLORS.light }
+      });
+      slide.addText(profile.name || "", {
+        x: x + 0.12, y: y + 0.08, w: cardW - 0.24, h: 0.3,
+        fontSize: 12, fontFace: FONTS.heading, color: COLORS.primary, bold: true
+      });
+      slide.addText(profile.role || "", {
+        x: x + 0.12, y: y + 0.38, w: cardW - 0.24, h: 0.25,
+        fontSize: 9, fontFace: FONTS.body, color: COLORS.accent, bold: true
+      });
+      slide.addText(profile.detail || "", {
+        x: x + 0.12, y: y + 0.65, w: cardW - 0.24, h: cardH - 0.72,
+        fontSize: 9, fontFace: FONTS.body, color: COLORS.dark, valign: "top"
+      });
+    });
+
+    addSlideNumber(slide, slideNum, totalSlides);
+  },
+
+  // Backup slide: rows of label, figure and note (financial detail)
+  appendixTable: (slideConfig, slideNum, totalSlides) => {
+    const slide = addAppendixSlide(slideConfig, "FINANCIAL DETAIL");
+
+    const rows = (slideConfig.rows || []).slice(0, 10);
+    const rowH = Math.min(0.45, 3.6 / (rows.length || 1));
+    const columns = { label: { x: MARGIN, w: 3.8 }, value: { x: 4.4, w: 1.8 }, note: { x: 6.4, w: SLIDE.w - MARGIN - 6.4 } };
+
+    rows.forEach((row, i) => {
+      const y = 1.3 + i * rowH;
+      slide.addText(row.label || "", {
+        ...columns.label, y: y, h: rowH,
+        fontSize: 11, fontFace: FONTS.body, color: COLORS.dark, valign: "middle"
+      });
+      slide.addText(String(row.value ?? ""), {
+        ...columns.value, y: y, h: rowH,
+        fontSize: 12, fontFace: FONTS.heading, color: COLORS.primary, bold: true, align: "right", valign: "middle"
+      });
+      slide.addText(row.note || "", {
+        ...columns.note, y: y, h: rowH,
+        fontSize: 9, fontFace: FONTS.body, color: COLORS.muted, valign: "middle"
+      });
+      slide.addShape(pres.shapes.RECTANGLE, {
+        x: MARGIN, y: y + rowH - 0.01, w: SLIDE.w - MARGIN * 2, h: 0.01,
+        fill: { color: COLORS.muted }
+      });
+    });
+
+    addSlideNumber(slide, slideNum, totalSlides);
   }
 };
 
+/**
+ * Start a backup slide: "APPENDIX" label, headline, and the slide's sources
+ * at the foot
+ */
+function addAppendixSlide(slideConfig, defaultHeadline) {
+  const slide = pres.addSlide();
+  slide.background = { color: COLORS.white };
+
+  slide.addText("APPENDIX", {
+    x: MARGIN, y: 0.25, w: 3, h: 0.3,
+    fontSize: 10, fontFace: FONTS.heading, color: COLORS.accent, bold: true
+  });
+  slide.addText(slideConfig.headline || defaultHeadline, {
+    x: MARGIN, y: 0.55, w: SLIDE.w - MARGIN * 2, h: 0.6,
+    fontSize: 24, fontFace: FONTS.heading, color: COLORS.primary, bold: true
+  });
+
+  const sources = slideConfig.sources || [];
+  if (sources.length > 0) {
+    slide.addText(`Sources: ${sources.join("; ")}`, {
+      x: MARGIN, y: SLIDE.h - 0.5, w: SLIDE.w - MARGIN * 2 - 1.2, h: 0.35,
+      fontSize: 8, fontFace: FONTS.body, color: COLORS.muted, valign: "top"
+    });
+  }
+
+  return slide;
+}
+
+// =============================================================================
+// Speaker Notes
+// =============================================================================
+
+/**
+ * Presenter notes for a slide: its own `notes` from deck-config.json, then
+ * the cited facts as talking points, why the content was chosen, each source
+ * with its quotes, and the citations flagged as low confidence or not found
+ * in their source by 03-verify-citations.js.
+ */
+function buildSpeakerNotes(slideConfig) {
+  const sections = [];
+  if (slideConfig.notes) {
+    sections.push(Array.isArray(slideConfig.notes) ? slideConfig.notes.join("\n") : String(slideConfig.notes));
+  }
+  if (!citations) return sections.join("\n\n");
+
+  const cited = citations.bySlide?.[slideConfig.type] || [];
+  const facts = [...new Set(cited.map((c) => c.fact).filter(Boolean))];
+  if (facts.length > 0) {
+    sections.push(["TALKING POINTS", ...facts.map((fact) => `- ${fact}`)].join("\n"));
+  }
+
+  const rationale = citations.rationaleBySlide?.[slideConfig.type];
+  if (rationale) {
+    sections.push(`WHY THIS CONTENT\n${rationale}`);
+  }
+
+  const bySource = new Map();
+  for (const citation of cited) {
+    const source = citation.source || "unknown";
+    if (!bySource.has(source)) bySource.set(source, []);
+    // Paraphrased facts are not shown as quotes
+    const excerpt = citation.quote ? `"${citation.quote}"` : citation.fact;
+    if (excerpt) {
+      bySource.get(source).push(`    ${excerpt}${citation.location ? ` (${citation.location})` : ""}`);
+    }
+  }
+  if (bySource.size > 0) {
+    const lines = ["SOURCES"];
+    for (const [source, quotes] of bySource) {
+      lines.push(`- ${source}`, ...[...new Set(quotes)]);
+    }
+    sections.push(lines.join("\n"));
+  } else {
+    sections.push("SOURCES\nNo citations recorded for this slide.");
+  }
+
+  const flagged = (citations.lowConfidence || []).filter((c) => c.slideType === slideConfig.type);
+  if (flagged.length > 0) {
+    sections.push([
+      "LOW CONFIDENCE - verify before presenting",
+      ...flagged.map((c) => `- ${c.fact || c.quote} (${c.source || "unknown"}, confidence ${c.confidence})`)
+    ].join("\n"));
+  }
+
+  const unsupported = (citations.unsupported || []).filter((c) => c.slideType === slideConfig.type);
+  if (unsupported.length > 0) {
+    sections.push([
+      "NOT FOUND IN SOURCE - do not present as fact",
+      ...unsupported.map((c) => `- ${c.fact || c.quote} (${c.verification?.reason || c.source || "unknown"})`)
+    ].join("\n"));
+  }
+
+  return sections.join("\n\n");
+}
+
 // =============================================================================
 // Generate Slides
 // =============================================================================
 
 console.log(`\nGenerating deck: ${company.name}`);
-console.log(`Mode: ${imageOnlyMode ? "Image-Only" : "Image-First (with fallback)"}`);
+const modeLabel = renderMode === "hybrid" ? "Hybrid (editable text over images)" : "Image-First";
+console.log(`Mode: ${imageOnlyMode ? `${modeLabel}, image-only` : `${modeLabel} (with fallback)`}`);
 console.log(`Slides: ${slides.length}\n`);
 
 const totalSlides = slides.length;
 let imageSlides = 0;
 let fallbackSlides = 0;
+let chartSlides = 0;
+
+/**
+ * Chart data for a slide whose fallback layout draws a native chart
+ */
+function slideChartData(slideConfig) {
+  const kind = LAYOUT_CHARTS[slideTypeLayouts[slideConfig.type] || slideConfig.type];
+  return kind ? chartData[kind](slideConfig) : null;
+}
 
 slides.forEach((slideConfig, index) => {
   const slideNum = index + 1;
   const slideType = slideConfig.type;
 
-  // Try image-first approach
-  const imageGenerated = generateImageSlide(slideConfig, slideNum, totalSlides);
+  // In image mode, slides with chart data use their native chart layout rather
+  // than figures drawn by the image model
+  if (renderMode === "image" && !imageOnlyMode && config.nativeCharts !== false && slideChartData(slideConfig)) {
+    fallbackGenerators[slideTypeLayouts[slideType] || slideType](slideConfig, slideNum, totalSlides);
+    chartSlides++;
+    console.log(`  ${slideNum}. ${slideType.padEnd(15)} [CHART]`);
+    return;
+  }
+
+  // Try the image-based approach for the render mode
+  const imageGenerated = renderMode === "hybrid"
+    ? generateHybridSlide(slideConfig, slideNum, totalSlides)
+    : generateImageSlide(slideConfig, slideNum, totalSlides);
 
   if (imageGenerated) {
     imageSlides++;
-    console.log(`  ${slideNum}. ${slideType.padEnd(15)} [IMAGE]`);
-  } else if (imageOnlyMode) {
+    console.log(`  ${slideNum}. ${slideType.padEnd(15)} [${renderMode === "hybrid" ? "HYBRID" : "IMAGE"}]`);
+  } else if (imageOnlyMode && !slideConfig.appendix) {
     // In image-only mode, create error placeholder slide
     const slide = pres.addSlide();
     slide.background = { color: "FF0000" };
@@ -692,18 +1569,33 @@ slides.forEach((slideConfig, index) => {
     fallbackSlides++;
     console.log(`  ${slideNum}. ${slideType.padEnd(15)} [MISSING]`);
   } else {
-    // Use fallback programmatic generator
-    const generator = fallbackGenerators[slideType];
+    // Use fallback programmatic generator: registry layout, then same-named
+    // layout, then the generic layout
+    const layout = slideTypeLayouts[slideType] || slideType;
+    const generator = fallbackGenerators[layout];
     if (generator) {
       generator(slideConfig, slideNum, totalSlides);
       fallbackSlides++;
       console.log(`  ${slideNum}. ${slideType.padEnd(15)} [FALLBACK]`);
     } else {
-      console.warn(`  ${slideNum}. ${slideType.padEnd(15)} [UNKNOWN TYPE]`);
+      fallbackGenerators.generic(slideConfig, slideNum, totalSlides);
+      fallbackSlides++;
+      console.warn(`  ${slideNum}. ${slideType.padEnd(15)} [FALLBACK: generic, no '${layout}' layout]`);
     }
   }
 });
 
+// Each slide config produced exactly one slide, in order
+let notedSlides = 0;
+pres.slides.forEach((slide, i) => {
+  const notes = buildSpeakerNotes(slides[i]);
+  if (notes) {
+    slide.addNotes(notes);
+    renderTargets.forEach((deck) => deck.slides[i].addNotes(notes));
+    notedSlides++;
+  }
+});
+
 // =============================================================================
 // Save Presentation
 // =============================================================================
@@ -711,11 +1603,59 @@ slides.forEach((slideConfig, index) => {
 console.log("\n----------------------------------------");
 console.log(`Image slides: ${imageSlides}`);
 console.log(`Fallback slides: ${fallbackSlides}`);
+if (chartSlides > 0) console.log(`Native chart slides: ${chartSlides}`);
+console.log(`Slides with speaker notes: ${notedSlides}`);
+
+/**
+ * Write the PDF: LibreOffice conversion of the saved PPTX when available
+ * (required for --pdf-engine libreoffice), else the directly drawn deck
+ */
+async function exportPdf() {
+  if (pdfEngine !== "direct") {
+    const soffice = findLibreOffice();
+    if (soffice) {
+      try {
+        convertWithLibreOffice(soffice, outputPath, pdfPath);
+        return "LibreOffice";
+      } catch (err) {
+        if (pdfEngine === "libreoffice") throw err;
+        console.warn(`LibreOffice conversion failed (${err.message}); drawing the PDF directly`);
+      }
+    } else if (pdfEngine === "libreoffice") {
+      throw new Error("LibreOffice not found (looked for soffice and libreoffice on PATH)");
+    }
+  }
+
+  await pdfDeck.write(pdfPath);
+  pdfDeck.warnings.forEach((warning) => console.warn(`  Warning: ${warning}`));
+  return "direct";
+}
 
 pres.writeFile({ fileName: outputPath })
-  .then(() => {
+  .then(async () => {
     console.log(`\n✓ Presentation saved: ${outputPath}`);
     console.log(`  ${totalSlides} slides generated`);
+
+    if (pdfPath) {
+      try {
+        const engine = await exportPdf();
+        console.log(`✓ PDF saved: ${pdfPath} (${engine})`);
+      } catch (err) {
+        console.error(`\nError exporting PDF: ${err.message}`);
+        process.exit(1);
+      }
+    }
+
+    if (htmlPath) {
+      try {
+        await htmlDeck.write(htmlPath);
+        htmlDeck.warnings.forEach((warning) => console.warn(`  Warning: ${warning}`));
+        console.log(`✓ Web deck saved: ${htmlPath}`);
+      } catch (err) {
+        console.error(`\nError writing web deck: ${err.message}`);
+        process.exit(1);
+      }
+    }
   })
   .catch(err => {
     console.error("\nError saving presentation:", err);
@@ -0,0 +1,139 @@
+#!/usr/bin/env node
+/**
+ * One-Pager Generator
+ *
+ * Writes the one-page investor summary (the "teaser" that goes out before the
+ * deck) from a deck config: company header with logo, lead statement, and two
+ * columns of sections, each drawn from one deck slide type as set by the
+ * `onePager` blocks in slide-types.json (see one-pager.js). With --citations,
+ * sections are referenced to the numbered sources in the footer.
+ *
+ * Output is a US Letter PDF (--pdf) and/or an editable DOCX (--docx). Text is
+ * scaled down until both columns fit on the one page; sections that still do
+ * not fit are left off and listed.
+ *
+ * The config is checked against pipeline/config/schemas/deck-config.schema.json
+ * first; any wrong or missing field stops the render with its path.
+ *
+ * Usage: node generate-one-pager.js --config deck-config.json --pdf one-pager.pdf
+ *        [--docx one-pager.docx] [--slide-types ../../pipeline/config/slide-types.json]
+ *        [--citations ../../intermediate/citations.json]
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { buildOnePager } = require("./one-pager");
+const { writeOnePagerPdf, fitOnePager } = require("./one-pager-pdf");
+const { writeOnePagerDocx } = require("./one-pager-docx");
+const { loadSlideTypes } = require("../../pipeline/utils/slide-types");
+const { validateSchema } = require("../../pipeline/utils/schema-validator");
+
+// =============================================================================
+// Configuration
+// =============================================================================
+
+// Parse command line arguments
+const args = process.argv.slice(2);
+let configPath = "deck-config.json";
+let slideTypesPath = path.join(__dirname, "../../pipeline/config/slide-types.json");
+let citationsPath = null;
+let pdfPath = null;
+let docxPath = null;
+
+for (let i = 0; i < args.length; i++) {
+  if (args[i] === "--config" && args[i + 1]) configPath = args[++i];
+  if (args[i] === "--slide-types" && args[i + 1]) slideTypesPath = args[++i];
+  if (args[i] === "--citations" && args[i + 1]) citationsPath = args[++i];
+  if (args[i] === "--pdf" && args[i + 1]) pdfPath = args[++i];
+  if (args[i] === "--docx" && args[i + 1]) docxPath = args[++i];
+}
+
+if (!pdfPath && !docxPath) {
+  console.error("Nothing to write: pass --pdf <path> and/or --docx <path>");
+  process.exit(1);
+}
+
+// Load configuration
+if (!fs.existsSync(configPath)) {
+  console.error(`Config file not found: ${configPath}`);
+  process.exit(1);
+}
+
+let config;
+try {
+  config = JSON.parse(fs.readFileSync(configPath, "utf8"));
+} catch (err) {
+  console.error(`Invalid JSON in ${configPath}: ${err.message}`);
+  process.exit(1);
+}
+
+const { errors: configErrors } = validateSchema(config, "deck-config");
+if (configErrors.length > 0) {
+  console.error(`Invalid deck config ${configPath}:`);
+  configErrors.forEach((error) => console.error(`  - ${error}`));
+  process.exit(1);
+}
+
+let slideTypes;
+try {
+  slideTypes = loadSlideTypes(slideTypesPath);
+} catch (err) {
+  console.error(err.message);
+  process.exit(1);
+}
+
+// Citations from the synthesis phase, for the source references
+let citations = null;
+if (citationsPath) {
+  if (!fs.existsSync(citationsPath)) {
+    console.error(`Citations file not found: ${citationsPath}`);
+    process.exit(1);
+  }
+  citations = JSON.parse(fs.readFileSync(citationsPath, "utf8"));
+}
+
+// =============================================================================
+// Generate
+// =============================================================================
+
+async function main() {
+  const model = buildOnePager(config, slideTypes, {
+    citations,
+    configDir: path.dirname(path.resolve(configPath))
+  });
+  const sections = [...model.columns.left, ...model.columns.right];
+
+  console.log(`\nGenerating one-pager: ${model.company.name}`);
+  console.log(`Left column:  ${model.columns.left.map((s) => s.type).join(", ") || "(empty)"}`);
+  console.log(`Right column: ${model.columns.right.map((s) => s.type).join(", ") || "(empty)"}`);
+  console.log(`Sources: ${model.sources.length}${citations ? "" : " (no citations given)"}`);
+  if (!model.company.logo && config.company?.logo) {
+    console.log(`  Logo not found: ${config.company.logo}`);
+  }
+
+  const fit = fitOnePager(model);
+  if (fit.scale < 1) {
+    console.log(`  Text scaled to ${Math.round(fit.scale * 100)}% to fit one page`);
+  }
+  if (fit.omitted.length > 0) {
+    console.warn(`  Left off for lack of room: ${fit.omitted.join(", ")}`);
+  }
+
+  console.log("");
+  if (pdfPath) {
+    const result = await writeOnePagerPdf(model, pdfPath);
+    result.warnings.forEach((warning) => console.warn(`  Warning: ${warning}`));
+    console.log(`✓ PDF saved: ${pdfPath}`);
+  }
+  if (docxPath) {
+    const result = await writeOnePagerDocx(model, docxPath, fit);
+    result.warnings.forEach((warning) => console.warn(`  Warning: ${warning}`));
+    console.log(`✓ DOCX saved: ${docxPath}`);
+  }
+  console.log(`  ${sections.length - fit.omitted.length} of ${sections.length} sections`);
+}
+
+main().catch((err) => {
+  console.error(`One-pager generation failed: ${err.message}`);
+  process.exit(1);
+});
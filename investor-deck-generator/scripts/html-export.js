@@ -0,0 +1,386 @@
+/**
+ * HTML Export
+ *
+ * Writes the deck as one self-contained static HTML file, for sharing as a
+ * link. HtmlDeck is a render target (see render-targets.js): generate-deck.js
+ * mirrors every slide onto it while building the PPTX, so the web deck uses
+ * the same image slides, layouts, colors and fonts.
+ *
+ * Slides are absolutely positioned at 96px per inch and scaled to the window.
+ * Images are inlined as data URIs and charts drawn as inline SVG, so the file
+ * needs nothing else to open. Keys: arrows / space / Page Up-Down to move,
+ * Home / End, S for speaker notes, F for full screen. Printing gives one
+ * 16:9 page per slide.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { RecordedSlide, toParagraphs, bulletMarkers, formatChartValue } = require("./render-targets");
+
+const PX_PER_IN = 96;
+const PX_PER_PT = PX_PER_IN / 72;
+
+const IMAGE_TYPES = { ".png": "image/png", ".jpg": "image/jpeg", ".jpeg": "image/jpeg", ".gif": "image/gif", ".webp": "image/webp", ".svg": "image/svg+xml" };
+
+// =============================================================================
+// Markup Helpers
+// =============================================================================
+
+function escapeHtml(text) {
+  return String(text ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+/**
+ * Hex color ("1E3A5F") to a CSS color
+ */
+function cssColor(color, fallback = "000000") {
+  return `#${(color || fallback).replace(/^#/, "")}`;
+}
+
+/**
+ * CSS font stack for a PowerPoint font face
+ */
+function cssFont(fontFace) {
+  const face = fontFace || "Arial";
+  const lower = face.toLowerCase();
+  let generic = "sans-serif";
+  if (/mono|courier|consol/.test(lower)) generic = "monospace";
+  else if (/georgia|times|garamond|serif|cambria|palatino/.test(lower) && !/sans/.test(lower)) generic = "serif";
+  return `'${face.replace(/'/g, "")}', ${generic}`;
+}
+
+function px(inches) {
+  return `${+(inches * PX_PER_IN).toFixed(2)}px`;
+}
+
+function boxStyle(opts) {
+  return `left:${px(opts.x || 0)};top:${px(opts.y || 0)};width:${px(opts.w || 0)};height:${px(opts.h || 0)}`;
+}
+
+// =============================================================================
+// HTML Deck
+// =============================================================================
+
+class HtmlSlide extends RecordedSlide {}
+
+class HtmlDeck {
+  /**
+   * @param {object} size - Slide size in inches { w, h }
+   * @param {object} options - { title }
+   */
+  constructor(size, options = {}) {
+    this.size = size;
+    this.title = options.title || "Presentation";
+    this.slides = [];
+    this.warnings = [];
+  }
+
+  addSlide() {
+    const slide = new HtmlSlide();
+    this.slides.push(slide);
+    return slide;
+  }
+
+  /**
+   * Render every slide and write the HTML file
+   * @returns {Promise<string>} - Output path
+   */
+  write(outputPath) {
+    const sections = this.slides.map((slide, i) => this.renderSlide(slide, i));
+    return fs.promises.writeFile(outputPath, this.renderDocument(sections)).then(() => outputPath);
+  }
+
+  renderSlide(slide, index) {
+    const background = slide.background?.color ? `background:${cssColor(slide.background.color)};` : "";
+    const elements = slide.ops.map((op) => this.renderOp(op)).filter(Boolean).join("\n");
+    const notes = slide.notes ? `\n<aside class="notes">${escapeHtml(slide.notes)}</aside>` : "";
+    return `<section class="slide" id="slide-${index + 1}" aria-label="Slide ${index + 1}">
+<div class="canvas" style="${background}">
+${elements}
+</div>${notes}
+</section>`;
+  }
+
+  renderOp(op) {
+    if (op.kind === "text") return this.renderText(op.text, op.opts);
+    if (op.kind === "shape") return this.renderShape(op.shape, op.opts);
+    if (op.kind === "image") return this.renderImage(op.opts);
+    if (op.kind === "chart") return this.renderChart(op.type, op.data, op.opts);
+    return "";
+  }
+
+  // ===========================================================================
+  // Elements
+  // ===========================================================================
+
+  renderText(text, opts) {
+    const paragraphs = toParagraphs(text);
+    const markers = bulletMarkers(paragraphs);
+    const spacing = opts.paraSpaceAfter || 0;
+    const justify = { middle: "center", bottom: "flex-end" }[opts.valign] || "flex-start";
+
+    const style = [
+      boxStyle(opts),
+      `justify-content:${justify}`,
+      `font-family:${cssFont(opts.fontFace)}`,
+      `font-size:${opts.fontSize || 18}pt`,
+      `color:${cssColor(opts.color)}`,
+      `text-align:${opts.align || "left"}`,
+      opts.bold ? "font-weight:bold" : "",
+      opts.rotate ? `transform:rotate(${opts.rotate}deg)` : ""
+    ].filter(Boolean).join(";");
+
+    const body = paragraphs.map((runs, i) => {
+      const marker = markers[i] ? `<span class="marker">${markers[i]}</span>` : "";
+      const margin = spacing && i < paragraphs.length - 1 ? ` style="margin-bottom:${spacing}pt"` : "";
+      const content = runs.map((run) => this.renderRun(run)).join("") || "&nbsp;";
+      return `<p${markers[i] ? ' class="bullet"' : ""}${margin}>${marker}${content}</p>`;
+    }).join("");
+
+    return `<div class="text" style="${escapeHtml(style)}">${body}</div>`;
+  }
+
+  renderRun(run) {
+    const o = run.options;
+    const style = [
+      o.fontFace ? `font-family:${cssFont(o.fontFace)}` : "",
+      o.fontSize ? `font-size:${o.fontSize}pt` : "",
+      o.color ? `color:${cssColor(o.color)}` : "",
+      o.bold === true ? "font-weight:bold" : o.bold === false ? "font-weight:normal" : ""
+    ].filter(Boolean).join(";");
+    const text = escapeHtml(run.text);
+    return style ? `<span style="${escapeHtml(style)}">${text}</span>` : text;
+  }
+
+  renderShape(shape, opts) {
+    const style = [boxStyle(opts)];
+    if (opts.fill?.color) {
+      style.push(`background:${cssColor(opts.fill.color)}`);
+      if (opts.fill.transparency) style.push(`opacity:${1 - opts.fill.transparency / 100}`);
+    }
+    if (shape === "ellipse") style.push("border-radius:50%");
+    return `<div class="shape" style="${style.join(";")}"></div>`;
+  }
+
+  renderImage(opts) {
+    let data;
+    try {
+      data = fs.readFileSync(opts.path);
+    } catch (error) {
+      this.warnings.push(`Image skipped in HTML (${path.basename(opts.path || "")}): ${error.message}`);
+      return "";
+    }
+    const mime = IMAGE_TYPES[path.extname(opts.path).toLowerCase()] || "image/png";
+    const fit = opts.sizing?.type === "cover" ? "cover" : "contain";
+    return `<img class="image" alt="" style="${boxStyle(opts)};object-fit:${fit}" src="data:${mime};base64,${data.toString("base64")}">`;
+  }
+
+  /**
+   * Horizontal bar and line charts as inline SVG, styled from the pptxgenjs
+   * chart options
+   */
+  renderChart(type, data, opts) {
+    const series = data.filter((s) => s.values?.length);
+    if (series.length === 0) return "";
+
+    const w = (opts.w || 0) * PX_PER_IN;
+    const h = (opts.h || 0) * PX_PER_IN;
+    const colors = (opts.chartColors || ["4472C4"]).map((c) => cssColor(c));
+    const labelColor = cssColor(opts.catAxisLabelColor);
+    const valueColor = cssColor(opts.dataLabelColor);
+    const labelSize = (opts.catAxisLabelFontSize || 10) * PX_PER_PT;
+    const valueSize = (opts.dataLabelFontSize || 10) * PX_PER_PT;
+    const labelFont = escapeHtml(cssFont(opts.catAxisLabelFontFace));
+    const valueFont = escapeHtml(cssFont(opts.dataLabelFontFace));
+    const valueWeight = opts.dataLabelFontBold ? "bold" : "normal";
+    const format = (v) => escapeHtml(formatChartValue(v, opts.dataLabelFormatCode));
+    const labels = series[0].labels || [];
+    const max = Math.max(...series.flatMap((s) => s.values), 0) || 1;
+    const n = (value) => +value.toFixed(2);
+    const parts = [];
+
+    if (type === "bar") {
+      const labelW = w * 0.22;
+      const valueW = valueSize * 4;
+      const trackW = w - labelW - valueW;
+      const rowH = h / labels.length;
+      const barH = rowH / (1 + (opts.barGapWidthPct ?? 150) / 100);
+      const order = opts.catAxisOrientation === "maxMin" ? labels.map((_, i) => i) : labels.map((_, i) => labels.length - 1 - i);
+
+      order.forEach((index, row) => {
+        const value = series[0].values[index];
+        const mid = row * rowH + rowH / 2;
+        const barW = Math.max((value / max) * trackW, 0);
+        // Shrink long category names to fit (by average glyph width)
+        const label = String(labels[index] ?? "");
+        const fitSize = Math.min(labelSize, (labelW - 6) / (Math.max(label.length, 1) * 0.55));
+        parts.push(
+          `<text x="${n(labelW - 6)}" y="${n(mid)}" text-anchor="end" dominant-baseline="central" font-family="${labelFont}" font-size="${n(fitSize)}" fill="${labelColor}">${escapeHtml(label)}</text>`,
+          `<rect x="${n(labelW)}" y="${n(mid - barH / 2)}" width="${n(barW)}" height="${n(barH)}" fill="${colors[0]}"/>`,
+          `<text x="${n(labelW + barW + 4)}" y="${n(mid)}" dominant-baseline="central" font-family="${valueFont}" font-size="${n(valueSize)}" font-weight="${valueWeight}" fill="${valueColor}">${format(value)}</text>`
+        );
+      });
+    } else {
+      // Line chart: categories along the bottom, values scaled from zero
+      const legendH = opts.showLegend ? labelSize * 2 : 0;
+      const plot = { x: w * 0.05, y: valueSize * 1.6, w: w * 0.9, h: h - valueSize * 1.6 - labelSize * 1.8 - legendH };
+      const step = labels.length > 1 ? plot.w / (labels.length - 1) : 0;
+      const pointAt = (i, value) => [plot.x + i * step, plot.y + plot.h - (value / max) * plot.h];
+
+      labels.forEach((label, i) => {
+        parts.push(`<text x="${n(plot.x + i * step)}" y="${n(plot.y + plot.h + labelSize * 1.3)}" text-anchor="middle" font-family="${labelFont}" font-size="${n(labelSize)}" fill="${labelColor}">${escapeHtml(label)}</text>`);
+      });
+
+      series.forEach((s, si) => {
+        const color = colors[si % colors.length];
+        const points = s.values.map((v, i) => pointAt(i, v));
+        parts.push(`<polyline points="${points.map(([x, y]) => `${n(x)},${n(y)}`).join(" ")}" fill="none" stroke="${color}" stroke-width="${n((opts.lineSize || 2) * PX_PER_PT)}" stroke-linejoin="round"/>`);
+        points.forEach(([x, y], i) => {
+          parts.push(`<circle cx="${n(x)}" cy="${n(y)}" r="${n(((opts.lineDataSymbolSize || 6) * PX_PER_PT) / 2)}" fill="${color}"/>`);
+          if (opts.showValue) {
+            parts.push(`<text x="${n(x)}" y="${n(y - valueSize * 0.8)}" text-anchor="middle" font-family="${valueFont}" font-size="${n(valueSize)}" font-weight="${valueWeight}" fill="${valueColor}">${format(s.values[i])}</text>`);
+          }
+        });
+      });
+
+      if (opts.showLegend) {
+        const legendY = h - labelSize * 1.2;
+        let legendX = w * 0.05;
+        series.forEach((s, si) => {
+          const name = String(s.name ?? "");
+          parts.push(
+            `<rect x="${n(legendX)}" y="${n(legendY + labelSize * 0.1)}" width="${n(labelSize * 0.8)}" height="${n(labelSize * 0.8)}" fill="${colors[si % colors.length]}"/>`,
+            `<text x="${n(legendX + labelSize * 1.2)}" y="${n(legendY + labelSize * 0.8)}" font-family="${labelFont}" font-size="${n(labelSize)}" fill="${cssColor(opts.legendColor)}">${escapeHtml(name)}</text>`
+          );
+          legendX += labelSize * 2 + name.length * labelSize * 0.55;
+        });
+      }
+    }
+
+    return `<svg class="chart" style="${boxStyle(opts)}" viewBox="0 0 ${n(w)} ${n(h)}" role="img">${parts.join("")}</svg>`;
+  }
+
+  // ===========================================================================
+  // Document
+  // ===========================================================================
+
+  renderDocument(sections) {
+    const slideW = this.size.w * PX_PER_IN;
+    const slideH = this.size.h * PX_PER_IN;
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(this.title)}</title>
+<style>
+:root { --slide-w: ${slideW}px; --slide-h: ${slideH}px; --scale: 1; }
+* { box-sizing: border-box; }
+html, body { margin: 0; height: 100%; background: #111; overflow: hidden; font-family: Arial, sans-serif; }
+.deck { position: absolute; inset: 0; display: flex; align-items: center; justify-content: center; }
+.notes-open .deck { bottom: 30vh; }
+.slide { display: none; width: calc(var(--slide-w) * var(--scale)); height: calc(var(--slide-h) * var(--scale)); }
+.slide.active { display: block; }
+.canvas { position: relative; width: var(--slide-w); height: var(--slide-h); overflow: hidden; background: #fff;
+  transform: scale(var(--scale)); transform-origin: 0 0; box-shadow: 0 4px 24px rgba(0, 0, 0, 0.5); }
+.canvas > * { position: absolute; margin: 0; }
+.text { display: flex; flex-direction: column; padding: 0.05in 0.1in; line-height: 1.2; white-space: pre-wrap; overflow-wrap: break-word; }
+.text p { margin: 0; }
+.text p.bullet { position: relative; padding-left: 1.2em; }
+.text .marker { position: absolute; left: 0; font-weight: normal; }
+.notes { display: none; }
+.notes-panel { display: none; position: fixed; left: 0; right: 0; bottom: 0; height: 30vh; overflow: auto; padding: 16px 24px;
+  background: #1d1d1d; color: #e8e6e1; border-top: 1px solid #333; font-size: 15px; line-height: 1.5; white-space: pre-wrap; }
+.notes-open .notes-panel { display: block; }
+.controls { position: fixed; right: 16px; bottom: 12px; color: #888; font-size: 13px; user-select: none; }
+.notes-open .controls { bottom: calc(30vh + 12px); }
+.controls button { background: none; border: 1px solid #444; color: #aaa; border-radius: 4px; padding: 2px 8px; cursor: pointer; font: inherit; }
+@page { size: ${this.size.w}in ${this.size.h}in; margin: 0; }
+@media print {
+  html, body { height: auto; overflow: visible; background: none; }
+  .deck { position: static; display: block; }
+  .slide { display: block; width: var(--slide-w); height: var(--slide-h); break-after: page; page-break-after: always; }
+  .slide:last-child { break-after: auto; page-break-after: auto; }
+  .canvas { transform: none; box-shadow: none; -webkit-print-color-adjust: exact; print-color-adjust: exact; }
+  .notes-panel, .controls { display: none !important; }
+}
+</style>
+</head>
+<body>
+<main class="deck">
+${sections.join("\n")}
+</main>
+<div class="notes-panel" aria-live="polite"></div>
+<div class="controls"><button type="button" data-action="prev" aria-label="Previous slide">&lsaquo;</button> <span class="counter"></span> <button type="button" data-action="next" aria-label="Next slide">&rsaquo;</button> <button type="button" data-action="notes" title="Speaker notes (S)">Notes</button></div>
+<script>
+(function () {
+  var slides = Array.prototype.slice.call(document.querySelectorAll(".slide"));
+  var panel = document.querySelector(".notes-panel");
+  var counter = document.querySelector(".counter");
+  var current = 0;
+
+  function fit() {
+    var deck = document.querySelector(".deck");
+    var scale = Math.min(deck.clientWidth / ${slideW}, deck.clientHeight / ${slideH}) * 0.96;
+    document.documentElement.style.setProperty("--scale", scale);
+  }
+
+  function show(index) {
+    current = Math.max(0, Math.min(slides.length - 1, index));
+    slides.forEach(function (slide, i) { slide.classList.toggle("active", i === current); });
+    var notes = slides[current] && slides[current].querySelector(".notes");
+    panel.textContent = notes ? notes.textContent : "No speaker notes for this slide.";
+    counter.textContent = (current + 1) + " / " + slides.length;
+    // Keep the slide number in the link (not allowed for some file:// pages)
+    try { history.replaceState(null, "", "#" + (current + 1)); } catch (error) {}
+  }
+
+  function toggleNotes() {
+    document.body.classList.toggle("notes-open");
+    fit();
+  }
+
+  document.addEventListener("keydown", function (event) {
+    if (event.ctrlKey || event.metaKey || event.altKey) return;
+    var key = event.key;
+    if (key === "ArrowRight" || key === "ArrowDown" || key === "PageDown" || key === " " || key === "n") show(current + 1);
+    else if (key === "ArrowLeft" || key === "ArrowUp" || key === "PageUp" || key === "p") show(current - 1);
+    else if (key === "Home") show(0);
+    else if (key === "End") show(slides.length - 1);
+    else if (key === "s" || key === "S") toggleNotes();
+    else if (key === "f" || key === "F") {
+      if (document.fullscreenElement) document.exitFullscreen();
+      else if (document.documentElement.requestFullscreen) document.documentElement.requestFullscreen();
+    } else return;
+    event.preventDefault();
+  });
+
+  document.querySelector(".controls").addEventListener("click", function (event) {
+    var action = event.target.getAttribute("data-action");
+    if (action === "prev") show(current - 1);
+    else if (action === "next") show(current + 1);
+    else if (action === "notes") toggleNotes();
+  });
+
+  window.addEventListener("resize", fit);
+  window.addEventListener("hashchange", function () { show(parseInt(location.hash.slice(1), 10) - 1 || 0); });
+  fit();
+  show(parseInt(location.hash.slice(1), 10) - 1 || 0);
+})();
+</script>
+</body>
+</html>
+`;
+  }
+}
+
+// =============================================================================
+// Exports
+// =============================================================================
+
+module.exports = { HtmlDeck };
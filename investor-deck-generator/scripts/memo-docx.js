@@ -0,0 +1,238 @@
+/**
+ * Investment Memo DOCX
+ *
+ * Writes the investment memo (see pipeline/utils/memo.js) as an editable Word
+ * document, for the IR team to finish by hand. The package is built with
+ * jszip from plain WordprocessingML, like the one-pager:
+ *   - a title, byline and the summary, then one Heading 1 per memo section,
+ *     so Word's navigation pane and table of contents pick the sections up
+ *   - citations as real Word footnotes (word/footnotes.xml), each naming the
+ *     source document, the location and the cited text
+ *
+ * Fonts and colors come from the deck design (designTheme).
+ */
+
+const fs = require("fs");
+const JSZip = require("jszip");
+const { escapeXml, run, paragraph } = require("./one-pager-docx");
+const { designTheme } = require("./one-pager");
+const { formatFootnote } = require("../../pipeline/utils/memo");
+
+// US Letter with 1in margins, in twentieths of a point
+const PAGE = { w: 12240, h: 15840, margin: 1440 };
+
+const NS = [
+  'xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main"',
+  'xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships"'
+].join(" ");
+
+const XML_HEADER = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>';
+
+// =============================================================================
+// Styles
+// =============================================================================
+
+/**
+ * Paragraph and character styles: body text, title, headings and footnotes
+ */
+function stylesXml({ colors, fonts }) {
+  const fontsXml = (font) => `<w:rFonts w:ascii="${escapeXml(font)}" w:hAnsi="${escapeXml(font)}" w:cs="${escapeXml(font)}"/>`;
+  const paragraphStyle = (id, name, pPr, rPr) => [
+    `<w:style w:type="paragraph" w:styleId="${id}"><w:name w:val="${name}"/>`,
+    id === "Normal" ? '<w:qFormat/>' : '<w:basedOn w:val="Normal"/><w:next w:val="Normal"/><w:qFormat/>',
+    `<w:pPr>${pPr}</w:pPr><w:rPr>${rPr}</w:rPr></w:style>`
+  ].join("");
+
+  return [
+    XML_HEADER,
+    `<w:styles ${NS}>`,
+    "<w:docDefaults>",
+    `<w:rPrDefault><w:rPr>${fontsXml(fonts.body)}<w:sz w:val="22"/><w:szCs w:val="22"/></w:rPr></w:rPrDefault>`,
+    '<w:pPrDefault><w:pPr><w:spacing w:after="160" w:line="276" w:lineRule="auto"/></w:pPr></w:pPrDefault>',
+    "</w:docDefaults>",
+    paragraphStyle("Normal", "Normal", "", `<w:color w:val="${colors.dark}"/>`),
+    paragraphStyle(
+      "Title",
+      "Title",
+      '<w:spacing w:after="120"/>',
+      `${fontsXml(fonts.title)}<w:b/><w:color w:val="${colors.primary}"/><w:sz w:val="48"/><w:szCs w:val="48"/>`
+    ),
+    paragraphStyle(
+      "Heading1",
+      "heading 1",
+      '<w:keepNext/><w:spacing w:before="360" w:after="120"/><w:outlineLvl w:val="0"/>',
+      `${fontsXml(fonts.heading)}<w:b/><w:color w:val="${colors.primary}"/><w:sz w:val="30"/><w:szCs w:val="30"/>`
+    ),
+    paragraphStyle(
+      "FootnoteText",
+      "footnote text",
+      '<w:spacing w:after="40" w:line="240" w:lineRule="auto"/>',
+      '<w:sz w:val="18"/><w:szCs w:val="18"/>'
+    ),
+    '<w:style w:type="character" w:styleId="FootnoteReference"><w:name w:val="footnote reference"/>',
+    '<w:rPr><w:vertAlign w:val="superscript"/></w:rPr></w:style>',
+    "</w:styles>"
+  ].join("");
+}
+
+// =============================================================================
+// Document Body
+// =============================================================================
+
+function footnoteReference(n) {
+  return `<w:r><w:rPr><w:rStyle w:val="FootnoteReference"/></w:rPr><w:footnoteReference w:id="${n}"/></w:r>`;
+}
+
+/**
+ * Runs for a paragraph of { text } and { footnote: n } parts
+ */
+function partRuns(parts, style = {}) {
+  return parts.map((part) => (part.footnote ? footnoteReference(part.footnote) : run(part.text, style)));
+}
+
+/**
+ * document.xml body
+ */
+function documentXml(memo, theme, { company, date }) {
+  const { colors } = theme;
+  const body = [paragraph([run(memo.title)], { style: "Title", after: 6 })];
+
+  const byline = [company, date].filter(Boolean).join(" | ");
+  if (byline) {
+    body.push(paragraph([run(byline, { color: colors.muted })], { after: 12 }));
+  }
+  if (memo.summary?.length > 0) {
+    body.push(paragraph(partRuns(memo.summary, { bold: true }), { after: 12 }));
+  }
+
+  for (const section of memo.sections) {
+    body.push(paragraph([run(section.heading)], { style: "Heading1", before: 18, after: 6 }));
+    if (section.paragraphs.length === 0) {
+      body.push(paragraph([run("No supporting evidence in the source documents.", { color: colors.muted })], { after: 8 }));
+    }
+    for (const parts of section.paragraphs) {
+      body.push(paragraph(partRuns(parts), { after: 8 }));
+    }
+  }
+
+  return [
+    XML_HEADER,
+    `<w:document ${NS}><w:body>`,
+    ...body,
+    "<w:sectPr>",
+    `<w:pgSz w:w="${PAGE.w}" w:h="${PAGE.h}"/>`,
+    `<w:pgMar w:top="${PAGE.margin}" w:right="${PAGE.margin}" w:bottom="${PAGE.margin}" w:left="${PAGE.margin}"`,
+    ' w:header="720" w:footer="720" w:gutter="0"/>',
+    "</w:sectPr>",
+    "</w:body></w:document>"
+  ].join("");
+}
+
+/**
+ * footnotes.xml: the separators Word expects, then one footnote per citation
+ */
+function footnotesXml(memo) {
+  const separator = (id, type, mark) =>
+    `<w:footnote w:type="${type}" w:id="${id}"><w:p><w:pPr><w:spacing w:after="0"/></w:pPr><w:r><w:${mark}/></w:r></w:p></w:footnote>`;
+
+  return [
+    XML_HEADER,
+    `<w:footnotes ${NS}>`,
+    separator(-1, "separator", "separator"),
+    separator(0, "continuationSeparator", "continuationSeparator"),
+    ...memo.footnotes.map((footnote) => [
+      `<w:footnote w:id="${footnote.n}">`,
+      '<w:p><w:pPr><w:pStyle w:val="FootnoteText"/></w:pPr>',
+      '<w:r><w:rPr><w:rStyle w:val="FootnoteReference"/></w:rPr><w:footnoteRef/></w:r>',
+      run(` ${formatFootnote(footnote)}`),
+      "</w:p></w:footnote>"
+    ].join("")),
+    "</w:footnotes>"
+  ].join("");
+}
+
+// =============================================================================
+// Package
+// =============================================================================
+
+const CONTENT_TYPES = [
+  XML_HEADER,
+  '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">',
+  '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>',
+  '<Default Extension="xml" ContentType="application/xml"/>',
+  '<Override PartName="/word/document.xml"',
+  ' ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.document.main+xml"/>',
+  '<Override PartName="/word/styles.xml"',
+  ' ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.styles+xml"/>',
+  '<Override PartName="/word/settings.xml"',
+  ' ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.settings+xml"/>',
+  '<Override PartName="/word/footnotes.xml"',
+  ' ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.footnotes+xml"/>',
+  '<Override PartName="/docProps/core.xml" ContentType="application/vnd.openxmlformats-package.core-properties+xml"/>',
+  "</Types>"
+].join("");
+
+const PACKAGE_RELS = [
+  XML_HEADER,
+  '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">',
+  '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument"',
+  ' Target="word/document.xml"/>',
+  '<Relationship Id="rId2" Type="http://schemas.openxmlformats.org/package/2006/relationships/metadata/core-properties"',
+  ' Target="docProps/core.xml"/>',
+  "</Relationships>"
+].join("");
+
+const DOCUMENT_RELS = [
+  XML_HEADER,
+  '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">',
+  '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>',
+  '<Relationship Id="rId2" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/settings" Target="settings.xml"/>',
+  '<Relationship Id="rId3" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/footnotes" Target="footnotes.xml"/>',
+  "</Relationships>"
+].join("");
+
+// Footnotes numbered 1, 2, ... at the foot of each page
+const SETTINGS = [
+  XML_HEADER,
+  `<w:settings ${NS}>`,
+  '<w:footnotePr><w:footnote w:id="-1"/><w:footnote w:id="0"/></w:footnotePr>',
+  "</w:settings>"
+].join("");
+
+function coreProperties(memo, company) {
+  return [
+    XML_HEADER,
+    '<cp:coreProperties xmlns:cp="http://schemas.openxmlformats.org/package/2006/metadata/core-properties"',
+    ' xmlns:dc="http://purl.org/dc/elements/1.1/">',
+    `<dc:title>${escapeXml(memo.title)}</dc:title>`,
+    company ? `<dc:creator>${escapeXml(company)}</dc:creator>` : "",
+    "</cp:coreProperties>"
+  ].join("");
+}
+
+/**
+ * Write the memo as a DOCX
+ * @param {object} memo - Resolved memo (resolveFootnotes in pipeline/utils/memo.js)
+ * @param {string} outputPath - DOCX path
+ * @param {object} options - { company, date, design (deck design settings) }
+ * @returns {Promise<{ path }>}
+ */
+async function writeMemoDocx(memo, outputPath, { company = "", date = "", design = {} } = {}) {
+  const theme = designTheme(design);
+  const zip = new JSZip();
+
+  zip.file("[Content_Types].xml", CONTENT_TYPES);
+  zip.file("_rels/.rels", PACKAGE_RELS);
+  zip.file("docProps/core.xml", coreProperties(memo, company));
+  zip.file("word/document.xml", documentXml(memo, theme, { company, date }));
+  zip.file("word/styles.xml", stylesXml(theme));
+  zip.file("word/settings.xml", SETTINGS);
+  zip.file("word/footnotes.xml", footnotesXml(memo));
+  zip.file("word/_rels/document.xml.rels", DOCUMENT_RELS);
+
+  const content = await zip.generateAsync({ type: "nodebuffer", compression: "DEFLATE" });
+  fs.writeFileSync(outputPath, content);
+  return { path: outputPath };
+}
+
+module.exports = { writeMemoDocx };
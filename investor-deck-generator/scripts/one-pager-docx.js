@@ -0,0 +1,358 @@
+/**
+ * One-Pager DOCX
+ *
+ * Writes the one-page summary (see one-pager.js) as an editable Word
+ * document, for teams that finish the teaser by hand. The package is built
+ * with jszip from plain WordprocessingML:
+ *   - a header table shaded in the primary color, logo in its right cell
+ *   - the lead statement across the page
+ *   - a two-column section (w:cols), with a column break before the first
+ *     right-column section so each section stays in its column
+ *   - a footer with the contact and the numbered sources
+ *
+ * Word lays the page out itself, so text sizes follow the scale the PDF
+ * layout found (fitOnePager) and the sections it left off are left off here.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const JSZip = require("jszip");
+
+// US Letter with 0.5in margins, in twentieths of a point
+const PAGE = { w: 12240, h: 15840, margin: 720 };
+const COLUMN_GAP = 480;
+
+// Logo box in the header, in EMU (914400 per inch)
+const EMU_PER_IN = 914400;
+const LOGO = { w: 1.5 * EMU_PER_IN, h: 0.6 * EMU_PER_IN };
+
+const NS = [
+  'xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main"',
+  'xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships"',
+  'xmlns:wp="http://schemas.openxmlformats.org/drawingml/2006/wordprocessingDrawing"',
+  'xmlns:a="http://schemas.openxmlformats.org/drawingml/2006/main"',
+  'xmlns:pic="http://schemas.openxmlformats.org/drawingml/2006/picture"'
+].join(" ");
+
+// =============================================================================
+// XML Helpers
+// =============================================================================
+
+function escapeXml(text) {
+  return String(text ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    // Control characters are not allowed in XML
+    .replace(/[\x00-\x08\x0B\x0C\x0E-\x1F]/g, "");
+}
+
+/**
+ * A text run
+ * @param {object} style - { font, bold, size (pt), color, superscript }
+ */
+function run(text, { font, bold = false, size, color, superscript = false } = {}) {
+  const props = [
+    font ? `<w:rFonts w:ascii="${escapeXml(font)}" w:hAnsi="${escapeXml(font)}" w:cs="${escapeXml(font)}"/>` : "",
+    bold ? "<w:b/>" : "",
+    color ? `<w:color w:val="${color}"/>` : "",
+    size ? `<w:sz w:val="${Math.round(size * 2)}"/><w:szCs w:val="${Math.round(size * 2)}"/>` : "",
+    superscript ? '<w:vertAlign w:val="superscript"/>' : ""
+  ].join("");
+  return `<w:r><w:rPr>${props}</w:rPr><w:t xml:space="preserve">${escapeXml(text)}</w:t></w:r>`;
+}
+
+/**
+ * A paragraph
+ * @param {string[]} runs - Run XML
+ * @param {object} options - { style, after, before (pt), indent/hanging (twips), align, keepNext, sectPr }
+ */
+function paragraph(runs, { style, after = 0, before = 0, indent = 0, hanging = 0, align, keepNext = false, sectPr = "" } = {}) {
+  const props = [
+    style ? `<w:pStyle w:val="${style}"/>` : "",
+    keepNext ? "<w:keepNext/>" : "",
+    `<w:spacing w:before="${Math.round(before * 20)}" w:after="${Math.round(after * 20)}"/>`,
+    indent || hanging ? `<w:ind w:left="${indent}" w:hanging="${hanging}"/>` : "",
+    align ? `<w:jc w:val="${align}"/>` : "",
+    sectPr
+  ].join("");
+  return `<w:p><w:pPr>${props}</w:pPr>${runs.join("")}</w:p>`;
+}
+
+/**
+ * Section properties; `columns` > 1 sets a multi-column section
+ */
+function sectionProperties({ columns = 1, continuous = false } = {}) {
+  return [
+    "<w:sectPr>",
+    continuous ? '<w:type w:val="continuous"/>' : "",
+    `<w:pgSz w:w="${PAGE.w}" w:h="${PAGE.h}"/>`,
+    `<w:pgMar w:top="${PAGE.margin}" w:right="${PAGE.margin}" w:bottom="${PAGE.margin}" w:left="${PAGE.margin}"`,
+    ' w:header="0" w:footer="0" w:gutter="0"/>',
+    `<w:cols w:num="${columns}" w:space="${COLUMN_GAP}"/>`,
+    "</w:sectPr>"
+  ].join("");
+}
+
+// =============================================================================
+// Logo
+// =============================================================================
+
+/**
+ * Pixel size of a PNG or JPEG, or null for other formats
+ */
+function imageSize(buffer) {
+  if (buffer.length > 24 && buffer.toString("ascii", 1, 4) === "PNG") {
+    return { type: "png", w: buffer.readUInt32BE(16), h: buffer.readUInt32BE(20) };
+  }
+  if (buffer[0] === 0xff && buffer[1] === 0xd8) {
+    // Walk the JPEG segments to the first start-of-frame marker
+    let offset = 2;
+    while (offset + 9 < buffer.length) {
+      const marker = buffer[offset + 1];
+      if (marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker)) {
+        return { type: "jpeg", w: buffer.readUInt16BE(offset + 7), h: buffer.readUInt16BE(offset + 5) };
+      }
+      offset += 2 + buffer.readUInt16BE(offset + 2);
+    }
+  }
+  return null;
+}
+
+/**
+ * Inline drawing for the logo, fitted into the LOGO box
+ */
+function logoDrawing(size, relId) {
+  const ratio = Math.min(LOGO.w / size.w, LOGO.h / size.h);
+  const cx = Math.round(size.w * ratio);
+  const cy = Math.round(size.h * ratio);
+  return [
+    "<w:r><w:drawing>",
+    `<wp:inline distT="0" distB="0" distL="0" distR="0"><wp:extent cx="${cx}" cy="${cy}"/>`,
+    '<wp:docPr id="1" name="Logo"/>',
+    '<a:graphic><a:graphicData uri="http://schemas.openxmlformats.org/drawingml/2006/picture">',
+    '<pic:pic><pic:nvPicPr><pic:cNvPr id="1" name="Logo"/><pic:cNvPicPr/></pic:nvPicPr>',
+    `<pic:blipFill><a:blip r:embed="${relId}"/><a:stretch><a:fillRect/></a:stretch></pic:blipFill>`,
+    `<pic:spPr><a:xfrm><a:off x="0" y="0"/><a:ext cx="${cx}" cy="${cy}"/></a:xfrm>`,
+    '<a:prstGeom prst="rect"><a:avLst/></a:prstGeom></pic:spPr>',
+    "</pic:pic></a:graphicData></a:graphic></wp:inline>",
+    "</w:drawing></w:r>"
+  ].join("");
+}
+
+// =============================================================================
+// Document Body
+// =============================================================================
+
+/**
+ * Header table: company text on the primary color, logo on the right
+ */
+function headerTable(model, scale, logo) {
+  const { company, colors, fonts } = model;
+  const fill = `<w:shd w:val="clear" w:color="auto" w:fill="${colors.primary}"/>`;
+  const contentWidth = PAGE.w - PAGE.margin * 2;
+  const logoWidth = logo ? 2600 : 0;
+  const cell = (width, content) => [
+    `<w:tc><w:tcPr><w:tcW w:w="${width}" w:type="dxa"/>${fill}<w:vAlign w:val="center"/></w:tcPr>`,
+    content,
+    "</w:tc>"
+  ].join("");
+
+  const text = [
+    paragraph([run(company.name, { font: fonts.title, bold: true, size: 24 * scale, color: colors.white })], { before: 10, after: 3 }),
+    company.tagline
+      ? paragraph([run(company.tagline, { font: fonts.body, size: 12 * scale, color: colors.white })], { after: 3 })
+      : "",
+    company.subtitle
+      ? paragraph([run(company.subtitle, { font: fonts.body, size: 9 * scale, color: colors.light })], { after: 10 })
+      : ""
+  ].join("");
+
+  return [
+    "<w:tbl>",
+    '<w:tblPr><w:tblW w:w="5000" w:type="pct"/><w:tblLayout w:type="fixed"/>',
+    '<w:tblCellMar><w:left w:w="200" w:type="dxa"/><w:right w:w="200" w:type="dxa"/></w:tblCellMar></w:tblPr>',
+    `<w:tblGrid><w:gridCol w:w="${contentWidth - logoWidth}"/>${logo ? `<w:gridCol w:w="${logoWidth}"/>` : ""}</w:tblGrid>`,
+    "<w:tr>",
+    cell(contentWidth - logoWidth, text),
+    logo ? cell(logoWidth, paragraph([logo.drawing], { align: "right" })) : "",
+    "</w:tr></w:tbl>"
+  ].join("");
+}
+
+/**
+ * Paragraphs of one section; `breakBefore` starts it in the next column
+ */
+function sectionParagraphs(section, model, scale, breakBefore) {
+  const { colors, fonts } = model;
+  const body = { font: fonts.body, size: 9 * scale, color: colors.dark };
+  const columnBreak = breakBefore ? ['<w:r><w:br w:type="column"/></w:r>'] : [];
+  const refs = section.refs?.length > 0
+    ? [run(` [${section.refs.join(", ")}]`, { font: fonts.body, size: 8 * scale, color: colors.muted, superscript: true })]
+    : [];
+
+  const paragraphs = [
+    paragraph([
+      ...columnBreak,
+      run(section.title.toUpperCase(), { font: fonts.heading, bold: true, size: 10 * scale, color: colors.primary }),
+      ...refs
+    ], { after: 4, keepNext: true })
+  ];
+  if (section.lead) {
+    paragraphs.push(paragraph([run(section.lead, { ...body, bold: true, size: 9.5 * scale })], { after: 3 }));
+  }
+  for (const metric of section.metrics) {
+    paragraphs.push(paragraph([
+      run(metric.value, { font: fonts.heading, bold: true, size: 11 * scale, color: colors.accent }),
+      metric.label ? run(`  ${metric.label}`, { font: fonts.body, size: 8 * scale, color: colors.muted }) : ""
+    ], { after: 2 }));
+  }
+  if (section.text) {
+    paragraphs.push(paragraph([run(section.text, body)], { after: 3 }));
+  }
+  for (const point of section.points) {
+    paragraphs.push(paragraph([run(`•\t${point}`, body)], { after: 2, indent: 220, hanging: 220 }));
+  }
+
+  // Space before the next section
+  const last = paragraphs.length - 1;
+  paragraphs[last] = paragraphs[last].replace(/w:after="\d+"/, `w:after="${Math.round(12 * scale * 20)}"`);
+  return paragraphs;
+}
+
+/**
+ * document.xml body
+ */
+function documentXml(model, scale, omitted, logo) {
+  const { colors, fonts } = model;
+  const kept = (sections) => sections.filter((s) => !omitted.includes(s.type));
+  const left = kept(model.columns.left);
+  const right = kept(model.columns.right);
+
+  // Header and intro: the first, single-column section
+  const intro = [
+    model.intro?.lead
+      ? paragraph([run(model.intro.lead, { font: fonts.heading, bold: true, size: 13 * scale, color: colors.dark })], { before: 12, after: 4 })
+      : "",
+    model.intro?.text
+      ? paragraph([run(model.intro.text, { font: fonts.body, size: 9.5 * scale, color: colors.muted })], { after: 4 })
+      : ""
+  ].filter(Boolean);
+  intro.push(paragraph([], { after: 6, sectPr: sectionProperties() }));
+
+  // The two columns: a continuous section, closed by its last paragraph
+  const columns = [
+    ...left.flatMap((section) => sectionParagraphs(section, model, scale, false)),
+    ...right.flatMap((section, i) => sectionParagraphs(section, model, scale, i === 0 && left.length > 0))
+  ];
+  columns.push(paragraph([], { sectPr: sectionProperties({ columns: 2, continuous: true }) }));
+
+  const footer = [];
+  if (model.contact) {
+    footer.push(paragraph([run(`Contact: ${model.contact}`, { font: fonts.body, bold: true, size: 8, color: colors.dark })], { after: 2 }));
+  }
+  if (model.sources.length > 0) {
+    footer.push(paragraph([run(
+      `Sources: ${model.sources.map((s) => `[${s.n}] ${s.source}`).join("   ")}`,
+      { font: fonts.body, size: 7, color: colors.muted }
+    )]));
+  }
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>',
+    `<w:document ${NS}><w:body>`,
+    headerTable(model, scale, logo),
+    ...intro,
+    ...columns,
+    ...footer,
+    sectionProperties({ continuous: true }),
+    "</w:body></w:document>"
+  ].join("");
+}
+
+// =============================================================================
+// Package
+// =============================================================================
+
+const CONTENT_TYPES = [
+  '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>',
+  '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">',
+  '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>',
+  '<Default Extension="xml" ContentType="application/xml"/>',
+  '<Default Extension="png" ContentType="image/png"/>',
+  '<Default Extension="jpeg" ContentType="image/jpeg"/>',
+  '<Override PartName="/word/document.xml"',
+  ' ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.document.main+xml"/>',
+  '<Override PartName="/docProps/core.xml" ContentType="application/vnd.openxmlformats-package.core-properties+xml"/>',
+  "</Types>"
+].join("");
+
+const PACKAGE_RELS = [
+  '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>',
+  '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">',
+  '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument"',
+  ' Target="word/document.xml"/>',
+  '<Relationship Id="rId2" Type="http://schemas.openxmlformats.org/package/2006/relationships/metadata/core-properties"',
+  ' Target="docProps/core.xml"/>',
+  "</Relationships>"
+].join("");
+
+function documentRels(logo) {
+  return [
+    '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>',
+    '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">',
+    logo
+      ? `<Relationship Id="${logo.relId}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/image" Target="media/${logo.name}"/>`
+      : "",
+    "</Relationships>"
+  ].join("");
+}
+
+function coreProperties(model) {
+  return [
+    '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>',
+    '<cp:coreProperties xmlns:cp="http://schemas.openxmlformats.org/package/2006/metadata/core-properties"',
+    ' xmlns:dc="http://purl.org/dc/elements/1.1/">',
+    `<dc:title>${escapeXml(`${model.company.name} - Investor Summary`)}</dc:title>`,
+    `<dc:creator>${escapeXml(model.company.name)}</dc:creator>`,
+    "</cp:coreProperties>"
+  ].join("");
+}
+
+/**
+ * Write the one-pager as a DOCX
+ * @param {object} model - From buildOnePager
+ * @param {string} outputPath - DOCX path
+ * @param {object} options - { scale, omitted } from fitOnePager
+ * @returns {Promise<{ path, warnings: string[] }>}
+ */
+async function writeOnePagerDocx(model, outputPath, { scale = 1, omitted = [] } = {}) {
+  const warnings = [];
+  const zip = new JSZip();
+
+  let logo = null;
+  if (model.company.logo) {
+    const buffer = fs.readFileSync(model.company.logo);
+    const size = imageSize(buffer);
+    if (size) {
+      logo = { relId: "rIdLogo", name: `logo.${size.type}`, buffer };
+      logo.drawing = logoDrawing(size, logo.relId);
+    } else {
+      warnings.push(`Logo skipped in DOCX (${path.basename(model.company.logo)}): only PNG and JPEG are supported`);
+    }
+  }
+
+  zip.file("[Content_Types].xml", CONTENT_TYPES);
+  zip.file("_rels/.rels", PACKAGE_RELS);
+  zip.file("docProps/core.xml", coreProperties(model));
+  zip.file("word/document.xml", documentXml(model, scale, omitted, logo));
+  zip.file("word/_rels/document.xml.rels", documentRels(logo));
+  if (logo) zip.file(`word/media/${logo.name}`, logo.buffer);
+
+  const content = await zip.generateAsync({ type: "nodebuffer", compression: "DEFLATE" });
+  fs.writeFileSync(outputPath, content);
+  return { path: outputPath, warnings };
+}
+
+module.exports = { writeOnePagerDocx, escapeXml, run, paragraph };
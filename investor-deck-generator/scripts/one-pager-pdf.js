@@ -0,0 +1,337 @@
+/**
+ * One-Pager PDF
+ *
+ * Draws the one-page summary (see one-pager.js) with pdfkit on a US Letter
+ * page: a header band in the primary color with the logo, the lead statement,
+ * two columns of sections, and a footer with the contact and the numbered
+ * sources.
+ *
+ * The text is set at the largest scale (down to MIN_SCALE) at which both
+ * columns fit on the page. Sections that still do not fit are left off and
+ * reported, so the summary never runs to a second page.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const PDFDocument = require("pdfkit");
+const { toWinAnsi, pdfFont, pdfColor } = require("./pdf-export");
+
+// US Letter, in points
+const PAGE = { w: 612, h: 792 };
+const MARGIN = 36;
+const GUTTER = 24;
+const LOGO = { w: 110, h: 44 };
+
+const SCALES = [1, 0.95, 0.9, 0.85, 0.8, 0.75, 0.7];
+const MIN_SCALE = SCALES[SCALES.length - 1];
+
+// =============================================================================
+// Layout
+// =============================================================================
+
+/**
+ * Lays out the page at one text scale. With `draw` false it only measures,
+ * so the same code decides the scale and draws the page.
+ */
+class PageLayout {
+  constructor(doc, model, scale, draw) {
+    this.doc = doc;
+    this.model = model;
+    this.scale = scale;
+    this.draw = draw;
+    this.colors = model.colors;
+    this.fonts = model.fonts;
+  }
+
+  /**
+   * Set (or measure) a text block
+   * @returns {number} - Height used
+   */
+  text(value, x, y, width, { font, bold = false, size, color, align = "left" }) {
+    const text = toWinAnsi(value);
+    const options = { width, align, lineGap: size * 0.15 };
+    this.doc.font(pdfFont(font, bold)).fontSize(size);
+    if (this.draw) {
+      this.doc.fillColor(pdfColor(color)).text(text, x, y, options);
+    }
+    return this.doc.heightOfString(text, options);
+  }
+
+  // ===========================================================================
+  // Header and Intro
+  // ===========================================================================
+
+  /**
+   * Colored band with the company name, tagline, subtitle and logo
+   * @returns {number} - Band height
+   */
+  header() {
+    const { company } = this.model;
+    const s = this.scale;
+    const logoSpace = company.logo ? LOGO.w + 16 : 0;
+    const width = PAGE.w - MARGIN * 2 - logoSpace;
+
+    const lines = [
+      { value: company.name, font: this.fonts.title, bold: true, size: 24 * s, color: this.colors.white },
+      { value: company.tagline, font: this.fonts.body, size: 12 * s, color: this.colors.white },
+      { value: company.subtitle, font: this.fonts.body, size: 9 * s, color: this.colors.light }
+    ].filter((line) => line.value);
+
+    // Measure first so the band fits its text
+    const heights = lines.map((line) => this.measure(() => this.text(line.value, 0, 0, width, line)));
+    const height = Math.max(heights.reduce((sum, h) => sum + h + 3, 0), company.logo ? LOGO.h : 0) + 40;
+
+    if (this.draw) {
+      this.doc.rect(0, 0, PAGE.w, height).fill(pdfColor(this.colors.primary));
+      if (company.logo) this.logo(company.logo, height);
+    }
+
+    let y = 20;
+    lines.forEach((line, i) => {
+      this.text(line.value, MARGIN, y, width, line);
+      y += heights[i] + 3;
+    });
+    return height;
+  }
+
+  logo(logoPath, bandHeight) {
+    const x = PAGE.w - MARGIN - LOGO.w;
+    const y = (bandHeight - LOGO.h) / 2;
+    try {
+      this.doc.image(logoPath, x, y, { fit: [LOGO.w, LOGO.h], align: "right", valign: "center" });
+    } catch (error) {
+      // pdfkit reads PNG and JPEG only
+      this.model.warnings.push(`Logo skipped in PDF (${path.basename(logoPath)}): ${error.message}`);
+    }
+  }
+
+  /**
+   * Lead statement and context under the header
+   * @returns {number} - y below the intro
+   */
+  intro(y) {
+    const { intro } = this.model;
+    const s = this.scale;
+    const width = PAGE.w - MARGIN * 2;
+    if (intro?.lead) {
+      y += this.text(intro.lead, MARGIN, y, width, {
+        font: this.fonts.heading, bold: true, size: 13 * s, color: this.colors.dark
+      }) + 4;
+    }
+    if (intro?.text) {
+      y += this.text(intro.text, MARGIN, y, width, {
+        font: this.fonts.body, size: 9.5 * s, color: this.colors.muted
+      }) + 4;
+    }
+    if (this.draw) {
+      this.doc.moveTo(MARGIN, y + 4).lineTo(PAGE.w - MARGIN, y + 4)
+        .lineWidth(0.75).strokeColor(pdfColor(this.colors.muted)).strokeOpacity(0.35).stroke();
+    }
+    return y + 14;
+  }
+
+  // ===========================================================================
+  // Columns
+  // ===========================================================================
+
+  /**
+   * Height of one section
+   */
+  sectionHeight(section, width) {
+    return this.measure(() => this.section(section, 0, 0, width));
+  }
+
+  /**
+   * Set one section
+   * @returns {number} - Height used
+   */
+  section(section, x, y, width) {
+    const s = this.scale;
+    const top = y;
+
+    const titleHeight = this.text(section.title.toUpperCase(), x, y, width, {
+      font: this.fonts.heading, bold: true, size: 10 * s, color: this.colors.primary
+    });
+    if (section.refs?.length > 0) {
+      this.text(`[${section.refs.join(", ")}]`, x, y + 2 * s, width, {
+        font: this.fonts.body, size: 7 * s, color: this.colors.muted, align: "right"
+      });
+    }
+    y += titleHeight + 2;
+    if (this.draw) {
+      this.doc.moveTo(x, y).lineTo(x + 28, y).lineWidth(1.5).strokeColor(pdfColor(this.colors.accent)).stroke();
+    }
+    y += 5;
+
+    if (section.lead) {
+      y += this.text(section.lead, x, y, width, {
+        font: this.fonts.body, bold: true, size: 9.5 * s, color: this.colors.dark
+      }) + 3;
+    }
+
+    for (const metric of section.metrics) {
+      const valueStyle = { font: this.fonts.heading, bold: true, size: 11 * s, color: this.colors.accent };
+      this.doc.font(pdfFont(valueStyle.font, true)).fontSize(valueStyle.size);
+      const valueWidth = Math.min(this.doc.widthOfString(toWinAnsi(metric.value)) + 2, width * 0.45);
+      const valueHeight = this.text(metric.value, x, y, valueWidth, valueStyle);
+      const labelHeight = metric.label
+        ? this.text(metric.label, x + valueWidth + 6, y + 2 * s, width - valueWidth - 6, {
+          font: this.fonts.body, size: 8 * s, color: this.colors.muted
+        }) + 2 * s
+        : 0;
+      y += Math.max(valueHeight, labelHeight) + 2;
+    }
+
+    if (section.text) {
+      y += this.text(section.text, x, y, width, { font: this.fonts.body, size: 9 * s, color: this.colors.dark }) + 3;
+    }
+
+    const indent = 10 * s;
+    for (const point of section.points) {
+      const style = { font: this.fonts.body, size: 9 * s, color: this.colors.dark };
+      this.text("•", x, y, indent, style);
+      y += this.text(point, x + indent, y, width - indent, style) + 2;
+    }
+
+    return y - top + 12 * s;
+  }
+
+  /**
+   * Set a column's sections until `bottom`
+   * @returns {Array<object>} - Sections left off for lack of room
+   */
+  column(sections, x, top, bottom, width) {
+    let y = top;
+    const omitted = [];
+    for (const section of sections) {
+      const height = this.sectionHeight(section, width);
+      if (y + height > bottom) {
+        omitted.push(section);
+        continue;
+      }
+      this.section(section, x, y, width);
+      y += height;
+    }
+    return omitted;
+  }
+
+  // ===========================================================================
+  // Footer
+  // ===========================================================================
+
+  /**
+   * Contact and numbered sources at the foot of the page
+   * @returns {number} - Footer height
+   */
+  footer() {
+    const { contact, sources } = this.model;
+    const width = PAGE.w - MARGIN * 2;
+    const blocks = [];
+    if (contact) {
+      blocks.push({ value: `Contact: ${contact}`, font: this.fonts.body, bold: true, size: 8, color: this.colors.dark });
+    }
+    if (sources.length > 0) {
+      blocks.push({
+        value: `Sources: ${sources.map((s) => `[${s.n}] ${s.source}`).join("   ")}`,
+        font: this.fonts.body, size: 7, color: this.colors.muted
+      });
+    }
+    if (blocks.length === 0) return 0;
+
+    const heights = blocks.map((block) => this.measure(() => this.text(block.value, 0, 0, width, block)));
+    const height = heights.reduce((sum, h) => sum + h + 2, 0) + 10;
+    let y = PAGE.h - MARGIN - height + 10;
+    if (this.draw) {
+      this.doc.moveTo(MARGIN, y - 6).lineTo(PAGE.w - MARGIN, y - 6)
+        .lineWidth(0.75).strokeColor(pdfColor(this.colors.muted)).strokeOpacity(0.35).stroke();
+    }
+    blocks.forEach((block, i) => {
+      this.text(block.value, MARGIN, y, width, block);
+      y += heights[i] + 2;
+    });
+    return height;
+  }
+
+  // ===========================================================================
+  // Page
+  // ===========================================================================
+
+  /**
+   * Run a layout step without drawing
+   */
+  measure(step) {
+    const draw = this.draw;
+    this.draw = false;
+    try {
+      return step();
+    } finally {
+      this.draw = draw;
+    }
+  }
+
+  /**
+   * Lay out the whole page
+   * @returns {Array<object>} - Sections left off for lack of room
+   */
+  page() {
+    const top = this.intro(this.header() + 18);
+    const bottom = PAGE.h - MARGIN - this.footer() - 8;
+    const width = (PAGE.w - MARGIN * 2 - GUTTER) / 2;
+    return [
+      ...this.column(this.model.columns.left, MARGIN, top, bottom, width),
+      ...this.column(this.model.columns.right, MARGIN + width + GUTTER, top, bottom, width)
+    ];
+  }
+}
+
+// =============================================================================
+// Writing
+// =============================================================================
+
+/**
+ * Find the largest text scale at which the page fits, measuring on a scratch
+ * document. The DOCX writer uses the same scale and omissions, so both
+ * formats carry the same content.
+ * @param {object} model - From buildOnePager
+ * @returns {{ scale: number, omitted: string[] }} - Omitted section types
+ */
+function fitOnePager(model) {
+  const doc = new PDFDocument({ size: [PAGE.w, PAGE.h], margin: 0 });
+  const pageModel = { ...model, warnings: [] };
+  const scale = SCALES.find((s) => new PageLayout(doc, pageModel, s, false).page().length === 0) || MIN_SCALE;
+  const omitted = new PageLayout(doc, pageModel, scale, false).page().map((s) => s.type);
+  doc.end();
+  return { scale, omitted };
+}
+
+/**
+ * Draw the one-pager and write the PDF
+ * @param {object} model - From buildOnePager
+ * @param {string} outputPath - PDF path
+ * @returns {Promise<{ path, scale, omitted: string[], warnings: string[] }>}
+ */
+function writeOnePagerPdf(model, outputPath) {
+  const { scale } = fitOnePager(model);
+
+  const doc = new PDFDocument({ size: [PAGE.w, PAGE.h], margin: 0 });
+  doc.info.Title = `${model.company.name} - Investor Summary`;
+  doc.info.Author = model.company.name;
+  const stream = fs.createWriteStream(outputPath);
+  doc.pipe(stream);
+
+  const pageModel = { ...model, warnings: [] };
+  const omitted = new PageLayout(doc, pageModel, scale, true).page();
+
+  doc.end();
+  return new Promise((resolve, reject) => {
+    stream.on("finish", () => resolve({
+      path: outputPath,
+      scale,
+      omitted: omitted.map((s) => s.type),
+      warnings: pageModel.warnings
+    }));
+    stream.on("error", reject);
+  });
+}
+
+module.exports = { writeOnePagerPdf, fitOnePager };
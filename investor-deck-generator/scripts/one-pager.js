@@ -0,0 +1,229 @@
+/**
+ * One-Pager Content
+ *
+ * Builds the content of the one-page investor summary (the "teaser") from a
+ * deck config. Each slide type's `onePager` block in slide-types.json says
+ * where its content goes:
+ *   header  Company name, tagline and subtitle in the colored band
+ *   intro   Lead statement across the page, under the header
+ *   left    A section in the left column
+ *   right   A section in the right column
+ *
+ * Block content fields use the image template specs ({ from, default }, see
+ * resolveTemplateContent): `lead` (bold opening line), `text` (a sentence),
+ * `metrics` (value/label figures), `points` (bullets) and `contact` (shown in
+ * the footer). Sections keep registry order within their column; slides the
+ * config lacks (e.g. in an audience variant) and backup slides are left out.
+ *
+ * With citations.json, each section is referenced to its numbered sources,
+ * listed in the footer. Citations the verifier could not find in their source
+ * are not referenced.
+ *
+ * The model is drawn by one-pager-pdf.js and one-pager-docx.js.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { resolveTemplateContent } = require("../../pipeline/utils/slide-types");
+
+// Figures still waiting for data are left off the page
+const PLACEHOLDER = /^(tbd|tba|n\/a|unknown|-+)$/i;
+
+// =============================================================================
+// Design
+// =============================================================================
+
+/**
+ * Colors and fonts from the deck config's design, with the deck renderer's
+ * defaults
+ */
+function designTheme(design = {}) {
+  return {
+    colors: {
+      primary: design.primaryColor || "0A0A0A",
+      secondary: design.secondaryColor || "1E3A5F",
+      accent: design.accentColor || "5E5CE6",
+      dark: design.darkColor || "111111",
+      light: design.lightColor || "E8E6E1",
+      muted: design.mutedColor || "64748B",
+      white: "FFFFFF"
+    },
+    fonts: {
+      title: design.fontTitle || "Georgia",
+      heading: design.fontHeading || "Arial",
+      body: design.fontBody || "Calibri"
+    }
+  };
+}
+
+// =============================================================================
+// Formatting
+// =============================================================================
+
+function isShown(value) {
+  const text = String(value ?? "").trim();
+  return text !== "" && !PLACEHOLDER.test(text);
+}
+
+/**
+ * One-line text for a string or structured list item (team members keep
+ * their title: "Name, Title — Background")
+ */
+function formatItem(item) {
+  if (item === null || item === undefined) return "";
+  if (typeof item !== "object") return String(item);
+  if (item.percent !== undefined && item.category) return `${item.percent}% - ${item.category}`;
+  if (item.value !== undefined && item.label) {
+    return [`${item.value} ${item.label}`, item.description].filter(Boolean).join(" — ");
+  }
+  const name = item.name && item.title ? `${item.name}, ${item.title}` : item.title || item.name || item.date || item.year;
+  const body = item.description || item.event || item.background || item.credential;
+  return [name, body].filter(Boolean).join(" — ");
+}
+
+/**
+ * Metrics from a list, a single metric, or a keyed object such as
+ * { subscriptionACV: "$550K", grossMargins: "82%" } (one metric per key)
+ */
+function toMetrics(value) {
+  if (!value) return [];
+  let list;
+  if (Array.isArray(value)) {
+    list = value;
+  } else if (typeof value === "object" && value.value === undefined && value.metric === undefined) {
+    list = Object.entries(value).map(([key, v]) => ({
+      value: v,
+      label: key.replace(/([a-z])([A-Z])/g, "$1 $2").replace(/^./, (c) => c.toUpperCase())
+    }));
+  } else {
+    list = [value];
+  }
+
+  return list
+    .map((item) => (typeof item === "object" && item !== null
+      ? { value: String(item.value ?? item.metric ?? ""), label: String(item.label || item.name || "") }
+      : { value: String(item), label: "" }))
+    .filter((m) => isShown(m.value));
+}
+
+function toPoints(value) {
+  const list = Array.isArray(value) ? value : value ? [value] : [];
+  return list.map(formatItem).filter(isShown);
+}
+
+// =============================================================================
+// Sources
+// =============================================================================
+
+/**
+ * Number the sources of the summarized slides in page order
+ * @returns {{ sources: Array<{n, source}>, refsFor: (type) => number[] }}
+ */
+function numberSources(citations, types) {
+  const numbers = new Map();
+  const refs = {};
+
+  for (const type of types) {
+    const cited = (citations?.bySlide?.[type] || []).filter((c) => c.verification?.status !== "unsupported");
+    refs[type] = [];
+    for (const citation of cited) {
+      const source = citation.source || "unknown";
+      if (!numbers.has(source)) numbers.set(source, numbers.size + 1);
+      const n = numbers.get(source);
+      if (!refs[type].includes(n)) refs[type].push(n);
+    }
+    refs[type].sort((a, b) => a - b);
+  }
+
+  return {
+    sources: [...numbers].map(([source, n]) => ({ n, source: path.basename(source) })),
+    refsFor: (type) => refs[type] || []
+  };
+}
+
+// =============================================================================
+// Model
+// =============================================================================
+
+/**
+ * Resolve the logo relative to the config, as the deck renderer does
+ */
+function resolveLogo(logo, configDir) {
+  if (!logo) return null;
+  const candidates = [
+    path.resolve(configDir, logo),
+    path.resolve(configDir, "assets", path.basename(logo)),
+    path.resolve(configDir, "output/assets", path.basename(logo))
+  ];
+  return candidates.find((p) => fs.existsSync(p)) || null;
+}
+
+/**
+ * Build the one-pager content model
+ * @param {object} config - Parsed deck-config.json
+ * @param {Array<object>} slideTypes - Registry entries (loadSlideTypes)
+ * @param {object} options - { citations (parsed citations.json), configDir }
+ * @returns {object} - { company, colors, fonts, intro, columns: { left, right }, contact, sources }
+ *   with sections as { type, title, lead, text, metrics, points, refs }
+ */
+function buildOnePager(config, slideTypes, { citations = null, configDir = "." } = {}) {
+  const company = config.company || {};
+  const slides = (config.slides || []).filter((s) => s.appendix !== true);
+
+  const header = { name: company.name || "", tagline: company.tagline || "", subtitle: "" };
+  let intro = null;
+  let contact = null;
+  const placed = [];
+
+  for (const entry of slideTypes) {
+    const block = entry.onePager;
+    const slide = slides.find((s) => s.type === entry.type);
+    if (!block || !slide) continue;
+
+    const content = resolveTemplateContent(block.content, slide, company);
+    if (isShown(content.contact)) contact = String(content.contact);
+
+    if (block.placement === "header") {
+      header.tagline = isShown(content.tagline) ? String(content.tagline) : header.tagline;
+      header.subtitle = isShown(content.subtitle) ? String(content.subtitle) : "";
+      continue;
+    }
+
+    // Composite metrics (e.g. TAM/SAM/SOM) resolve one spec per figure
+    const metrics = Array.isArray(block.content?.metrics)
+      ? toMetrics(block.content.metrics.map((spec) => resolveTemplateContent(spec, slide, company)))
+      : toMetrics(content.metrics);
+
+    const section = {
+      type: entry.type,
+      title: block.section || entry.type,
+      lead: isShown(formatItem(content.lead)) ? formatItem(content.lead) : null,
+      text: isShown(content.text) ? String(content.text) : null,
+      metrics,
+      points: toPoints(content.points)
+    };
+
+    if (block.placement === "intro") {
+      intro = section;
+    } else if (section.lead || section.text || section.metrics.length > 0 || section.points.length > 0) {
+      placed.push({ placement: block.placement, section });
+    }
+  }
+
+  const { sources, refsFor } = numberSources(citations, placed.map((p) => p.section.type));
+  for (const { section } of placed) section.refs = refsFor(section.type);
+
+  return {
+    company: { ...header, logo: resolveLogo(company.logo, configDir) },
+    ...designTheme(config.design),
+    intro,
+    columns: {
+      left: placed.filter((p) => p.placement === "left").map((p) => p.section),
+      right: placed.filter((p) => p.placement === "right").map((p) => p.section)
+    },
+    contact,
+    sources
+  };
+}
+
+module.exports = { buildOnePager, designTheme };
@@ -0,0 +1,386 @@
+/**
+ * PDF Export
+ *
+ * Two ways to turn the deck into a PDF:
+ *   libreoffice  Convert the written PPTX with a headless LibreOffice, when one
+ *                is installed (closest to what PowerPoint shows)
+ *   direct       Draw the same slides with pdfkit. PdfDeck is a render target
+ *                (see render-targets.js): generate-deck.js mirrors every slide
+ *                onto it while building the PPTX.
+ *
+ * Pages are the 16:9 slide size (10 x 5.625 in).
+ */
+
+const { execFileSync } = require("child_process");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const PDFDocument = require("pdfkit");
+const { RecordedSlide, toParagraphs, bulletMarkers, formatChartValue } = require("./render-targets");
+
+const PT_PER_IN = 72;
+const PDF_ENGINES = ["auto", "libreoffice", "direct"];
+
+// pptxgenjs default text box insets (0.1in left/right, 0.05in top/bottom)
+const INSET_X = 7.2;
+const INSET_Y = 3.6;
+
+// =============================================================================
+// Text Helpers
+// =============================================================================
+
+// Characters the standard PDF fonts (WinAnsi encoding) cannot show
+const CHAR_REPLACEMENTS = { "→": "->", "←": "<-", "↑": "^", "↓": "v", "✓": "v", "✗": "x", "‹": "<", "›": ">" };
+
+/**
+ * Make text safe for the built-in PDF fonts
+ */
+function toWinAnsi(text) {
+  return String(text ?? "")
+    .replace(/[→←↑↓✓✗‹›]/g, (c) => CHAR_REPLACEMENTS[c])
+    .replace(/[^\n\x20-\x7E\xA0-\xFF–—‘’“”•…€™]/g, "");
+}
+
+/**
+ * Built-in PDF font for a PowerPoint font face
+ */
+function pdfFont(fontFace, bold) {
+  const face = (fontFace || "").toLowerCase();
+  if (/mono|courier|consol/.test(face)) return bold ? "Courier-Bold" : "Courier";
+  if (/georgia|times|garamond|serif|cambria|palatino/.test(face) && !/sans/.test(face)) {
+    return bold ? "Times-Bold" : "Times-Roman";
+  }
+  return bold ? "Helvetica-Bold" : "Helvetica";
+}
+
+/**
+ * Hex color ("1E3A5F") to a pdfkit color
+ */
+function pdfColor(color, fallback = "000000") {
+  return `#${(color || fallback).replace(/^#/, "")}`;
+}
+
+// =============================================================================
+// PDF Deck
+// =============================================================================
+
+// Speaker notes have no place on a PDF page; they are recorded and ignored
+class PdfSlide extends RecordedSlide {}
+
+class PdfDeck {
+  /**
+   * @param {object} size - Slide size in inches { w, h }
+   */
+  constructor(size) {
+    this.size = size;
+    this.slides = [];
+    this.warnings = [];
+  }
+
+  addSlide() {
+    const slide = new PdfSlide();
+    this.slides.push(slide);
+    return slide;
+  }
+
+  /**
+   * Draw every slide and write the PDF
+   * @returns {Promise<string>} - Output path
+   */
+  write(outputPath) {
+    const pageSize = [this.size.w * PT_PER_IN, this.size.h * PT_PER_IN];
+    const doc = new PDFDocument({ size: pageSize, margin: 0, autoFirstPage: false });
+    const stream = fs.createWriteStream(outputPath);
+    doc.pipe(stream);
+
+    // One page per slide: pdfkit adds a page of its own when text runs off one
+    let pages = 0;
+    doc.on("pageAdded", () => pages++);
+
+    for (const slide of this.slides) {
+      doc.addPage({ size: pageSize, margin: 0 });
+      if (slide.background?.color) {
+        doc.rect(0, 0, pageSize[0], pageSize[1]).fill(pdfColor(slide.background.color));
+      }
+      for (const op of slide.ops) {
+        this.drawOp(doc, op);
+      }
+    }
+
+    doc.end();
+    return new Promise((resolve, reject) => {
+      stream.on("finish", () => {
+        if (pages !== this.slides.length) {
+          reject(new Error(`PDF has ${pages} pages for ${this.slides.length} slides`));
+        } else {
+          resolve(outputPath);
+        }
+      });
+      stream.on("error", reject);
+    });
+  }
+
+  drawOp(doc, op) {
+    doc.save();
+    try {
+      if (op.kind === "text") this.drawText(doc, op.text, op.opts);
+      else if (op.kind === "shape") this.drawShape(doc, op.shape, op.opts);
+      else if (op.kind === "image") this.drawImage(doc, op.opts);
+      else if (op.kind === "chart") this.drawChart(doc, op.type, op.data, op.opts);
+    } finally {
+      doc.restore();
+    }
+  }
+
+  // ===========================================================================
+  // Drawing
+  // ===========================================================================
+
+  drawText(doc, text, opts) {
+    const box = {
+      x: opts.x * PT_PER_IN + INSET_X,
+      y: opts.y * PT_PER_IN + INSET_Y,
+      w: Math.max(opts.w * PT_PER_IN - INSET_X * 2, 1),
+      h: Math.max(opts.h * PT_PER_IN - INSET_Y * 2, 1)
+    };
+    const fontSize = opts.fontSize || 18;
+    const spacing = opts.paraSpaceAfter || 0;
+    const paragraphs = toParagraphs(text);
+    const markers = bulletMarkers(paragraphs);
+
+    if (opts.rotate) {
+      doc.rotate(opts.rotate, { origin: [box.x + box.w / 2, box.y + box.h / 2] });
+    }
+
+    // Measure first so the block can be vertically aligned
+    const laidOut = paragraphs.map((runs, i) => {
+      const marker = markers[i];
+      const indent = marker ? fontSize * 1.2 : 0;
+      const plain = toWinAnsi(runs.map((r) => r.text).join("")) || " ";
+      doc.font(pdfFont(opts.fontFace, opts.bold || runs[0].options.bold)).fontSize(fontSize);
+      const height = doc.heightOfString(plain, { width: box.w - indent, align: opts.align });
+      return { runs, marker, indent, height };
+    });
+    const total = laidOut.reduce((sum, p) => sum + p.height, 0) + spacing * Math.max(laidOut.length - 1, 0);
+
+    let y = box.y;
+    if (opts.valign === "middle") y = box.y + (box.h - total) / 2;
+    else if (opts.valign === "bottom") y = box.y + box.h - total;
+    y = Math.max(y, box.y);
+
+    // Like PowerPoint, text that does not fit runs past the bottom of its box,
+    // but no further than the page: given a height, pdfkit ends the text with
+    // an ellipsis instead of continuing it on a new page
+    for (const paragraph of laidOut) {
+      const height = doc.page.height - y;
+      if (height < fontSize) break;
+      const width = box.w - paragraph.indent;
+
+      if (paragraph.marker) {
+        doc.font(pdfFont(opts.fontFace, false)).fontSize(fontSize).fillColor(pdfColor(opts.color))
+          .text(paragraph.marker, box.x, y, { width: paragraph.indent, height, lineBreak: false });
+      }
+
+      paragraph.runs.forEach((run, i) => {
+        const runOpts = run.options;
+        doc.font(pdfFont(runOpts.fontFace || opts.fontFace, runOpts.bold ?? opts.bold))
+          .fontSize(runOpts.fontSize || fontSize)
+          .fillColor(pdfColor(runOpts.color || opts.color));
+        const textOpts = {
+          width, height, ellipsis: true, align: opts.align || "left",
+          continued: i < paragraph.runs.length - 1
+        };
+        const runText = toWinAnsi(run.text);
+        if (i === 0) doc.text(runText, box.x + paragraph.indent, y, textOpts);
+        else doc.text(runText, textOpts);
+      });
+
+      y += paragraph.height + spacing;
+    }
+  }
+
+  drawShape(doc, shape, opts) {
+    const x = opts.x * PT_PER_IN;
+    const y = opts.y * PT_PER_IN;
+    const w = opts.w * PT_PER_IN;
+    const h = opts.h * PT_PER_IN;
+
+    if (shape === "ellipse") doc.ellipse(x + w / 2, y + h / 2, w / 2, h / 2);
+    else doc.rect(x, y, w, h);
+
+    if (opts.fill?.color) {
+      doc.fillOpacity(1 - (opts.fill.transparency || 0) / 100).fill(pdfColor(opts.fill.color));
+    }
+  }
+
+  drawImage(doc, opts) {
+    const x = opts.x * PT_PER_IN;
+    const y = opts.y * PT_PER_IN;
+    const w = opts.w * PT_PER_IN;
+    const h = opts.h * PT_PER_IN;
+
+    try {
+      doc.rect(x, y, w, h).clip();
+      const fit = opts.sizing?.type === "cover" ? { cover: [w, h] } : { fit: [w, h] };
+      doc.image(opts.path, x, y, { ...fit, align: "center", valign: "center" });
+    } catch (error) {
+      // pdfkit reads PNG and JPEG only
+      this.warnings.push(`Image skipped in PDF (${path.basename(opts.path)}): ${error.message}`);
+    }
+  }
+
+  /**
+   * Horizontal bar and line charts, styled from the pptxgenjs chart options
+   */
+  drawChart(doc, type, data, opts) {
+    const box = { x: opts.x * PT_PER_IN, y: opts.y * PT_PER_IN, w: opts.w * PT_PER_IN, h: opts.h * PT_PER_IN };
+    const colors = (opts.chartColors || ["4472C4"]).map((c) => pdfColor(c));
+    const labelColor = pdfColor(opts.catAxisLabelColor);
+    const valueColor = pdfColor(opts.dataLabelColor);
+    const labelSize = opts.catAxisLabelFontSize || 10;
+    const valueSize = opts.dataLabelFontSize || 10;
+    const valueFont = pdfFont(opts.dataLabelFontFace, opts.dataLabelFontBold);
+    const labelFont = pdfFont(opts.catAxisLabelFontFace, false);
+    const format = (v) => toWinAnsi(formatChartValue(v, opts.dataLabelFormatCode));
+    const series = data.filter((s) => s.values?.length);
+    if (series.length === 0) return;
+    const labels = series[0].labels || [];
+    const max = Math.max(...series.flatMap((s) => s.values), 0) || 1;
+
+    if (type === "bar") {
+      const labelW = box.w * 0.22;
+      const valueW = valueSize * 4;
+      const trackW = box.w - labelW - valueW;
+      const rowH = box.h / labels.length;
+      const barH = rowH / (1 + (opts.barGapWidthPct ?? 150) / 100);
+      const order = opts.catAxisOrientation === "maxMin" ? labels.map((_, i) => i) : labels.map((_, i) => labels.length - 1 - i);
+
+      order.forEach((index, row) => {
+        const value = series[0].values[index];
+        const rowY = box.y + row * rowH;
+        const barY = rowY + (rowH - barH) / 2;
+        const barW = Math.max((value / max) * trackW, 0);
+        // Shrink long category names to fit rather than breaking them mid-word
+        const label = toWinAnsi(labels[index]);
+        doc.font(labelFont).fontSize(labelSize);
+        const fitSize = Math.min(labelSize, (labelSize * (labelW - 6)) / (doc.widthOfString(label) || 1));
+        doc.fontSize(fitSize).fillColor(labelColor)
+          .text(label, box.x, rowY + rowH / 2 - fitSize / 2, { width: labelW - 6, align: "right", lineBreak: false });
+        doc.rect(box.x + labelW, barY, barW, barH).fill(colors[0]);
+        doc.font(valueFont).fontSize(valueSize).fillColor(valueColor)
+          .text(format(value), box.x + labelW + barW + 4, rowY + rowH / 2 - valueSize / 2, {
+            width: valueW, lineBreak: false
+          });
+      });
+      return;
+    }
+
+    // Line chart: categories along the bottom, values scaled from zero
+    const legendH = opts.showLegend ? labelSize * 2 : 0;
+    const plot = {
+      x: box.x + box.w * 0.05,
+      y: box.y + valueSize * 1.6,
+      w: box.w * 0.9,
+      h: box.h - valueSize * 1.6 - labelSize * 1.8 - legendH
+    };
+    const step = labels.length > 1 ? plot.w / (labels.length - 1) : 0;
+    const pointAt = (i, value) => [plot.x + i * step, plot.y + plot.h - (value / max) * plot.h];
+
+    labels.forEach((label, i) => {
+      doc.font(labelFont).fontSize(labelSize).fillColor(labelColor)
+        .text(toWinAnsi(label), plot.x + i * step - 40, plot.y + plot.h + labelSize * 0.5, {
+          width: 80, align: "center", lineBreak: false
+        });
+    });
+
+    series.forEach((s, si) => {
+      const color = colors[si % colors.length];
+      const points = s.values.map((v, i) => pointAt(i, v));
+      doc.lineWidth(opts.lineSize || 2).strokeColor(color);
+      points.forEach(([px, py], i) => (i === 0 ? doc.moveTo(px, py) : doc.lineTo(px, py)));
+      doc.stroke();
+      points.forEach(([px, py], i) => {
+        doc.circle(px, py, (opts.lineDataSymbolSize || 6) / 2).fill(color);
+        if (opts.showValue) {
+          doc.font(valueFont).fontSize(valueSize).fillColor(valueColor)
+            .text(format(s.values[i]), px - 40, py - valueSize * 1.5, { width: 80, align: "center", lineBreak: false });
+        }
+      });
+    });
+
+    if (opts.showLegend) {
+      const legendY = box.y + box.h - labelSize * 1.2;
+      let legendX = box.x + box.w * 0.05;
+      series.forEach((s, si) => {
+        doc.rect(legendX, legendY + labelSize * 0.2, labelSize * 0.8, labelSize * 0.8).fill(colors[si % colors.length]);
+        const name = toWinAnsi(s.name);
+        doc.font(labelFont).fontSize(labelSize).fillColor(pdfColor(opts.legendColor))
+          .text(name, legendX + labelSize * 1.2, legendY, { lineBreak: false });
+        legendX += labelSize * 2 + doc.widthOfString(name);
+      });
+    }
+  }
+}
+
+// =============================================================================
+// LibreOffice Conversion
+// =============================================================================
+
+/**
+ * Path of a LibreOffice executable, or null when none is installed
+ */
+function findLibreOffice() {
+  const candidates = ["soffice", "libreoffice"];
+  if (process.platform === "darwin") {
+    candidates.push("/Applications/LibreOffice.app/Contents/MacOS/soffice");
+  }
+  for (const candidate of candidates) {
+    if (path.isAbsolute(candidate)) {
+      if (fs.existsSync(candidate)) return candidate;
+      continue;
+    }
+    for (const dir of (process.env.PATH || "").split(path.delimiter)) {
+      const full = path.join(dir, candidate);
+      if (dir && fs.existsSync(full)) return full;
+    }
+  }
+  return null;
+}
+
+/**
+ * Convert a PPTX to PDF with headless LibreOffice
+ * @returns {string} - Output path
+ */
+function convertWithLibreOffice(sofficePath, pptxPath, pdfPath) {
+  // A private profile lets the conversion run while LibreOffice is open
+  const workDir = fs.mkdtempSync(path.join(os.tmpdir(), "deck-pdf-"));
+  try {
+    execFileSync(sofficePath, [
+      `-env:UserInstallation=file://${path.join(workDir, "profile")}`,
+      "--headless", "--convert-to", "pdf", "--outdir", workDir, path.resolve(pptxPath)
+    ], { stdio: "pipe", timeout: 180000 });
+
+    const converted = path.join(workDir, `${path.basename(pptxPath, path.extname(pptxPath))}.pdf`);
+    if (!fs.existsSync(converted)) {
+      throw new Error("LibreOffice finished without writing a PDF");
+    }
+    fs.copyFileSync(converted, pdfPath);
+    return pdfPath;
+  } finally {
+    fs.rmSync(workDir, { recursive: true, force: true });
+  }
+}
+
+// =============================================================================
+// Exports
+// =============================================================================
+
+module.exports = {
+  PdfDeck,
+  findLibreOffice,
+  convertWithLibreOffice,
+  toWinAnsi,
+  pdfFont,
+  pdfColor,
+  PDF_ENGINES
+};
@@ -0,0 +1,155 @@
+/**
+ * Render Targets
+ *
+ * Shared pieces for the renderers that draw the deck a second time next to
+ * pptxgenjs (PdfDeck in pdf-export.js, HtmlDeck in html-export.js). Each target
+ * accepts the subset of the pptxgenjs API that generate-deck.js uses, and
+ * mirrorPresentation() sends every slide to all of them, so the image slides
+ * and fallback layouts are described only once.
+ */
+
+// =============================================================================
+// Mirroring
+// =============================================================================
+
+const MIRRORED_SLIDE_METHODS = ["addText", "addShape", "addImage", "addChart"];
+
+/**
+ * Wrap a pptxgenjs presentation so every slide drawn on it is also drawn on
+ * each target deck. Everything else (slides, writeFile, shapes, charts) is the
+ * pptxgenjs presentation's own.
+ * @param {object} pres - pptxgenjs presentation
+ * @param {Array<object>} targets - Decks with addSlide()
+ */
+function mirrorPresentation(pres, targets) {
+  return new Proxy(pres, {
+    get(target, prop) {
+      if (prop === "addSlide") {
+        return (...args) => mirrorSlide(target.addSlide(...args), targets.map((deck) => deck.addSlide()));
+      }
+      const value = target[prop];
+      return typeof value === "function" ? value.bind(target) : value;
+    }
+  });
+}
+
+function mirrorSlide(slide, targetSlides) {
+  return new Proxy(slide, {
+    get(target, prop) {
+      if (MIRRORED_SLIDE_METHODS.includes(prop)) {
+        return (...args) => {
+          targetSlides.forEach((targetSlide) => targetSlide[prop](...args));
+          return target[prop](...args);
+        };
+      }
+      const value = target[prop];
+      return typeof value === "function" ? value.bind(target) : value;
+    },
+    set(target, prop, value) {
+      if (prop === "background") {
+        targetSlides.forEach((targetSlide) => (targetSlide.background = value));
+      }
+      target[prop] = value;
+      return true;
+    }
+  });
+}
+
+// =============================================================================
+// Recorded Slides
+// =============================================================================
+
+/**
+ * A slide that records its drawing calls for the target to draw later.
+ * Arguments are copied on the way in: pptxgenjs rewrites some of the objects
+ * it is given (e.g. chart labels).
+ */
+class RecordedSlide {
+  constructor() {
+    this.background = null;
+    this.ops = [];
+    this.notes = "";
+  }
+
+  addText(text, opts = {}) {
+    this.ops.push({ kind: "text", text: structuredClone(text), opts: structuredClone(opts) });
+    return this;
+  }
+
+  addShape(shape, opts = {}) {
+    this.ops.push({ kind: "shape", shape, opts: structuredClone(opts) });
+    return this;
+  }
+
+  addImage(opts = {}) {
+    this.ops.push({ kind: "image", opts: structuredClone(opts) });
+    return this;
+  }
+
+  addChart(type, data, opts = {}) {
+    this.ops.push({ kind: "chart", type, data: structuredClone(data), opts: structuredClone(opts) });
+    return this;
+  }
+
+  addNotes(notes) {
+    this.notes = notes;
+    return this;
+  }
+}
+
+// =============================================================================
+// Content Helpers
+// =============================================================================
+
+/**
+ * Split addText input (a string or pptxgenjs runs) into paragraphs of runs
+ * @returns {Array<Array<{text: string, options: object}>>}
+ */
+function toParagraphs(text) {
+  if (!Array.isArray(text)) {
+    return String(text ?? "").split("\n").map((line) => [{ text: line, options: {} }]);
+  }
+
+  const paragraphs = [[]];
+  for (const run of text) {
+    paragraphs[paragraphs.length - 1].push({ text: String(run.text ?? ""), options: run.options || {} });
+    if (run.options?.breakLine) paragraphs.push([]);
+  }
+  return paragraphs.filter((p) => p.length > 0);
+}
+
+/**
+ * Bullet marker per paragraph ("•", "1.", "2." ... or "")
+ */
+function bulletMarkers(paragraphs) {
+  let number = 0;
+  return paragraphs.map((runs) => {
+    const bullet = runs[0].options.bullet;
+    if (!bullet) return "";
+    return bullet.type === "number" ? `${++number}.` : "•";
+  });
+}
+
+/**
+ * Format a chart value with an Excel number format such as "$"General"B"
+ */
+function formatChartValue(value, formatCode) {
+  const number = String(Number(Number(value).toPrecision(6)));
+  if (!formatCode || formatCode === "General") return number;
+  return formatCode
+    .split(/("[^"]*")/)
+    .map((part) => (part.startsWith('"') ? part.slice(1, -1) : part.replace("General", number)))
+    .join("");
+}
+
+// =============================================================================
+// Exports
+// =============================================================================
+
+module.exports = {
+  mirrorPresentation,
+  RecordedSlide,
+  toParagraphs,
+  bulletMarkers,
+  formatChartValue
+};
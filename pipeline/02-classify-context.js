@@ -4,17 +4,19 @@
  * Phase 2: Context Classification
  * =============================================================================
  *
- * Uses Claude to analyze extracted PDF texts and classify content
- * relevance to each investor deck slide type.
+ * Uses Claude (or the provider set in agents.classifier) to analyze extracted
+ * PDF texts and classify content relevance to each investor deck slide type.
  *
  * Inputs:
  *   - extracted-text/*.txt (individual PDF extractions)
  *   - user-inputs/story.md (narrative arc)
  *   - user-inputs/style-guide.md (style preferences)
+ *   - user-inputs/facts.json (optional, pinned facts)
  *
  * Outputs:
  *   - intermediate/classified-context.json
  *   - intermediate/relevance-matrix.json
+ *   - intermediate/classification-cache.json (per-document results for reuse)
  *
  * Usage:
  *   node 02-classify-context.js [options]
@@ -22,10 +24,14 @@
  * Options:
  *   --verbose, -v    Show detailed progress
  *   --dry-run        Generate prompts without making API calls
+ *   --record         Save every model request/response to intermediate/fixtures/
+ *   --replay         Serve model calls from recorded fixtures (no network)
+ *   --no-cache       Reclassify every document, ignoring the classification cache
+ *   --concurrency, -c <n>  Classify up to n documents in parallel
  *   --help, -h       Show this help message
  *
  * Environment:
- *   ANTHROPIC_API_KEY - Required API key for Claude
+ *   ANTHROPIC_API_KEY - Required API key for Claude (default provider)
  */
 
 const path = require("path");
@@ -35,7 +41,9 @@ const fs = require("fs");
 require("dotenv").config({ path: path.join(__dirname, "../.env") });
 
 const { ClaudeClassifier } = require("./agents/claude-classifier");
+const { getRequiredEnvVar, resolveFixtureConfig } = require("./providers");
 const { PromptLogger } = require("./utils/prompt-logger");
+const { recordPhase, describeAgent } = require("./utils/run-archive");
 
 // =============================================================================
 // Configuration
@@ -48,6 +56,7 @@ const PATHS = {
   extractedTexts: path.join(PROJECT_ROOT, "extracted-text"),
   story: path.join(PROJECT_ROOT, "user-inputs/story.md"),
   styleGuide: path.join(PROJECT_ROOT, "user-inputs/style-guide.md"),
+  facts: path.join(PROJECT_ROOT, "user-inputs/facts.json"),
   output: path.join(PROJECT_ROOT, "intermediate"),
   config: path.join(SCRIPT_DIR, "config/pipeline-config.json"),
 };
@@ -62,6 +71,10 @@ function parseArgs() {
     verbose: false,
     help: false,
     dryRun: false,
+    record: false,
+    replay: false,
+    noCache: false,
+    concurrency: null,
     unknown: [],
   };
 
@@ -78,6 +91,23 @@ function parseArgs() {
       case "--dry-run":
         options.dryRun = true;
         break;
+      case "--record":
+        options.record = true;
+        break;
+      case "--replay":
+        options.replay = true;
+        break;
+      case "--no-cache":
+        options.noCache = true;
+        break;
+      case "--concurrency":
+      case "-c":
+        if (i + 1 >= args.length) {
+          options.unknown.push(args[i]);
+        } else {
+          options.concurrency = args[++i];
+        }
+        break;
       default:
         options.unknown.push(args[i]);
         break;
@@ -100,6 +130,12 @@ Usage:
 Options:
   --verbose, -v    Show detailed progress
   --dry-run        Generate prompts without making API calls
+  --record         Save every model request/response as a fixture
+  --replay         Serve model calls from recorded fixtures (no network)
+  --no-cache       Reclassify every document, ignoring cached results
+  --concurrency, -c <n>
+                   Classify up to n documents in parallel
+                   Default: agents.classifier.concurrency in pipeline-config.json (4)
   --help, -h       Show this help message
 
 Required Files:
@@ -107,12 +143,20 @@ Required Files:
   user-inputs/story.md     Narrative arc definition
   user-inputs/style-guide.md   Style preferences
 
+Optional Files:
+  user-inputs/facts.json   Pinned facts (never reported as missing)
+
 Output Files:
   intermediate/classified-context.json   Classified content by slide
   intermediate/relevance-matrix.json     Document-to-slide relevance scores
+  intermediate/classification-cache.json Cached per-document results; a document
+                                         is only re-sent when its content, the
+                                         story/style guide or the model changes
 
 Environment Variables:
-  ANTHROPIC_API_KEY    Required: Your Anthropic API key
+  ANTHROPIC_API_KEY    Required for the default anthropic provider
+                       (set agents.classifier.provider in pipeline-config.json
+                       to use openai, google or openai-compatible instead)
 `);
 }
 
@@ -135,7 +179,7 @@ function formatConflict(conflict) {
 // Validation
 // =============================================================================
 
-function validateInputs({ skipApiKeyCheck = false } = {}) {
+function validateInputs({ skipApiKeyCheck = false, apiKeyEnv = "ANTHROPIC_API_KEY" } = {}) {
   const errors = [];
 
   // Check extracted texts directory
@@ -163,10 +207,10 @@ function validateInputs({ skipApiKeyCheck = false } = {}) {
     errors.push("Create user-inputs/style-guide.md with your style preferences.");
   }
 
-  // Check API key
-  if (!skipApiKeyCheck && !process.env.ANTHROPIC_API_KEY) {
-    errors.push("ANTHROPIC_API_KEY environment variable not set.");
-    errors.push("Set it with: export ANTHROPIC_API_KEY='your-api-key'");
+  // Check API key for the configured provider
+  if (!skipApiKeyCheck && apiKeyEnv && !process.env[apiKeyEnv]) {
+    errors.push(`${apiKeyEnv} environment variable not set.`);
+    errors.push(`Set it with: export ${apiKeyEnv}='your-api-key'`);
   }
 
   return errors;
@@ -195,26 +239,52 @@ async function main() {
     process.exit(1);
   }
 
+  if (options.record && options.replay) {
+    console.error("--record and --replay cannot be combined.");
+    process.exit(1);
+  }
+
+  if (options.concurrency !== null && !(parseInt(options.concurrency, 10) >= 1)) {
+    console.error(`Invalid concurrency: ${options.concurrency}`);
+    console.error("Concurrency must be a whole number of at least 1.");
+    process.exit(1);
+  }
+
+  // Load config if available
+  const pipelineConfig = fs.existsSync(PATHS.config)
+    ? JSON.parse(fs.readFileSync(PATHS.config, "utf-8"))
+    : null;
+  const provider = pipelineConfig?.agents?.classifier?.provider || "anthropic";
+
   // Validate inputs
-  const errors = validateInputs({ skipApiKeyCheck: options.dryRun });
+  let errors;
+  let fixtures = null;
+  try {
+    fixtures = resolveFixtureConfig(options, pipelineConfig, PROJECT_ROOT);
+    errors = validateInputs({
+      skipApiKeyCheck: options.dryRun || fixtures?.mode === "replay",
+      apiKeyEnv: getRequiredEnvVar(provider, pipelineConfig?.agents?.classifier),
+    });
+  } catch (error) {
+    errors = [error.message];
+  }
   if (errors.length > 0) {
     console.error("Validation errors:");
     errors.forEach((e) => console.error(`  - ${e}`));
     process.exit(1);
   }
 
-  // Load config if available
   let agentConfig = {
     verbose: options.verbose,
     dryRun: options.dryRun,
   };
   let promptLogger = null;
 
-  if (fs.existsSync(PATHS.config)) {
-    const pipelineConfig = JSON.parse(fs.readFileSync(PATHS.config, "utf-8"));
+  if (pipelineConfig) {
     if (pipelineConfig.agents?.classifier) {
       agentConfig = { ...agentConfig, ...pipelineConfig.agents.classifier };
     }
+    agentConfig.repairAttempts = pipelineConfig.validation?.repairAttempts;
 
     if (options.dryRun || pipelineConfig.logging?.prompts === true) {
       promptLogger = new PromptLogger(PROJECT_ROOT, { dryRun: options.dryRun });
@@ -225,6 +295,14 @@ async function main() {
     agentConfig.promptLogger = promptLogger;
   }
 
+  agentConfig.fixtures = fixtures;
+  if (options.noCache) {
+    agentConfig.cache = false;
+  }
+  if (options.concurrency !== null) {
+    agentConfig.concurrency = parseInt(options.concurrency, 10);
+  }
+
   // Create classifier agent
   const classifier = new ClaudeClassifier(agentConfig);
 
@@ -233,7 +311,10 @@ async function main() {
     .readdirSync(PATHS.extractedTexts)
     .filter((f) => f.endsWith(".txt"));
   console.log(`Documents to classify: ${txtFiles.length}`);
+  console.log(`Provider: ${classifier.provider} (${classifier.model})`);
+  console.log(`Concurrency: ${classifier.concurrency}`);
   console.log(`Dry-run mode: ${options.dryRun ? "enabled" : "disabled"}`);
+  console.log(`Fixtures: ${fixtures ? `${fixtures.mode} (${fixtures.dir})` : "off"}`);
   console.log(`Story file: ${PATHS.story}`);
   console.log(`Style guide: ${PATHS.styleGuide}`);
   console.log(`Output directory: ${PATHS.output}\n`);
@@ -246,17 +327,29 @@ async function main() {
       extractedTextsDir: PATHS.extractedTexts,
       storyPath: PATHS.story,
       styleGuidePath: PATHS.styleGuide,
+      factsPath: PATHS.facts,
       outputDir: PATHS.output,
     });
 
     const elapsed = ((Date.now() - startTime) / 1000).toFixed(1);
 
+    recordPhase(PROJECT_ROOT, {
+      phase: "2",
+      name: "classify",
+      agents: [describeAgent(classifier)],
+      dryRun: options.dryRun,
+      fixtures,
+    });
+
     // Print summary
     console.log("\n========================================");
     console.log("Classification Complete");
     console.log("========================================");
     console.log(`Time: ${elapsed}s`);
     console.log(`Documents processed: ${result.metadata.totalDocuments}`);
+    console.log(
+      `Classified: ${result.metadata.cache.misses}, reused from cache: ${result.metadata.cache.hits}`
+    );
     console.log(`Cost: $${result.metadata.costIncurred.toFixed(4)}`);
 
     // Print slide coverage
@@ -0,0 +1,266 @@
+#!/usr/bin/env node
+/**
+ * =============================================================================
+ * Phase 2 (Part 2): Conflict Resolution
+ * =============================================================================
+ *
+ * Lists the data conflicts the classifier found across documents (each field
+ * with its disputed values and the documents reporting them) and asks which
+ * value is canonical, or for a value of your own. Decisions are saved to
+ * user-inputs/resolutions.json after each answer and are honored by every
+ * later run: the synthesizer is told to use the chosen values, and the
+ * numeric consistency check flags figures that differ from them.
+ *
+ * Conflicts already resolved are skipped unless --all is passed. Without a
+ * terminal (or with --list) the conflicts are only listed.
+ *
+ * Inputs:
+ *   - intermediate/classified-context.json (from Phase 2)
+ *   - user-inputs/resolutions.json (earlier decisions, if any)
+ *
+ * Outputs:
+ *   - user-inputs/resolutions.json
+ *
+ * Usage:
+ *   node 02-resolve-conflicts.js [options]
+ *
+ * Options:
+ *   --list, -l       List conflicts and decisions without prompting
+ *   --all            Revisit conflicts that are already resolved
+ *   --help, -h       Show this help message
+ */
+
+const path = require("path");
+const fs = require("fs");
+const readline = require("readline");
+
+const {
+  conflictKey,
+  groupConflicts,
+  loadResolutions,
+  saveResolutions,
+  findResolution,
+  setResolution,
+} = require("./utils/conflict-resolutions");
+
+// =============================================================================
+// Configuration
+// =============================================================================
+
+const SCRIPT_DIR = __dirname;
+const PROJECT_ROOT = path.join(SCRIPT_DIR, "..");
+
+const PATHS = {
+  classifiedContext: path.join(PROJECT_ROOT, "intermediate/classified-context.json"),
+  resolutions: path.join(PROJECT_ROOT, "user-inputs/resolutions.json"),
+};
+
+// =============================================================================
+// CLI Argument Parsing
+// =============================================================================
+
+function parseArgs() {
+  const args = process.argv.slice(2);
+  const options = {
+    list: false,
+    all: false,
+    help: false,
+    unknown: [],
+  };
+
+  for (const arg of args) {
+    switch (arg) {
+      case "--list":
+      case "-l":
+        options.list = true;
+        break;
+      case "--all":
+        options.all = true;
+        break;
+      case "--help":
+      case "-h":
+        options.help = true;
+        break;
+      default:
+        options.unknown.push(arg);
+        break;
+    }
+  }
+
+  return options;
+}
+
+function showHelp() {
+  console.log(`
+Phase 2 (Part 2): Conflict Resolution
+
+Shows each conflicting field with its values and sources, and records the
+value to use in user-inputs/resolutions.json.
+
+Usage:
+  node 02-resolve-conflicts.js [options]
+
+Options:
+  --list, -l           List conflicts and decisions without prompting
+  --all                Revisit conflicts that are already resolved
+  --help, -h           Show this help message
+
+Required Files:
+  intermediate/classified-context.json   Classified content (from Phase 2)
+
+Output Files:
+  user-inputs/resolutions.json           Chosen value for each resolved conflict
+
+At each prompt: a number picks that value, "c" enters your own value,
+"s" skips the conflict and "q" stops (decisions so far are kept).
+Edit resolutions.json to add a "note" for the synthesizer or to remove a decision.
+`);
+}
+
+// =============================================================================
+// Display
+// =============================================================================
+
+function printConflict(label, group, resolution) {
+  console.log(`\n${label} ${group.field}`);
+  group.descriptions.forEach((d) => console.log(`  ${d}`));
+  group.values.forEach((v, i) => {
+    const sources = v.sources.length > 0 ? `  (${v.sources.join(", ")})` : "";
+    console.log(`  ${i + 1}) ${v.value}${sources}`);
+  });
+  if (group.sources.length > 0 && !(group.values.length > 0 && group.values.every((v) => v.sources.length > 0))) {
+    console.log(`  Reported by: ${group.sources.join(", ")}`);
+  }
+  group.recommendations.forEach((r) => console.log(`  Recommendation: ${r}`));
+  if (resolution) {
+    console.log(`  Resolved: ${resolution.value}${resolution.note ? ` - ${resolution.note}` : ""}`);
+  }
+}
+
+function listConflicts(groups, resolutions) {
+  groups.forEach((group, i) => {
+    printConflict(`${i + 1}.`, group, findResolution(resolutions, group.field));
+  });
+
+  const stale = resolutions.resolutions.filter((r) => !groups.some((g) => g.key === conflictKey(r.conflict)));
+  if (stale.length > 0) {
+    console.log("\nResolutions for conflicts no longer reported (kept):");
+    stale.forEach((r) => console.log(`  - ${r.conflict}: ${r.value}`));
+  }
+}
+
+// =============================================================================
+// Interactive Resolution
+// =============================================================================
+
+async function resolveInteractively(groups, resolutions) {
+  const rl = readline.createInterface({
+    input: process.stdin,
+    output: process.stdout,
+  });
+
+  const question = (prompt) => new Promise((resolve) => rl.question(prompt, resolve));
+
+  let decided = 0;
+  try {
+    for (const [i, group] of groups.entries()) {
+      printConflict(`[${i + 1}/${groups.length}]`, group, findResolution(resolutions, group.field));
+
+      const choices = group.values.length > 0 ? `1-${group.values.length}, ` : "";
+      let value = null;
+      while (value === null) {
+        const answer = (await question(`Choice (${choices}c=custom, s=skip, q=quit): `)).trim().toLowerCase();
+
+        if (answer === "q") return decided;
+        if (answer === "s" || answer === "") break;
+        if (answer === "c") {
+          value = (await question("Value to use: ")).trim() || null;
+          continue;
+        }
+
+        const index = parseInt(answer, 10) - 1;
+        if (group.values[index]) {
+          value = group.values[index].value;
+        } else {
+          console.log("  Not a valid choice.");
+        }
+      }
+      if (value === null) continue;
+
+      setResolution(resolutions, group, value);
+      saveResolutions(PATHS.resolutions, resolutions);
+      decided++;
+      console.log(`  ✓ ${group.field}: ${value}`);
+    }
+    return decided;
+  } finally {
+    rl.close();
+  }
+}
+
+// =============================================================================
+// Main
+// =============================================================================
+
+async function main() {
+  console.log("========================================");
+  console.log("Phase 2 (Part 2): Conflict Resolution");
+  console.log("========================================\n");
+
+  const options = parseArgs();
+
+  if (options.help) {
+    showHelp();
+    process.exit(0);
+  }
+
+  if (options.unknown.length > 0) {
+    console.error(`Unknown option(s): ${options.unknown.join(", ")}`);
+    console.error("Use --help to see available options.");
+    process.exit(1);
+  }
+
+  if (!fs.existsSync(PATHS.classifiedContext)) {
+    console.error(`Classified context not found: ${PATHS.classifiedContext}`);
+    console.error("Run 02-classify-context.js first.");
+    process.exit(1);
+  }
+
+  const classifiedContext = JSON.parse(fs.readFileSync(PATHS.classifiedContext, "utf-8"));
+  const resolutions = loadResolutions(PATHS.resolutions);
+  const groups = groupConflicts(classifiedContext.globalConflicts);
+  const open = groups.filter((g) => !findResolution(resolutions, g.field));
+
+  console.log(`Conflicts: ${groups.length} (${groups.length - open.length} resolved, ${open.length} open)`);
+  console.log(`Resolutions: ${PATHS.resolutions}`);
+
+  if (groups.length === 0) {
+    console.log("\n✓ No data conflicts to resolve");
+    return;
+  }
+
+  if (options.list || !process.stdin.isTTY) {
+    listConflicts(groups, resolutions);
+    if (open.length > 0) {
+      console.log(`\n${open.length} open conflict(s) are passed to the synthesizer as-is.`);
+      console.log("Run node pipeline/02-resolve-conflicts.js in a terminal to resolve them.");
+    }
+    return;
+  }
+
+  const pending = options.all ? groups : open;
+  if (pending.length === 0) {
+    console.log("\n✓ Every conflict is resolved (use --all to revisit)");
+    return;
+  }
+
+  const decided = await resolveInteractively(pending, resolutions);
+  const remaining = groups.filter((g) => !findResolution(resolutions, g.field)).length;
+  console.log(`\nResolved ${decided} conflict(s), ${remaining} still open`);
+  if (decided > 0) console.log(`Saved: ${PATHS.resolutions}`);
+}
+
+main().catch((error) => {
+  console.error("Error:", error.message);
+  process.exit(1);
+});
@@ -0,0 +1,543 @@
+#!/usr/bin/env node
+/**
+ * =============================================================================
+ * Phase 3: Slide Critique
+ * =============================================================================
+ *
+ * Uses Claude (or the provider set in agents.critic) to score every
+ * synthesized slide against the style guide and story arc on clarity,
+ * specificity, evidence and narrative fit. Slides scoring below the threshold
+ * go back to the synthesizer with their critique attached, and the revised
+ * slides are scored again. The loop stops when every slide passes, after the
+ * configured number of revision rounds, or when the cost cap is reached.
+ *
+ * Inputs:
+ *   - intermediate/synthesis-output.json (from 03-synthesize-content.js)
+ *   - intermediate/classified-context.json (for revisions)
+ *   - user-inputs/story.md (narrative arc)
+ *   - user-inputs/style-guide.md (style preferences)
+ *
+ * Outputs:
+ *   - intermediate/critique.json (scores, critiques and rounds)
+ *   - intermediate/synthesis-output.json (revised slides spliced in)
+ *   - intermediate/citations.json
+ *
+ * Usage:
+ *   node 03-critique-slides.js [options]
+ *
+ * Options:
+ *   --rounds <n>       Revision rounds (default: critique.rounds, 0 = score only)
+ *   --threshold <n>    Minimum overall score, 1-10 (default: critique.threshold)
+ *   --max-cost <usd>   Stop revising once the loop has spent this much
+ *                      (default: critique.maxCost)
+ *   --mode, -m         Reasoning mode for revisions: standard | extended_thinking | deep_research
+ *   --verbose, -v      Show detailed progress
+ *   --dry-run          Generate prompts without making API calls
+ *   --record           Save every model request/response to intermediate/fixtures/
+ *   --replay           Serve model calls from recorded fixtures (no network)
+ *   --help, -h         Show this help message
+ *
+ * Environment:
+ *   ANTHROPIC_API_KEY - Required API key for Claude (default critic provider)
+ *   OPENAI_API_KEY    - Required for revisions with the default synthesizer provider
+ */
+
+const path = require("path");
+const fs = require("fs");
+
+// Load environment variables from .env file
+require("dotenv").config({ path: path.join(__dirname, "../.env") });
+
+const { ClaudeCritic, CRITERIA } = require("./agents/claude-critic");
+const { OpenAISynthesizer } = require("./agents/openai-synthesizer");
+const { getRequiredEnvVar, resolveFixtureConfig } = require("./providers");
+const { PromptLogger } = require("./utils/prompt-logger");
+const { recordPhase, describeAgent } = require("./utils/run-archive");
+
+// =============================================================================
+// Configuration
+// =============================================================================
+
+const SCRIPT_DIR = __dirname;
+const PROJECT_ROOT = path.join(SCRIPT_DIR, "..");
+
+const PATHS = {
+  synthesisOutput: path.join(PROJECT_ROOT, "intermediate/synthesis-output.json"),
+  classifiedContext: path.join(PROJECT_ROOT, "intermediate/classified-context.json"),
+  story: path.join(PROJECT_ROOT, "user-inputs/story.md"),
+  styleGuide: path.join(PROJECT_ROOT, "user-inputs/style-guide.md"),
+  resolutions: path.join(PROJECT_ROOT, "user-inputs/resolutions.json"),
+  facts: path.join(PROJECT_ROOT, "user-inputs/facts.json"),
+  critique: path.join(PROJECT_ROOT, "intermediate/critique.json"),
+  output: path.join(PROJECT_ROOT, "intermediate"),
+  config: path.join(SCRIPT_DIR, "config/pipeline-config.json"),
+};
+
+const DEFAULTS = { rounds: 2, threshold: 7, maxCost: 2.0 };
+
+// =============================================================================
+// CLI Argument Parsing
+// =============================================================================
+
+function parseArgs() {
+  const args = process.argv.slice(2);
+  const options = {
+    rounds: null,
+    threshold: null,
+    maxCost: null,
+    mode: "extended_thinking",
+    verbose: false,
+    help: false,
+    dryRun: false,
+    record: false,
+    replay: false,
+    unknown: [],
+  };
+
+  const numberOptions = { "--rounds": "rounds", "--threshold": "threshold", "--max-cost": "maxCost" };
+
+  for (let i = 0; i < args.length; i++) {
+    switch (args[i]) {
+      case "--rounds":
+      case "--threshold":
+      case "--max-cost":
+        if (i + 1 >= args.length || Number.isNaN(Number(args[i + 1]))) {
+          options.unknown.push(args[i]);
+        } else {
+          options[numberOptions[args[i]]] = Number(args[++i]);
+        }
+        break;
+      case "--mode":
+      case "-m":
+        if (i + 1 >= args.length) {
+          options.unknown.push(args[i]);
+        } else {
+          options.mode = args[++i];
+        }
+        break;
+      case "--verbose":
+      case "-v":
+        options.verbose = true;
+        break;
+      case "--help":
+      case "-h":
+        options.help = true;
+        break;
+      case "--dry-run":
+        options.dryRun = true;
+        break;
+      case "--record":
+        options.record = true;
+        break;
+      case "--replay":
+        options.replay = true;
+        break;
+      default:
+        options.unknown.push(args[i]);
+        break;
+    }
+  }
+
+  return options;
+}
+
+function showHelp() {
+  console.log(`
+Phase 3: Slide Critique
+
+Scores every synthesized slide on clarity, specificity, evidence and narrative
+fit, and sends slides below the threshold back to the synthesizer with the
+critique attached.
+
+Usage:
+  node 03-critique-slides.js [options]
+
+Options:
+  --rounds <n>         Revision rounds; 0 scores the slides without revising
+                       Default: critique.rounds in pipeline-config.json (${DEFAULTS.rounds})
+  --threshold <n>      Minimum overall score (1-10) a slide needs to pass
+                       Default: critique.threshold (${DEFAULTS.threshold})
+  --max-cost <usd>     No new review or revision starts once the loop has spent
+                       this much. Default: critique.maxCost ($${DEFAULTS.maxCost.toFixed(2)})
+  --mode, -m <mode>    Reasoning mode for revisions: standard | extended_thinking | deep_research
+                       Default: extended_thinking
+  --verbose, -v        Show detailed progress
+  --dry-run            Generate prompts without making API calls
+  --record             Save every model request/response as a fixture
+  --replay             Serve model calls from recorded fixtures (no network)
+  --help, -h           Show this help message
+
+Required Files:
+  intermediate/synthesis-output.json     Slide content (03-synthesize-content.js)
+  intermediate/classified-context.json   Classified content (for revisions)
+  user-inputs/story.md                   Narrative arc definition
+  user-inputs/style-guide.md             Style preferences
+
+Output Files:
+  intermediate/critique.json             Scores, critiques and revision rounds
+  intermediate/synthesis-output.json     Revised slides spliced in
+  intermediate/citations.json            All source citations
+
+A slide's overall score is the mean of its four criteria. Slides still below
+the threshold when the loop stops are listed but do not fail the phase.
+
+Environment Variables:
+  ANTHROPIC_API_KEY    Required for the default anthropic critic
+                       (set agents.critic.provider in pipeline-config.json to
+                       use openai, google or openai-compatible instead)
+  OPENAI_API_KEY       Required for revisions with the default openai synthesizer
+`);
+}
+
+// =============================================================================
+// Validation
+// =============================================================================
+
+function validateInputs({ skipApiKeyCheck = false, apiKeyEnvs = ["ANTHROPIC_API_KEY"] } = {}) {
+  const errors = [];
+
+  // Check synthesis output
+  if (!fs.existsSync(PATHS.synthesisOutput)) {
+    errors.push(`Synthesis output not found: ${PATHS.synthesisOutput}`);
+    errors.push("Run 03-synthesize-content.js first.");
+  }
+
+  // Check classified context (revisions re-read it)
+  if (!fs.existsSync(PATHS.classifiedContext)) {
+    errors.push(`Classified context not found: ${PATHS.classifiedContext}`);
+  }
+
+  // Check story file
+  if (!fs.existsSync(PATHS.story)) {
+    errors.push(`Story file not found: ${PATHS.story}`);
+  }
+
+  // Check style guide file
+  if (!fs.existsSync(PATHS.styleGuide)) {
+    errors.push(`Style guide not found: ${PATHS.styleGuide}`);
+  }
+
+  // Check API keys for the configured providers
+  if (!skipApiKeyCheck) {
+    for (const apiKeyEnv of new Set(apiKeyEnvs.filter(Boolean))) {
+      if (!process.env[apiKeyEnv]) {
+        errors.push(`${apiKeyEnv} environment variable not set.`);
+        errors.push(`Set it with: export ${apiKeyEnv}='your-api-key'`);
+      }
+    }
+  }
+
+  return errors;
+}
+
+// =============================================================================
+// Review Loop
+// =============================================================================
+
+function formatScores(review) {
+  return CRITERIA.map((c) => `${c} ${review.scores[c]}`).join(", ");
+}
+
+/**
+ * Feedback sent to the synthesizer with the slides it revises
+ */
+function formatCritiqueFeedback(reviews, threshold) {
+  const sections = reviews.map((review) => {
+    const lines = [`### ${review.type} (overall ${review.overall}: ${formatScores(review)})`, "", review.critique];
+    if (review.suggestions.length > 0) {
+      lines.push("", ...review.suggestions.map((s) => `- ${s}`));
+    }
+    return lines.join("\n");
+  });
+
+  return `A reviewer scored these slides below ${threshold}/10 on ${CRITERIA.join(", ")}.
+Address each point of the critique. Do not add figures that are not in the sources.
+
+${sections.join("\n\n")}`;
+}
+
+/**
+ * Score the slides, revise the weak ones and score them again until every
+ * slide passes, the rounds are used up or the cost cap is reached
+ * @returns {Promise<object>} - Contents of intermediate/critique.json
+ */
+async function runReviewLoop({ critic, synthesizer, pipelineConfig, rounds, threshold, maxCost }) {
+  const spent = () => critic.costTracker.totalCost + synthesizer.costTracker.totalCost;
+  const reviews = new Map();
+  const history = [];
+
+  const review = async (round, slides) => {
+    const before = spent();
+    const results = await critic.execute({
+      synthesisOutputPath: PATHS.synthesisOutput,
+      storyPath: PATHS.story,
+      styleGuidePath: PATHS.styleGuide,
+      slides,
+      // Each round records its own fixture, so a recorded loop replays
+      label: `critique-round-${round}`,
+    });
+    for (const result of results) {
+      const previous = reviews.get(result.type);
+      reviews.set(result.type, {
+        ...result,
+        revisions: previous?.revisions || 0,
+        history: [...(previous?.history || []), { round, overall: result.overall }],
+      });
+    }
+    return { reviewed: results.map((r) => r.type), cost: spent() - before };
+  };
+
+  const weakSlides = () => [...reviews.values()].filter((r) => r.overall < threshold);
+
+  console.log("Round 0: reviewing every slide...");
+  history.push({ round: 0, ...(await review(0, null)), revised: [] });
+
+  let stoppedBy = "rounds";
+  for (let round = 1; ; round++) {
+    const weak = weakSlides();
+    if (weak.length === 0) {
+      stoppedBy = "passed";
+      break;
+    }
+    if (round > rounds) break;
+    if (spent() >= maxCost) {
+      stoppedBy = "maxCost";
+      break;
+    }
+
+    const types = weak.map((r) => r.type);
+    console.log(`Round ${round}: revising ${types.join(", ")}...`);
+    const before = spent();
+    await synthesizer.execute({
+      classifiedContextPath: PATHS.classifiedContext,
+      storyPath: PATHS.story,
+      styleGuidePath: PATHS.styleGuide,
+      resolutionsPath: PATHS.resolutions,
+      factsPath: PATHS.facts,
+      outputDir: PATHS.output,
+      pipelineConfig,
+      slides: types,
+      feedback: formatCritiqueFeedback(weak, threshold),
+      label: `synthesis-revise-${round}`,
+    });
+    for (const type of types) reviews.get(type).revisions++;
+    const revisionCost = spent() - before;
+
+    // A revision the cap leaves unscored keeps its previous review
+    if (spent() >= maxCost) {
+      history.push({ round, reviewed: [], revised: types, cost: revisionCost });
+      stoppedBy = "maxCost";
+      break;
+    }
+
+    const rescored = await review(round, types);
+    history.push({ round, reviewed: rescored.reviewed, revised: types, cost: revisionCost + rescored.cost });
+  }
+
+  const slides = [...reviews.values()].map((r) => ({ ...r, passed: r.overall >= threshold }));
+  const average = slides.reduce((sum, s) => sum + s.overall, 0) / (slides.length || 1);
+
+  return {
+    critiquedAt: new Date().toISOString(),
+    critic: { provider: critic.provider, model: critic.model },
+    threshold,
+    maxRounds: rounds,
+    maxCost,
+    summary: {
+      slides: slides.length,
+      passed: slides.filter((s) => s.passed).length,
+      belowThreshold: slides.filter((s) => !s.passed).map((s) => s.type),
+      averageScore: Number(average.toFixed(2)),
+      revisionRounds: history.filter((h) => h.revised.length > 0).length,
+      stoppedBy,
+      cost: Number(spent().toFixed(4)),
+    },
+    slides,
+    rounds: history.map((h) => ({ ...h, cost: Number(h.cost.toFixed(4)) })),
+  };
+}
+
+// =============================================================================
+// Main
+// =============================================================================
+
+async function main() {
+  console.log("========================================");
+  console.log("Phase 3: Slide Critique");
+  console.log("========================================\n");
+
+  // Parse arguments
+  const options = parseArgs();
+
+  if (options.help) {
+    showHelp();
+    process.exit(0);
+  }
+
+  if (options.unknown.length > 0) {
+    console.error(`Unknown option(s): ${options.unknown.join(", ")}`);
+    console.error("Use --help to see available options.");
+    process.exit(1);
+  }
+
+  if (options.record && options.replay) {
+    console.error("--record and --replay cannot be combined.");
+    process.exit(1);
+  }
+
+  // Validate mode
+  const validModes = ["standard", "extended_thinking", "deep_research"];
+  if (!validModes.includes(options.mode)) {
+    console.error(`Invalid mode: ${options.mode}`);
+    console.error(`Valid modes: ${validModes.join(", ")}`);
+    process.exit(1);
+  }
+
+  // Load pipeline config
+  let pipelineConfig = {};
+  let promptLogger = null;
+  if (fs.existsSync(PATHS.config)) {
+    pipelineConfig = JSON.parse(fs.readFileSync(PATHS.config, "utf-8"));
+  }
+  const criticConfig = pipelineConfig.agents?.critic || {};
+  const synthesizerConfig = pipelineConfig.agents?.synthesizer || {};
+  const critiqueConfig = { ...DEFAULTS, ...pipelineConfig.critique };
+
+  const rounds = options.rounds ?? critiqueConfig.rounds;
+  const threshold = options.threshold ?? critiqueConfig.threshold;
+  const maxCost = options.maxCost ?? critiqueConfig.maxCost;
+
+  // Validate inputs
+  let errors;
+  let fixtures = null;
+  try {
+    fixtures = resolveFixtureConfig(options, pipelineConfig, PROJECT_ROOT);
+    const apiKeyEnvs = [getRequiredEnvVar(criticConfig.provider || "anthropic", criticConfig)];
+    if (rounds > 0) {
+      apiKeyEnvs.push(getRequiredEnvVar(synthesizerConfig.provider || "openai", synthesizerConfig));
+    }
+    errors = validateInputs({
+      skipApiKeyCheck: options.dryRun || fixtures?.mode === "replay",
+      apiKeyEnvs,
+    });
+  } catch (error) {
+    errors = [error.message];
+  }
+  if (!Number.isInteger(rounds) || rounds < 0) {
+    errors.push(`Invalid rounds: ${rounds} (expected a whole number, 0 or more)`);
+  }
+  if (!(threshold >= 1 && threshold <= 10)) {
+    errors.push(`Invalid threshold: ${threshold} (expected 1-10)`);
+  }
+  if (!(maxCost > 0)) {
+    errors.push(`Invalid max cost: ${maxCost} (expected a positive amount in USD)`);
+  }
+  if (errors.length > 0) {
+    console.error("Validation errors:");
+    errors.forEach((e) => console.error(`  - ${e}`));
+    process.exit(1);
+  }
+
+  if (options.dryRun || pipelineConfig.logging?.prompts === true) {
+    promptLogger = new PromptLogger(PROJECT_ROOT, { dryRun: options.dryRun });
+  }
+
+  // Build agent configs
+  const shared = {
+    verbose: options.verbose,
+    dryRun: options.dryRun,
+    repairAttempts: pipelineConfig.validation?.repairAttempts,
+    fixtures,
+    promptLogger,
+  };
+  const critic = new ClaudeCritic({ ...criticConfig, ...shared });
+  const synthesizer = new OpenAISynthesizer({ ...synthesizerConfig, ...shared, reasoningMode: options.mode });
+
+  console.log(`Rounds: ${rounds}`);
+  console.log(`Threshold: ${threshold}/10`);
+  console.log(`Cost cap: $${maxCost.toFixed(2)}`);
+  console.log(`Dry-run mode: ${options.dryRun ? "enabled" : "disabled"}`);
+  console.log(`Fixtures: ${fixtures ? `${fixtures.mode} (${fixtures.dir})` : "off"}`);
+  console.log(`Critic: ${critic.provider}/${critic.model}`);
+  console.log(`Synthesizer: ${synthesizer.provider}/${synthesizer.model} (${options.mode})`);
+  console.log(`Input: ${PATHS.synthesisOutput}`);
+  console.log(`Output: ${PATHS.critique}\n`);
+
+  try {
+    const startTime = Date.now();
+
+    const critique = await runReviewLoop({ critic, synthesizer, pipelineConfig, rounds, threshold, maxCost });
+    critic.saveJSON(PATHS.critique, critique);
+
+    const elapsed = ((Date.now() - startTime) / 1000).toFixed(1);
+
+    recordPhase(PROJECT_ROOT, {
+      phase: "3-critique",
+      name: "critique",
+      agents: [describeAgent(critic), describeAgent(synthesizer)],
+      dryRun: options.dryRun,
+      fixtures,
+    });
+
+    // Print summary
+    const { summary } = critique;
+    const stopped = {
+      passed: "every slide passed",
+      rounds: rounds === 0 ? "scored only (--rounds 0)" : `${rounds} revision round(s) used`,
+      maxCost: "cost cap reached",
+    };
+    console.log("\n========================================");
+    console.log("Critique Complete");
+    console.log("========================================");
+    console.log(`Time: ${elapsed}s`);
+    console.log(`Passed: ${summary.passed}/${summary.slides} (threshold ${threshold})`);
+    console.log(`Average score: ${summary.averageScore}`);
+    console.log(`Revision rounds: ${summary.revisionRounds}`);
+    console.log(`Stopped: ${stopped[summary.stoppedBy]}`);
+    console.log(`Cost: $${summary.cost.toFixed(4)}`);
+
+    console.log("\nScores:");
+    for (const slide of critique.slides) {
+      const mark = slide.passed ? "+" : "-";
+      const trail = slide.history.map((h) => h.overall).join(" -> ");
+      console.log(`  ${mark} ${slide.type.padEnd(15)} ${trail.padEnd(20)} ${formatScores(slide)}`);
+    }
+
+    if (summary.belowThreshold.length > 0) {
+      console.log(`\nBelow threshold: ${summary.belowThreshold.join(", ")}`);
+      console.log("See the critiques in intermediate/critique.json, or revise by hand with");
+      console.log('  node 03-synthesize-content.js --slide <type> --feedback "..."');
+    }
+
+    console.log("\nOutput files:");
+    console.log(`  - ${PATHS.critique}`);
+    if (summary.revisionRounds > 0) {
+      console.log(`  - ${PATHS.output}/synthesis-output.json`);
+      console.log(`  - ${PATHS.output}/citations.json`);
+    }
+
+    if (promptLogger && promptLogger.getPrompts().length > 0) {
+      const manifestPath = promptLogger.saveManifest();
+      console.log(`  - ${manifestPath}`);
+    }
+  } catch (error) {
+    console.error("\n========================================");
+    console.error("Critique Failed");
+    console.error("========================================");
+    console.error(error.message);
+
+    if (options.verbose && error.stack) {
+      console.error("\nStack trace:");
+      console.error(error.stack);
+    }
+
+    if (promptLogger && promptLogger.getPrompts().length > 0) {
+      const manifestPath = promptLogger.saveManifest();
+      console.error(`\nPrompt manifest: ${manifestPath}`);
+    }
+
+    process.exit(1);
+  }
+}
+
+main();
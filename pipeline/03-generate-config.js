@@ -21,6 +21,7 @@
 
 const fs = require("fs");
 const path = require("path");
+const { loadSlideTypes } = require("./utils/slide-types");
 
 // Load environment variables from .env file
 require("dotenv").config({ path: path.join(__dirname, "../.env") });
@@ -34,7 +35,6 @@ const CONFIG_PATH = path.join(SCRIPT_DIR, "config/pipeline-config.json");
 const CONTEXT_FILE = path.join(SCRIPT_DIR, "../output/combined-context.txt");
 const OUTPUT_FILE = path.join(SCRIPT_DIR, "../output/deck-config.json");
 const SYSTEM_PROMPT_FILE = path.join(SCRIPT_DIR, "prompts/system-prompt.md");
-const SLIDE_PROMPTS_FILE = path.join(SCRIPT_DIR, "prompts/slide-prompts.json");
 const SAMPLE_CONFIG_FILE = path.join(SCRIPT_DIR, "../investor-deck-generator/assets/sample-deck-config.json");
 
 // =============================================================================
@@ -123,11 +123,10 @@ async function loadInputs() {
   }
   const systemPrompt = fs.readFileSync(SYSTEM_PROMPT_FILE, "utf-8");
 
-  // Load slide prompts
-  if (!fs.existsSync(SLIDE_PROMPTS_FILE)) {
-    throw new Error(`Slide prompts not found: ${SLIDE_PROMPTS_FILE}`);
-  }
-  const slidePrompts = JSON.parse(fs.readFileSync(SLIDE_PROMPTS_FILE, "utf-8"));
+  // Load per-slide synthesis prompts from the slide type registry
+  const slidePrompts = Object.fromEntries(
+    loadSlideTypes().map((t) => [t.type, { description: t.description, ...t.synthesis }])
+  );
 
   // Load sample config for schema reference
   if (!fs.existsSync(SAMPLE_CONFIG_FILE)) {
@@ -153,7 +152,7 @@ function buildPrompt(context, slidePrompts, sampleConfig, pipelineConfig, reason
     .map(([type, info]) => {
       return `### ${type}
 ${info.prompt}
-Required fields: ${info.requiredFields.join(", ")}
+Required fields: ${(info.requiredFields || []).join(", ")}
 Schema: ${JSON.stringify(info.schema, null, 2)}`;
     })
     .join("\n\n");
@@ -195,7 +194,7 @@ ${slideInstructions}
 
 1. Return ONLY valid JSON - no explanatory text outside the JSON
 2. Wrap your JSON response in \`\`\`json code blocks
-3. Ensure all 12 slide types are included
+3. Ensure all ${Object.keys(slidePrompts).length} slide types are included
 4. Use actual data from the source documents
 5. Flag any missing information with "[TBD - not found in sources]"
 6. For competitor positioning, place ARC favorably but realistically
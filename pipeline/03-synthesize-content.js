@@ -4,16 +4,20 @@
  * Phase 3: Content Synthesis
  * =============================================================================
  *
- * Uses ChatGPT 5.2 with extended_thinking mode to synthesize classified content
- * into detailed slide content with citations.
+ * Uses ChatGPT 5.2 (or the provider set in agents.synthesizer) with
+ * extended_thinking mode to synthesize classified content into detailed slide
+ * content with citations.
  *
  * Inputs:
  *   - intermediate/classified-context.json (from Phase 2)
  *   - user-inputs/story.md (narrative arc)
  *   - user-inputs/style-guide.md (style preferences)
+ *   - user-inputs/resolutions.json (optional, conflict decisions from Phase 2)
+ *   - user-inputs/facts.json (optional, pinned facts; override everything else)
  *
  * Outputs:
- *   - intermediate/synthesis-output.json
+ *   - intermediate/synthesis-output.json (with appendix slides after the main
+ *     slides when appendix.enabled is set or --appendix is given)
  *   - intermediate/citations.json
  *
  * Usage:
@@ -21,12 +25,23 @@
  *
  * Options:
  *   --mode, -m       Reasoning mode: standard | extended_thinking | deep_research
+ *   --slide <type>   Re-synthesize only this slide type (repeatable, or
+ *                    comma-separated) and splice it into the existing output
+ *   --feedback <text> Feedback on the previous version, appended to the prompt
+ *   --appendix       Also build backup slides from uncited, high-confidence
+ *                    classified content (default: appendix.enabled)
+ *   --no-appendix    Do not build backup slides
+ *   --appendix-only  Rebuild only the backup slides of the existing output
+ *   --min-confidence <n> Lowest classifier confidence for appendix content
+ *                    (default: appendix.minConfidence, 0.8)
  *   --verbose, -v    Show detailed progress
  *   --dry-run        Generate prompts without making API calls
+ *   --record         Save every model request/response to intermediate/fixtures/
+ *   --replay         Serve model calls from recorded fixtures (no network)
  *   --help, -h       Show this help message
  *
  * Environment:
- *   OPENAI_API_KEY - Required API key for OpenAI
+ *   OPENAI_API_KEY - Required API key for OpenAI (default provider)
  */
 
 const path = require("path");
@@ -36,7 +51,10 @@ const fs = require("fs");
 require("dotenv").config({ path: path.join(__dirname, "../.env") });
 
 const { OpenAISynthesizer } = require("./agents/openai-synthesizer");
+const { loadSlideTypes, parseSlideSelection } = require("./utils/slide-types");
+const { getRequiredEnvVar, resolveFixtureConfig } = require("./providers");
 const { PromptLogger } = require("./utils/prompt-logger");
+const { recordPhase, describeAgent } = require("./utils/run-archive");
 
 // =============================================================================
 // Configuration
@@ -49,6 +67,8 @@ const PATHS = {
   classifiedContext: path.join(PROJECT_ROOT, "intermediate/classified-context.json"),
   story: path.join(PROJECT_ROOT, "user-inputs/story.md"),
   styleGuide: path.join(PROJECT_ROOT, "user-inputs/style-guide.md"),
+  resolutions: path.join(PROJECT_ROOT, "user-inputs/resolutions.json"),
+  facts: path.join(PROJECT_ROOT, "user-inputs/facts.json"),
   output: path.join(PROJECT_ROOT, "intermediate"),
   config: path.join(SCRIPT_DIR, "config/pipeline-config.json"),
 };
@@ -61,9 +81,16 @@ function parseArgs() {
   const args = process.argv.slice(2);
   const options = {
     mode: "extended_thinking",
+    slides: [],
+    feedback: null,
+    appendix: null,
+    appendixOnly: false,
+    minConfidence: null,
     verbose: false,
     help: false,
     dryRun: false,
+    record: false,
+    replay: false,
     unknown: [],
   };
 
@@ -77,6 +104,37 @@ function parseArgs() {
           options.mode = args[++i];
         }
         break;
+      case "--slide":
+      case "--slides":
+        if (i + 1 >= args.length) {
+          options.unknown.push(args[i]);
+        } else {
+          options.slides.push(args[++i]);
+        }
+        break;
+      case "--feedback":
+        if (i + 1 >= args.length) {
+          options.unknown.push(args[i]);
+        } else {
+          options.feedback = args[++i];
+        }
+        break;
+      case "--appendix":
+        options.appendix = true;
+        break;
+      case "--no-appendix":
+        options.appendix = false;
+        break;
+      case "--appendix-only":
+        options.appendixOnly = true;
+        break;
+      case "--min-confidence":
+        if (i + 1 >= args.length) {
+          options.unknown.push(args[i]);
+        } else {
+          options.minConfidence = Number(args[++i]);
+        }
+        break;
       case "--verbose":
       case "-v":
         options.verbose = true;
@@ -88,6 +146,12 @@ function parseArgs() {
       case "--dry-run":
         options.dryRun = true;
         break;
+      case "--record":
+        options.record = true;
+        break;
+      case "--replay":
+        options.replay = true;
+        break;
       default:
         options.unknown.push(args[i]);
         break;
@@ -110,8 +174,22 @@ Usage:
 Options:
   --mode, -m <mode>    Reasoning mode: standard | extended_thinking | deep_research
                        Default: extended_thinking
+  --slide <type>       Re-synthesize only this slide type and splice it into the
+                       existing synthesis output (repeatable: --slide problem
+                       --slide team, or --slide problem,team)
+  --feedback <text>    Feedback on the previous version, appended to the prompt
+                       ("make the problem more urgent")
+  --appendix           Also build backup slides (after the ask slide) from
+                       classified content no main slide cites
+                       Default: appendix.enabled in pipeline-config.json
+  --no-appendix        Do not build backup slides
+  --appendix-only      Rebuild only the backup slides of the existing output
+  --min-confidence <n> Lowest classifier confidence (0-1) for appendix content
+                       Default: appendix.minConfidence (0.8)
   --verbose, -v        Show detailed progress
   --dry-run            Generate prompts without making API calls
+  --record             Save every model request/response as a fixture
+  --replay             Serve model calls from recorded fixtures (no network)
   --help, -h           Show this help message
 
 Required Files:
@@ -119,17 +197,28 @@ Required Files:
   user-inputs/story.md                   Narrative arc definition
   user-inputs/style-guide.md             Style preferences
 
+Optional Files:
+  user-inputs/resolutions.json           Conflict decisions (02-resolve-conflicts.js)
+  user-inputs/facts.json                 Pinned facts, used as given
+
 Output Files:
   intermediate/synthesis-output.json     Synthesized slide content
   intermediate/citations.json            All source citations
 
+With --slide, intermediate/synthesis-output.json must already exist; only the
+named slides are replaced. Re-run 03-verify-citations.js and then
+04-generate-final.js --slide <type> to carry the change into the deck.
+Existing backup slides are kept; pass --appendix to rebuild them as well.
+
 Reasoning Modes:
   standard             Fast generation for quick iterations
   extended_thinking    More reasoning steps for better coherence
   deep_research        Maximum depth, cross-references all sources (recommended)
 
 Environment Variables:
-  OPENAI_API_KEY       Required: Your OpenAI API key
+  OPENAI_API_KEY       Required for the default openai provider
+                       (set agents.synthesizer.provider in pipeline-config.json
+                       to use anthropic, google or openai-compatible instead)
 `);
 }
 
@@ -137,7 +226,7 @@ Environment Variables:
 // Validation
 // =============================================================================
 
-function validateInputs({ skipApiKeyCheck = false } = {}) {
+function validateInputs({ skipApiKeyCheck = false, apiKeyEnv = "OPENAI_API_KEY" } = {}) {
   const errors = [];
 
   // Check classified context
@@ -156,10 +245,10 @@ function validateInputs({ skipApiKeyCheck = false } = {}) {
     errors.push(`Style guide not found: ${PATHS.styleGuide}`);
   }
 
-  // Check API key
-  if (!skipApiKeyCheck && !process.env.OPENAI_API_KEY) {
-    errors.push("OPENAI_API_KEY environment variable not set.");
-    errors.push("Set it with: export OPENAI_API_KEY='your-api-key'");
+  // Check API key for the configured provider
+  if (!skipApiKeyCheck && apiKeyEnv && !process.env[apiKeyEnv]) {
+    errors.push(`${apiKeyEnv} environment variable not set.`);
+    errors.push(`Set it with: export ${apiKeyEnv}='your-api-key'`);
   }
 
   return errors;
@@ -188,6 +277,11 @@ async function main() {
     process.exit(1);
   }
 
+  if (options.record && options.replay) {
+    console.error("--record and --replay cannot be combined.");
+    process.exit(1);
+  }
+
   // Validate mode
   const validModes = ["standard", "extended_thinking", "deep_research"];
   if (!validModes.includes(options.mode)) {
@@ -196,20 +290,66 @@ async function main() {
     process.exit(1);
   }
 
-  // Validate inputs
-  const errors = validateInputs({ skipApiKeyCheck: options.dryRun });
-  if (errors.length > 0) {
-    console.error("Validation errors:");
-    errors.forEach((e) => console.error(`  - ${e}`));
+  if (options.minConfidence !== null && !(options.minConfidence >= 0 && options.minConfidence <= 1)) {
+    console.error("--min-confidence must be a number from 0 to 1");
+    process.exit(1);
+  }
+  if (options.appendixOnly && (options.slides.length > 0 || options.appendix === false)) {
+    console.error("--appendix-only cannot be combined with --slide or --no-appendix.");
     process.exit(1);
   }
 
+  // Slides to re-synthesize (all of them without --slide)
+  let slides = null;
+  if (options.slides.length > 0) {
+    try {
+      slides = parseSlideSelection(options.slides, loadSlideTypes());
+    } catch (error) {
+      console.error(error.message);
+      process.exit(1);
+    }
+  }
+  if (slides || options.appendixOnly) {
+    const flag = slides ? "--slide" : "--appendix-only";
+    const synthesisPath = path.join(PATHS.output, "synthesis-output.json");
+    if (!fs.existsSync(synthesisPath)) {
+      console.error(`${flag} needs an existing synthesis output: ${synthesisPath}`);
+      console.error(`Run 03-synthesize-content.js without ${flag} first.`);
+      process.exit(1);
+    }
+  }
+
   // Load pipeline config
   let pipelineConfig = {};
   let promptLogger = null;
   if (fs.existsSync(PATHS.config)) {
     pipelineConfig = JSON.parse(fs.readFileSync(PATHS.config, "utf-8"));
   }
+  const synthesizerConfig = pipelineConfig.agents?.synthesizer || {};
+
+  // Backup slides: on request, or by config except when regenerating single slides
+  const appendixConfig = pipelineConfig.appendix || {};
+  const buildAppendix =
+    options.appendixOnly || (options.appendix ?? (!slides && appendixConfig.enabled === true));
+  const minConfidence = options.minConfidence ?? appendixConfig.minConfidence ?? 0.8;
+
+  // Validate inputs
+  let errors;
+  let fixtures = null;
+  try {
+    fixtures = resolveFixtureConfig(options, pipelineConfig, PROJECT_ROOT);
+    errors = validateInputs({
+      skipApiKeyCheck: options.dryRun || fixtures?.mode === "replay",
+      apiKeyEnv: getRequiredEnvVar(synthesizerConfig.provider || "openai", synthesizerConfig),
+    });
+  } catch (error) {
+    errors = [error.message];
+  }
+  if (errors.length > 0) {
+    console.error("Validation errors:");
+    errors.forEach((e) => console.error(`  - ${e}`));
+    process.exit(1);
+  }
 
   if (options.dryRun || pipelineConfig.logging?.prompts === true) {
     promptLogger = new PromptLogger(PROJECT_ROOT, { dryRun: options.dryRun });
@@ -217,10 +357,12 @@ async function main() {
 
   // Build agent config
   const agentConfig = {
-    ...(pipelineConfig.agents?.synthesizer || {}),
+    ...synthesizerConfig,
     verbose: options.verbose,
     reasoningMode: options.mode,
     dryRun: options.dryRun,
+    repairAttempts: pipelineConfig.validation?.repairAttempts,
+    fixtures,
     promptLogger,
   };
 
@@ -228,37 +370,79 @@ async function main() {
   const synthesizer = new OpenAISynthesizer(agentConfig);
 
   console.log(`Reasoning mode: ${options.mode}`);
+  console.log(`Slides: ${options.appendixOnly ? "appendix only" : slides ? slides.join(", ") : "all"}`);
+  console.log(`Appendix: ${buildAppendix ? `yes (confidence >= ${minConfidence})` : "no"}`);
+  if (options.feedback) console.log(`Feedback: ${options.feedback}`);
   console.log(`Dry-run mode: ${options.dryRun ? "enabled" : "disabled"}`);
-  console.log(`Model: ${agentConfig.model || "gpt-5.2"}`);
+  console.log(`Fixtures: ${fixtures ? `${fixtures.mode} (${fixtures.dir})` : "off"}`);
+  console.log(`Provider: ${synthesizer.provider}`);
+  console.log(`Model: ${synthesizer.model}`);
   console.log(`Input: ${PATHS.classifiedContext}`);
+  console.log(`Resolutions: ${fs.existsSync(PATHS.resolutions) ? PATHS.resolutions : "none"}`);
+  console.log(`Pinned facts: ${fs.existsSync(PATHS.facts) ? PATHS.facts : "none"}`);
   console.log(`Output: ${PATHS.output}\n`);
 
   try {
     // Run synthesis
     const startTime = Date.now();
 
-    const result = await synthesizer.execute({
-      classifiedContextPath: PATHS.classifiedContext,
-      storyPath: PATHS.story,
-      styleGuidePath: PATHS.styleGuide,
-      outputDir: PATHS.output,
-      pipelineConfig,
-    });
+    let result = null;
+    if (!options.appendixOnly) {
+      result = await synthesizer.execute({
+        classifiedContextPath: PATHS.classifiedContext,
+        storyPath: PATHS.story,
+        styleGuidePath: PATHS.styleGuide,
+        resolutionsPath: PATHS.resolutions,
+        factsPath: PATHS.facts,
+        outputDir: PATHS.output,
+        pipelineConfig,
+        slides,
+        feedback: options.feedback,
+      });
+    }
+
+    let appendix = null;
+    if (buildAppendix) {
+      ({ synthesisOutput: result, appendix } = await synthesizer.executeAppendix({
+        classifiedContextPath: PATHS.classifiedContext,
+        storyPath: PATHS.story,
+        styleGuidePath: PATHS.styleGuide,
+        factsPath: PATHS.facts,
+        outputDir: PATHS.output,
+        pipelineConfig,
+        minConfidence,
+        maxItems: appendixConfig.maxItemsPerSlide,
+      }));
+    }
 
     const elapsed = ((Date.now() - startTime) / 1000).toFixed(1);
 
+    const scope = options.appendixOnly ? "appendix only" : slides ? `slides: ${slides.join(", ")}` : null;
+    recordPhase(PROJECT_ROOT, {
+      phase: "3",
+      name: `synthesize${scope ? ` (${scope})` : ""}${buildAppendix && !options.appendixOnly ? " + appendix" : ""}`,
+      agents: [describeAgent(synthesizer)],
+      dryRun: options.dryRun,
+      fixtures,
+    });
+
     // Print summary
     console.log("\n========================================");
     console.log("Synthesis Complete");
     console.log("========================================");
     console.log(`Time: ${elapsed}s`);
-    console.log(`Slides generated: ${result.slides?.length || 0}`);
-    console.log(`Cost: $${result.metadata?.costIncurred?.toFixed(4) || "unknown"}`);
+    if (!options.appendixOnly) {
+      console.log(`Slides generated: ${slides ? slides.length : result.slides?.filter((s) => !s.appendix).length || 0}`);
+    }
+    if (appendix) console.log(`Appendix slides: ${appendix.length}`);
+    console.log(`Cost: $${synthesizer.costTracker.totalCost.toFixed(4)}`);
 
     // Print slide summary
     if (result.slides) {
       console.log("\nSlides generated:");
       for (const slide of result.slides) {
+        const shown = slide.appendix ? buildAppendix : !options.appendixOnly && (!slides || slides.includes(slide.type));
+        if (!shown) continue;
         const citationCount = slide.citations?.length || 0;
         const hasReasoning = slide.reasoningTrace ? "+" : "-";
         console.log(
@@ -0,0 +1,250 @@
+#!/usr/bin/env node
+/**
+ * =============================================================================
+ * Phase 3 (Part 2): Citation Verification
+ * =============================================================================
+ *
+ * Checks every citation in the synthesis output against the extracted text of
+ * the document it cites: quotes are fuzzy matched and every cited figure must
+ * appear in the source. Each citation is marked verified, paraphrased or
+ * unsupported; one that states a pinned fact or a custom conflict value the
+ * user entered is marked pinned or resolved instead, as the user's value is
+ * in no document. No model calls are made.
+ *
+ * Problems (unsupported citations, and slides with no supported citation when
+ * validation.requiredCitations is on) fail the phase when validation.strictMode
+ * is on and are reported as warnings otherwise.
+ *
+ * Inputs:
+ *   - intermediate/synthesis-output.json (from Phase 3)
+ *   - extracted-text/*.txt (from Phase 1)
+ *   - user-inputs/facts.json (optional, pinned facts)
+ *   - user-inputs/resolutions.json (optional, from 02-resolve-conflicts.js)
+ *
+ * Outputs:
+ *   - intermediate/synthesis-output.json (citations gain a `verification` field)
+ *   - intermediate/citations.json (rebuilt, with the unsupported citations listed)
+ *   - intermediate/citation-verification.json
+ *
+ * Usage:
+ *   node 03-verify-citations.js [options]
+ *
+ * Options:
+ *   --warn-only      Report problems without failing, even in strict mode
+ *   --verbose, -v    List every citation with its status
+ *   --help, -h       Show this help message
+ */
+
+const path = require("path");
+const fs = require("fs");
+
+const { OpenAISynthesizer } = require("./agents/openai-synthesizer");
+const { verifyCitations, findCitationProblems } = require("./utils/citation-verifier");
+const { loadFacts } = require("./utils/fact-book");
+const { loadResolutions } = require("./utils/conflict-resolutions");
+
+// =============================================================================
+// Configuration
+// =============================================================================
+
+const SCRIPT_DIR = __dirname;
+const PROJECT_ROOT = path.join(SCRIPT_DIR, "..");
+
+const PATHS = {
+  synthesisOutput: path.join(PROJECT_ROOT, "intermediate/synthesis-output.json"),
+  extractedTexts: path.join(PROJECT_ROOT, "extracted-text"),
+  facts: path.join(PROJECT_ROOT, "user-inputs/facts.json"),
+  resolutions: path.join(PROJECT_ROOT, "user-inputs/resolutions.json"),
+  output: path.join(PROJECT_ROOT, "intermediate"),
+  config: path.join(SCRIPT_DIR, "config/pipeline-config.json"),
+};
+
+// =============================================================================
+// CLI Argument Parsing
+// =============================================================================
+
+function parseArgs() {
+  const args = process.argv.slice(2);
+  const options = {
+    warnOnly: false,
+    verbose: false,
+    help: false,
+    unknown: [],
+  };
+
+  for (const arg of args) {
+    switch (arg) {
+      case "--warn-only":
+        options.warnOnly = true;
+        break;
+      case "--verbose":
+      case "-v":
+        options.verbose = true;
+        break;
+      case "--help":
+      case "-h":
+        options.help = true;
+        break;
+      default:
+        options.unknown.push(arg);
+        break;
+    }
+  }
+
+  return options;
+}
+
+function showHelp() {
+  console.log(`
+Phase 3 (Part 2): Citation Verification
+
+Checks each cited quote and figure against the extracted source text and
+marks the citation verified, paraphrased or unsupported. Citations of pinned
+facts and of custom conflict values are marked pinned or resolved.
+
+Usage:
+  node 03-verify-citations.js [options]
+
+Options:
+  --warn-only          Report problems without failing, even in strict mode
+  --verbose, -v        List every citation with its status
+  --help, -h           Show this help message
+
+Required Files:
+  intermediate/synthesis-output.json     Synthesized slide content (from Phase 3)
+  extracted-text/*.txt                   Source documents (from Phase 1)
+
+Optional Files:
+  user-inputs/facts.json                 Pinned facts
+  user-inputs/resolutions.json           Conflict resolutions (from 02-resolve-conflicts.js)
+
+Output Files:
+  intermediate/synthesis-output.json     Citations marked with their verification
+  intermediate/citations.json            Rebuilt citation index
+  intermediate/citation-verification.json  Per-slide verification report
+
+Configuration (validation in pipeline-config.json):
+  strictMode           Fail when a citation is unsupported (default: true)
+  requiredCitations    Every slide needs a supported citation (default: true)
+  citationThresholds   { "verified": 0.9, "paraphrased": 0.6 } word-match shares
+`);
+}
+
+function writeJSON(filePath, data) {
+  fs.writeFileSync(filePath, JSON.stringify(data, null, 2));
+  console.log(`Saved: ${filePath}`);
+}
+
+// =============================================================================
+// Main
+// =============================================================================
+
+function main() {
+  console.log("========================================");
+  console.log("Phase 3 (Part 2): Citation Verification");
+  console.log("========================================\n");
+
+  const options = parseArgs();
+
+  if (options.help) {
+    showHelp();
+    process.exit(0);
+  }
+
+  if (options.unknown.length > 0) {
+    console.error(`Unknown option(s): ${options.unknown.join(", ")}`);
+    console.error("Use --help to see available options.");
+    process.exit(1);
+  }
+
+  const errors = [];
+  if (!fs.existsSync(PATHS.synthesisOutput)) {
+    errors.push(`Synthesis output not found: ${PATHS.synthesisOutput}`);
+    errors.push("Run 03-synthesize-content.js first.");
+  }
+  if (!fs.existsSync(PATHS.extractedTexts)) {
+    errors.push(`Extracted texts directory not found: ${PATHS.extractedTexts}`);
+    errors.push("Run 01-extract-pdfs.sh first.");
+  }
+  if (errors.length > 0) {
+    console.error("Validation errors:");
+    errors.forEach((e) => console.error(`  - ${e}`));
+    process.exit(1);
+  }
+
+  const pipelineConfig = fs.existsSync(PATHS.config)
+    ? JSON.parse(fs.readFileSync(PATHS.config, "utf-8"))
+    : {};
+  const validation = pipelineConfig.validation || {};
+  const strictMode = validation.strictMode !== false;
+  const requiredCitations = validation.requiredCitations !== false;
+
+  const synthesisOutput = JSON.parse(fs.readFileSync(PATHS.synthesisOutput, "utf-8"));
+  const facts = loadFacts(PATHS.facts);
+  const resolutions = loadResolutions(PATHS.resolutions);
+  const dryRun = synthesisOutput.metadata?.dryRun === true;
+
+  console.log(`Strict mode: ${strictMode ? "on" : "off"}${options.warnOnly ? " (--warn-only)" : ""}`);
+  console.log(`Citations required: ${requiredCitations ? "yes" : "no"}`);
+  console.log(`Sources: ${PATHS.extractedTexts}\n`);
+
+  const report = verifyCitations(synthesisOutput, {
+    extractedDir: PATHS.extractedTexts,
+    thresholds: validation.citationThresholds,
+    facts,
+    resolutions,
+  });
+  const problems = findCitationProblems(report, { requiredCitations });
+
+  // Save the annotated synthesis output and the rebuilt citation index
+  const citations = new OpenAISynthesizer().extractAllCitations(synthesisOutput);
+  writeJSON(PATHS.synthesisOutput, synthesisOutput);
+  writeJSON(path.join(PATHS.output, "citations.json"), citations);
+  writeJSON(path.join(PATHS.output, "citation-verification.json"), {
+    verifiedAt: new Date().toISOString(),
+    strictMode,
+    requiredCitations,
+    ...report,
+    problems,
+  });
+
+  // Print summary
+  const { summary } = report;
+  console.log("\nCitations:");
+  console.log(`  verified     ${summary.verified}`);
+  console.log(`  paraphrased  ${summary.paraphrased}`);
+  console.log(`  pinned       ${summary.pinned}`);
+  console.log(`  resolved     ${summary.resolved}`);
+  console.log(`  unsupported  ${summary.unsupported}`);
+  console.log(`  total        ${summary.total}`);
+
+  if (options.verbose) {
+    for (const slide of report.slides) {
+      console.log(`\n  ${slide.type}`);
+      for (const c of slide.citations) {
+        console.log(`    ${c.status.padEnd(12)} ${c.similarity.toFixed(2)}  ${String(c.fact || "").slice(0, 60)}`);
+      }
+    }
+  }
+
+  if (problems.length === 0) {
+    console.log("\n✓ Every citation is supported by its source");
+    return;
+  }
+
+  const failing = strictMode && !options.warnOnly && !dryRun;
+  console[failing ? "error" : "warn"](`\n${failing ? "Unsupported" : "Warning: unsupported"} citations (${problems.length}):`);
+  problems.forEach((p) => console[failing ? "error" : "warn"](`  - ${p}`));
+
+  if (dryRun) {
+    console.warn("\nDry-run synthesis output: not failing on mock citations.");
+  }
+
+  if (failing) {
+    console.error("\nFix the synthesis output or the sources, or set validation.strictMode to false");
+    console.error("in pipeline-config.json to continue with warnings.");
+    process.exit(1);
+  }
+}
+
+main();
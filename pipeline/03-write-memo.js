@@ -0,0 +1,385 @@
+#!/usr/bin/env node
+/**
+ * =============================================================================
+ * Phase 3: Investment Memo
+ * =============================================================================
+ *
+ * Uses Claude (or the provider set in agents.memoWriter) to write a long-form
+ * investment memo from the classified context: one prose section per entry
+ * under memo.sections in pipeline-config.json (thesis, market, product,
+ * traction, team, risks, terms by default), each drawing on the evidence
+ * classified for the slide types it names. Every claim is footnoted with the
+ * source document, location and text of the evidence it rests on.
+ *
+ * The memo does not depend on the synthesized slides, so it can be written
+ * as soon as the classification is done.
+ *
+ * Inputs:
+ *   - intermediate/classified-context.json (from 02-classify-context.js)
+ *   - user-inputs/story.md (narrative arc)
+ *   - user-inputs/style-guide.md (style preferences)
+ *   - user-inputs/facts.json (optional pinned facts, citable as F1, F2, ...)
+ *   - user-inputs/resolutions.json (optional conflict resolutions)
+ *
+ * Outputs:
+ *   - output/investment-memo.md (Markdown with [^n] footnotes)
+ *   - output/investment-memo.docx (Word, with real footnotes)
+ *   - intermediate/memo.json (sections, footnotes and metadata)
+ *
+ * Usage:
+ *   node 03-write-memo.js [options]
+ *
+ * Options:
+ *   --min-confidence <n>  Least confidence (0-1) of the evidence given to the writer
+ *                         (default: memo.minConfidence, 0.5)
+ *   --max-items <n>       Most evidence items per section
+ *                         (default: memo.maxItemsPerSection, 30)
+ *   --feedback <text>     Feedback on the previous version, appended to the prompt
+ *   --verbose, -v         Show detailed progress
+ *   --dry-run             Generate prompts without making API calls
+ *   --record              Save every model request/response to intermediate/fixtures/
+ *   --replay              Serve model calls from recorded fixtures (no network)
+ *   --help, -h            Show this help message
+ *
+ * Environment:
+ *   ANTHROPIC_API_KEY - Required API key for Claude (default memo writer provider)
+ */
+
+const path = require("path");
+const fs = require("fs");
+
+// Load environment variables from .env file
+require("dotenv").config({ path: path.join(__dirname, "../.env") });
+
+const { ClaudeMemoWriter } = require("./agents/claude-memo-writer");
+const { getRequiredEnvVar, resolveFixtureConfig } = require("./providers");
+const { PromptLogger } = require("./utils/prompt-logger");
+const { recordPhase, describeAgent } = require("./utils/run-archive");
+const { renderMemoMarkdown } = require("./utils/memo");
+const { writeMemoDocx } = require("../investor-deck-generator/scripts/memo-docx");
+
+// =============================================================================
+// Configuration
+// =============================================================================
+
+const SCRIPT_DIR = __dirname;
+const PROJECT_ROOT = path.join(SCRIPT_DIR, "..");
+
+const PATHS = {
+  classifiedContext: path.join(PROJECT_ROOT, "intermediate/classified-context.json"),
+  story: path.join(PROJECT_ROOT, "user-inputs/story.md"),
+  styleGuide: path.join(PROJECT_ROOT, "user-inputs/style-guide.md"),
+  resolutions: path.join(PROJECT_ROOT, "user-inputs/resolutions.json"),
+  facts: path.join(PROJECT_ROOT, "user-inputs/facts.json"),
+  memo: path.join(PROJECT_ROOT, "intermediate/memo.json"),
+  markdown: path.join(PROJECT_ROOT, "output/investment-memo.md"),
+  docx: path.join(PROJECT_ROOT, "output/investment-memo.docx"),
+  config: path.join(SCRIPT_DIR, "config/pipeline-config.json"),
+};
+
+const DEFAULTS = { minConfidence: 0.5, maxItems: 30 };
+
+// =============================================================================
+// CLI Argument Parsing
+// =============================================================================
+
+function parseArgs() {
+  const args = process.argv.slice(2);
+  const options = {
+    minConfidence: null,
+    maxItems: null,
+    feedback: null,
+    verbose: false,
+    help: false,
+    dryRun: false,
+    record: false,
+    replay: false,
+    unknown: [],
+  };
+
+  const numberOptions = { "--min-confidence": "minConfidence", "--max-items": "maxItems" };
+
+  for (let i = 0; i < args.length; i++) {
+    switch (args[i]) {
+      case "--min-confidence":
+      case "--max-items":
+        if (i + 1 >= args.length || Number.isNaN(Number(args[i + 1]))) {
+          options.unknown.push(args[i]);
+        } else {
+          options[numberOptions[args[i]]] = Number(args[++i]);
+        }
+        break;
+      case "--feedback":
+        if (i + 1 >= args.length) {
+          options.unknown.push(args[i]);
+        } else {
+          options.feedback = args[++i];
+        }
+        break;
+      case "--verbose":
+      case "-v":
+        options.verbose = true;
+        break;
+      case "--help":
+      case "-h":
+        options.help = true;
+        break;
+      case "--dry-run":
+        options.dryRun = true;
+        break;
+      case "--record":
+        options.record = true;
+        break;
+      case "--replay":
+        options.replay = true;
+        break;
+      default:
+        options.unknown.push(args[i]);
+        break;
+    }
+  }
+
+  return options;
+}
+
+function showHelp() {
+  console.log(`
+Phase 3: Investment Memo
+
+Writes a long-form investment memo from the classified context, with one
+section per entry under memo.sections in pipeline-config.json and every claim
+footnoted with its source document.
+
+Usage:
+  node 03-write-memo.js [options]
+
+Options:
+  --min-confidence <n>  Least confidence (0-1) of the evidence given to the writer
+                        Default: memo.minConfidence in pipeline-config.json (${DEFAULTS.minConfidence})
+  --max-items <n>       Most evidence items per section, most confident first
+                        Default: memo.maxItemsPerSection (${DEFAULTS.maxItems})
+  --feedback <text>     Feedback on the previous version, appended to the prompt
+  --verbose, -v         Show detailed progress
+  --dry-run             Generate prompts without making API calls
+  --record              Save every model request/response as a fixture
+  --replay              Serve model calls from recorded fixtures (no network)
+  --help, -h            Show this help message
+
+Required Files:
+  intermediate/classified-context.json   Classified content (02-classify-context.js)
+  user-inputs/story.md                   Narrative arc definition
+  user-inputs/style-guide.md             Style preferences
+
+Optional Files:
+  user-inputs/facts.json                 Pinned facts, cited as F1, F2, ...
+  user-inputs/resolutions.json           Conflict resolutions (02-resolve-conflicts.js)
+
+Output Files:
+  output/investment-memo.md              Memo with [^n] footnotes
+  output/investment-memo.docx            Memo with Word footnotes
+  intermediate/memo.json                 Sections, footnotes and metadata
+
+Environment Variables:
+  ANTHROPIC_API_KEY    Required for the default anthropic memo writer
+                       (set agents.memoWriter.provider in pipeline-config.json
+                       to use openai, google or openai-compatible instead)
+`);
+}
+
+// =============================================================================
+// Validation
+// =============================================================================
+
+function validateInputs({ skipApiKeyCheck = false, apiKeyEnv = "ANTHROPIC_API_KEY" } = {}) {
+  const errors = [];
+
+  // Check classified context
+  if (!fs.existsSync(PATHS.classifiedContext)) {
+    errors.push(`Classified context not found: ${PATHS.classifiedContext}`);
+    errors.push("Run 02-classify-context.js first.");
+  }
+
+  // Check story file
+  if (!fs.existsSync(PATHS.story)) {
+    errors.push(`Story file not found: ${PATHS.story}`);
+  }
+
+  // Check style guide file
+  if (!fs.existsSync(PATHS.styleGuide)) {
+    errors.push(`Style guide not found: ${PATHS.styleGuide}`);
+  }
+
+  // Check API key for the configured provider
+  if (!skipApiKeyCheck && apiKeyEnv && !process.env[apiKeyEnv]) {
+    errors.push(`${apiKeyEnv} environment variable not set.`);
+    errors.push(`Set it with: export ${apiKeyEnv}='your-api-key'`);
+  }
+
+  return errors;
+}
+
+// =============================================================================
+// Main
+// =============================================================================
+
+async function main() {
+  console.log("========================================");
+  console.log("Phase 3: Investment Memo");
+  console.log("========================================\n");
+
+  // Parse arguments
+  const options = parseArgs();
+
+  if (options.help) {
+    showHelp();
+    process.exit(0);
+  }
+
+  if (options.unknown.length > 0) {
+    console.error(`Unknown option(s): ${options.unknown.join(", ")}`);
+    console.error("Use --help to see available options.");
+    process.exit(1);
+  }
+
+  if (options.record && options.replay) {
+    console.error("--record and --replay cannot be combined.");
+    process.exit(1);
+  }
+
+  // Load pipeline config
+  let pipelineConfig = {};
+  let promptLogger = null;
+  if (fs.existsSync(PATHS.config)) {
+    pipelineConfig = JSON.parse(fs.readFileSync(PATHS.config, "utf-8"));
+  }
+  const memoWriterConfig = pipelineConfig.agents?.memoWriter || {};
+  const memoConfig = pipelineConfig.memo || {};
+  const minConfidence = options.minConfidence ?? memoConfig.minConfidence ?? DEFAULTS.minConfidence;
+  const maxItems = options.maxItems ?? memoConfig.maxItemsPerSection ?? DEFAULTS.maxItems;
+
+  // Validate inputs
+  let errors;
+  let fixtures = null;
+  try {
+    fixtures = resolveFixtureConfig(options, pipelineConfig, PROJECT_ROOT);
+    errors = validateInputs({
+      skipApiKeyCheck: options.dryRun || fixtures?.mode === "replay",
+      apiKeyEnv: getRequiredEnvVar(memoWriterConfig.provider || "anthropic", memoWriterConfig),
+    });
+  } catch (error) {
+    errors = [error.message];
+  }
+  if (!(minConfidence >= 0 && minConfidence <= 1)) {
+    errors.push(`Invalid min confidence: ${minConfidence} (expected 0-1)`);
+  }
+  if (!Number.isInteger(maxItems) || maxItems < 1) {
+    errors.push(`Invalid max items: ${maxItems} (expected a whole number, 1 or more)`);
+  }
+  if (errors.length > 0) {
+    console.error("Validation errors:");
+    errors.forEach((e) => console.error(`  - ${e}`));
+    process.exit(1);
+  }
+
+  if (options.dryRun || pipelineConfig.logging?.prompts === true) {
+    promptLogger = new PromptLogger(PROJECT_ROOT, { dryRun: options.dryRun });
+  }
+
+  const writer = new ClaudeMemoWriter({
+    ...memoWriterConfig,
+    verbose: options.verbose,
+    dryRun: options.dryRun,
+    repairAttempts: pipelineConfig.validation?.repairAttempts,
+    fixtures,
+    promptLogger,
+  });
+
+  console.log(`Evidence: confidence >= ${minConfidence}, up to ${maxItems} items per section`);
+  console.log(`Dry-run mode: ${options.dryRun ? "enabled" : "disabled"}`);
+  console.log(`Fixtures: ${fixtures ? `${fixtures.mode} (${fixtures.dir})` : "off"}`);
+  console.log(`Memo writer: ${writer.provider}/${writer.model}`);
+  if (options.feedback) console.log(`Feedback: ${options.feedback}`);
+  console.log(`Input: ${PATHS.classifiedContext}`);
+  console.log(`Output: ${PATHS.markdown}\n`);
+
+  try {
+    const startTime = Date.now();
+
+    const memo = await writer.execute({
+      classifiedContextPath: PATHS.classifiedContext,
+      storyPath: PATHS.story,
+      styleGuidePath: PATHS.styleGuide,
+      resolutionsPath: PATHS.resolutions,
+      factsPath: PATHS.facts,
+      pipelineConfig,
+      minConfidence,
+      maxItems,
+      feedback: options.feedback,
+    });
+    writer.saveJSON(PATHS.memo, memo);
+
+    // Both formats carry the same text and footnotes
+    const meta = {
+      company: pipelineConfig.company?.name || "",
+      date: memo.metadata.writtenAt.slice(0, 10),
+    };
+    fs.mkdirSync(path.dirname(PATHS.markdown), { recursive: true });
+    fs.writeFileSync(PATHS.markdown, renderMemoMarkdown(memo, meta));
+    await writeMemoDocx(memo, PATHS.docx, { ...meta, design: pipelineConfig.design });
+
+    const elapsed = ((Date.now() - startTime) / 1000).toFixed(1);
+
+    recordPhase(PROJECT_ROOT, {
+      phase: "3-memo",
+      name: "memo",
+      agents: [describeAgent(writer)],
+      dryRun: options.dryRun,
+      fixtures,
+    });
+
+    // Print summary
+    const sources = new Set(memo.footnotes.map((f) => f.source));
+    const empty = memo.sections.filter((s) => s.paragraphs.length === 0).map((s) => s.id);
+    console.log("\n========================================");
+    console.log("Memo Complete");
+    console.log("========================================");
+    console.log(`Time: ${elapsed}s`);
+    console.log(`Title: ${memo.title}`);
+    console.log(`Sections: ${memo.sections.map((s) => s.id).join(", ")}`);
+    console.log(`Footnotes: ${memo.footnotes.length} (${sources.size} source documents)`);
+    console.log(`Cost: $${writer.costTracker.totalCost.toFixed(4)}`);
+
+    if (empty.length > 0) {
+      console.warn(`\nNo evidence written up for: ${empty.join(", ")}`);
+    }
+
+    console.log("\nOutput files:");
+    console.log(`  - ${PATHS.markdown}`);
+    console.log(`  - ${PATHS.docx}`);
+    console.log(`  - ${PATHS.memo}`);
+
+    if (promptLogger && promptLogger.getPrompts().length > 0) {
+      const manifestPath = promptLogger.saveManifest();
+      console.log(`  - ${manifestPath}`);
+    }
+  } catch (error) {
+    console.error("\n========================================");
+    console.error("Memo Failed");
+    console.error("========================================");
+    console.error(error.message);
+
+    if (options.verbose && error.stack) {
+      console.error("\nStack trace:");
+      console.error(error.stack);
+    }
+
+    if (promptLogger && promptLogger.getPrompts().length > 0) {
+      const manifestPath = promptLogger.saveManifest();
+      console.error(`\nPrompt manifest: ${manifestPath}`);
+    }
+
+    process.exit(1);
+  }
+}
+
+main();
@@ -16,18 +16,44 @@
  *   - output/assets/*.png (generated graphics)
  *   - intermediate/image-prompts.json (prompts used for image generation)
  *   - intermediate/generated-images.json (manifest of generated images)
+ *   - intermediate/numeric-consistency.json (figures that disagree across slides)
+ *   - intermediate/deck-config.generated.json (the deck as generated, before
+ *     hand edits are merged back in)
+ *
+ * Audience variants (--audience) re-polish the same synthesis output with the
+ * tone, slide list and emphasis of a profile under "audiences" in
+ * pipeline-config.json, and are written to output/deck-config.<audience>.json
+ * with images under output/assets/<audience>/.
+ *
+ * Hand edits to output/deck-config.json survive regeneration: locked slides
+ * ("locked": true), locked fields ("lockedFields": [...]) and fields changed
+ * since the last generation are kept. Images whose prompt is unchanged are not
+ * regenerated.
  *
  * Usage:
  *   node 04-generate-final.js [options]
  *
  * Options:
  *   --skip-images     Skip image generation (text only)
+ *   --slide <type>    Re-polish and re-image only this slide type (repeatable,
+ *                     or comma-separated), keeping the rest of the deck
+ *   --feedback <text> Feedback on the previous version, appended to the prompt
+ *   --audience <name> Write the deck variant for this audience profile
+ *                     (repeatable, comma-separated, or "all") instead of the
+ *                     main deck
+ *   --discard-edits   Replace the deck config without keeping hand edits or locks
+ *   --regenerate-images  Regenerate every image, even unchanged ones
+ *   --render-mode <m> image (full-slide images) or hybrid (background art +
+ *                     editable text); default: render.mode in pipeline-config
  *   --verbose, -v     Show detailed progress
  *   --dry-run         Generate prompts without making API calls
+ *   --record          Save every model request/response to intermediate/fixtures/
+ *   --replay          Serve model calls from recorded fixtures (no network)
  *   --help, -h        Show this help message
  *
  * Environment:
  *   GOOGLE_AI_API_KEY - Required API key for Gemini and Nano Banana Pro
+ *                       (default providers for agents.generator/imageGenerator)
  */
 
 const path = require("path");
@@ -37,8 +63,16 @@ const fs = require("fs");
 require("dotenv").config({ path: path.join(__dirname, "../.env") });
 
 const { GeminiGenerator } = require("./agents/gemini-generator");
+const { loadSlideTypes, parseSlideSelection } = require("./utils/slide-types");
 const { NanoBananaGenerator } = require("./agents/nano-banana-generator");
+const { getRequiredEnvVar, resolveFixtureConfig } = require("./providers");
 const { PromptLogger } = require("./utils/prompt-logger");
+const { recordPhase, describeAgent } = require("./utils/run-archive");
+const { checkNumericConsistency, formatConsistencyReport } = require("./utils/numeric-consistency");
+const { loadResolutions } = require("./utils/conflict-resolutions");
+const { loadFacts } = require("./utils/fact-book");
+const { formatPreserved } = require("./utils/deck-edits");
+const { loadAudiences, parseAudienceSelection, variantFileName } = require("./utils/audiences");
 
 // =============================================================================
 // Configuration
@@ -49,13 +83,20 @@ const PROJECT_ROOT = path.join(SCRIPT_DIR, "..");
 
 const PATHS = {
   synthesisOutput: path.join(PROJECT_ROOT, "intermediate/synthesis-output.json"),
+  classifiedContext: path.join(PROJECT_ROOT, "intermediate/classified-context.json"),
   styleGuide: path.join(PROJECT_ROOT, "user-inputs/style-guide.md"),
+  resolutions: path.join(PROJECT_ROOT, "user-inputs/resolutions.json"),
+  facts: path.join(PROJECT_ROOT, "user-inputs/facts.json"),
   storyGuide: path.join(PROJECT_ROOT, "user-inputs/story.md"),
   intermediateDir: path.join(PROJECT_ROOT, "intermediate"),
   outputDir: path.join(PROJECT_ROOT, "output"),
   config: path.join(SCRIPT_DIR, "config/pipeline-config.json"),
 };
 
+// image: each slide is one full-bleed generated image
+// hybrid: generated images are text-free backgrounds under editable text boxes
+const RENDER_MODES = ["image", "hybrid"];
+
 // =============================================================================
 // CLI Argument Parsing
 // =============================================================================
@@ -64,9 +105,17 @@ function parseArgs() {
   const args = process.argv.slice(2);
   const options = {
     skipImages: false,
+    slides: [],
+    audiences: [],
+    feedback: null,
+    discardEdits: false,
+    regenerateImages: false,
+    renderMode: null,
     verbose: false,
     help: false,
     dryRun: false,
+    record: false,
+    replay: false,
     unknown: [],
   };
 
@@ -75,6 +124,42 @@ function parseArgs() {
       case "--skip-images":
         options.skipImages = true;
         break;
+      case "--slide":
+      case "--slides":
+        if (i + 1 >= args.length) {
+          options.unknown.push(args[i]);
+        } else {
+          options.slides.push(args[++i]);
+        }
+        break;
+      case "--audience":
+      case "--audiences":
+        if (i + 1 >= args.length) {
+          options.unknown.push(args[i]);
+        } else {
+          options.audiences.push(args[++i]);
+        }
+        break;
+      case "--feedback":
+        if (i + 1 >= args.length) {
+          options.unknown.push(args[i]);
+        } else {
+          options.feedback = args[++i];
+        }
+        break;
+      case "--discard-edits":
+        options.discardEdits = true;
+        break;
+      case "--regenerate-images":
+        options.regenerateImages = true;
+        break;
+      case "--render-mode":
+        if (i + 1 >= args.length) {
+          options.unknown.push(args[i]);
+        } else {
+          options.renderMode = args[++i];
+        }
+        break;
       case "--verbose":
       case "-v":
         options.verbose = true;
@@ -86,6 +171,12 @@ function parseArgs() {
       case "--dry-run":
         options.dryRun = true;
         break;
+      case "--record":
+        options.record = true;
+        break;
+      case "--replay":
+        options.replay = true;
+        break;
       default:
         options.unknown.push(args[i]);
         break;
@@ -106,8 +197,22 @@ Usage:
 
 Options:
   --skip-images      Skip image generation (text polish only)
+  --slide <type>     Re-polish and re-image only this slide type and splice it
+                     into the existing deck (repeatable, or comma-separated)
+  --feedback <text>  Feedback on the previous version, appended to the prompt
+  --audience <name>  Write the deck variant for an audience profile instead of
+                     the main deck (repeatable, comma-separated, or "all";
+                     profiles are under "audiences" in pipeline-config.json)
+  --discard-edits    Overwrite deck-config.json without keeping hand edits
+                     or locked slides/fields
+  --regenerate-images  Regenerate every image, even when its slide is unchanged
+  --render-mode <m>  image: full-slide images (default)
+                     hybrid: text-free background images; text is rendered
+                     as editable PPTX text boxes in phase 5
   --verbose, -v      Show detailed progress
   --dry-run          Generate prompts without making API calls
+  --record           Save every model/image request and response as a fixture
+  --replay           Serve model/image calls from recorded fixtures (no network)
   --help, -h         Show this help message
 
 Required Files:
@@ -119,9 +224,22 @@ Output Files:
   output/assets/*.png                  Generated charts and diagrams
   intermediate/image-prompts.json      Image generation prompts
   intermediate/generated-images.json   Manifest of generated images
+  intermediate/numeric-consistency.json  Figures that disagree across slides
+  intermediate/deck-config.generated.json  Deck as generated (used to detect hand edits)
+
+With --audience, each variant gets the same files with the audience in the
+name (output/deck-config.seed-vc.json, ...) and its images in
+output/assets/<audience>/. Render them with 05-render-deck.sh --audience.
+
+Hand edits to deck-config.json are kept when it is regenerated: mark a slide
+"locked": true, list fields in its "lockedFields" (e.g. ["headline",
+"statistic.value"]), or just edit it - fields that differ from the last
+generated deck are kept. Images are only regenerated for changed slides.
 
 Environment Variables:
-  GOOGLE_AI_API_KEY  Required: Your Google AI API key (for Gemini + Nano Banana Pro)
+  GOOGLE_AI_API_KEY  Required for the default google provider (Gemini + Nano Banana Pro)
+                     (set agents.generator.provider in pipeline-config.json to
+                     use anthropic, openai or openai-compatible for text polish)
 `);
 }
 
@@ -129,7 +247,7 @@ Environment Variables:
 // Validation
 // =============================================================================
 
-function validateInputs({ skipApiKeyCheck = false } = {}) {
+function validateInputs({ skipApiKeyCheck = false, apiKeyEnvs = ["GOOGLE_AI_API_KEY"] } = {}) {
   const errors = [];
 
   // Check synthesis output
@@ -143,15 +261,192 @@ function validateInputs({ skipApiKeyCheck = false } = {}) {
     errors.push(`Style guide not found: ${PATHS.styleGuide}`);
   }
 
-  // Check API key
-  if (!skipApiKeyCheck && !process.env.GOOGLE_AI_API_KEY) {
-    errors.push("GOOGLE_AI_API_KEY environment variable not set.");
-    errors.push("Set it with: export GOOGLE_AI_API_KEY='your-api-key'");
+  // Check API keys for the configured providers
+  if (!skipApiKeyCheck) {
+    for (const apiKeyEnv of new Set(apiKeyEnvs.filter(Boolean))) {
+      if (!process.env[apiKeyEnv]) {
+        errors.push(`${apiKeyEnv} environment variable not set.`);
+        errors.push(`Set it with: export ${apiKeyEnv}='your-api-key'`);
+      }
+    }
   }
 
   return errors;
 }
 
+// =============================================================================
+// Generation
+// =============================================================================
+
+/**
+ * Generate one deck: the main deck, or an audience variant written to
+ * deck-config.<audience>.json with its images under assets/<audience>/
+ * @returns {Promise<object>} - { audience, deckConfigPath, assetsDir, agents }
+ */
+async function generateDeck({
+  audience,
+  slides,
+  options,
+  pipelineConfig,
+  generatorConfig,
+  imageConfig,
+  renderMode,
+  fixtures,
+  promptLogger,
+}) {
+  const variant = (fileName) => variantFileName(fileName, audience?.name);
+  const deckConfigPath = path.join(PATHS.outputDir, variant("deck-config.json"));
+  const assetsDir = audience
+    ? path.join(PATHS.outputDir, "assets", audience.name)
+    : path.join(PATHS.outputDir, "assets");
+  const agents = [];
+
+  if (audience) {
+    console.log("\n========================================");
+    console.log(`Audience: ${audience.label} (${audience.name})`);
+    console.log("========================================\n");
+  }
+
+  // =========================================================================
+  // Part 1: Text Polish with Gemini 2.0 Flash
+  // =========================================================================
+  console.log("----------------------------------------");
+  console.log("Part 1: Text Polish (Gemini 2.0 Flash)");
+  console.log("----------------------------------------\n");
+
+  const textGeneratorConfig = {
+    ...generatorConfig,
+    verbose: options.verbose,
+    dryRun: options.dryRun,
+    repairAttempts: pipelineConfig.validation?.repairAttempts,
+    fixtures,
+    promptLogger,
+  };
+
+  const textGenerator = new GeminiGenerator(textGeneratorConfig);
+
+  const textResult = await textGenerator.execute({
+    synthesisOutputPath: PATHS.synthesisOutput,
+    styleGuidePath: PATHS.styleGuide,
+    storyGuidePath: PATHS.storyGuide,
+    outputDir: PATHS.outputDir,
+    pipelineConfig,
+    renderMode,
+    audience,
+    generatedDeckPath: path.join(PATHS.intermediateDir, variant("deck-config.generated.json")),
+    preserveEdits: !options.discardEdits,
+    slides,
+    feedback: options.feedback,
+  });
+
+  agents.push(textGenerator);
+
+  console.log(`\n  Slides: ${textResult.deckConfig.slides?.length || 0}`);
+  console.log(`  Image prompts: ${Object.keys(textResult.imagePrompts || {}).length}`);
+  console.log(`  Cost: $${textGenerator.costTracker.totalCost.toFixed(4)}`);
+  if (textResult.preserved.length > 0) {
+    console.log(`  Kept from the current ${path.basename(deckConfigPath)}:`);
+    formatPreserved(textResult.preserved).forEach((line) => console.log(`    - ${line}`));
+  }
+
+  // Figures that disagree across slides are reported, not fixed
+  const classifiedContext = fs.existsSync(PATHS.classifiedContext)
+    ? JSON.parse(fs.readFileSync(PATHS.classifiedContext, "utf-8"))
+    : {};
+  const consistency = checkNumericConsistency({
+    deckConfig: textResult.deckConfig,
+    synthesisOutput: JSON.parse(fs.readFileSync(PATHS.synthesisOutput, "utf-8")),
+    globalConflicts: classifiedContext.globalConflicts,
+    resolutions: loadResolutions(PATHS.resolutions),
+    facts: loadFacts(PATHS.facts),
+  });
+  fs.writeFileSync(
+    path.join(PATHS.intermediateDir, variant("numeric-consistency.json")),
+    JSON.stringify({ checkedAt: new Date().toISOString(), ...consistency }, null, 2)
+  );
+  const inconsistencies = formatConsistencyReport(consistency);
+  if (inconsistencies.length > 0) {
+    console.warn(`\n  Warning: ${inconsistencies.length} numeric inconsistenc${inconsistencies.length === 1 ? "y" : "ies"}:`);
+    inconsistencies.forEach((line) => console.warn(`    - ${line}`));
+    console.warn("  Run tools/check-numbers.js for details.");
+  }
+
+  // =========================================================================
+  // Part 2: Image Generation with Nano Banana Pro
+  // =========================================================================
+  if (!options.skipImages && Object.keys(textResult.imagePrompts || {}).length > 0) {
+    console.log("\n----------------------------------------");
+    console.log("Part 2: Image Generation (Nano Banana Pro)");
+    console.log("----------------------------------------\n");
+
+    const imageGeneratorConfig = {
+      ...imageConfig,
+      verbose: options.verbose,
+      dryRun: options.dryRun,
+      fixtures,
+      promptLogger,
+    };
+
+    const imageGenerator = new NanoBananaGenerator(imageGeneratorConfig);
+
+    // Save image prompts to intermediate directory first
+    const imagePromptsPath = path.join(PATHS.intermediateDir, variant("image-prompts.json"));
+    fs.writeFileSync(imagePromptsPath, JSON.stringify(textResult.imagePrompts, null, 2));
+    console.log(`  Saved image prompts to: ${imagePromptsPath}`);
+
+    const imageResult = await imageGenerator.execute({
+      imagePromptsPath,
+      outputDir: PATHS.outputDir,
+      assetsDir,
+      manifestPath: path.join(PATHS.outputDir, variant("generated-images.json")),
+      designConfig: pipelineConfig.design || textResult.deckConfig.design,
+      styleGuidePath: PATHS.styleGuide,
+      storyGuidePath: PATHS.storyGuide,
+      regenerate: options.regenerateImages,
+      slides,
+      audience,
+    });
+
+    agents.push(imageGenerator);
+
+    // Update deck config with generated image paths
+    const deckConfig = JSON.parse(fs.readFileSync(deckConfigPath, "utf-8"));
+
+    // Map generated images to slides
+    for (const [imageType, imagePath] of Object.entries(imageResult.images)) {
+      if (!imagePath) continue;
+
+      const relativePath = path.relative(PATHS.outputDir, imagePath);
+
+      // Find slides that might use this image
+      for (const slide of deckConfig.slides || []) {
+        if (slide.type === imageType) {
+          slide.image = relativePath;
+        } else if (slide.type === "ask" && imageType === "useOfFunds") {
+          slide.useOfFundsImage = relativePath;
+        }
+      }
+    }
+
+    // Save updated deck config
+    fs.writeFileSync(deckConfigPath, JSON.stringify(deckConfig, null, 2));
+
+    const attempted = Object.keys(imageResult.images).filter((type) => !slides || slides.includes(type));
+    const generated = attempted.filter((type) => imageResult.images[type]).length - imageResult.reused.length;
+    console.log(`\n  Images generated: ${generated}/${attempted.length}`);
+    if (imageResult.reused.length > 0) {
+      console.log(`  Unchanged, kept: ${imageResult.reused.join(", ")}`);
+    }
+    console.log(`  Cost: $${imageGenerator.costTracker.totalCost.toFixed(4)}`);
+  } else if (options.skipImages) {
+    console.log("\n[Skipping image generation as requested]");
+  } else {
+    console.log("\n[No image prompts to generate]");
+  }
+
+  return { audience, deckConfigPath, assetsDir, agents };
+}
+
 // =============================================================================
 // Main
 // =============================================================================
@@ -175,8 +470,66 @@ async function main() {
     process.exit(1);
   }
 
+  if (options.record && options.replay) {
+    console.error("--record and --replay cannot be combined.");
+    process.exit(1);
+  }
+
+  // Load pipeline config
+  let pipelineConfig = {};
+  let promptLogger = null;
+  if (fs.existsSync(PATHS.config)) {
+    pipelineConfig = JSON.parse(fs.readFileSync(PATHS.config, "utf-8"));
+  }
+  const generatorConfig = pipelineConfig.agents?.generator || {};
+  const imageConfig = pipelineConfig.agents?.imageGenerator || {};
+  const renderMode = options.renderMode || pipelineConfig.render?.mode || "image";
+
   // Validate inputs
-  const errors = validateInputs({ skipApiKeyCheck: options.dryRun });
+  let errors;
+  let fixtures = null;
+  try {
+    fixtures = resolveFixtureConfig(options, pipelineConfig, PROJECT_ROOT);
+    const apiKeyEnvs = [getRequiredEnvVar(generatorConfig.provider || "google", generatorConfig)];
+    if (!options.skipImages) {
+      apiKeyEnvs.push(getRequiredEnvVar(imageConfig.provider || "google", imageConfig));
+    }
+    errors = validateInputs({
+      skipApiKeyCheck: options.dryRun || fixtures?.mode === "replay",
+      apiKeyEnvs,
+    });
+  } catch (error) {
+    errors = [error.message];
+  }
+  if (!RENDER_MODES.includes(renderMode)) {
+    errors.push(`Invalid render mode '${renderMode}'. Valid modes: ${RENDER_MODES.join(", ")}`);
+  }
+
+  // Audience variants to write (the main deck without --audience)
+  let audiences = null;
+  if (options.audiences.length > 0) {
+    try {
+      audiences = parseAudienceSelection(options.audiences, loadAudiences(pipelineConfig, loadSlideTypes()));
+    } catch (error) {
+      errors.push(error.message);
+    }
+  }
+
+  // Slides to regenerate (all of them without --slide)
+  let slides = null;
+  if (options.slides.length > 0) {
+    try {
+      slides = parseSlideSelection(options.slides, loadSlideTypes());
+    } catch (error) {
+      errors.push(error.message);
+    }
+    for (const audience of audiences || [null]) {
+      const deckConfigPath = path.join(PATHS.outputDir, variantFileName("deck-config.json", audience?.name));
+      if (!fs.existsSync(deckConfigPath)) {
+        errors.push(`--slide needs an existing deck config: ${deckConfigPath}`);
+      }
+    }
+  }
   if (errors.length > 0) {
     console.error("Validation errors:");
     errors.forEach((e) => console.error(`  - ${e}`));
@@ -192,123 +545,65 @@ async function main() {
     fs.mkdirSync(assetsDir, { recursive: true });
   }
 
-  // Load pipeline config
-  let pipelineConfig = {};
-  let promptLogger = null;
-  if (fs.existsSync(PATHS.config)) {
-    pipelineConfig = JSON.parse(fs.readFileSync(PATHS.config, "utf-8"));
-  }
   if (options.dryRun || pipelineConfig.logging?.prompts === true) {
     promptLogger = new PromptLogger(PROJECT_ROOT, { dryRun: options.dryRun });
   }
 
   console.log(`Skip images: ${options.skipImages}`);
+  console.log(`Slides: ${slides ? slides.join(", ") : "all"}`);
+  console.log(`Audiences: ${audiences ? audiences.map((a) => a.name).join(", ") : "none (main deck)"}`);
+  if (options.feedback) console.log(`Feedback: ${options.feedback}`);
+  console.log(`Render mode: ${renderMode}`);
   console.log(`Dry-run mode: ${options.dryRun ? "enabled" : "disabled"}`);
+  console.log(`Fixtures: ${fixtures ? `${fixtures.mode} (${fixtures.dir})` : "off"}`);
   console.log(`Input: ${PATHS.synthesisOutput}`);
   console.log(`Output: ${PATHS.outputDir}\n`);
 
   const startTime = Date.now();
-  let totalCost = 0;
+  const agents = [];
+  const decks = [];
 
   try {
-    // =========================================================================
-    // Part 1: Text Polish with Gemini 2.0 Flash
-    // =========================================================================
-    console.log("----------------------------------------");
-    console.log("Part 1: Text Polish (Gemini 2.0 Flash)");
-    console.log("----------------------------------------\n");
-
-    const textGeneratorConfig = {
-      ...(pipelineConfig.agents?.generator || {}),
-      verbose: options.verbose,
-      dryRun: options.dryRun,
-      promptLogger,
-    };
-
-    const textGenerator = new GeminiGenerator(textGeneratorConfig);
-
-    const textResult = await textGenerator.execute({
-      synthesisOutputPath: PATHS.synthesisOutput,
-      styleGuidePath: PATHS.styleGuide,
-      storyGuidePath: PATHS.storyGuide,
-      outputDir: PATHS.outputDir,
-      pipelineConfig,
-    });
-
-    totalCost += textGenerator.costTracker.totalCost;
-
-    console.log(`\n  Slides: ${textResult.deckConfig.slides?.length || 0}`);
-    console.log(`  Image prompts: ${Object.keys(textResult.imagePrompts || {}).length}`);
-    console.log(`  Cost: $${textGenerator.costTracker.totalCost.toFixed(4)}`);
+    for (const audience of audiences || [null]) {
+      // A variant only regenerates the requested slides it has
+      const deckSlides = slides && audience ? slides.filter((type) => audience.slides.includes(type)) : slides;
+      if (deckSlides && deckSlides.length === 0) {
+        console.log(`\n[${audience.name}: none of the requested slides are in this variant, skipping]`);
+        continue;
+      }
 
-    // =========================================================================
-    // Part 2: Image Generation with Nano Banana Pro
-    // =========================================================================
-    if (!options.skipImages && Object.keys(textResult.imagePrompts || {}).length > 0) {
-      console.log("\n----------------------------------------");
-      console.log("Part 2: Image Generation (Nano Banana Pro)");
-      console.log("----------------------------------------\n");
-
-      const imageGeneratorConfig = {
-        ...(pipelineConfig.agents?.imageGenerator || {}),
-        verbose: options.verbose,
-        dryRun: options.dryRun,
+      const deck = await generateDeck({
+        audience,
+        slides: deckSlides,
+        options,
+        pipelineConfig,
+        generatorConfig,
+        imageConfig,
+        renderMode,
+        fixtures,
         promptLogger,
-      };
-
-      const imageGenerator = new NanoBananaGenerator(imageGeneratorConfig);
-
-      // Save image prompts to intermediate directory first
-      const imagePromptsPath = path.join(PATHS.intermediateDir, "image-prompts.json");
-      fs.writeFileSync(imagePromptsPath, JSON.stringify(textResult.imagePrompts, null, 2));
-      console.log(`  Saved image prompts to: ${imagePromptsPath}`);
-
-      const imageResult = await imageGenerator.execute({
-        imagePromptsPath,
-        outputDir: PATHS.outputDir,
-        designConfig: pipelineConfig.design || textResult.deckConfig.design,
-        styleGuidePath: PATHS.styleGuide,
-        storyGuidePath: PATHS.storyGuide,
       });
-
-      totalCost += imageGenerator.costTracker.totalCost;
-
-      // Update deck config with generated image paths
-      const deckConfigPath = path.join(PATHS.outputDir, "deck-config.json");
-      const deckConfig = JSON.parse(fs.readFileSync(deckConfigPath, "utf-8"));
-
-      // Map generated images to slides
-      for (const [imageType, imagePath] of Object.entries(imageResult.images)) {
-        if (!imagePath) continue;
-
-        const relativePath = path.relative(PATHS.outputDir, imagePath);
-
-        // Find slides that might use this image
-        for (const slide of deckConfig.slides || []) {
-          if (slide.type === imageType) {
-            slide.image = relativePath;
-          } else if (slide.type === "ask" && imageType === "useOfFunds") {
-            slide.useOfFundsImage = relativePath;
-          }
-        }
-      }
-
-      // Save updated deck config
-      fs.writeFileSync(deckConfigPath, JSON.stringify(deckConfig, null, 2));
-
-      const generated = Object.values(imageResult.images).filter(Boolean).length;
-      console.log(`\n  Images generated: ${generated}/${Object.keys(imageResult.images).length}`);
-      console.log(`  Cost: $${imageGenerator.costTracker.totalCost.toFixed(4)}`);
-    } else if (options.skipImages) {
-      console.log("\n[Skipping image generation as requested]");
-    } else {
-      console.log("\n[No image prompts to generate]");
+      agents.push(...deck.agents);
+      decks.push(deck);
     }
 
+    const scope = [
+      audiences && `audiences: ${audiences.map((a) => a.name).join(", ")}`,
+      slides && `slides: ${slides.join(", ")}`,
+    ].filter(Boolean);
+    recordPhase(PROJECT_ROOT, {
+      phase: "4",
+      name: scope.length > 0 ? `generate (${scope.join("; ")})` : "generate",
+      agents: agents.map(describeAgent),
+      dryRun: options.dryRun,
+      fixtures,
+    });
+
     // =========================================================================
     // Summary
     // =========================================================================
     const elapsed = ((Date.now() - startTime) / 1000).toFixed(1);
+    const totalCost = agents.reduce((sum, agent) => sum + agent.costTracker.totalCost, 0);
 
     console.log("\n========================================");
     console.log("Generation Complete");
@@ -316,27 +611,27 @@ async function main() {
     console.log(`Time: ${elapsed}s`);
     console.log(`Total cost: $${totalCost.toFixed(4)}`);
 
-    // List generated files
-    console.log("\nGenerated files:");
-    console.log(`  - ${PATHS.outputDir}/deck-config.json`);
+    for (const deck of decks) {
+      // List generated files
+      console.log(`\nGenerated files${deck.audience ? ` (${deck.audience.label})` : ""}:`);
+      console.log(`  - ${deck.deckConfigPath}`);
 
-    const assetFiles = fs.existsSync(assetsDir)
-      ? fs.readdirSync(assetsDir).filter((f) => f.endsWith(".png"))
-      : [];
-    for (const file of assetFiles) {
-      console.log(`  - ${PATHS.outputDir}/assets/${file}`);
-    }
+      const assetFiles = fs.existsSync(deck.assetsDir)
+        ? fs.readdirSync(deck.assetsDir).filter((f) => f.endsWith(".png"))
+        : [];
+      for (const file of assetFiles) {
+        console.log(`  - ${path.join(deck.assetsDir, file)}`);
+      }
 
-    // Show slide summary
-    const finalConfig = JSON.parse(
-      fs.readFileSync(path.join(PATHS.outputDir, "deck-config.json"), "utf-8")
-    );
-    if (finalConfig.slides) {
-      console.log("\nFinal deck slides:");
-      finalConfig.slides.forEach((slide, i) => {
-        const hasImage = slide.image ? "[img]" : "     ";
-        console.log(`  ${i + 1}. ${slide.type.padEnd(15)} ${hasImage}`);
-      });
+      // Show slide summary
+      const finalConfig = JSON.parse(fs.readFileSync(deck.deckConfigPath, "utf-8"));
+      if (finalConfig.slides) {
+        console.log("\nFinal deck slides:");
+        finalConfig.slides.forEach((slide, i) => {
+          const hasImage = slide.image ? "[img]" : "     ";
+          console.log(`  ${i + 1}. ${slide.type.padEnd(15)} ${hasImage}`);
+        });
+      }
     }
 
     if (promptLogger && promptLogger.getPrompts().length > 0) {
@@ -1,33 +1,147 @@
 #!/bin/bash
 # =============================================================================
 # Deck Generator Execution Script
-# Runs the pptxgenjs deck generator with the synthesized config
+# Runs the pptxgenjs deck generator with the synthesized config and exports a
+# PDF copy (headless LibreOffice when installed, otherwise drawn directly) and
+# a self-contained HTML web deck
+#
+# Usage:
+#   ./05-render-deck.sh                      Render output/deck-config.json
+#   ./05-render-deck.sh --audience seed-vc   Render output/deck-config.seed-vc.json
+#                                            to output/investor-deck.seed-vc.*
+#
+# --audience is repeatable and takes comma-separated names or "all" (every
+# output/deck-config.<audience>.json written by 04-generate-final.js).
 # =============================================================================
 
 set -e
 
 SCRIPT_DIR="$(cd "$(dirname "${BASH_SOURCE[0]}")" && pwd)"
-CONFIG_PATH="$SCRIPT_DIR/../output/deck-config.json"
-OUTPUT_PATH="$SCRIPT_DIR/../output/investor-deck.pptx"
+OUTPUT_DIR="$SCRIPT_DIR/../output"
 GENERATOR="$SCRIPT_DIR/../investor-deck-generator/scripts/generate-deck.js"
+SLIDE_TYPES_PATH="$SCRIPT_DIR/config/slide-types.json"
+CITATIONS_PATH="$SCRIPT_DIR/../intermediate/citations.json"
 
-echo "========================================"
-echo "Deck Generator"
-echo "========================================"
-echo "Config: $CONFIG_PATH"
-echo "Output: $OUTPUT_PATH"
-echo ""
+# Audience variants to render (none: the main deck)
+AUDIENCES=()
+while [[ $# -gt 0 ]]; do
+    case $1 in
+        --audience|--audiences)
+            if [ -z "$2" ]; then
+                echo "Error: $1 needs an audience name"
+                exit 1
+            fi
+            IFS=',' read -r -a names <<< "$2"
+            AUDIENCES+=("${names[@]}")
+            shift 2
+            ;;
+        *)
+            echo "Unknown option: $1"
+            echo "Usage: ./05-render-deck.sh [--audience <name|all>]"
+            exit 1
+            ;;
+    esac
+done
 
-# Check if config exists
-if [ ! -f "$CONFIG_PATH" ]; then
-    echo "Error: Config file not found at $CONFIG_PATH"
-    echo ""
-    echo "Run the generation steps first:"
-    echo "  node 03-synthesize-content.js"
-    echo "  node 04-generate-final.js"
-    exit 1
+# "all" renders every variant phase 4 has written
+if [[ " ${AUDIENCES[*]} " == *" all "* ]]; then
+    AUDIENCES=()
+    for variant_config in "$OUTPUT_DIR"/deck-config.*.json; do
+        [ -f "$variant_config" ] || continue
+        name=$(basename "$variant_config" .json)
+        name=${name#deck-config.}
+        # Only names an audience profile can have
+        [[ "$name" =~ ^[a-z][a-z0-9-]*$ ]] || continue
+        AUDIENCES+=("$name")
+    done
+    if [ ${#AUDIENCES[@]} -eq 0 ]; then
+        echo "Error: no audience variants in $OUTPUT_DIR"
+        echo "Write them first with: node 04-generate-final.js --audience all"
+        exit 1
+    fi
 fi
 
+# Render one deck config to PPTX, PDF and HTML
+# Arguments: file name suffix ("" for the main deck, ".seed-vc" for a variant)
+render_deck() {
+    local suffix="$1"
+    local CONFIG_PATH="$OUTPUT_DIR/deck-config$suffix.json"
+    local OUTPUT_PATH="$OUTPUT_DIR/investor-deck$suffix.pptx"
+    local PDF_PATH="$OUTPUT_DIR/investor-deck$suffix.pdf"
+    local HTML_PATH="$OUTPUT_DIR/investor-deck$suffix.html"
+
+    echo "========================================"
+    echo "Deck Generator"
+    echo "========================================"
+    echo "Config: $CONFIG_PATH"
+    echo "Output: $OUTPUT_PATH"
+    echo "PDF:    $PDF_PATH"
+    echo "Web:    $HTML_PATH"
+    echo ""
+
+    # Check if config exists
+    if [ ! -f "$CONFIG_PATH" ]; then
+        echo "Error: Config file not found at $CONFIG_PATH"
+        echo ""
+        echo "Run the generation steps first:"
+        echo "  node 03-synthesize-content.js"
+        if [ -n "$suffix" ]; then
+            echo "  node 04-generate-final.js --audience ${suffix#.}"
+        else
+            echo "  node 04-generate-final.js"
+        fi
+        exit 1
+    fi
+
+    # Run the generator
+    echo "Generating PowerPoint deck..."
+    echo ""
+
+    # Speaker notes carry the citations when phase 3 has produced them
+    GENERATOR_ARGS=(--config "$CONFIG_PATH" --output "$OUTPUT_PATH" --slide-types "$SLIDE_TYPES_PATH" --pdf "$PDF_PATH" --html "$HTML_PATH")
+    if [ -f "$CITATIONS_PATH" ]; then
+        GENERATOR_ARGS+=(--citations "$CITATIONS_PATH")
+    else
+        echo "Note: $CITATIONS_PATH not found; speaker notes will not include citations"
+    fi
+
+    node "$GENERATOR" "${GENERATOR_ARGS[@]}"
+
+    # Check result
+    if [ -f "$OUTPUT_PATH" ]; then
+        echo ""
+        echo "========================================"
+        echo "Generation complete!"
+        echo "========================================"
+
+        # File info
+        size=$(ls -lh "$OUTPUT_PATH" | awk '{print $5}')
+        echo "Output file: $OUTPUT_PATH"
+        echo "File size:   $size"
+        if [ -f "$PDF_PATH" ]; then
+            echo "PDF file:    $PDF_PATH ($(ls -lh "$PDF_PATH" | awk '{print $5}'))"
+        fi
+        if [ -f "$HTML_PATH" ]; then
+            echo "Web deck:    $HTML_PATH ($(ls -lh "$HTML_PATH" | awk '{print $5}'))"
+        fi
+
+        # Try to get slide count from config
+        if command -v jq &> /dev/null; then
+            slides=$(jq '.slides | length' "$CONFIG_PATH" 2>/dev/null || echo "unknown")
+            echo "Slides:      $slides"
+        fi
+
+        echo ""
+        echo "Open the deck with:"
+        echo "  open \"$OUTPUT_PATH\""
+    else
+        echo ""
+        echo "Error: Deck generation failed"
+        echo "Check the output above for errors"
+        exit 1
+    fi
+}
+
 # Check if generator exists
 if [ ! -f "$GENERATOR" ]; then
     echo "Error: Generator script not found at $GENERATOR"
@@ -45,36 +159,11 @@ if ! npm list pptxgenjs >/dev/null 2>&1; then
     }
 fi
 
-# Run the generator
-echo "Generating PowerPoint deck..."
-echo ""
-
-node "$GENERATOR" --config "$CONFIG_PATH" --output "$OUTPUT_PATH"
-
-# Check result
-if [ -f "$OUTPUT_PATH" ]; then
-    echo ""
-    echo "========================================"
-    echo "Generation complete!"
-    echo "========================================"
-
-    # File info
-    size=$(ls -lh "$OUTPUT_PATH" | awk '{print $5}')
-    echo "Output file: $OUTPUT_PATH"
-    echo "File size:   $size"
-
-    # Try to get slide count from config
-    if command -v jq &> /dev/null; then
-        slides=$(jq '.slides | length' "$CONFIG_PATH" 2>/dev/null || echo "unknown")
-        echo "Slides:      $slides"
-    fi
-
-    echo ""
-    echo "Open the deck with:"
-    echo "  open \"$OUTPUT_PATH\""
+if [ ${#AUDIENCES[@]} -eq 0 ]; then
+    render_deck ""
 else
-    echo ""
-    echo "Error: Deck generation failed"
-    echo "Check the output above for errors"
-    exit 1
+    for audience in "${AUDIENCES[@]}"; do
+        render_deck ".$audience"
+        echo ""
+    done
 fi
@@ -0,0 +1,141 @@
+#!/bin/bash
+# =============================================================================
+# One-Pager Execution Script
+# Writes the one-page investor summary (teaser) from the final deck config:
+# a US Letter PDF and an editable DOCX, with each section drawn from one deck
+# slide type and referenced to the sources in citations.json
+#
+# Usage:
+#   ./06-render-one-pager.sh                      Summarize output/deck-config.json
+#                                                 to output/one-pager.pdf and .docx
+#   ./06-render-one-pager.sh --format pdf         Write only the PDF (pdf, docx or both)
+#   ./06-render-one-pager.sh --audience seed-vc   Summarize output/deck-config.seed-vc.json
+#                                                 to output/one-pager.seed-vc.*
+#
+# --audience is repeatable and takes comma-separated names or "all" (every
+# output/deck-config.<audience>.json written by 04-generate-final.js).
+# =============================================================================
+
+set -e
+
+SCRIPT_DIR="$(cd "$(dirname "${BASH_SOURCE[0]}")" && pwd)"
+OUTPUT_DIR="$SCRIPT_DIR/../output"
+GENERATOR="$SCRIPT_DIR/../investor-deck-generator/scripts/generate-one-pager.js"
+SLIDE_TYPES_PATH="$SCRIPT_DIR/config/slide-types.json"
+CITATIONS_PATH="$SCRIPT_DIR/../intermediate/citations.json"
+
+FORMAT="both"
+
+# Audience variants to summarize (none: the main deck)
+AUDIENCES=()
+while [[ $# -gt 0 ]]; do
+    case $1 in
+        --format)
+            FORMAT="$2"
+            if [[ ! "$FORMAT" =~ ^(pdf|docx|both)$ ]]; then
+                echo "Error: --format must be pdf, docx or both"
+                exit 1
+            fi
+            shift 2
+            ;;
+        --audience|--audiences)
+            if [ -z "$2" ]; then
+                echo "Error: $1 needs an audience name"
+                exit 1
+            fi
+            IFS=',' read -r -a names <<< "$2"
+            AUDIENCES+=("${names[@]}")
+            shift 2
+            ;;
+        *)
+            echo "Unknown option: $1"
+            echo "Usage: ./06-render-one-pager.sh [--format pdf|docx|both] [--audience <name|all>]"
+            exit 1
+            ;;
+    esac
+done
+
+# "all" summarizes every variant phase 4 has written
+if [[ " ${AUDIENCES[*]} " == *" all "* ]]; then
+    AUDIENCES=()
+    for variant_config in "$OUTPUT_DIR"/deck-config.*.json; do
+        [ -f "$variant_config" ] || continue
+        name=$(basename "$variant_config" .json)
+        name=${name#deck-config.}
+        # Only names an audience profile can have
+        [[ "$name" =~ ^[a-z][a-z0-9-]*$ ]] || continue
+        AUDIENCES+=("$name")
+    done
+    if [ ${#AUDIENCES[@]} -eq 0 ]; then
+        echo "Error: no audience variants in $OUTPUT_DIR"
+        echo "Write them first with: node 04-generate-final.js --audience all"
+        exit 1
+    fi
+fi
+
+# Write the one-pager for one deck config
+# Arguments: file name suffix ("" for the main deck, ".seed-vc" for a variant)
+render_one_pager() {
+    local suffix="$1"
+    local CONFIG_PATH="$OUTPUT_DIR/deck-config$suffix.json"
+    local PDF_PATH="$OUTPUT_DIR/one-pager$suffix.pdf"
+    local DOCX_PATH="$OUTPUT_DIR/one-pager$suffix.docx"
+
+    echo "========================================"
+    echo "One-Pager Generator"
+    echo "========================================"
+    echo "Config: $CONFIG_PATH"
+    if [ "$FORMAT" != "docx" ]; then
+        echo "PDF:    $PDF_PATH"
+    fi
+    if [ "$FORMAT" != "pdf" ]; then
+        echo "DOCX:   $DOCX_PATH"
+    fi
+    echo ""
+
+    # Check if config exists
+    if [ ! -f "$CONFIG_PATH" ]; then
+        echo "Error: Config file not found at $CONFIG_PATH"
+        echo ""
+        echo "Run the generation steps first:"
+        echo "  node 03-synthesize-content.js"
+        if [ -n "$suffix" ]; then
+            echo "  node 04-generate-final.js --audience ${suffix#.}"
+        else
+            echo "  node 04-generate-final.js"
+        fi
+        exit 1
+    fi
+
+    GENERATOR_ARGS=(--config "$CONFIG_PATH" --slide-types "$SLIDE_TYPES_PATH")
+    if [ "$FORMAT" != "docx" ]; then
+        GENERATOR_ARGS+=(--pdf "$PDF_PATH")
+    fi
+    if [ "$FORMAT" != "pdf" ]; then
+        GENERATOR_ARGS+=(--docx "$DOCX_PATH")
+    fi
+
+    # Source references come from phase 3's citations
+    if [ -f "$CITATIONS_PATH" ]; then
+        GENERATOR_ARGS+=(--citations "$CITATIONS_PATH")
+    else
+        echo "Note: $CITATIONS_PATH not found; the one-pager will not list sources"
+    fi
+
+    node "$GENERATOR" "${GENERATOR_ARGS[@]}"
+}
+
+# Check if generator exists
+if [ ! -f "$GENERATOR" ]; then
+    echo "Error: Generator script not found at $GENERATOR"
+    exit 1
+fi
+
+if [ ${#AUDIENCES[@]} -eq 0 ]; then
+    render_one_pager ""
+else
+    for audience in "${AUDIENCES[@]}"; do
+        render_one_pager ".$audience"
+        echo ""
+    done
+fi
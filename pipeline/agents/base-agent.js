@@ -9,6 +9,7 @@
 
 const fs = require("fs");
 const path = require("path");
+const { validateSchema } = require("../utils/schema-validator");
 
 // =============================================================================
 // Cost Tracking
@@ -70,6 +71,12 @@ class CostTracker {
         "gemini-3-pro-image-preview": { input: 0.00025, output: 0.001 },
       },
     };
+
+    // Self-hosted OpenAI-compatible endpoints cost nothing per token
+    if (provider === "openai-compatible") {
+      return { input: 0, output: 0 };
+    }
+
     return rates[provider]?.[model] || { input: 0.01, output: 0.03 };
   }
 
@@ -133,9 +140,15 @@ class BaseAgent {
     this.config = config;
     this.retryAttempts = config.retryAttempts || 3;
     this.retryDelay = config.retryDelay || 1000;
+    // Round-trips that send a schema-invalid response back for correction
+    this.repairAttempts = config.repairAttempts ?? 1;
     this.costTracker = new CostTracker(config.maxCost || 50.0);
     this.verbose = config.verbose || false;
 
+    // Shared rate-limit pause: when one concurrent call is rate limited, every
+    // call made through this agent waits until this timestamp
+    this.rateLimitedUntil = 0;
+
     // Agent identification
     this.agentName = this.constructor.name;
     this.agentType = "base";
@@ -143,6 +156,10 @@ class BaseAgent {
     // Prompt logging and dry-run support
     this.promptLogger = config.promptLogger || null;
     this.dryRun = config.dryRun || false;
+
+    // LLM provider (vendor adapter, created lazily by initClient)
+    this.provider = config.provider || null;
+    this.client = null;
   }
 
   // ===========================================================================
@@ -158,6 +175,174 @@ class BaseAgent {
     throw new Error("execute() must be implemented by subclass");
   }
 
+  // ===========================================================================
+  // Provider Access
+  // ===========================================================================
+
+  /**
+   * Default model for this agent: the agent's preferred model when running on
+   * its preferred provider, otherwise the configured provider's default model
+   */
+  defaultModelFor(preferredProvider, preferredModel) {
+    if (!this.provider || this.provider === preferredProvider) {
+      return preferredModel;
+    }
+    const { getProviderInfo } = require("../providers");
+    return getProviderInfo(this.provider).defaultModel;
+  }
+
+  /**
+   * Initialize the configured provider client
+   */
+  async initClient() {
+    if (this.client) return;
+
+    // Required lazily: providers depend on the error classes in this module
+    const { createProvider } = require("../providers");
+    const fixtures = this.config.fixtures
+      ? { ...this.config.fixtures, namespace: this.agentName }
+      : null;
+    this.client = createProvider(this.provider, {
+      model: this.model,
+      baseURL: this.config.baseURL,
+      apiKeyEnv: this.config.apiKeyEnv,
+      fixtures,
+    });
+    await this.client.init();
+
+    const fixtureNote = fixtures ? ` [${fixtures.mode}]` : "";
+    this.log("info", `Initialized ${this.provider} provider with model: ${this.model}${fixtureNote}`);
+  }
+
+  /**
+   * Log a warning when a replayed fixture no longer matches its request
+   */
+  noteReplay(result, label) {
+    if (result.stale) {
+      this.log("warn", `Replayed stale fixture '${label}' (request changed since recording)`);
+    }
+  }
+
+  /**
+   * Run a text completion through the provider with retry and cost tracking
+   * @param {object} request - { system, prompt, maxTokens, temperature, label }
+   *   label names the call for record/replay fixtures (e.g. "toc")
+   * @returns {Promise<string>} - Response text
+   */
+  async callModel({ system, prompt, maxTokens = this.maxTokens, temperature = this.temperature, label }) {
+    return await this.withRetry(async () => {
+      const result = await this.client.complete({
+        system,
+        prompt,
+        maxTokens,
+        temperature,
+        label,
+      });
+      const { text, usage } = result;
+      this.noteReplay(result, label);
+
+      this.costTracker.addUsage(
+        this.provider,
+        this.model,
+        usage.inputTokens,
+        usage.outputTokens
+      );
+
+      return text;
+    });
+  }
+
+  /**
+   * Run a completion whose response must be JSON matching a schema. A response
+   * that does not parse or validate is sent back to the model with the errors,
+   * up to repairAttempts times, before the call fails.
+   * @param {object} request - callModel request plus schema: a schema name
+   *   ("synthesis-output"), "name#/json/pointer", or a schema object, and
+   *   optionally validate: (data) => string[], checks the schema cannot
+   *   express, run on schema-valid data and repaired the same way
+   * @returns {Promise<object>} - Parsed, schema-valid JSON
+   */
+  async callModelForJSON({ schema, validate, ...request }) {
+    let text = await this.callModel(request);
+
+    for (let attempt = 1; ; attempt++) {
+      const { data, errors } = this.parseAgainstSchema(text, schema);
+      if (errors.length === 0 && validate) errors.push(...validate(data));
+      if (errors.length === 0) return data;
+
+      if (attempt > this.repairAttempts) {
+        throw new ValidationError(
+          `Response for '${request.label}' failed validation:\n  - ${errors.join("\n  - ")}`,
+          errors
+        );
+      }
+
+      this.log("warn", `Response for '${request.label}' failed validation, requesting repair (${attempt}/${this.repairAttempts})`, {
+        errors: errors.slice(0, 10),
+      });
+
+      const repairPrompt = this.buildRepairPrompt(request.prompt, text, errors);
+      this.logPromptIfEnabled("repair", repairPrompt, { label: request.label, attempt });
+      text = await this.callModel({
+        ...request,
+        prompt: repairPrompt,
+        label: `${request.label}-repair-${attempt}`,
+      });
+    }
+  }
+
+  /**
+   * Parse a response and validate it; parse failures count as errors
+   * @returns {{data: object|null, errors: string[]}}
+   */
+  parseAgainstSchema(text, schema) {
+    let data;
+    try {
+      data = this.extractJSON(text);
+    } catch (error) {
+      return { data: null, errors: [error.message] };
+    }
+    return { data, errors: this.validateObject(data, schema) };
+  }
+
+  /**
+   * Repeat the original request with the rejected response and its errors
+   */
+  buildRepairPrompt(prompt, response, errors) {
+    return `${prompt}
+
+## Correction Required
+
+Your previous response did not pass validation.
+
+### Previous Response
+
+${response}
+
+### Validation Errors
+
+${errors.map((e) => `- ${e}`).join("\n")}
+
+Return the complete corrected JSON. Fix every error above and keep everything else as it was. Return ONLY valid JSON.`;
+  }
+
+  /**
+   * Prompt section carrying the user's feedback on the previous version
+   * (empty without feedback)
+   */
+  formatFeedback(feedback) {
+    if (!feedback) return "";
+    return `
+
+## Feedback on the Previous Version
+
+The user reviewed the previous version and asks for this change. Apply it while
+keeping every other instruction above:
+
+${feedback}
+`;
+  }
+
   // ===========================================================================
   // Prompt Logging & Dry-Run Support
   // ===========================================================================
@@ -189,6 +374,14 @@ class BaseAgent {
     return this.dryRun;
   }
 
+  /**
+   * Check if provider calls are served from recorded fixtures
+   * @returns {boolean}
+   */
+  isReplaying() {
+    return this.config.fixtures?.mode === "replay";
+  }
+
   /**
    * Log dry-run information
    * @param {string} operation - Description of the operation that would be performed
@@ -210,6 +403,7 @@ class BaseAgent {
 
     for (let attempt = 1; attempt <= this.retryAttempts; attempt++) {
       try {
+        await this.waitForRateLimit();
         return await fn();
       } catch (error) {
         lastError = error;
@@ -225,7 +419,15 @@ class BaseAgent {
           );
 
           if (attempt < this.retryAttempts) {
-            await this.delay(this.retryDelay * Math.pow(2, attempt - 1));
+            const backoff = this.retryDelay * Math.pow(2, attempt - 1);
+            if (this.isRateLimit(error)) {
+              // Pause every in-flight caller, not just this one
+              const pause = this.getRetryAfterMs(error) || backoff;
+              this.rateLimitedUntil = Math.max(this.rateLimitedUntil, Date.now() + pause);
+              this.log("warn", `Rate limited, pausing all calls for ${Math.ceil(pause / 1000)}s`);
+            } else {
+              await this.delay(backoff);
+            }
           }
         } else {
           // Non-retryable error, throw immediately
@@ -245,6 +447,39 @@ class BaseAgent {
     );
   }
 
+  /**
+   * Wait out a rate-limit pause set by any concurrent call
+   */
+  async waitForRateLimit() {
+    const waitTime = this.rateLimitedUntil - Date.now();
+    if (waitTime > 0) {
+      this.log("debug", `Rate limit pause: waiting ${waitTime}ms`);
+      await this.delay(waitTime);
+    }
+  }
+
+  /**
+   * Determine if an error is a rate-limit response (HTTP 429)
+   */
+  isRateLimit(error) {
+    if (error.status === 429 || error.code === "rate_limit_exceeded") {
+      return true;
+    }
+    const messageLower = (error.message || "").toLowerCase();
+    return messageLower.includes("rate limit") || messageLower.includes("429");
+  }
+
+  /**
+   * Read the server's Retry-After hint from an SDK error, in milliseconds
+   */
+  getRetryAfterMs(error) {
+    const headers = error.headers || {};
+    const value =
+      typeof headers.get === "function" ? headers.get("retry-after") : headers["retry-after"];
+    const seconds = Number(value);
+    return Number.isFinite(seconds) && seconds > 0 ? seconds * 1000 : 0;
+  }
+
   /**
    * Determine if an error is retryable
    */
@@ -263,6 +498,7 @@ class BaseAgent {
     const retryableMessages = [
       "timeout",
       "rate limit",
+      "429",
       "overloaded",
       "503",
       "502",
@@ -274,6 +510,10 @@ class BaseAgent {
       return true;
     }
 
+    if (this.isRateLimit(error)) {
+      return true;
+    }
+
     const messageLower = (error.message || "").toLowerCase();
     return retryableMessages.some((msg) => messageLower.includes(msg));
   }
@@ -290,62 +530,34 @@ class BaseAgent {
   // ===========================================================================
 
   /**
-   * Validate input against a schema
+   * Validate input against a schema (name, "name#/json/pointer", or object)
    */
   validateInput(input, schema) {
-    const errors = this.validateObject(input, schema, "input");
+    const errors = this.validateObject(input, schema);
     if (errors.length > 0) {
-      throw new ValidationError("Input validation failed", errors);
+      throw new ValidationError(`Input validation failed:\n  - ${errors.join("\n  - ")}`, errors);
     }
     return true;
   }
 
   /**
-   * Validate output against a schema
+   * Validate output against a schema (name, "name#/json/pointer", or object)
    */
   validateOutput(output, schema) {
-    const errors = this.validateObject(output, schema, "output");
+    const errors = this.validateObject(output, schema);
     if (errors.length > 0) {
-      throw new ValidationError("Output validation failed", errors);
+      throw new ValidationError(`Output validation failed:\n  - ${errors.join("\n  - ")}`, errors);
     }
     return true;
   }
 
   /**
-   * Simple schema validation (can be extended with ajv for full JSON Schema)
+   * JSON Schema validation with Ajv (schemas live in config/schemas/)
+   * @returns {string[]} - One line per problem, empty when valid
    */
-  validateObject(obj, schema, context = "") {
-    const errors = [];
-
-    if (!schema) return errors;
-
-    // Check required fields
-    if (schema.required) {
-      for (const field of schema.required) {
-        if (obj[field] === undefined || obj[field] === null) {
-          errors.push(`${context}.${field} is required`);
-        }
-      }
-    }
-
-    // Check field types
-    if (schema.properties) {
-      for (const [field, fieldSchema] of Object.entries(schema.properties)) {
-        if (obj[field] !== undefined) {
-          const fieldType = Array.isArray(obj[field])
-            ? "array"
-            : typeof obj[field];
-
-          if (fieldSchema.type && fieldType !== fieldSchema.type) {
-            errors.push(
-              `${context}.${field} should be ${fieldSchema.type}, got ${fieldType}`
-            );
-          }
-        }
-      }
-    }
-
-    return errors;
+  validateObject(obj, schema) {
+    if (!schema) return [];
+    return validateSchema(obj, schema).errors;
   }
 
   // ===========================================================================
@@ -4,31 +4,22 @@
  * =============================================================================
  *
  * Phase 2: Context Classification Agent
- * Uses Claude to analyze extracted PDF content and classify relevance to slide types.
+ * Uses Claude (or any configured provider) to analyze extracted PDF content and
+ * classify relevance to slide types.
  */
 
-const { BaseAgent, AgentError } = require("./base-agent");
+const { BaseAgent } = require("./base-agent");
+const { mapWithConcurrency } = require("../utils/worker-pool");
+const { chunkMarkdown } = require("../utils/markdown-chunker");
+const { loadSlideTypes } = require("../utils/slide-types");
+const { loadFacts, formatFact, factsFingerprint } = require("../utils/fact-book");
+const crypto = require("crypto");
 const fs = require("fs");
 const path = require("path");
 
-// =============================================================================
-// Slide Types Definition
-// =============================================================================
-
-const SLIDE_TYPES = [
-  "title",
-  "purpose",
-  "problem",
-  "solution",
-  "whyNow",
-  "marketSize",
-  "competition",
-  "product",
-  "businessModel",
-  "traction",
-  "team",
-  "ask",
-];
+// Model responses are checked against definitions in classified-context.schema.json
+const TOC_SCHEMA = "classified-context#/definitions/tableOfContents";
+const CLASSIFICATION_SCHEMA = "classified-context#/definitions/documentClassification";
 
 // =============================================================================
 // Claude Classifier Agent
@@ -38,39 +29,34 @@ class ClaudeClassifier extends BaseAgent {
   constructor(config = {}) {
     super(config);
     this.agentType = "classifier";
-    this.provider = "anthropic";
-    this.model = config.model || "claude-sonnet-4-20250514";
+    this.provider = config.provider || "anthropic";
+    this.model = config.model || this.defaultModelFor("anthropic", "claude-sonnet-4-20250514");
     this.maxTokens = config.maxTokens || 8192;
-    this.client = null;
-  }
+    this.temperature = config.temperature;
 
-  /**
-   * Initialize the Anthropic client
-   */
-  async initClient() {
-    if (this.client) return;
+    // Slide types come from the registry (config/slide-types.json)
+    this.slideTypes = loadSlideTypes();
+    this.slideTypeNames = this.slideTypes.map((t) => t.type);
 
-    if (!process.env.ANTHROPIC_API_KEY) {
-      throw new AgentError(
-        "ANTHROPIC_API_KEY environment variable is required.\n" +
-          "Set it with: export ANTHROPIC_API_KEY='your-api-key'"
-      );
-    }
+    // Maximum documents classified in parallel
+    this.concurrency = Math.max(1, parseInt(config.concurrency, 10) || 4);
 
-    // Dynamic import for ES module
-    const Anthropic = (await import("@anthropic-ai/sdk")).default;
-    this.client = new Anthropic({
-      apiKey: process.env.ANTHROPIC_API_KEY,
-    });
+    // Longer documents are split on section headings and classified per chunk
+    this.maxChunkChars = parseInt(config.maxChunkChars, 10) || 100000; // ~25K tokens
+
+    // Per-document classification cache (disable with cache: false)
+    this.useCache = config.cache !== false;
+    this.cacheStats = { hits: 0, misses: 0 };
 
-    this.log("info", `Initialized Claude client with model: ${this.model}`);
+    // Facts pinned in user-inputs/facts.json (loaded in execute)
+    this.pinnedFacts = [];
   }
 
   /**
    * Main execution method
    */
   async execute(input) {
-    const { extractedTextsDir, storyPath, styleGuidePath, outputDir } = input;
+    const { extractedTextsDir, storyPath, styleGuidePath, factsPath, outputDir } = input;
 
     this.log("info", "Starting context classification...");
 
@@ -82,6 +68,10 @@ class ClaudeClassifier extends BaseAgent {
     // Load user inputs
     const story = this.loadText(storyPath);
     const styleGuide = this.loadText(styleGuidePath);
+    this.pinnedFacts = loadFacts(factsPath);
+    if (this.pinnedFacts.length > 0) {
+      this.log("info", `Pinned facts: ${this.pinnedFacts.length}`);
+    }
 
     // Load system prompt
     const systemPromptPath = path.join(
@@ -90,26 +80,44 @@ class ClaudeClassifier extends BaseAgent {
     );
     const systemPrompt = this.loadText(systemPromptPath);
 
-    // Get list of extracted text files
+    // Get list of extracted text files (sorted so output order is stable)
     const textFiles = fs
       .readdirSync(extractedTextsDir)
       .filter((f) => f.endsWith(".txt"))
+      .sort()
       .map((f) => path.join(extractedTextsDir, f));
 
     this.log("info", `Found ${textFiles.length} documents to classify`);
 
-    // Phase 1: Generate Table of Contents
+    const cachePath = path.join(outputDir, "classification-cache.json");
+    const cache = this.loadClassificationCache(cachePath);
+
+    // Phase 1: Generate Table of Contents (reused while the document set is unchanged)
     this.log("info", "Phase 1: Generating Table of Contents...");
-    const tableOfContents = await this.generateTableOfContents(textFiles, outputDir);
+    const tocCacheKey = this.buildTOCCacheKey(textFiles);
+    let tableOfContents;
+    if (
+      cache.toc &&
+      cache.toc.cacheKey === tocCacheKey &&
+      this.validateObject(cache.toc.tableOfContents, TOC_SCHEMA).length === 0
+    ) {
+      this.log("info", "Cached: table of contents");
+      tableOfContents = cache.toc.tableOfContents;
+    } else {
+      tableOfContents = await this.generateTableOfContents(textFiles, outputDir);
+      cache.toc = { cacheKey: tocCacheKey, tableOfContents };
+      this.saveClassificationCache(cachePath, cache);
+    }
     this.saveJSON(path.join(outputDir, "table-of-contents.json"), tableOfContents);
     this.log("info", `TOC generated with ${tableOfContents.documents.length} documents`);
 
-    // Phase 2: Classify each document with TOC context
-    this.log("info", "Phase 2: Classifying documents with TOC context...");
-    const classifications = [];
-    for (const filePath of textFiles) {
+    // Phase 2: Classify documents with TOC context (bounded worker pool)
+    this.log(
+      "info",
+      `Phase 2: Classifying documents with TOC context (concurrency: ${this.concurrency})...`
+    );
+    const results = await mapWithConcurrency(textFiles, this.concurrency, async (filePath) => {
       const filename = path.basename(filePath);
-      this.log("info", `Classifying: ${filename}`);
 
       try {
         const content = this.loadText(filePath);
@@ -117,9 +125,24 @@ class ClaudeClassifier extends BaseAgent {
         // Skip empty files
         if (content.trim().length < 100) {
           this.log("warn", `Skipping ${filename}: too short (${content.length} chars)`);
-          continue;
+          return null;
         }
 
+        // Reuse the cached result when neither the document nor its inputs changed
+        const cacheKey = this.buildCacheKey(content, story, styleGuide, systemPrompt);
+        // Entries written before schema validation must still pass it
+        const cached = cache.entries[filename];
+        if (
+          cached &&
+          cached.cacheKey === cacheKey &&
+          this.validateObject(cached.classification, CLASSIFICATION_SCHEMA).length === 0
+        ) {
+          this.log("info", `Cached: ${filename}`);
+          this.cacheStats.hits++;
+          return cached.classification;
+        }
+
+        this.log("info", `Classifying: ${filename}`);
         const classification = await this.classifySingleDocument(
           filename,
           content,
@@ -129,20 +152,41 @@ class ClaudeClassifier extends BaseAgent {
           tableOfContents
         );
 
-        classifications.push(classification);
+        this.cacheStats.misses++;
+
+        // Persist after every document so an interrupted run keeps its progress
+        cache.entries[filename] = {
+          cacheKey,
+          cachedAt: new Date().toISOString(),
+          classification,
+        };
+        this.saveClassificationCache(cachePath, cache);
+
+        return classification;
       } catch (error) {
         this.log("error", `Failed to classify ${filename}`, {
           error: error.message,
         });
+        return null;
       }
-    }
+    });
+
+    // Drop skipped/failed documents; order still follows textFiles
+    const classifications = results.filter(Boolean);
 
     // Merge classifications into slide-organized structure
     const result = this.mergeClassifications(classifications, story, styleGuide);
+    result.metadata.cache = { ...this.cacheStats };
+
+    if (this.useCache && !this.shouldSkipAPICall()) {
+      this.log("info", `Cache: ${this.cacheStats.hits} reused, ${this.cacheStats.misses} classified`);
+    }
 
     // Add TOC reference to result
     result.tableOfContents = tableOfContents;
 
+    this.validateOutput(result, "classified-context");
+
     // Save outputs
     this.saveJSON(path.join(outputDir, "classified-context.json"), result);
     this.saveJSON(
@@ -156,6 +200,72 @@ class ClaudeClassifier extends BaseAgent {
     return result;
   }
 
+  /**
+   * Cache key for a document: content hash plus the story/style digests used in
+   * classified-context metadata, the system prompt, the model, the slide types,
+   * chunk size and pinned facts (when there are any)
+   */
+  buildCacheKey(content, story, styleGuide, systemPrompt) {
+    const contentHash = crypto.createHash("sha256").update(content).digest("hex");
+    return [
+      contentHash,
+      this.hashString(story).substring(0, 8),
+      this.hashString(styleGuide).substring(0, 8),
+      this.hashString(systemPrompt).substring(0, 8),
+      `${this.provider}/${this.model}`,
+      this.hashString(this.slideTypeNames.join(",")).substring(0, 8),
+      `chunk${this.maxChunkChars}`,
+      ...(this.pinnedFacts.length > 0
+        ? [`facts${this.hashString(factsFingerprint(this.pinnedFacts)).substring(0, 8)}`]
+        : []),
+    ].join(":");
+  }
+
+  /**
+   * Cache key for the table of contents: every document's name and content hash
+   */
+  buildTOCCacheKey(textFiles) {
+    const hash = crypto.createHash("sha256");
+    for (const filePath of [...textFiles].sort()) {
+      hash.update(path.basename(filePath));
+      hash.update(crypto.createHash("sha256").update(this.loadText(filePath)).digest("hex"));
+    }
+    return `${hash.digest("hex")}:${this.provider}/${this.model}`;
+  }
+
+  /**
+   * Load the per-document classification cache (empty when disabled or missing)
+   */
+  loadClassificationCache(cachePath) {
+    const empty = { version: 1, entries: {} };
+
+    // Dry-run mocks must never be read from or written to the cache
+    if (!this.useCache || this.shouldSkipAPICall() || !fs.existsSync(cachePath)) {
+      return empty;
+    }
+
+    try {
+      const cache = this.loadJSON(cachePath);
+      return cache.version === 1 && cache.entries ? cache : empty;
+    } catch (error) {
+      this.log("warn", `Ignoring unreadable classification cache: ${error.message}`);
+      return empty;
+    }
+  }
+
+  /**
+   * Save the per-document classification cache
+   */
+  saveClassificationCache(cachePath, cache) {
+    if (!this.useCache || this.shouldSkipAPICall()) return;
+
+    const dir = path.dirname(cachePath);
+    if (!fs.existsSync(dir)) {
+      fs.mkdirSync(dir, { recursive: true });
+    }
+    fs.writeFileSync(cachePath, JSON.stringify(cache, null, 2));
+  }
+
   /**
    * Generate a Table of Contents by analyzing all documents
    * This provides context for the classifier about the full document set
@@ -194,12 +304,9 @@ class ClaudeClassifier extends BaseAgent {
       return this.generateMockTOC(documents);
     }
 
-    // Call Claude to analyze and categorize documents
-    const response = await this.withRetry(async () => {
-      const result = await this.client.messages.create({
-        model: this.model,
-        max_tokens: 4096,
-        system: `You are a document analyst. Analyze the provided document previews and create a structured table of contents that categorizes each document by type and content.
+    // Call the model to analyze and categorize documents
+    const toc = await this.callModelForJSON({
+      system: `You are a document analyst. Analyze the provided document previews and create a structured table of contents that categorizes each document by type and content.
 
 Your output must be valid JSON with this structure:
 {
@@ -209,19 +316,8 @@ Your output must be valid JSON with this structure:
       "documentType": "pitch_deck|financial_model|market_research|product_docs|team_info|legal|press|other",
       "contentCategory": "Brief category description",
       "keyTopics": ["topic1", "topic2"],
-        "estimatedRelevance": {
-          "title": 0.0-1.0,
-          "purpose": 0.0-1.0,
-          "problem": 0.0-1.0,
-          "solution": 0.0-1.0,
-          "whyNow": 0.0-1.0,
-          "marketSize": 0.0-1.0,
-          "competition": 0.0-1.0,
-          "product": 0.0-1.0,
-        "businessModel": 0.0-1.0,
-        "traction": 0.0-1.0,
-        "team": 0.0-1.0,
-        "ask": 0.0-1.0
+      "estimatedRelevance": {
+${this.slideTypeNames.map((type) => `        "${type}": 0.0-1.0`).join(",\n")}
       },
       "summary": "1-2 sentence summary of document content"
     }
@@ -233,21 +329,12 @@ Your output must be valid JSON with this structure:
   },
   "recommendedProcessingOrder": ["filename1.txt", "filename2.txt"]
 }`,
-        messages: [{ role: "user", content: tocPrompt }],
-      });
-
-      // Track costs
-      const inputTokens = result.usage?.input_tokens || 0;
-      const outputTokens = result.usage?.output_tokens || 0;
-      this.costTracker.addUsage(this.provider, this.model, inputTokens, outputTokens);
-
-      return result;
+      prompt: tocPrompt,
+      maxTokens: 4096,
+      label: "toc",
+      schema: TOC_SCHEMA,
     });
 
-    // Extract JSON from response
-    const responseText = response.content[0].text;
-    const toc = this.extractJSON(responseText);
-
     // Add metadata
     toc.generatedAt = new Date().toISOString();
     toc.totalDocuments = documents.length;
@@ -304,20 +391,7 @@ Return ONLY valid JSON.`;
         documentType: "other",
         contentCategory: "[DRY-RUN] Mock category",
         keyTopics: ["[DRY-RUN] mock topic"],
-        estimatedRelevance: {
-          title: 0.5,
-          purpose: 0.5,
-          problem: 0.5,
-          solution: 0.5,
-          whyNow: 0.5,
-          marketSize: 0.5,
-          competition: 0.5,
-          product: 0.5,
-          businessModel: 0.5,
-          traction: 0.5,
-          team: 0.5,
-          ask: 0.5,
-        },
+        estimatedRelevance: Object.fromEntries(this.slideTypeNames.map((type) => [type, 0.5])),
         summary: `[DRY-RUN] Mock summary for ${doc.filename}`,
       })),
       overallCoverage: {
@@ -335,51 +409,76 @@ Return ONLY valid JSON.`;
   }
 
   /**
-   * Classify a single document
+   * Classify a single document. Documents longer than maxChunkChars are split
+   * on section headings, each chunk is classified on its own, and the results
+   * are merged back into one classification.
    */
   async classifySingleDocument(filename, content, systemPrompt, story, styleGuide, tableOfContents = null) {
-    // Truncate content if too long (leave room for prompt and response)
-    const maxContentLength = 100000; // ~25K tokens
-    const truncatedContent = this.truncateText(content, maxContentLength);
+    const chunks = chunkMarkdown(content, this.maxChunkChars);
+
+    if (chunks.length === 1) {
+      return this.classifyChunk(filename, content, systemPrompt, story, styleGuide, tableOfContents);
+    }
+
+    this.log("info", `Splitting ${filename} into ${chunks.length} chunks`, {
+      chars: content.length,
+      maxChunkChars: this.maxChunkChars,
+    });
 
+    // Chunks run one after another; parallelism stays at the document level
+    const chunkResults = [];
+    for (const chunk of chunks) {
+      chunkResults.push(
+        await this.classifyChunk(
+          filename,
+          chunk.text,
+          systemPrompt,
+          story,
+          styleGuide,
+          tableOfContents,
+          { ...chunk, total: chunks.length }
+        )
+      );
+    }
+
+    return this.mergeChunkClassifications(filename, chunks, chunkResults);
+  }
+
+  /**
+   * Classify a whole document, or one chunk of it
+   * @param {object|null} chunk - { index, total, headings } when chunked
+   */
+  async classifyChunk(filename, content, systemPrompt, story, styleGuide, tableOfContents, chunk = null) {
     const userPrompt = this.buildUserPrompt(
       filename,
-      truncatedContent,
+      content,
       story,
       styleGuide,
-      tableOfContents
+      tableOfContents,
+      chunk
     );
+    const callName = chunk ? `${filename}#${chunk.index}` : filename;
 
     // Log prompts for debugging/auditing
     this.logPromptIfEnabled("system", systemPrompt);
-    this.logPromptIfEnabled("user", userPrompt, { documentFilename: filename });
+    this.logPromptIfEnabled("user", userPrompt, {
+      documentFilename: filename,
+      ...(chunk && { chunk: `${chunk.index}/${chunk.total}` }),
+    });
 
     // Check for dry-run mode
     if (this.shouldSkipAPICall()) {
-      this.logDryRun(`classify ${filename}`, this.estimateTokens(userPrompt));
+      this.logDryRun(`classify ${callName}`, this.estimateTokens(userPrompt));
       return this.generateMockClassification(filename);
     }
 
-    const response = await this.withRetry(async () => {
-      const result = await this.client.messages.create({
-        model: this.model,
-        max_tokens: this.maxTokens,
-        system: systemPrompt,
-        messages: [{ role: "user", content: userPrompt }],
-      });
-
-      // Track costs
-      const inputTokens = result.usage?.input_tokens || 0;
-      const outputTokens = result.usage?.output_tokens || 0;
-      this.costTracker.addUsage(this.provider, this.model, inputTokens, outputTokens);
-
-      return result;
+    const classification = await this.callModelForJSON({
+      system: systemPrompt,
+      prompt: userPrompt,
+      label: `classify-${callName}`,
+      schema: CLASSIFICATION_SCHEMA,
     });
 
-    // Extract JSON from response
-    const responseText = response.content[0].text;
-    const classification = this.extractJSON(responseText);
-
     // Add filename to classification
     classification.documentAnalysis = classification.documentAnalysis || {};
     classification.documentAnalysis.filename = filename;
@@ -387,10 +486,98 @@ Return ONLY valid JSON.`;
     return classification;
   }
 
+  /**
+   * Merge per-chunk classifications of one document. Scores take the best
+   * chunk, extracted content is concatenated and deduplicated with chunk
+   * provenance, and an item only stays in missingCritical if no chunk found it.
+   */
+  mergeChunkClassifications(filename, chunks, chunkResults) {
+    const slideRelevance = {};
+    const conflicts = [];
+    const seenConflicts = new Set();
+
+    chunkResults.forEach((result, i) => {
+      const chunk = chunks[i];
+      const provenance = {
+        index: chunk.index,
+        total: chunks.length,
+        section: chunk.headings[0] || null,
+      };
+
+      for (const [slideType, slideData] of Object.entries(result.slideRelevance || {})) {
+        const merged = (slideRelevance[slideType] = slideRelevance[slideType] || {
+          score: 0,
+          extractedContent: [],
+          chunkScores: {},
+        });
+        const score = slideData?.score || 0;
+
+        merged.score = Math.max(merged.score, score);
+        merged.chunkScores[chunk.index] = score;
+
+        // The same fact often recurs (summary and body); keep its first occurrence
+        for (const item of slideData?.extractedContent || []) {
+          const duplicate = merged.extractedContent.find(
+            (c) => c.type === item.type && c.content === item.content
+          );
+          if (!duplicate) {
+            merged.extractedContent.push({ ...item, chunk: provenance });
+          } else if ((item.confidence || 0) > (duplicate.confidence || 0)) {
+            duplicate.confidence = item.confidence;
+          }
+        }
+      }
+
+      for (const conflict of result.conflicts || []) {
+        const key = JSON.stringify(conflict);
+        if (!seenConflicts.has(key)) {
+          seenConflicts.add(key);
+          conflicts.push(conflict);
+        }
+      }
+    });
+
+    const missingCritical = chunkResults
+      .map((r) => r.missingCritical || [])
+      .reduce((common, list) => common.filter((item) => list.includes(item)));
+
+    return {
+      documentAnalysis: {
+        ...(chunkResults[0].documentAnalysis || {}),
+        filename,
+        chunks: chunks.map((chunk) => ({
+          index: chunk.index,
+          headings: chunk.headings,
+          start: chunk.start,
+          end: chunk.end,
+        })),
+      },
+      slideRelevance,
+      conflicts,
+      missingCritical,
+    };
+  }
+
+  /**
+   * Prompt section for the user's pinned facts (empty without any)
+   */
+  formatPinnedFacts() {
+    if (this.pinnedFacts.length === 0) return "";
+    return `
+## Pinned Facts
+
+The user has confirmed these facts (user-inputs/facts.json). They are known, so
+never list them in missingCritical. Where this document states a different
+value, extract it as usual and report a conflict that names the pinned value.
+
+${this.pinnedFacts.map((f) => `- ${formatFact(f)}`).join("\n")}
+`;
+  }
+
   /**
    * Build user prompt for classification
    */
-  buildUserPrompt(filename, content, story, styleGuide, tableOfContents = null) {
+  buildUserPrompt(filename, content, story, styleGuide, tableOfContents = null, chunk = null) {
     // Build TOC context section if available
     let tocContext = "";
     if (tableOfContents && tableOfContents.documents) {
@@ -429,16 +616,29 @@ Use this context to:
 `;
     }
 
+    // Tell the model it is seeing one part of a longer document
+    let chunkContext = "";
+    if (chunk) {
+      const sections = chunk.headings.length > 0 ? ` (sections: ${chunk.headings.join("; ")})` : "";
+      chunkContext = `
+**Part:** ${chunk.index} of ${chunk.total}${sections}
+
+This is one part of a longer document. Classify only the content shown here;
+the other parts are classified separately and merged. Score relevance and list
+missingCritical for this part alone.
+`;
+    }
+
     return `
 ## Document to Classify
 
 **Filename:** ${filename}
-
+${chunkContext}
 **Content:**
 \`\`\`
 ${content}
 \`\`\`
-${tocContext}
+${tocContext}${this.formatPinnedFacts()}
 ## User's Desired Story Arc
 
 ${story}
@@ -451,7 +651,7 @@ ${styleGuide}
 
 Analyze this document and return a JSON object with:
 1. Document analysis metadata
-2. Relevance scores (0-1) for each of the 12 slide types
+2. Relevance scores (0-1) for each of the ${this.slideTypes.length} slide types listed below
 3. Extracted content for each relevant slide type
 4. Any conflicts or missing critical information
 
@@ -461,6 +661,11 @@ Focus on extracting:
 - Facts that support the user's desired narrative
 - Data points with source attribution
 
+## Slide Types
+
+Use exactly these keys in slideRelevance:
+${this.slideTypes.map((t) => `- **${t.type}**: ${t.description || t.type}`).join("\n")}
+
 Return ONLY valid JSON wrapped in \`\`\`json code blocks.
 `;
   }
@@ -483,7 +688,7 @@ Return ONLY valid JSON wrapped in \`\`\`json code blocks.
     };
 
     // Initialize slide structures
-    for (const slideType of SLIDE_TYPES) {
+    for (const slideType of this.slideTypeNames) {
       result.slides[slideType] = {
         relevantSources: [],
         allContent: [],
@@ -501,7 +706,7 @@ Return ONLY valid JSON wrapped in \`\`\`json code blocks.
       const filename = classification.documentAnalysis?.filename || "unknown";
 
       // Process slide relevance
-      for (const slideType of SLIDE_TYPES) {
+      for (const slideType of this.slideTypeNames) {
         const slideData = classification.slideRelevance?.[slideType];
         if (!slideData) continue;
 
@@ -536,14 +741,18 @@ Return ONLY valid JSON wrapped in \`\`\`json code blocks.
         }
       }
 
-      // Collect conflicts
-      if (classification.conflicts && classification.conflicts.length > 0) {
-        result.globalConflicts.push(...classification.conflicts);
+      // Collect conflicts, noting the document that reported them
+      for (const conflict of classification.conflicts || []) {
+        result.globalConflicts.push(
+          typeof conflict === "string"
+            ? { description: conflict, sources: [filename] }
+            : { ...conflict, sources: conflict.sources?.length ? conflict.sources : [filename] }
+        );
       }
     }
 
     // Calculate data quality metrics for each slide
-    for (const slideType of SLIDE_TYPES) {
+    for (const slideType of this.slideTypeNames) {
       const slide = result.slides[slideType];
       const sources = slide.relevantSources;
 
@@ -565,6 +774,7 @@ Return ONLY valid JSON wrapped in \`\`\`json code blocks.
 
     // Perform aggregate gap analysis - what's ACTUALLY missing across all documents
     result.missingCritical = this.analyzeAggregateGaps(result.slides);
+    result.metadata.pinnedFacts = this.pinnedFacts.length;
 
     return result;
   }
@@ -576,20 +786,13 @@ Return ONLY valid JSON wrapped in \`\`\`json code blocks.
   analyzeAggregateGaps(slides) {
     const gaps = [];
 
-    // Define critical requirements for each slide type
-    const criticalRequirements = {
-      title: ["company_name", "tagline"],
-      problem: ["pain_point", "statistic"],
-      solution: ["value_proposition", "feature"],
-      whyNow: ["timing_factor", "trend"],
-      marketSize: ["tam", "sam", "market_size", "market"],
-      competition: ["competitor", "differentiation"],
-      product: ["feature", "capability"],
-      businessModel: ["revenue_model", "pricing", "unit_economics"],
-      traction: ["metric", "milestone", "customer"],
-      team: ["founder", "executive", "background", "bio"],
-      ask: ["funding_amount", "use_of_funds"],
-    };
+    // Critical requirements per slide type come from the registry; types
+    // without requirements are never reported as gaps
+    const criticalRequirements = Object.fromEntries(
+      this.slideTypes
+        .filter((t) => (t.criticalRequirements || []).length > 0)
+        .map((t) => [t.type, t.criticalRequirements])
+    );
 
     // Check each slide type for missing content
     for (const [slideType, requirements] of Object.entries(criticalRequirements)) {
@@ -599,9 +802,11 @@ Return ONLY valid JSON wrapped in \`\`\`json code blocks.
       const contentTypes = slide.allContent.map((c) =>
         (c.type || "").toLowerCase()
       );
-      const contentText = slide.allContent.map((c) =>
-        (c.content || "").toLowerCase()
-      ).join(" ");
+      // Pinned facts count as known content for every slide, by key and label
+      const contentText = [
+        ...slide.allContent.map((c) => c.content || ""),
+        ...this.pinnedFacts.map((f) => `${f.key.replace(/([a-z])([A-Z])/g, "$1 $2").replace(/_/g, " ")} ${f.label || ""}`),
+      ].join(" ").toLowerCase();
 
       // Check if we have any relevant content
       const hasContent = slide.allContent.length > 0;
@@ -636,7 +841,7 @@ Return ONLY valid JSON wrapped in \`\`\`json code blocks.
   buildRelevanceMatrix(classifications) {
     const matrix = {
       documents: [],
-      slideTypes: SLIDE_TYPES,
+      slideTypes: this.slideTypeNames,
       scores: [],
     };
 
@@ -645,7 +850,7 @@ Return ONLY valid JSON wrapped in \`\`\`json code blocks.
       matrix.documents.push(filename);
 
       const row = {};
-      for (const slideType of SLIDE_TYPES) {
+      for (const slideType of this.slideTypeNames) {
         row[slideType] = classification.slideRelevance?.[slideType]?.score || 0;
       }
       matrix.scores.push(row);
@@ -672,12 +877,12 @@ Return ONLY valid JSON wrapped in \`\`\`json code blocks.
    */
   generateMockClassification(filename) {
     const slideRelevance = {};
-    for (const slideType of SLIDE_TYPES) {
+    for (const slideType of this.slideTypeNames) {
       slideRelevance[slideType] = {
         score: 0.5,
         extractedContent: [
           {
-            type: "mock",
+            type: "other",
             content: `[DRY-RUN] Mock content for ${slideType} from ${filename}`,
             confidence: 0.5,
           },
@@ -703,4 +908,4 @@ Return ONLY valid JSON wrapped in \`\`\`json code blocks.
 // Exports
 // =============================================================================
 
-module.exports = { ClaudeClassifier, SLIDE_TYPES };
+module.exports = { ClaudeClassifier };
@@ -0,0 +1,204 @@
+/**
+ * =============================================================================
+ * Claude Critic Agent
+ * =============================================================================
+ *
+ * Phase 3: Slide Review Agent
+ * Uses Claude (or any configured provider) to score synthesized slides against
+ * the style guide and story arc on clarity, specificity, evidence and
+ * narrative fit. Slides scoring below the threshold are sent back to the
+ * synthesizer with the critique (see 03-critique-slides.js).
+ */
+
+const { BaseAgent, ValidationError } = require("./base-agent");
+const { loadSlideTypes } = require("../utils/slide-types");
+const crypto = require("crypto");
+const path = require("path");
+
+// Criteria scored from 1 to 10; a slide's overall score is their mean
+const CRITERIA = ["clarity", "specificity", "evidence", "narrativeFit"];
+
+// =============================================================================
+// Claude Critic Agent
+// =============================================================================
+
+class ClaudeCritic extends BaseAgent {
+  constructor(config = {}) {
+    super(config);
+    this.agentType = "critic";
+    this.provider = config.provider || "anthropic";
+    this.model = config.model || this.defaultModelFor("anthropic", "claude-sonnet-4-20250514");
+    this.maxTokens = config.maxTokens || 8192;
+    this.temperature = config.temperature ?? 0.2;
+
+    // Slide types come from the registry (config/slide-types.json)
+    this.slideTypes = loadSlideTypes();
+  }
+
+  /**
+   * Main execution method
+   * @param {object} input - { synthesisOutputPath, storyPath, styleGuidePath, slides,
+   *   label } (label names the call for record/replay fixtures, one per round)
+   * @returns {Promise<Array<object>>} - One review per slide:
+   *   { type, scores, overall, critique, suggestions }
+   */
+  async execute(input) {
+    const { synthesisOutputPath, storyPath, styleGuidePath, slides = null, label = "critique" } = input;
+
+    // Initialize client unless dry-run mode is active
+    if (!this.shouldSkipAPICall()) {
+      await this.initClient();
+    }
+
+    // Load inputs
+    const synthesisOutput = this.loadJSON(synthesisOutputPath);
+    const story = this.loadText(storyPath);
+    const styleGuide = this.loadText(styleGuidePath);
+
+    // Backup slides are reference material and are not scored
+    const reviewed = (synthesisOutput.slides || []).filter((s) => (slides ? slides.includes(s.type) : !s.appendix));
+    if (reviewed.length === 0) {
+      throw new ValidationError(`No slides to review in ${synthesisOutputPath}`);
+    }
+    this.log("info", `Reviewing slides: ${reviewed.map((s) => s.type).join(", ")}`);
+
+    // Load system prompt
+    const systemPromptPath = path.join(__dirname, "../config/agent-prompts/critic-system.md");
+    const systemPrompt = this.loadText(systemPromptPath);
+
+    const userPrompt = this.buildUserPrompt(synthesisOutput, reviewed, story, styleGuide);
+
+    this.logPromptIfEnabled("system", systemPrompt);
+    this.logPromptIfEnabled("user", userPrompt);
+
+    let response;
+    if (this.shouldSkipAPICall()) {
+      this.logDryRun("critique slides", this.estimateTokens(systemPrompt) + this.estimateTokens(userPrompt));
+      response = this.generateMockCritique(reviewed);
+    } else {
+      response = await this.callModelForJSON({
+        system: systemPrompt,
+        prompt: userPrompt,
+        label,
+        schema: "critique",
+      });
+    }
+
+    return this.collectReviews(response, reviewed);
+  }
+
+  /**
+   * Build the review prompt: story arc, style guide, the deck outline for
+   * narrative context, and the full content of the slides under review
+   */
+  buildUserPrompt(synthesisOutput, reviewed, story, styleGuide) {
+    const outline = (synthesisOutput.slides || [])
+      .map((s, i) => `${i + 1}. ${s.type}: ${s.content?.headline || s.content?.title || "(no headline)"}`)
+      .join("\n");
+
+    const slideSections = reviewed.map((slide) => {
+      const registry = this.slideTypes.find((t) => t.type === slide.type) || {};
+      const purpose = [registry.description, registry.synthesis?.prompt].filter(Boolean).join("\n");
+      const citations = (slide.citations || []).map(({ fact, source, quote, confidence, verification }) => ({
+        fact,
+        source,
+        quote,
+        confidence,
+        verification: verification?.status,
+      }));
+
+      return `### ${slide.type}
+
+${purpose || "(no guidance in the slide type registry)"}
+
+Content:
+\`\`\`json
+${JSON.stringify(slide.content, null, 2)}
+\`\`\`
+
+Citations:
+\`\`\`json
+${JSON.stringify(citations, null, 2)}
+\`\`\``;
+    });
+
+    return `
+## User's Desired Story Arc
+
+${story}
+
+## Style Guide Constraints
+
+${styleGuide}
+
+## Deck Outline
+
+${outline}
+
+## Slides to Review
+
+${slideSections.join("\n\n---\n\n")}
+
+## Instructions
+
+Score each slide above on ${CRITERIA.join(", ")} (1-10) and write a critique the
+writer can act on. Return ONLY valid JSON wrapped in \`\`\`json code blocks.
+`;
+  }
+
+  /**
+   * Match the response to the reviewed slides and add overall scores
+   */
+  collectReviews(response, reviewed) {
+    const reviews = [];
+    const missing = [];
+
+    for (const slide of reviewed) {
+      const review = (response.slides || []).find((r) => r.type === slide.type);
+      if (!review) {
+        missing.push(slide.type);
+        continue;
+      }
+      const overall = CRITERIA.reduce((sum, c) => sum + review.scores[c], 0) / CRITERIA.length;
+      reviews.push({
+        type: slide.type,
+        scores: Object.fromEntries(CRITERIA.map((c) => [c, review.scores[c]])),
+        overall: Number(overall.toFixed(2)),
+        critique: review.critique,
+        suggestions: review.suggestions || [],
+      });
+    }
+
+    if (missing.length > 0) {
+      throw new ValidationError(`Critique is missing the reviewed slide(s): ${missing.join(", ")}`, missing);
+    }
+
+    return reviews;
+  }
+
+  /**
+   * Generate mock critique for dry-run mode. Scores are derived from the
+   * slide content, so they are stable between runs and some fall below the
+   * default threshold.
+   */
+  generateMockCritique(reviewed) {
+    return {
+      slides: reviewed.map((slide) => {
+        const digest = crypto.createHash("sha256").update(JSON.stringify(slide.content)).digest();
+        const scores = Object.fromEntries(CRITERIA.map((c, i) => [c, 5 + (digest[i] % 5)]));
+        return {
+          type: slide.type,
+          scores,
+          critique: `[DRY-RUN] Mock critique for ${slide.type}`,
+          suggestions: [`[DRY-RUN] Mock suggestion for ${slide.type}`],
+        };
+      }),
+    };
+  }
+}
+
+// =============================================================================
+// Exports
+// =============================================================================
+
+module.exports = { ClaudeCritic, CRITERIA };
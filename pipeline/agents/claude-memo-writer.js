@@ -0,0 +1,243 @@
+/**
+ * =============================================================================
+ * Claude Memo Writer Agent
+ * =============================================================================
+ *
+ * Phase 3: Investment Memo Agent
+ * Uses Claude (or any configured provider) to write a long-form investment
+ * memo from the classified context: one prose section per entry under
+ * memo.sections in pipeline-config.json, each drawing on the evidence of the
+ * slide types it names. Claims cite the numbered evidence inline ([E3]), and
+ * the citations become footnotes naming the source documents (see
+ * utils/memo.js).
+ */
+
+const { BaseAgent, ValidationError } = require("./base-agent");
+const { loadSlideTypes } = require("../utils/slide-types");
+const { loadResolutions, partitionConflicts } = require("../utils/conflict-resolutions");
+const { loadFacts } = require("../utils/fact-book");
+const {
+  loadMemoSections,
+  collectEvidence,
+  factReferences,
+  formatEvidence,
+  resolveFootnotes,
+} = require("../utils/memo");
+const path = require("path");
+
+// =============================================================================
+// Claude Memo Writer Agent
+// =============================================================================
+
+class ClaudeMemoWriter extends BaseAgent {
+  constructor(config = {}) {
+    super(config);
+    this.agentType = "memoWriter";
+    this.provider = config.provider || "anthropic";
+    this.model = config.model || this.defaultModelFor("anthropic", "claude-sonnet-4-20250514");
+    this.maxTokens = config.maxTokens || 16384;
+    this.temperature = config.temperature ?? 0.3;
+
+    // Slide types come from the registry (config/slide-types.json)
+    this.slideTypes = loadSlideTypes();
+  }
+
+  /**
+   * Main execution method
+   * @param {object} input - { classifiedContextPath, storyPath, styleGuidePath,
+   *   resolutionsPath, factsPath, pipelineConfig, minConfidence, maxItems, feedback }
+   * @returns {Promise<object>} - Memo with resolved footnotes (see resolveFootnotes)
+   *   plus metadata
+   */
+  async execute(input) {
+    const {
+      classifiedContextPath,
+      storyPath,
+      styleGuidePath,
+      resolutionsPath,
+      factsPath,
+      pipelineConfig,
+      minConfidence,
+      maxItems,
+      feedback = null,
+    } = input;
+
+    this.log("info", "Writing investment memo...");
+
+    // Initialize client unless dry-run mode is active
+    if (!this.shouldSkipAPICall()) {
+      await this.initClient();
+    }
+
+    // Load inputs
+    const sections = loadMemoSections(pipelineConfig, this.slideTypes);
+    const classifiedContext = this.loadJSON(classifiedContextPath);
+    const story = this.loadText(storyPath);
+    const styleGuide = this.loadText(styleGuidePath);
+    const resolutions = loadResolutions(resolutionsPath);
+    const facts = factReferences(loadFacts(factsPath));
+
+    const { evidence, bySection } = collectEvidence(classifiedContext, sections, { minConfidence, maxItems });
+    if (evidence.length === 0) {
+      throw new ValidationError(
+        `No evidence for the memo in ${classifiedContextPath}` +
+          (minConfidence ? ` with confidence >= ${minConfidence}` : "")
+      );
+    }
+    this.log("info", `Evidence: ${evidence.length} items, ${facts.length} pinned facts`);
+
+    // Load system prompt
+    const systemPromptPath = path.join(__dirname, "../config/agent-prompts/memo-writer-system.md");
+    const systemPrompt = this.loadText(systemPromptPath);
+
+    const userPrompt =
+      this.buildUserPrompt({ sections, evidence, bySection, facts, classifiedContext, resolutions, story, styleGuide, pipelineConfig }) +
+      this.formatFeedback(feedback);
+
+    this.logPromptIfEnabled("system", systemPrompt);
+    this.logPromptIfEnabled("user", userPrompt);
+
+    const references = [...evidence, ...facts];
+
+    let draft;
+    if (this.shouldSkipAPICall()) {
+      this.logDryRun("write memo", this.estimateTokens(systemPrompt) + this.estimateTokens(userPrompt));
+      draft = this.generateMockMemo(sections, bySection, facts, pipelineConfig);
+    } else {
+      // Missing sections and unknown evidence ids go back to the model for repair
+      draft = await this.callModelForJSON({
+        system: systemPrompt,
+        prompt: userPrompt,
+        label: "memo",
+        schema: "memo",
+        validate: (data) => this.checkDraft(data, sections, references),
+      });
+    }
+
+    const { memo } = resolveFootnotes(draft, sections, references);
+
+    memo.metadata = {
+      writtenAt: new Date().toISOString(),
+      evidence: evidence.length,
+      pinnedFacts: facts.length,
+      costIncurred: this.costTracker.totalCost,
+      ...(feedback ? { feedback } : {}),
+    };
+
+    this.log("info", `Memo complete: ${memo.footnotes.length} footnotes`);
+    this.log("info", `Cost: $${this.costTracker.totalCost.toFixed(4)}`);
+
+    return memo;
+  }
+
+  /**
+   * Problems the memo schema cannot catch: sections left out and citations of
+   * evidence ids the writer was not given
+   * @returns {string[]} - One line per problem, for the repair prompt
+   */
+  checkDraft(draft, sections, references) {
+    const problems = sections
+      .filter((s) => !(draft.sections || []).some((w) => w.id === s.id))
+      .map((s) => `Section '${s.id}' is missing; write it from the evidence listed for it`);
+
+    const { unknown } = resolveFootnotes(draft, sections, references);
+    if (unknown.length > 0) {
+      problems.push(`Cites evidence ids that were not given: ${unknown.join(", ")}. Cite only the ids listed, or drop the claim`);
+    }
+    return problems;
+  }
+
+  /**
+   * Build the memo prompt: company, story arc, style guide, pinned facts,
+   * conflicts and gaps (for the risks), and each section's evidence
+   */
+  buildUserPrompt({ sections, evidence, bySection, facts, classifiedContext, resolutions, story, styleGuide, pipelineConfig }) {
+    const companyInfo = pipelineConfig?.company || {};
+    const byId = new Map(evidence.map((e) => [e.id, e]));
+    const { resolved, unresolved } = partitionConflicts(classifiedContext.globalConflicts, resolutions);
+
+    const sectionBlocks = sections.map((section) => {
+      const lines = [`### ${section.id}: ${section.heading}`];
+      if (section.guidance) lines.push(section.guidance);
+      lines.push(`Draws on: ${section.from.join(", ")}`, "", "Evidence:");
+      const ids = bySection[section.id] || [];
+      lines.push(...(ids.length > 0 ? ids.map((id) => `- ${formatEvidence(byId.get(id))}`) : ["- None found"]));
+      return lines.join("\n");
+    });
+
+    const pinned =
+      facts.length > 0
+        ? `## Pinned Facts (Highest Priority)
+
+The user has pinned these facts in user-inputs/facts.json. Use each value exactly as
+given, even where the evidence says otherwise, and cite it by its id.
+
+${facts.map((f) => `- ${formatEvidence(f)}`).join("\n")}
+
+`
+        : "";
+
+    const conflicts = [
+      ...resolved.map(({ resolution }) => `- Resolved: ${resolution.conflict}: ${resolution.value}`),
+      ...unresolved.slice(0, 10).map((c) => `- Open: ${typeof c === "string" ? c : c.description || JSON.stringify(c)}`),
+    ];
+
+    return `
+## Company Information
+
+Name: ${companyInfo.name || "[Company Name]"}
+Short Name: ${companyInfo.shortName || ""}
+
+## User's Desired Story Arc
+
+${story}
+
+## Style Guide Constraints
+
+${styleGuide}
+
+${pinned}## Data Conflicts
+
+${conflicts.join("\n") || "- None identified"}
+
+## Missing Critical Information
+
+${(classifiedContext.missingCritical || []).map((m) => `- ${m}`).join("\n") || "- None identified"}
+
+## Memo Sections
+
+${sectionBlocks.join("\n\n---\n\n")}
+
+## Instructions
+
+Write the investment memo with one section per entry above, in the same order,
+citing the evidence inline by id. Return ONLY valid JSON wrapped in \`\`\`json code blocks.
+`;
+  }
+
+  /**
+   * Generate mock memo for dry-run mode, citing each section's first evidence
+   */
+  generateMockMemo(sections, bySection, facts, pipelineConfig) {
+    const name = pipelineConfig?.company?.name || "the company";
+    return {
+      title: `[DRY-RUN] Investment Memo: ${name}`,
+      summary: `[DRY-RUN] Mock recommendation${facts.length > 0 ? ` [${facts[0].id}]` : ""}.`,
+      sections: sections.map((section) => {
+        const ids = (bySection[section.id] || []).slice(0, 2);
+        return {
+          id: section.id,
+          paragraphs: [
+            `[DRY-RUN] Mock ${section.heading.toLowerCase()} paragraph${ids.length > 0 ? ` [${ids.join(", ")}]` : ""}.`,
+          ],
+        };
+      }),
+    };
+  }
+}
+
+// =============================================================================
+// Exports
+// =============================================================================
+
+module.exports = { ClaudeMemoWriter };
@@ -4,11 +4,16 @@
  * =============================================================================
  *
  * Phase 4 (Part 1): Final Generation Agent
- * Uses Gemini 3 Pro to polish synthesis output and generate final deck-config.json.
+ * Uses Gemini 3 Pro (or any configured provider) to polish synthesis output and
+ * generate final deck-config.json. Backup slides from the synthesis output's
+ * appendix are carried over as synthesized, after the main slides.
  */
 
-const { BaseAgent, AgentError } = require("./base-agent");
-const { SLIDE_TYPES } = require("./claude-classifier");
+const { BaseAgent, ValidationError } = require("./base-agent");
+const { loadSlideTypes, resolveTemplateContent, spliceSlides } = require("../utils/slide-types");
+const { mergeDeckEdits, loadDeck } = require("../utils/deck-edits");
+const { variantFileName, selectAudienceSlides } = require("../utils/audiences");
+const { isAppendixSlide } = require("../utils/appendix");
 const path = require("path");
 
 // =============================================================================
@@ -19,43 +24,55 @@ class GeminiGenerator extends BaseAgent {
   constructor(config = {}) {
     super(config);
     this.agentType = "generator";
-    this.provider = "google";
-    this.model = config.model || "gemini-3-pro-preview";
+    this.provider = config.provider || "google";
+    this.model = config.model || this.defaultModelFor("google", "gemini-3-pro-preview");
     this.maxTokens = config.maxTokens || 8192;
-    this.client = null;
-    this.generativeModel = null;
-  }
-
-  /**
-   * Initialize the Google AI client
-   */
-  async initClient() {
-    if (this.client) return;
-
-    if (!process.env.GOOGLE_AI_API_KEY) {
-      throw new AgentError(
-        "GOOGLE_AI_API_KEY environment variable is required.\n" +
-          "Set it with: export GOOGLE_AI_API_KEY='your-api-key'"
-      );
-    }
+    this.temperature = config.temperature;
 
-    // Dynamic import for ES module
-    const { GoogleGenerativeAI } = await import("@google/generative-ai");
-    this.client = new GoogleGenerativeAI(process.env.GOOGLE_AI_API_KEY);
-    this.generativeModel = this.client.getGenerativeModel({
-      model: this.model,
-    });
-
-    this.log("info", `Initialized Gemini client with model: ${this.model}`);
+    // Slide types come from the registry (config/slide-types.json)
+    this.slideTypes = loadSlideTypes();
+    this.slideTypeNames = this.slideTypes.map((t) => t.type);
   }
 
   /**
    * Main execution method
    */
   async execute(input) {
-    const { synthesisOutputPath, styleGuidePath, storyGuidePath, outputDir, pipelineConfig } = input;
+    const {
+      synthesisOutputPath,
+      styleGuidePath,
+      storyGuidePath,
+      outputDir,
+      pipelineConfig,
+      renderMode = "image",
+      audience = null,
+      generatedDeckPath = path.join(
+        outputDir,
+        "..",
+        "intermediate",
+        variantFileName("deck-config.generated.json", audience?.name)
+      ),
+      preserveEdits = true,
+      slides = null,
+      feedback = null,
+    } = input;
+
+    this.log(
+      "info",
+      slides ? `Re-polishing slides: ${slides.join(", ")}` : "Starting final generation (text polish)..."
+    );
+    if (audience) this.log("info", `Audience: ${audience.label} (${audience.name})`);
 
-    this.log("info", "Starting final generation (text polish)...");
+    // An audience variant has its own slide list and order
+    const typeOrder = audience ? audience.slides : this.slideTypeNames;
+
+    // Regenerating single slides splices them into the existing deck
+    const deckConfigPath = path.join(outputDir, variantFileName("deck-config.json", audience?.name));
+    const currentDeck = loadDeck(deckConfigPath);
+    const previousGenerated = loadDeck(generatedDeckPath);
+    if (slides && !currentDeck) {
+      throw new ValidationError(`Regenerating single slides needs an existing deck config: ${deckConfigPath}`);
+    }
 
     // Initialize client unless dry-run mode is active
     if (!this.shouldSkipAPICall()) {
@@ -75,44 +92,111 @@ class GeminiGenerator extends BaseAgent {
     const systemPrompt = this.loadText(systemPromptPath);
 
     // Build prompt
-    const prompt = this.buildPrompt(synthesisOutput, styleGuide, storyGuide, pipelineConfig, systemPrompt);
+    const prompt =
+      this.buildPrompt(synthesisOutput, styleGuide, storyGuide, pipelineConfig, systemPrompt, {
+        only: slides,
+        currentDeck,
+        audience,
+      }) + this.formatFeedback(feedback);
 
     this.log("info", `Prompt size: ${Math.round(prompt.length / 1024)}KB`);
 
-    // Call Gemini
-    const response = await this.callGemini(prompt);
-
-    // Extract JSON from response
-    const deckConfig = this.extractJSON(response);
+    // Audience variants and single-slide regenerations record their own
+    // fixture, so they do not overwrite the full main deck's
+    const label = ["generate", audience?.name, slides && `slides-${slides.join("+")}`].filter(Boolean).join("-");
+
+    // Call Gemini (the response is parsed and schema-checked, with repair).
+    // Regenerated slides go into the deck as last generated, so hand edits to
+    // the other slides are still recognized as edits below.
+    const response = await this.callGemini(prompt, label);
+    const deckConfig = slides
+      ? this.spliceRegenerated(previousGenerated || currentDeck, response, slides, typeOrder)
+      : response;
+
+    // Keep the audience's slides in its order, whatever the model returned
+    if (audience) {
+      deckConfig.slides = selectAudienceSlides(deckConfig.slides, audience);
+      deckConfig.audience = audience.name;
+    }
 
-    // Validate final output
-    this.validateDeckConfig(deckConfig);
+    // Backup slides follow the main slides as synthesized: they are reference
+    // material and are neither polished nor imaged. Regenerating single slides
+    // keeps the deck's current ones.
+    if (!slides) {
+      deckConfig.slides = [
+        ...(deckConfig.slides || []).filter((s) => !isAppendixSlide(s)),
+        ...this.appendixSlides(synthesisOutput),
+      ];
+    }
 
     // Ensure design settings from config
     if (pipelineConfig?.design) {
       deckConfig.design = { ...pipelineConfig.design, ...deckConfig.design };
     }
 
+    // Tell the renderer (and the image prompts) how slides are assembled
+    deckConfig.renderMode = renderMode;
+
+    // Validate the generated deck, then keep it as the baseline that later
+    // runs compare deck-config.json against to find hand edits
+    this.validateDeckConfig(deckConfig, typeOrder);
+    this.saveJSON(generatedDeckPath, deckConfig);
+
+    // Keep locked slides/fields and hand edits from the current deck config
+    let finalDeck = deckConfig;
+    let preserved = [];
+    if (preserveEdits) {
+      ({ deckConfig: finalDeck, preserved } = mergeDeckEdits(deckConfig, currentDeck, previousGenerated, {
+        regenerated: slides || [],
+      }));
+      if (preserved.length > 0) {
+        this.log("info", `Kept hand edits or locks on ${new Set(preserved.map((p) => p.slide)).size} slide(s)`);
+        this.validateDeckConfig(finalDeck, typeOrder);
+      }
+    }
+
     // Save final deck config
-    this.saveJSON(path.join(outputDir, "deck-config.json"), deckConfig);
+    this.saveJSON(deckConfigPath, finalDeck);
 
-    // Extract image prompts for Nano Banana Pro (all 12 slide types)
-    const imagePrompts = this.generateFullSlideImagePrompts(deckConfig, styleGuide, storyGuide);
-    this.saveJSON(path.join(outputDir, "image-prompts.json"), imagePrompts);
+    // Extract image prompts for Nano Banana Pro (one per slide)
+    const imagePrompts = this.generateFullSlideImagePrompts(finalDeck, styleGuide, storyGuide);
+    this.validateOutput(imagePrompts, "image-prompts");
+    this.saveJSON(path.join(outputDir, variantFileName("image-prompts.json", audience?.name)), imagePrompts);
 
     this.log("info", "Text generation complete");
     this.log("info", `Cost: $${this.costTracker.totalCost.toFixed(4)}`);
 
-    return { deckConfig, imagePrompts };
+    return { deckConfig: finalDeck, imagePrompts, preserved };
   }
 
   /**
    * Build prompt for Gemini
    */
-  buildPrompt(synthesisOutput, styleGuide, storyGuide, pipelineConfig, systemPrompt) {
+  buildPrompt(
+    synthesisOutput,
+    styleGuide,
+    storyGuide,
+    pipelineConfig,
+    systemPrompt,
+    { only = null, currentDeck = null, audience = null } = {}
+  ) {
     const designConfig = pipelineConfig?.design || {};
     const companyConfig = pipelineConfig?.company || {};
 
+    // Regenerating single slides: polish just those, consistent with the rest.
+    // An audience variant only polishes the slides its profile lists.
+    const synthesis = this.stripRunMetadata(synthesisOutput);
+    const typeOrder = audience ? audience.slides : this.slideTypeNames;
+    const selected = only || typeOrder;
+    // Backup slides are never polished (see appendixSlides)
+    const polished = (s) => !isAppendixSlide(s) && (!(only || audience) || selected.includes(s.type));
+    const toPolish = { ...synthesis, slides: (synthesis.slides || []).filter(polished) };
+    const output = only
+      ? `5. Return only these slides: ${only.join(", ")}, as {"company": ..., "slides": [...]} with the company unchanged
+6. Keep them consistent with the current deck above, which is not regenerated`
+      : `5. Keep these slide types, in this order: ${typeOrder.join(", ")}
+6. Output the final deck-config.json`;
+
     return `
 ${systemPrompt}
 
@@ -135,62 +219,136 @@ ${styleGuide}
 
 ${storyGuide}
 
-## Synthesis Output to Polish
+${audience ? this.formatAudience(audience) : ""}## Synthesis Output to Polish
 
 \`\`\`json
-${JSON.stringify(synthesisOutput, null, 2)}
+${JSON.stringify(toPolish, null, 2)}
 \`\`\`
-
+${only ? this.formatCurrentDeck(currentDeck, only) : ""}
 ## Instructions
 
 1. Polish all slide content for maximum investor impact
 2. Ensure cross-slide consistency (names, terms, metrics)
 3. Apply style guide constraints strictly
 4. Ensure narrative follows the story arc
-5. Output the final deck-config.json
+${output}
 
 Return ONLY valid JSON wrapped in \`\`\`json code blocks.
 `;
   }
 
   /**
-   * Call Gemini API
+   * Prompt section describing the audience a deck variant is written for
    */
-  async callGemini(prompt) {
+  formatAudience(audience) {
+    const lines = [`This version of the deck is for ${audience.label}.`];
+    if (audience.description) lines.push(audience.description.replace(/\.?$/, "."));
+    lines.push("", `Tone: ${audience.tone}`);
+    if (audience.emphasis.length > 0) {
+      lines.push(
+        "",
+        `Emphasize: ${audience.emphasis.join(", ")}.`,
+        "Bring these forward in headlines and points wherever the synthesis supports",
+        "them; do not add claims or figures it does not contain."
+      );
+    }
+    return `## Audience: ${audience.label}
+
+${lines.join("\n")}
+
+`;
+  }
+
+  /**
+   * Prompt section with the deck slides that are not regenerated
+   */
+  formatCurrentDeck(currentDeck, only) {
+    const others = (currentDeck?.slides || []).filter((s) => !only.includes(s.type));
+    return `
+## Current Deck (kept as it is)
+
+\`\`\`json
+${JSON.stringify({ company: currentDeck?.company, slides: others }, null, 2)}
+\`\`\`
+`;
+  }
+
+  /**
+   * Splice regenerated slides into a deck
+   */
+  spliceRegenerated(deck, response, only, typeOrder = this.slideTypeNames) {
+    const regenerated = (response.slides || []).filter((s) => only.includes(s.type));
+    const missing = only.filter((type) => !regenerated.some((s) => s.type === type));
+    if (missing.length > 0) {
+      throw new ValidationError(`Response is missing the requested slide(s): ${missing.join(", ")}`, missing);
+    }
+    return { ...deck, slides: spliceSlides(deck.slides || [], regenerated, typeOrder) };
+  }
+
+  /**
+   * Deck slides for the synthesis output's backup slides: the synthesized
+   * content, marked as appendix
+   */
+  appendixSlides(synthesisOutput) {
+    return (synthesisOutput.slides || [])
+      .filter(isAppendixSlide)
+      .map(({ type, content: { type: _type, ...fields } }) => ({ type, appendix: true, ...fields }));
+  }
+
+  /**
+   * Drop per-run bookkeeping (timestamps, cost, regeneration history) from the
+   * synthesis output so the prompt only changes when the content does
+   */
+  stripRunMetadata(synthesisOutput) {
+    if (!synthesisOutput.metadata) return synthesisOutput;
+    const { synthesizedAt, costIncurred, regenerated, feedback, appendix, ...metadata } = synthesisOutput.metadata;
+    return { ...synthesisOutput, metadata };
+  }
+
+  /**
+   * Call the generator model (Gemini by default)
+   * @param {string} label - Call label for record/replay fixtures
+   * @returns {Promise<object>} - Parsed deck config
+   */
+  async callGemini(prompt, label = "generate") {
     // Log prompt for debugging/auditing
     this.logPromptIfEnabled("user", prompt);
 
     // Check for dry-run mode
     if (this.shouldSkipAPICall()) {
       this.logDryRun("call Gemini generator", this.estimateTokens(prompt));
-      return this.generateMockGeneratorResponse();
+      return JSON.parse(this.generateMockGeneratorResponse());
     }
 
-    return await this.withRetry(async () => {
-      this.log("info", "Calling Gemini API...");
-      const startTime = Date.now();
-
-      const result = await this.generativeModel.generateContent(prompt);
-      const response = result.response;
-      const text = response.text();
+    this.log("info", `Calling ${this.provider} API...`);
+    const startTime = Date.now();
 
-      const elapsed = ((Date.now() - startTime) / 1000).toFixed(1);
-      this.log("info", `API call completed in ${elapsed}s`);
+    // The system prompt is already embedded at the top of the prompt
+    const deckConfig = await this.callModelForJSON({ prompt, label, schema: "deck-config" });
 
-      // Estimate tokens (Gemini doesn't always return usage)
-      const inputTokens = this.estimateTokens(prompt);
-      const outputTokens = this.estimateTokens(text);
-      this.costTracker.addUsage(this.provider, this.model, inputTokens, outputTokens);
+    const elapsed = ((Date.now() - startTime) / 1000).toFixed(1);
+    this.log("info", `API call completed in ${elapsed}s`);
 
-      return text;
-    });
+    return deckConfig;
   }
 
   /**
    * Generate mock generator response for dry-run mode
    */
   generateMockGeneratorResponse() {
-    const slides = SLIDE_TYPES.map((type) => ({
+    // Fill each slide from its registry schema template so the mock validates
+    const mockValue = (template, label) => {
+      if (Array.isArray(template)) return template.length ? [mockValue(template[0], label)] : [];
+      if (template && typeof template === "object") {
+        return Object.fromEntries(Object.entries(template).map(([key, t]) => [key, mockValue(t, `${label} ${key}`)]));
+      }
+      if (/^number/.test(template)) return 0.5;
+      if (/^boolean/.test(template)) return false;
+      return `[DRY-RUN] Mock ${label}`;
+    };
+
+    const slides = this.slideTypes.map(({ type, synthesis }) => ({
+      ...mockValue(synthesis?.schema || {}, type),
       type,
       headline: `[DRY-RUN] Mock ${type} headline`,
       content: `[DRY-RUN] Mock content for ${type}`,
@@ -219,23 +377,18 @@ Return ONLY valid JSON wrapped in \`\`\`json code blocks.
   }
 
   /**
-   * Validate final deck config
+   * Validate final deck config against config/schemas/deck-config.schema.json
    */
-  validateDeckConfig(config) {
-    const errors = [];
+  validateDeckConfig(config, expectedTypes = this.slideTypeNames) {
+    const errors = this.validateObject(config, "deck-config");
     const warnings = [];
 
-    // Check required fields
-    if (!config.company?.name) errors.push("Missing company.name");
     if (!config.design) warnings.push("Missing design object");
-    if (!config.slides || !Array.isArray(config.slides)) {
-      errors.push("Missing or invalid slides array");
-    }
 
     // Check all slide types present
-    if (config.slides) {
-      const foundTypes = new Set(config.slides.map((s) => s.type));
-      for (const type of SLIDE_TYPES) {
+    if (Array.isArray(config.slides)) {
+      const foundTypes = new Set(config.slides.map((s) => s?.type));
+      for (const type of expectedTypes) {
         if (!foundTypes.has(type)) {
           warnings.push(`Missing slide type: ${type}`);
         }
@@ -249,7 +402,7 @@ Return ONLY valid JSON wrapped in \`\`\`json code blocks.
     }
 
     if (errors.length > 0) {
-      throw new AgentError(`Deck config validation failed: ${errors.join(", ")}`);
+      throw new ValidationError(`Deck config validation failed:\n  - ${errors.join("\n  - ")}`, errors);
     }
 
     if (warnings.length > 0) {
@@ -260,7 +413,7 @@ Return ONLY valid JSON wrapped in \`\`\`json code blocks.
   }
 
   /**
-   * Generate full slide image prompts for all 12 slide types
+   * Generate full slide image prompts for every slide in the deck
    * Each prompt includes complete content for Nano Banana Pro to render as a full slide image
    */
   generateFullSlideImagePrompts(deckConfig, styleGuide, storyGuide) {
@@ -271,33 +424,18 @@ Return ONLY valid JSON wrapped in \`\`\`json code blocks.
     const company = deckConfig.company || {};
 
     const prompts = {};
-    const slides = deckConfig.slides || [];
+    const slides = (deckConfig.slides || []).filter((s) => !isAppendixSlide(s));
 
-    // Define story arc positions for each slide type
-    const storyArcPositions = {
-      title: { position: 1, phase: "Opening Hook", tone: "Bold, confident" },
-      purpose: { position: 2, phase: "Opening Hook", tone: "Mission-driven, authoritative" },
-      problem: { position: 3, phase: "Act 1: The Problem", tone: "Urgent, compelling" },
-      solution: { position: 4, phase: "Act 2: The Solution", tone: "Confident, clear" },
-      whyNow: { position: 5, phase: "Act 3: Why Now", tone: "Timely, opportunistic" },
-      marketSize: { position: 6, phase: "Act 4: The Opportunity", tone: "Ambitious, data-driven" },
-      competition: { position: 7, phase: "Act 4: The Opportunity", tone: "Strategic, differentiated" },
-      product: { position: 8, phase: "Act 2: The Solution", tone: "Technical, innovative" },
-      businessModel: { position: 9, phase: "Act 4: The Opportunity", tone: "Pragmatic, scalable" },
-      traction: { position: 10, phase: "Validation", tone: "Proven, momentum-driven" },
-      team: { position: 11, phase: "Validation", tone: "Credible, experienced" },
-      ask: { position: 12, phase: "Call to Action", tone: "Direct, compelling" },
-    };
-
-    // Generate prompts for each slide type
-    for (const slide of slides) {
+    // Generate prompts for each slide type; position follows the deck's own order
+    slides.forEach((slide, index) => {
       const slideType = slide.type;
-      const arcInfo = storyArcPositions[slideType] || { position: 0, phase: "General", tone: "Professional" };
+      const entry = this.slideTypes.find((t) => t.type === slideType);
+      const arcInfo = entry?.storyArc || { phase: "General", tone: "Professional" };
 
       // Build narrative context
       const narrativeContext = `
 ## NARRATIVE CONTEXT
-Slide position: ${arcInfo.position} of 12
+Slide position: ${index + 1} of ${slides.length}
 Story arc phase: ${arcInfo.phase}
 Emotional tone: ${arcInfo.tone}
 `;
@@ -312,163 +450,30 @@ Emotional tone: ${arcInfo.tone}
         layout: typePrompt.layout,
         style: `Professional investor presentation. Use exact colors: primary #${primaryColor}, secondary #${secondaryColor}, accent #${accentColor}. ${typePrompt.styleNotes || ""}`,
         dimensions: "1920x1080",
+        renderMode: deckConfig.renderMode || "image",
         narrativeContext: narrativeContext.trim(),
         styleGuideReference: this.extractStyleGuideEssentials(styleGuide),
       };
-    }
+    });
 
     return prompts;
   }
 
   /**
-   * Build slide-type-specific prompt content
+   * Build slide-type-specific prompt content from the registry's image template
    */
   buildSlideTypePrompt(slideType, slide, company, design) {
-    const templates = {
-      title: () => ({
-        description: "Full title slide with company name and tagline centered on dark background",
-        content: {
-          companyName: company.name || slide.companyName || "[Company Name]",
-          tagline: slide.tagline || "",
-          subtitle: slide.subtitle || "",
-        },
-        layout: "centered-hero",
-        styleNotes: "Deep black background (#0A0A0A). Company name in large white text (Inter 600, 48-64px). Tagline in warm cream italic (Newsreader, 24px). Subtle accent line below tagline.",
-      }),
-
-      purpose: () => ({
-        description: "Purpose/mission statement slide with left accent bar",
-        content: {
-          headline: slide.headline || "OUR PURPOSE",
-          statement: slide.statement || slide.mission || "",
-        },
-        layout: "statement-hero",
-        styleNotes: "Warm cream background (#E8E6E1). Left accent bar in deep black (0.15in wide). Large statement text centered. Minimal, impactful.",
-      }),
-
-      problem: () => ({
-        description: "Problem slide with headline, bullets, and optional statistic callout",
-        content: {
-          headline: slide.headline || "THE PROBLEM",
-          bullets: slide.bullets || slide.painPoints || [],
-          statistic: slide.statistic || null,
-          statisticLabel: slide.statisticLabel || null,
-        },
-        layout: "headline-bullets-stat",
-        styleNotes: "Warm cream background. Left accent bar. 3 bullets max, 12 words each. Statistic callout in IBM Plex Mono (48px) if present.",
-      }),
-
-      solution: () => ({
-        description: "Solution slide with value proposition and key benefits",
-        content: {
-          headline: slide.headline || "OUR SOLUTION",
-          valueProp: slide.valueProp || slide.description || "",
-          benefits: slide.benefits || slide.keyPoints || [],
-        },
-        layout: "value-prop-benefits",
-        styleNotes: "Light background. Bold headline. Value prop in larger text. 3-4 benefits with visual hierarchy.",
-      }),
-
-      whyNow: () => ({
-        description: "Why Now slide with trend cards showing market timing",
-        content: {
-          headline: slide.headline || "WHY NOW",
-          trends: slide.trends || slide.drivers || [],
-        },
-        layout: "trend-cards",
-        styleNotes: "3 horizontal trend cards. Each card has title + description. Clean card styling with subtle shadows. Accent color for card headers.",
-      }),
-
-      marketSize: () => ({
-        description: "Market size slide with TAM/SAM/SOM visualization",
-        content: {
-          headline: slide.headline || "MARKET OPPORTUNITY",
-          tam: slide.tam || "",
-          tamLabel: slide.tamLabel || "Total Addressable Market",
-          sam: slide.sam || "",
-          samLabel: slide.samLabel || "Serviceable Addressable Market",
-          som: slide.som || "",
-          somLabel: slide.somLabel || "Serviceable Obtainable Market",
-        },
-        layout: "nested-circles",
-        styleNotes: "White background. Nested concentric circles: TAM (outer), SAM (middle), SOM (inner). Large dollar amounts in IBM Plex Mono. Clear labels.",
-      }),
-
-      competition: () => ({
-        description: "Competitive positioning 2x2 matrix",
-        content: {
-          headline: slide.headline || "COMPETITIVE POSITIONING",
-          xAxisLabel: slide.xAxisLabel || "Feature A",
-          yAxisLabel: slide.yAxisLabel || "Feature B",
-          competitors: slide.competitors || [],
-          companyPosition: { x: 0.85, y: 0.85 },
-        },
-        layout: "2x2-matrix",
-        styleNotes: "White background. Clear axis labels. Company dot in upper-right quadrant with accent color. Competitors as gray dots with labels.",
-      }),
-
-      product: () => ({
-        description: "Product slide with architecture or feature visualization",
-        content: {
-          headline: slide.headline || "THE PRODUCT",
-          description: slide.description || "",
-          features: slide.features || [],
-        },
-        layout: "product-features",
-        styleNotes: "Clean product visualization. Numbered features on right side. Technical but accessible styling.",
-      }),
-
-      businessModel: () => ({
-        description: "Business model slide with revenue streams and unit economics",
-        content: {
-          headline: slide.headline || "BUSINESS MODEL",
-          revenueStreams: slide.revenueStreams || [],
-          unitEconomics: slide.unitEconomics || [],
-        },
-        layout: "revenue-cards",
-        styleNotes: "Revenue stream cards with descriptions. Unit economics as key metrics. Clean financial presentation styling.",
-      }),
-
-      traction: () => ({
-        description: "Traction slide with key metrics and timeline",
-        content: {
-          headline: slide.headline || "TRACTION",
-          metrics: slide.metrics || [],
-          milestones: slide.milestones || [],
-        },
-        layout: "metrics-timeline",
-        styleNotes: "Large metric callouts (IBM Plex Mono, 48-64px). Horizontal timeline below. Accent color for milestone markers.",
-      }),
-
-      team: () => ({
-        description: "Team slide with founder/leadership cards",
-        content: {
-          headline: slide.headline || "THE TEAM",
-          members: slide.members || slide.team || [],
-        },
-        layout: "team-cards",
-        styleNotes: "Team member cards with photo placeholder circles, name, title, and key credential. Clean, professional layout.",
-      }),
-
-      ask: () => ({
-        description: "Ask slide with funding amount, use of funds, and milestones",
-        content: {
-          headline: slide.headline || "THE ASK",
-          amount: slide.amount || slide.fundingAmount || "",
-          useOfFunds: slide.useOfFunds || [],
-          milestones: slide.milestones || slide.nextMilestones || [],
-        },
-        layout: "ask-funds-milestones",
-        styleNotes: "Large funding amount hero (IBM Plex Mono, 64px). Use of funds as horizontal bar or segments. Key milestones below.",
-      }),
-    };
-
-    const templateFn = templates[slideType];
-    if (templateFn) {
-      return templateFn();
+    const template = this.slideTypes.find((t) => t.type === slideType)?.image;
+    if (template) {
+      return {
+        description: template.description,
+        content: resolveTemplateContent(template.content, slide, company),
+        layout: template.layout,
+        styleNotes: template.styleNotes,
+      };
     }
 
-    // Default template for unknown types
+    // Default template for types without an image template
     return {
       description: `Full slide for ${slideType}`,
       content: slide,
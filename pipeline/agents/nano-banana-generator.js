@@ -9,6 +9,7 @@
  */
 
 const { BaseAgent, AgentError } = require("./base-agent");
+const crypto = require("crypto");
 const fs = require("fs");
 const path = require("path");
 
@@ -32,10 +33,8 @@ class NanoBananaGenerator extends BaseAgent {
   constructor(config = {}) {
     super(config);
     this.agentType = "image-generator";
-    this.provider = "google";
+    this.provider = config.provider || "google";
     this.model = config.model || "gemini-3-pro-image-preview";
-    this.client = null;
-    this.generativeModel = null;
 
     // Rate limiting state
     this.lastCallTime = 0;
@@ -77,34 +76,22 @@ class NanoBananaGenerator extends BaseAgent {
     return Math.floor(cappedDelay + jitter);
   }
 
-  /**
-   * Initialize the Google AI client for image generation
-   */
-  async initClient() {
-    if (this.client) return;
-
-    if (!process.env.GOOGLE_AI_API_KEY) {
-      throw new AgentError(
-        "GOOGLE_AI_API_KEY environment variable is required.\n" +
-          "Set it with: export GOOGLE_AI_API_KEY='your-api-key'"
-      );
-    }
-
-    // Dynamic import for ES module
-    const { GoogleGenerativeAI } = await import("@google/generative-ai");
-    this.client = new GoogleGenerativeAI(process.env.GOOGLE_AI_API_KEY);
-    this.generativeModel = this.client.getGenerativeModel({
-      model: this.model,
-    });
-
-    this.log("info", `Initialized Nano Banana Pro with model: ${this.model}`);
-  }
-
   /**
    * Main execution method
    */
   async execute(input) {
-    const { imagePromptsPath, outputDir, designConfig, styleGuidePath, storyGuidePath } = input;
+    const {
+      imagePromptsPath,
+      outputDir,
+      designConfig,
+      styleGuidePath,
+      storyGuidePath,
+      regenerate = false,
+      slides = null,
+      audience = null,
+      assetsDir = path.join(outputDir, "assets"),
+      manifestPath = path.join(outputDir, "generated-images.json"),
+    } = input;
 
     this.log("info", "Starting full slide image generation with Nano Banana Pro...");
 
@@ -115,30 +102,57 @@ class NanoBananaGenerator extends BaseAgent {
 
     // Load image prompts
     const imagePrompts = this.loadJSON(imagePromptsPath);
+    this.validateInput(imagePrompts, "image-prompts");
 
     // Load style guide and story for consistent prompt building
     this.styleGuide = styleGuidePath ? this.loadText(styleGuidePath) : "";
     this.storyGuide = storyGuidePath ? this.loadText(storyGuidePath) : "";
 
-    // Create assets directory
-    const assetsDir = path.join(outputDir, "assets");
+    // Audience variants record their images under their own fixture labels
+    this.audience = audience;
+
+    // Create assets directory (audience variants use a subdirectory)
     if (!fs.existsSync(assetsDir)) {
       fs.mkdirSync(assetsDir, { recursive: true });
     }
 
-    // Generate each image
+    // Digests of the prompts behind the images already in assets/: an image
+    // whose prompt (slide content, layout, style) is unchanged is kept
+    const previousManifest = fs.existsSync(manifestPath) ? this.loadJSON(manifestPath) : {};
+    const digests = { ...(previousManifest.digests || {}) };
+
+    // Generate each image; with `slides`, only those are regenerated and the
+    // other images are carried over from the previous manifest
     const generatedImages = {};
-    const imageTypes = Object.keys(imagePrompts);
+    const reused = [];
+    const imageTypes = Object.keys(imagePrompts).filter((type) => !slides || slides.includes(type));
+    if (slides) {
+      for (const [type, imagePath] of Object.entries(previousManifest.images || {})) {
+        if (!slides.includes(type) && imagePrompts[type]) generatedImages[type] = imagePath;
+      }
+    }
 
     this.log("info", `Generating ${imageTypes.length} images...`);
 
     for (const imageType of imageTypes) {
       const promptData = imagePrompts[imageType];
+      const digest = this.promptDigest(imageType, promptData, designConfig);
+      const existingPath = this.imageFilePath(imageType, assetsDir);
+
+      if (!regenerate && !slides && digests[imageType] === digest && fs.existsSync(existingPath)) {
+        this.log("info", `Unchanged: ${imageType} (keeping ${path.basename(existingPath)})`);
+        generatedImages[imageType] = existingPath;
+        reused.push(imageType);
+        continue;
+      }
+
       this.log("info", `Generating: ${imageType}`);
 
       try {
-        // Enforce rate limiting between calls
-        await this.enforceRateLimit();
+        // Enforce rate limiting between calls (replayed fixtures need none)
+        if (!this.isReplaying()) {
+          await this.enforceRateLimit();
+        }
 
         const imagePath = await this.generateImage(
           imageType,
@@ -147,12 +161,17 @@ class NanoBananaGenerator extends BaseAgent {
           assetsDir
         );
         generatedImages[imageType] = imagePath;
+        // A dry run writes no file, so the previous image (and digest) stands
+        if (!this.shouldSkipAPICall()) {
+          digests[imageType] = digest;
+        }
         this.log("info", `  -> ${path.basename(imagePath)}`);
       } catch (error) {
         this.log("error", `Failed to generate ${imageType}`, {
           error: error.message,
         });
         generatedImages[imageType] = null;
+        delete digests[imageType];
 
         // Track failed prompt for debugging
         this.failedPrompts.push({
@@ -184,12 +203,18 @@ class NanoBananaGenerator extends BaseAgent {
       generatedAt: new Date().toISOString(),
       model: this.model,
       images: generatedImages,
+      reused,
+      digests,
       costIncurred: this.costTracker.totalCost,
     };
-    this.saveJSON(path.join(outputDir, "generated-images.json"), manifest);
+    this.saveJSON(manifestPath, manifest);
 
     this.log("info", "Image generation complete");
-    this.log("info", `Generated: ${Object.values(generatedImages).filter(Boolean).length}/${imageTypes.length}`);
+    const generated = imageTypes.filter((type) => generatedImages[type]).length - reused.length;
+    this.log("info", `Generated: ${generated}/${imageTypes.length}`);
+    if (reused.length > 0) {
+      this.log("info", `Unchanged (kept): ${reused.length}`);
+    }
     this.log("info", `Cost: $${this.costTracker.totalCost.toFixed(4)}`);
 
     return manifest;
@@ -221,8 +246,7 @@ class NanoBananaGenerator extends BaseAgent {
     }
 
     // Save the image
-    const filename = `${imageType.toLowerCase().replace(/\s+/g, "-")}.png`;
-    const filepath = path.join(outputDir, filename);
+    const filepath = this.imageFilePath(imageType, outputDir);
 
     // Decode base64 and save
     const buffer = Buffer.from(imageData, "base64");
@@ -235,10 +259,29 @@ class NanoBananaGenerator extends BaseAgent {
    * Generate a mock image path for dry-run mode
    */
   generateMockImagePath(imageType, outputDir) {
+    return this.imageFilePath(imageType, outputDir);
+  }
+
+  /**
+   * Path of a slide type's image in the assets directory
+   */
+  imageFilePath(imageType, outputDir) {
     const filename = `${imageType.toLowerCase().replace(/\s+/g, "-")}.png`;
     return path.join(outputDir, filename);
   }
 
+  /**
+   * Digest of everything an image is generated from: the full prompt and the
+   * model. Equal digests mean the image would be generated from the same input.
+   */
+  promptDigest(imageType, promptData, designConfig) {
+    return crypto
+      .createHash("sha256")
+      .update(`${this.provider}/${this.model}\n`)
+      .update(this.buildImagePrompt(imageType, promptData, designConfig))
+      .digest("hex");
+  }
+
   /**
    * Validate image data is usable
    */
@@ -319,8 +362,25 @@ class NanoBananaGenerator extends BaseAgent {
     prompt += `## SLIDE TYPE: ${imageType.toUpperCase()}\n\n`;
     prompt += `${promptData.description || `Generate a complete ${imageType} slide`}\n\n`;
 
-    // Add complete slide content to render
-    if (promptData.content) {
+    // Hybrid mode: the image is a background; text is added as editable boxes
+    const backgroundOnly = promptData.renderMode === "hybrid";
+
+    if (backgroundOnly) {
+      prompt += `## BACKGROUND ARTWORK ONLY (NO TEXT)
+
+This image is the background of an editable slide. Every headline, bullet,
+metric and label is added afterwards as a real text box following the
+${promptData.layout || "generic"} layout. Render NO words, numbers, labels or logos.
+Keep the areas where that layout places text calm and uncluttered, and put
+illustrations, diagram shapes and texture around them.
+
+`;
+      if (promptData.content) {
+        prompt += `## SLIDE SUBJECT (for illustration only, do NOT write any of it)\n\n`;
+        prompt += this.formatContentForPrompt(promptData.content) + "\n\n";
+      }
+    } else if (promptData.content) {
+      // Add complete slide content to render
       prompt += `## SLIDE CONTENT (render ALL text exactly as shown)\n\n`;
       prompt += this.formatContentForPrompt(promptData.content) + "\n\n";
     }
@@ -371,6 +431,19 @@ class NanoBananaGenerator extends BaseAgent {
     }
 
     // Final rendering requirements
+    if (backgroundOnly) {
+      prompt += `## OUTPUT REQUIREMENTS
+- Resolution: ${promptData.dimensions || "1920x1080"} (16:9 aspect ratio)
+- Absolutely no text, numbers or letterforms anywhere in the image
+- Use exact colors from style guide specifications above
+- Professional investor presentation quality
+- No watermarks, decorative borders, or stock imagery
+- This is a BACKGROUND - leave room for the slide's text
+
+Generate the background now.`;
+      return prompt;
+    }
+
     prompt += `## OUTPUT REQUIREMENTS
 - Resolution: ${promptData.dimensions || "1920x1080"} (16:9 aspect ratio)
 - All text MUST be crisp, sharp, and perfectly readable
@@ -440,60 +513,16 @@ Generate the full slide now.`;
       const startTime = Date.now();
 
       try {
-        // Use Gemini's image generation capability
-        const result = await this.generativeModel.generateContent({
-          contents: [
-            {
-              role: "user",
-              parts: [{ text: prompt }],
-            },
-          ],
-          generationConfig: {
-            responseModalities: ["IMAGE", "TEXT"],
-          },
-        });
+        const label = ["image", this.audience?.name, imageType].filter(Boolean).join("-");
+        const result = await this.client.generateImage({ prompt, label });
+        const { data: imageData, usage } = result;
+        this.noteReplay(result, label);
 
-        const response = result.response;
         const elapsed = ((Date.now() - startTime) / 1000).toFixed(1);
         this.log("debug", `API call completed in ${elapsed}s`);
 
-        // Extract image data from response
-        // The response format may vary - handle different possibilities
-        let imageData = null;
-
-        // Check for inline data in parts
-        for (const candidate of response.candidates || []) {
-          for (const part of candidate.content?.parts || []) {
-            if (part.inlineData?.data) {
-              imageData = part.inlineData.data;
-              break;
-            }
-          }
-          if (imageData) break;
-        }
-
-        // Alternative: check for image in response directly
-        if (!imageData && response.inlineData?.data) {
-          imageData = response.inlineData.data;
-        }
-
-        if (!imageData) {
-          // Log the full response for debugging
-          this.log("error", `No image data in response for ${imageType}`, {
-            hasResponse: !!response,
-            candidateCount: response?.candidates?.length || 0,
-            responseKeys: response ? Object.keys(response) : [],
-          });
-          throw new AgentError(
-            `No image data in response for ${imageType}. ` +
-            `Response had ${response?.candidates?.length || 0} candidates.`
-          );
-        }
-
         // Track costs (approximate for image generation)
-        const inputTokens = this.estimateTokens(prompt);
-        const outputTokens = 1000; // Approximate for image
-        this.costTracker.addUsage(this.provider, this.model, inputTokens, outputTokens);
+        this.costTracker.addUsage(this.provider, this.model, usage.inputTokens, usage.outputTokens);
 
         this.log("debug", `Successfully received image data for ${imageType}`);
         return imageData;
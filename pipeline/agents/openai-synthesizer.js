@@ -4,12 +4,17 @@
  * =============================================================================
  *
  * Phase 3: Extended Thinking Synthesis Agent
- * Uses ChatGPT 5.2 with extended_thinking mode to synthesize classified content
- * into detailed slide content with citations.
+ * Uses ChatGPT 5.2 (or any configured provider) with extended_thinking mode to
+ * synthesize classified content into detailed slide content with citations.
+ * executeAppendix() adds backup slides built from the classified content the
+ * main slides did not use.
  */
 
-const { BaseAgent, AgentError } = require("./base-agent");
-const { SLIDE_TYPES } = require("./claude-classifier");
+const { BaseAgent, ValidationError } = require("./base-agent");
+const { loadSlideTypes, loadAppendixTypes, spliceSlides } = require("../utils/slide-types");
+const { collectOverflow, isAppendixSlide } = require("../utils/appendix");
+const { loadResolutions, partitionConflicts } = require("../utils/conflict-resolutions");
+const { loadFacts, formatFact } = require("../utils/fact-book");
 const path = require("path");
 
 // =============================================================================
@@ -20,44 +25,42 @@ class OpenAISynthesizer extends BaseAgent {
   constructor(config = {}) {
     super(config);
     this.agentType = "synthesizer";
-    this.provider = "openai";
-    this.model = config.model || "gpt-5.2";
+    this.provider = config.provider || "openai";
+    this.model = config.model || this.defaultModelFor("openai", "gpt-5.2");
     this.maxTokens = config.maxTokens || 16384;
     this.temperature = config.temperature || 0.3;
     this.reasoningMode = config.reasoningMode || "extended_thinking";
-    this.client = null;
-  }
-
-  /**
-   * Initialize the OpenAI client
-   */
-  async initClient() {
-    if (this.client) return;
-
-    if (!process.env.OPENAI_API_KEY) {
-      throw new AgentError(
-        "OPENAI_API_KEY environment variable is required.\n" +
-          "Set it with: export OPENAI_API_KEY='your-api-key'"
-      );
-    }
 
-    // Dynamic import for ES module
-    const OpenAI = (await import("openai")).default;
-    this.client = new OpenAI({
-      apiKey: process.env.OPENAI_API_KEY,
-    });
-
-    this.log("info", `Initialized OpenAI client with model: ${this.model}`);
+    // Slide types come from the registry (config/slide-types.json)
+    this.slideTypes = loadSlideTypes();
+    this.slideTypeNames = this.slideTypes.map((t) => t.type);
+    this.appendixTypes = loadAppendixTypes();
   }
 
   /**
    * Main execution method
    */
   async execute(input) {
-    const { classifiedContextPath, storyPath, styleGuidePath, outputDir, pipelineConfig } =
-      input;
-
-    this.log("info", "Starting content synthesis...");
+    const {
+      classifiedContextPath,
+      storyPath,
+      styleGuidePath,
+      resolutionsPath,
+      factsPath,
+      outputDir,
+      pipelineConfig,
+      slides = null,
+      feedback = null,
+      // Fixture label: regenerating single slides must not overwrite the
+      // full run's recording
+      label = slides ? `synthesis-slides-${slides.join("+")}` : "synthesis",
+    } = input;
+
+    this.log("info", slides ? `Re-synthesizing slides: ${slides.join(", ")}` : "Starting content synthesis...");
+
+    // Regenerating single slides splices them into the existing output
+    const outputPath = path.join(outputDir, "synthesis-output.json");
+    const existing = slides ? this.loadJSON(outputPath) : null;
 
     // Initialize client unless dry-run mode is active
     if (!this.shouldSkipAPICall()) {
@@ -68,6 +71,8 @@ class OpenAISynthesizer extends BaseAgent {
     const classifiedContext = this.loadJSON(classifiedContextPath);
     const story = this.loadText(storyPath);
     const styleGuide = this.loadText(styleGuidePath);
+    const resolutions = loadResolutions(resolutionsPath);
+    const facts = loadFacts(factsPath);
 
     // Load system prompt
     const systemPromptPath = path.join(
@@ -84,28 +89,46 @@ class OpenAISynthesizer extends BaseAgent {
     const fullSystemPrompt = `${systemPrompt}\n\n## Active Reasoning Mode: ${this.reasoningMode}\n${modeSuffix}`;
 
     // Build user prompt with classified context
-    const userPrompt = this.buildUserPrompt(classifiedContext, story, styleGuide, pipelineConfig);
+    const userPrompt =
+      this.buildUserPrompt(classifiedContext, story, styleGuide, pipelineConfig, {
+        resolutions,
+        facts,
+        only: slides,
+        existing,
+      }) + this.formatFeedback(feedback);
 
     this.log("info", `Reasoning mode: ${this.reasoningMode}`);
     this.log("info", `Prompt size: ${Math.round(userPrompt.length / 1024)}KB`);
 
-    // Call OpenAI
-    const response = await this.callOpenAI(fullSystemPrompt, userPrompt);
-
-    // Extract JSON from response
-    const synthesisOutput = this.extractJSON(response);
+    // Call the model (the response is parsed and schema-checked, with repair)
+    const response = await this.callOpenAI(fullSystemPrompt, userPrompt, label);
+    const synthesisOutput = slides ? this.spliceRegenerated(existing, response, slides) : response;
 
     // Validate output structure
     this.validateSynthesisOutput(synthesisOutput);
 
     // Add metadata
     synthesisOutput.metadata = synthesisOutput.metadata || {};
-    synthesisOutput.metadata.synthesizedAt = new Date().toISOString();
-    synthesisOutput.metadata.reasoningMode = this.reasoningMode;
-    synthesisOutput.metadata.costIncurred = this.costTracker.totalCost;
+    if (slides) {
+      synthesisOutput.metadata.regenerated = [
+        ...(synthesisOutput.metadata.regenerated || []),
+        {
+          slides,
+          feedback,
+          reasoningMode: this.reasoningMode,
+          regeneratedAt: new Date().toISOString(),
+          costIncurred: this.costTracker.totalCost,
+        },
+      ];
+    } else {
+      synthesisOutput.metadata.synthesizedAt = new Date().toISOString();
+      synthesisOutput.metadata.reasoningMode = this.reasoningMode;
+      synthesisOutput.metadata.costIncurred = this.costTracker.totalCost;
+      if (feedback) synthesisOutput.metadata.feedback = feedback;
+    }
 
     // Save outputs
-    this.saveJSON(path.join(outputDir, "synthesis-output.json"), synthesisOutput);
+    this.saveJSON(outputPath, synthesisOutput);
 
     // Extract and save citations separately
     const citations = this.extractAllCitations(synthesisOutput);
@@ -117,14 +140,191 @@ class OpenAISynthesizer extends BaseAgent {
     return synthesisOutput;
   }
 
+  /**
+   * Build backup slides from the classified content the main slides leave
+   * out and put them after the main slides in the existing synthesis output
+   * @param {object} input - Paths as for execute(), plus
+   *   { minConfidence, maxItems } (maxItems per backup slide)
+   * @returns {Promise<object>} - { synthesisOutput, appendix, overflow }
+   */
+  async executeAppendix(input) {
+    const {
+      classifiedContextPath,
+      storyPath,
+      styleGuidePath,
+      factsPath,
+      outputDir,
+      pipelineConfig,
+      minConfidence = 0.8,
+      maxItems = 8,
+    } = input;
+
+    this.log("info", "Building appendix slides from overflow content...");
+
+    const outputPath = path.join(outputDir, "synthesis-output.json");
+    const synthesisOutput = this.loadJSON(outputPath);
+    const classifiedContext = this.loadJSON(classifiedContextPath);
+    const mainSlides = (synthesisOutput.slides || []).filter((s) => !isAppendixSlide(s));
+
+    const overflow = collectOverflow(classifiedContext, mainSlides, this.appendixTypes, { minConfidence, maxItems });
+
+    let appendix = [];
+    if (overflow.length === 0) {
+      this.log("info", `No uncited content with confidence >= ${minConfidence}; no appendix slides`);
+    } else {
+      this.log("info", `Overflow: ${overflow.map((o) => `${o.type} (${o.items.length})`).join(", ")}`);
+
+      // Initialize client unless dry-run mode is active
+      if (!this.shouldSkipAPICall()) {
+        await this.initClient();
+      }
+
+      const story = this.loadText(storyPath);
+      const styleGuide = this.loadText(styleGuidePath);
+      const facts = loadFacts(factsPath);
+      const systemPrompt = this.loadText(path.join(__dirname, "../config/agent-prompts/synthesizer-system.md"));
+      const userPrompt = this.buildAppendixPrompt(overflow, mainSlides, story, styleGuide, pipelineConfig, facts);
+
+      this.logPromptIfEnabled("system", systemPrompt);
+      this.logPromptIfEnabled("user", userPrompt);
+
+      let response;
+      if (this.shouldSkipAPICall()) {
+        this.logDryRun("synthesize appendix", this.estimateTokens(systemPrompt) + this.estimateTokens(userPrompt));
+        response = this.generateMockAppendixResponse(overflow);
+      } else {
+        response = await this.callModelForJSON({
+          system: systemPrompt,
+          prompt: userPrompt,
+          label: "appendix",
+          schema: "synthesis-output",
+        });
+      }
+
+      // One slide per appendix type with overflow, in registry order
+      appendix = overflow
+        .map(({ type }) => (response.slides || []).find((s) => s.type === type))
+        .filter(Boolean)
+        .map((slide) => ({ ...slide, appendix: true }));
+      const missing = overflow.filter(({ type }) => !appendix.some((s) => s.type === type)).map((o) => o.type);
+      if (missing.length > 0) {
+        this.log("warn", `Response has no slide for: ${missing.join(", ")}`);
+      }
+    }
+
+    synthesisOutput.slides = [...mainSlides, ...appendix];
+    this.validateSynthesisOutput(synthesisOutput);
+
+    synthesisOutput.metadata = synthesisOutput.metadata || {};
+    synthesisOutput.metadata.appendix = {
+      generatedAt: new Date().toISOString(),
+      minConfidence,
+      maxItems,
+      slides: appendix.map((s) => s.type),
+      overflowItems: overflow.reduce((sum, o) => sum + o.items.length, 0),
+      costIncurred: this.costTracker.totalCost,
+    };
+
+    this.saveJSON(outputPath, synthesisOutput);
+    this.saveJSON(path.join(outputDir, "citations.json"), this.extractAllCitations(synthesisOutput));
+
+    this.log("info", `Appendix slides: ${appendix.length}`);
+    this.log("info", `Cost: $${this.costTracker.totalCost.toFixed(4)}`);
+
+    return { synthesisOutput, appendix, overflow };
+  }
+
+  /**
+   * Build the prompt for backup slides: the main deck they back up, and for
+   * each appendix type its guidance and the overflow content it may use
+   */
+  buildAppendixPrompt(overflow, mainSlides, story, styleGuide, pipelineConfig, facts = []) {
+    const companyInfo = pipelineConfig?.company || {};
+    const outline = mainSlides
+      .map((s, i) => `${i + 1}. ${s.type}: ${s.content?.headline || s.content?.tagline || s.content?.statement || "(no headline)"}`)
+      .join("\n");
+
+    const sections = overflow.map(({ type, items }) => {
+      const entry = this.appendixTypes.find((t) => t.type === type);
+      const synthesis = entry.synthesis || {};
+      const lines = [`### ${type}`];
+      if (entry.description) lines.push(entry.description);
+      lines.push(synthesis.prompt);
+      if (synthesis.requiredFields?.length) {
+        lines.push(`Required fields: ${synthesis.requiredFields.join(", ")}`);
+      }
+      if (synthesis.schema) {
+        lines.push(`Schema: ${JSON.stringify(synthesis.schema)}`);
+      }
+      lines.push(
+        "",
+        "Overflow content:",
+        ...items.map((item) => {
+          const where = [item.source, item.location].filter(Boolean).join(", ");
+          return `- [${item.kind}] ${item.content} (${where}; confidence: ${item.confidence.toFixed(2)})`;
+        })
+      );
+      return lines.join("\n");
+    });
+
+    return `
+## Company Information
+
+Name: ${companyInfo.name || "[Company Name]"}
+Short Name: ${companyInfo.shortName || ""}
+
+## User's Desired Story Arc
+
+${story}
+
+## Style Guide Constraints
+
+${styleGuide}
+
+${this.formatPinnedFacts(facts)}## Main Deck (already written)
+
+${outline}
+
+## Backup Slides
+
+These slides follow the ask slide as an appendix, for investors who want the
+detail behind the main deck. Each lists the content the main slides did not
+use; the items are confident extractions from the sources but are not cited
+anywhere yet.
+
+${sections.join("\n\n---\n\n")}
+
+## Instructions
+
+Write one backup slide for each type above, in the same order, using only the
+overflow content listed for it. Do not repeat what the main deck already says.
+
+For each slide:
+1. Cite every fact, figure and bio detail with its source document and a short verbatim quote
+2. Keep each point self-contained: a backup slide is read on its own
+3. List the source documents you used in "sources"
+4. Apply the style guide constraints
+5. Include a reasoningTrace explaining what you selected and left out
+
+Return the same JSON format as for the main deck, with a "slides" array holding
+just these slides. Return ONLY valid JSON wrapped in \`\`\`json code blocks.
+`;
+  }
+
   /**
    * Build user prompt with classified context
    */
-  buildUserPrompt(classifiedContext, story, styleGuide, pipelineConfig) {
-    // Build slide-by-slide context
+  buildUserPrompt(
+    classifiedContext,
+    story,
+    styleGuide,
+    pipelineConfig,
+    { resolutions, facts = [], only = null, existing = null } = {}
+  ) {
+    // Build slide-by-slide context (only the regenerated slides' when given)
     const slideContexts = [];
 
-    for (const slideType of SLIDE_TYPES) {
+    for (const slideType of only || this.slideTypeNames) {
       const slideData = classifiedContext.slides?.[slideType];
       if (!slideData) continue;
 
@@ -136,6 +336,13 @@ class OpenAISynthesizer extends BaseAgent {
     const companyInfo = pipelineConfig?.company || {};
     const designInfo = pipelineConfig?.design || {};
 
+    // Conflicts the user has decided (user-inputs/resolutions.json) are settled
+    const { resolved, unresolved } = partitionConflicts(classifiedContext.globalConflicts, resolutions);
+
+    const task = only
+      ? `Regenerate only these slides: ${only.join(", ")}. Return the same JSON format with a "slides" array holding just these slides. The rest of the deck is kept as it is, so stay consistent with it.`
+      : `Synthesize the classified content above into a complete deck-config.json with all ${this.slideTypes.length} slides.`;
+
     return `
 ## Company Information
 
@@ -155,7 +362,7 @@ ${story}
 
 ${styleGuide}
 
-## Classified Context by Slide Type
+${this.formatPinnedFacts(facts)}## Classified Context by Slide Type
 
 ${slideContexts.join("\n\n---\n\n")}
 
@@ -166,15 +373,26 @@ ${(classifiedContext.missingCritical || []).map((m) => `- ${m}`).join("\n") || "
 
 	## Data Conflicts
 
+	The user has resolved these conflicts. Use the chosen value wherever the figure appears:
+	${resolved
+    .map(({ resolution }) => `- ${this.formatResolution(resolution)}`)
+    .join("\n") || "- None"}
+
 	The classifier found these conflicts to resolve:
-	${(classifiedContext.globalConflicts || [])
+	${unresolved
     .slice(0, 10)
     .map((c) => `- ${this.formatConflict(c)}`)
     .join("\n") || "- None identified"}
 
-## Instructions
+## Slide Types
 
-Synthesize the classified content above into a complete deck-config.json with all 12 slides.
+Generate one slide per type, in this order:
+
+${this.formatSlideTypeGuide(only)}
+
+${only ? this.formatCurrentSlides(existing, only) : ""}## Instructions
+
+${task}
 
 For each slide:
 1. Use the most relevant content from the classified sources
@@ -187,6 +405,65 @@ For each slide:
 	`;
   }
 
+  /**
+   * Format the registry's synthesis guidance for each slide type
+   */
+  formatSlideTypeGuide(only = null) {
+    return this.slideTypes
+      .map((t, i) => {
+        if (only && !only.includes(t.type)) return null;
+        const synthesis = t.synthesis || {};
+        const lines = [`### ${i + 1}. ${t.type}`];
+        if (t.description) lines.push(t.description);
+        if (synthesis.prompt) lines.push(synthesis.prompt);
+        if (synthesis.requiredFields?.length) {
+          lines.push(`Required fields: ${synthesis.requiredFields.join(", ")}`);
+        }
+        if (synthesis.schema) {
+          lines.push(`Schema: ${JSON.stringify(synthesis.schema)}`);
+        }
+        return lines.join("\n");
+      })
+      .filter(Boolean)
+      .join("\n\n");
+  }
+
+  /**
+   * Prompt section for regenerating single slides: the current version of
+   * those slides and the rest of the deck they must stay consistent with
+   */
+  formatCurrentSlides(existing, only) {
+    const content = (slides) => JSON.stringify(slides.map(({ type, content }) => ({ type, content })), null, 2);
+    const regenerated = (existing?.slides || []).filter((s) => only.includes(s.type));
+    const others = (existing?.slides || []).filter((s) => !only.includes(s.type));
+
+    return `## Current Version of the Slides to Regenerate
+
+\`\`\`json
+${content(regenerated)}
+\`\`\`
+
+## Rest of the Deck (kept as it is)
+
+\`\`\`json
+${content(others)}
+\`\`\`
+
+`;
+  }
+
+  /**
+   * Splice regenerated slides into the existing synthesis output
+   */
+  spliceRegenerated(existing, response, only) {
+    const regenerated = (response.slides || []).filter((s) => only.includes(s.type));
+    const missing = only.filter((type) => !regenerated.some((s) => s.type === type));
+    if (missing.length > 0) {
+      throw new ValidationError(`Response is missing the requested slide(s): ${missing.join(", ")}`, missing);
+    }
+    return { ...existing, slides: spliceSlides(existing.slides || [], regenerated, this.slideTypeNames) };
+  }
+
   /**
    * Format conflict objects for prompt readability
    */
@@ -206,6 +483,34 @@ For each slide:
     return parts.join(" ") || JSON.stringify(conflict);
   }
 
+  /**
+   * Prompt section for the user's pinned facts (empty without any)
+   */
+  formatPinnedFacts(facts) {
+    if (facts.length === 0) return "";
+    return `## Pinned Facts (Highest Priority)
+
+The user has pinned these facts in user-inputs/facts.json. They are the source of
+truth: use each value exactly as given wherever the figure appears, even where the
+classified context, the data conflicts or the conflict resolutions below say
+otherwise. Cite a pinned fact with its source and as-of date.
+
+${facts.map((f) => `- ${formatFact(f)}`).join("\n")}
+
+`;
+  }
+
+  /**
+   * Format a user's conflict resolution for the prompt
+   */
+  formatResolution(resolution) {
+    const others = (resolution.options || []).filter((o) => o !== resolution.value);
+    const parts = [`${resolution.conflict}: ${resolution.value}`];
+    if (others.length > 0) parts.push(`(not ${others.join(", ")})`);
+    if (resolution.note) parts.push(`- ${resolution.note}`);
+    return parts.join(" ");
+  }
+
   /**
    * Format context for a single slide type
    */
@@ -249,9 +554,11 @@ Data Quality: ${(quality.completeness * 100).toFixed(0)}% complete, ${quality.so
   }
 
   /**
-   * Call OpenAI API
+   * Call the synthesis model (OpenAI by default)
+   * @param {string} label - Call label for record/replay fixtures
+   * @returns {Promise<object>} - Parsed synthesis output
    */
-  async callOpenAI(systemPrompt, userPrompt) {
+  async callOpenAI(systemPrompt, userPrompt, label = "synthesis") {
     // Log prompts for debugging/auditing
     this.logPromptIfEnabled("system", systemPrompt);
     this.logPromptIfEnabled("user", userPrompt);
@@ -260,52 +567,35 @@ Data Quality: ${(quality.completeness * 100).toFixed(0)}% complete, ${quality.so
     if (this.shouldSkipAPICall()) {
       const totalTokens = this.estimateTokens(systemPrompt) + this.estimateTokens(userPrompt);
       this.logDryRun("call OpenAI synthesis", totalTokens);
-      return this.generateMockSynthesisResponse();
+      return JSON.parse(this.generateMockSynthesisResponse());
     }
 
-    return await this.withRetry(async () => {
-      this.log("info", "Calling OpenAI API...");
-      const startTime = Date.now();
-
-      try {
-        const response = await this.client.chat.completions.create({
-          model: this.model,
-          max_completion_tokens: this.maxTokens,
-          temperature: this.temperature,
-          messages: [
-            { role: "system", content: systemPrompt },
-            { role: "user", content: userPrompt },
-          ],
-        });
+    this.log("info", `Calling ${this.provider} API...`);
+    const startTime = Date.now();
 
-        const elapsed = ((Date.now() - startTime) / 1000).toFixed(1);
-        this.log("info", `API call completed in ${elapsed}s`);
+    const synthesisOutput = await this.callModelForJSON({
+      system: systemPrompt,
+      prompt: userPrompt,
+      label,
+      schema: "synthesis-output",
+    });
 
-        // Track costs
-        const inputTokens = response.usage?.prompt_tokens || 0;
-        const outputTokens = response.usage?.completion_tokens || 0;
-        this.costTracker.addUsage(this.provider, this.model, inputTokens, outputTokens);
+    const elapsed = ((Date.now() - startTime) / 1000).toFixed(1);
+    this.log("info", `API call completed in ${elapsed}s`);
 
-        this.log("info", `Tokens: ${inputTokens} in, ${outputTokens} out`);
+    const lastCall = this.costTracker.calls[this.costTracker.calls.length - 1];
+    if (lastCall) {
+      this.log("info", `Tokens: ${lastCall.inputTokens} in, ${lastCall.outputTokens} out`);
+    }
 
-        return response.choices[0].message.content;
-      } catch (error) {
-        if (error.code === "model_not_found") {
-          this.log(
-            "error",
-            `Model '${this.model}' not found. Try 'gpt-4o' or 'gpt-4-turbo'.`
-          );
-        }
-        throw error;
-      }
-    });
+    return synthesisOutput;
   }
 
   /**
    * Generate mock synthesis response for dry-run mode
    */
   generateMockSynthesisResponse() {
-    const slides = SLIDE_TYPES.map((type) => ({
+    const slides = this.slideTypeNames.map((type) => ({
       type,
       content: {
         headline: `[DRY-RUN] Mock ${type} headline`,
@@ -315,6 +605,7 @@ Data Quality: ${(quality.completeness * 100).toFixed(0)}% complete, ${quality.so
         {
           fact: `[DRY-RUN] Mock citation for ${type}`,
           source: "mock-source.txt",
+          quote: `[DRY-RUN] Mock quote for ${type}`,
           confidence: 0.5,
         },
       ],
@@ -332,22 +623,58 @@ Data Quality: ${(quality.completeness * 100).toFixed(0)}% complete, ${quality.so
   }
 
   /**
-   * Validate synthesis output structure
+   * Generate mock appendix response for dry-run mode: the overflow items
+   * become the slide's entries, each cited with its own text
+   */
+  generateMockAppendixResponse(overflow) {
+    const mockEntries = (template, items) => {
+      const sample = Array.isArray(template) ? template[0] : null;
+      if (!sample || typeof sample !== "object") return items.map((item) => item.content);
+      return items.map((item) =>
+        Object.fromEntries(Object.keys(sample).map((key, i) => [key, i === 0 ? `[DRY-RUN] ${item.kind}` : item.content]))
+      );
+    };
+
+    return {
+      slides: overflow.map(({ type, items }) => {
+        const schema = this.appendixTypes.find((t) => t.type === type).synthesis?.schema || {};
+        const listField = Object.keys(schema).find((key) => key !== "sources" && Array.isArray(schema[key]));
+        return {
+          type,
+          content: {
+            headline: `[DRY-RUN] Mock ${type} headline`,
+            ...(listField ? { [listField]: mockEntries(schema[listField], items) } : {}),
+            sources: [...new Set(items.map((item) => item.source))],
+          },
+          citations: items.map((item) => ({
+            fact: item.content,
+            source: item.source,
+            quote: item.content,
+            confidence: item.confidence,
+          })),
+          reasoningTrace: `[DRY-RUN] Mock reasoning for ${type}`,
+        };
+      }),
+    };
+  }
+
+  /**
+   * Validate synthesis output against config/schemas/synthesis-output.schema.json
    */
   validateSynthesisOutput(output) {
-    const errors = [];
+    const errors = this.validateObject(output, "synthesis-output");
     const warnings = [];
 
+    if (errors.length > 0) {
+      throw new ValidationError(`Synthesis output validation failed:\n  - ${errors.join("\n  - ")}`, errors);
+    }
+
     // Check required top-level fields
     if (!output.company?.name) warnings.push("Missing company.name");
-    if (!output.slides || !Array.isArray(output.slides)) {
-      errors.push("Missing or invalid slides array");
-      return { valid: false, errors, warnings };
-    }
 
     // Check slide types
     const foundTypes = new Set(output.slides.map((s) => s.type));
-    for (const type of SLIDE_TYPES) {
+    for (const type of this.slideTypeNames) {
       if (!foundTypes.has(type)) {
         warnings.push(`Missing slide type: ${type}`);
       }
@@ -360,10 +687,6 @@ Data Quality: ${(quality.completeness * 100).toFixed(0)}% complete, ${quality.so
       }
     }
 
-    if (errors.length > 0) {
-      throw new AgentError(`Synthesis output validation failed: ${errors.join(", ")}`);
-    }
-
     if (warnings.length > 0) {
       this.log("warn", "Validation warnings:", { warnings });
     }
@@ -381,10 +704,15 @@ Data Quality: ${(quality.completeness * 100).toFixed(0)}% complete, ${quality.so
       bySlide: {},
       bySource: {},
       lowConfidence: [],
+      unsupported: [],
+      rationaleBySlide: {},
     };
 
     for (const slide of output.slides || []) {
       citations.bySlide[slide.type] = [];
+      if (slide.reasoningTrace) {
+        citations.rationaleBySlide[slide.type] = slide.reasoningTrace;
+      }
 
       for (const citation of slide.citations || []) {
         citations.totalCitations++;
@@ -407,6 +735,14 @@ Data Quality: ${(quality.completeness * 100).toFixed(0)}% complete, ${quality.so
             slideType: slide.type,
           });
         }
+
+        // Track citations the verifier could not find in their source
+        if (citation.verification?.status === "unsupported") {
+          citations.unsupported.push({
+            ...citation,
+            slideType: slide.type,
+          });
+        }
       }
     }
 
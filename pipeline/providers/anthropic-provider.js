@@ -0,0 +1,64 @@
+/**
+ * =============================================================================
+ * Anthropic Provider
+ * =============================================================================
+ *
+ * Claude models via the Anthropic Messages API.
+ */
+
+const { BaseProvider } = require("./base-provider");
+
+// =============================================================================
+// Anthropic Provider
+// =============================================================================
+
+class AnthropicProvider extends BaseProvider {
+  constructor(options = {}) {
+    super(options);
+    this.name = "anthropic";
+    this.apiKeyEnv = options.apiKeyEnv || "ANTHROPIC_API_KEY";
+  }
+
+  /**
+   * Initialize the Anthropic client
+   */
+  async init() {
+    if (this.client) return;
+
+    const apiKey = this.requireApiKey(this.apiKeyEnv);
+
+    // Dynamic import for ES module
+    const Anthropic = (await import("@anthropic-ai/sdk")).default;
+    this.client = new Anthropic({
+      apiKey,
+      ...(this.options.baseURL ? { baseURL: this.options.baseURL } : {}),
+    });
+  }
+
+  /**
+   * Run a single-turn completion
+   */
+  async complete({ system, prompt, maxTokens, temperature }) {
+    const result = await this.client.messages.create({
+      model: this.model,
+      max_tokens: maxTokens,
+      ...(temperature !== undefined ? { temperature } : {}),
+      ...(system ? { system } : {}),
+      messages: [{ role: "user", content: prompt }],
+    });
+
+    return {
+      text: result.content[0].text,
+      usage: {
+        inputTokens: result.usage?.input_tokens || 0,
+        outputTokens: result.usage?.output_tokens || 0,
+      },
+    };
+  }
+}
+
+// =============================================================================
+// Exports
+// =============================================================================
+
+module.exports = { AnthropicProvider };
@@ -0,0 +1,86 @@
+/**
+ * =============================================================================
+ * Base Provider Class
+ * =============================================================================
+ *
+ * Abstract base class for LLM vendor adapters. A provider hides the vendor SDK
+ * behind two calls — complete() for text and generateImage() for images — so
+ * any agent can run on any vendor selected in pipeline-config.json.
+ */
+
+const { AgentError } = require("../agents/base-agent");
+
+// =============================================================================
+// Base Provider Class
+// =============================================================================
+
+class BaseProvider {
+  constructor(options = {}) {
+    this.options = options;
+    this.name = "base";
+    this.model = options.model;
+    this.client = null;
+  }
+
+  // ===========================================================================
+  // Abstract Methods (to be implemented by subclasses)
+  // ===========================================================================
+
+  /**
+   * Create the underlying SDK client
+   */
+  async init() {
+    throw new Error("init() must be implemented by subclass");
+  }
+
+  /**
+   * Run a single-turn text completion
+   * @param {object} request - { system, prompt, maxTokens, temperature }
+   * @returns {Promise<{text: string, usage: {inputTokens: number, outputTokens: number}}>}
+   */
+  async complete(request) {
+    throw new Error("complete() must be implemented by subclass");
+  }
+
+  /**
+   * Generate an image from a prompt
+   * @param {object} request - { prompt }
+   * @returns {Promise<{data: string, usage: {inputTokens: number, outputTokens: number}}>} - base64 image data
+   */
+  async generateImage(request) {
+    throw new AgentError(
+      `Image generation is not supported by the '${this.name}' provider`
+    );
+  }
+
+  // ===========================================================================
+  // Helpers
+  // ===========================================================================
+
+  /**
+   * Read the API key from the environment, failing with setup instructions
+   */
+  requireApiKey(envVar) {
+    const apiKey = process.env[envVar];
+    if (!apiKey) {
+      throw new AgentError(
+        `${envVar} environment variable is required.\n` +
+          `Set it with: export ${envVar}='your-api-key'`
+      );
+    }
+    return apiKey;
+  }
+
+  /**
+   * Get token estimate (rough approximation: ~4 chars per token)
+   */
+  estimateTokens(text) {
+    return Math.ceil((text || "").length / 4);
+  }
+}
+
+// =============================================================================
+// Exports
+// =============================================================================
+
+module.exports = { BaseProvider };
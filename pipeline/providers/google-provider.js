@@ -0,0 +1,137 @@
+/**
+ * =============================================================================
+ * Google Provider
+ * =============================================================================
+ *
+ * Gemini models via the Google Generative AI SDK. The only provider that
+ * supports image generation (Nano Banana Pro).
+ */
+
+const { BaseProvider } = require("./base-provider");
+const { AgentError } = require("../agents/base-agent");
+
+// =============================================================================
+// Google Provider
+// =============================================================================
+
+class GoogleProvider extends BaseProvider {
+  constructor(options = {}) {
+    super(options);
+    this.name = "google";
+    this.apiKeyEnv = options.apiKeyEnv || "GOOGLE_AI_API_KEY";
+  }
+
+  /**
+   * Initialize the Google AI client
+   */
+  async init() {
+    if (this.client) return;
+
+    const apiKey = this.requireApiKey(this.apiKeyEnv);
+
+    // Dynamic import for ES module
+    const { GoogleGenerativeAI } = await import("@google/generative-ai");
+    this.client = new GoogleGenerativeAI(apiKey);
+  }
+
+  /**
+   * Get a model handle, optionally bound to a system instruction
+   */
+  getModel(system) {
+    return this.client.getGenerativeModel({
+      model: this.model,
+      ...(system ? { systemInstruction: system } : {}),
+    });
+  }
+
+  /**
+   * Run a single-turn completion
+   */
+  async complete({ system, prompt, maxTokens, temperature }) {
+    const generationConfig = {};
+    if (maxTokens) generationConfig.maxOutputTokens = maxTokens;
+    if (temperature !== undefined) generationConfig.temperature = temperature;
+
+    const result = await this.getModel(system).generateContent({
+      contents: [{ role: "user", parts: [{ text: prompt }] }],
+      generationConfig,
+    });
+    const text = result.response.text();
+
+    // Gemini doesn't always return usage - fall back to estimates
+    const usage = result.response.usageMetadata || {};
+    return {
+      text,
+      usage: {
+        inputTokens:
+          usage.promptTokenCount || this.estimateTokens((system || "") + prompt),
+        outputTokens: usage.candidatesTokenCount || this.estimateTokens(text),
+      },
+    };
+  }
+
+  /**
+   * Generate an image (returns base64 data)
+   */
+  async generateImage({ prompt }) {
+    const result = await this.getModel().generateContent({
+      contents: [
+        {
+          role: "user",
+          parts: [{ text: prompt }],
+        },
+      ],
+      generationConfig: {
+        responseModalities: ["IMAGE", "TEXT"],
+      },
+    });
+
+    const response = result.response;
+
+    // Extract image data from response
+    // The response format may vary - handle different possibilities
+    let data = null;
+
+    // Check for inline data in parts
+    for (const candidate of response.candidates || []) {
+      for (const part of candidate.content?.parts || []) {
+        if (part.inlineData?.data) {
+          data = part.inlineData.data;
+          break;
+        }
+      }
+      if (data) break;
+    }
+
+    // Alternative: check for image in response directly
+    if (!data && response.inlineData?.data) {
+      data = response.inlineData.data;
+    }
+
+    if (!data) {
+      throw new AgentError(
+        `No image data in response. Response had ${response?.candidates?.length || 0} candidates.`,
+        null,
+        {
+          hasResponse: !!response,
+          candidateCount: response?.candidates?.length || 0,
+          responseKeys: response ? Object.keys(response) : [],
+        }
+      );
+    }
+
+    return {
+      data,
+      usage: {
+        inputTokens: this.estimateTokens(prompt),
+        outputTokens: 1000, // Approximate for image
+      },
+    };
+  }
+}
+
+// =============================================================================
+// Exports
+// =============================================================================
+
+module.exports = { GoogleProvider };
@@ -0,0 +1,88 @@
+/**
+ * =============================================================================
+ * Provider Registry
+ * =============================================================================
+ *
+ * Maps the `provider` field of an agent config to a vendor adapter.
+ */
+
+const { AgentError } = require("../agents/base-agent");
+const { AnthropicProvider } = require("./anthropic-provider");
+const { OpenAIProvider, OpenAICompatibleProvider } = require("./openai-provider");
+const { GoogleProvider } = require("./google-provider");
+const { ReplayProvider, resolveFixtureConfig } = require("./replay-provider");
+
+// =============================================================================
+// Registry
+// =============================================================================
+
+const PROVIDERS = {
+  anthropic: {
+    Provider: AnthropicProvider,
+    apiKeyEnv: "ANTHROPIC_API_KEY",
+    defaultModel: "claude-sonnet-4-20250514",
+  },
+  openai: {
+    Provider: OpenAIProvider,
+    apiKeyEnv: "OPENAI_API_KEY",
+    defaultModel: "gpt-5.2",
+  },
+  google: {
+    Provider: GoogleProvider,
+    apiKeyEnv: "GOOGLE_AI_API_KEY",
+    defaultModel: "gemini-3-pro-preview",
+  },
+  "openai-compatible": {
+    Provider: OpenAICompatibleProvider,
+    apiKeyEnv: null, // Local endpoints usually need no key
+    defaultModel: "llama3.1",
+  },
+};
+
+/**
+ * Look up a provider registry entry, failing on unknown names
+ */
+function getProviderInfo(name) {
+  const info = PROVIDERS[name];
+  if (!info) {
+    throw new AgentError(
+      `Unknown provider '${name}'. Valid providers: ${Object.keys(PROVIDERS).join(", ")}`
+    );
+  }
+  return info;
+}
+
+/**
+ * Create a provider instance
+ * @param {string} name - Provider name from config
+ * @param {object} options - { model, baseURL, apiKeyEnv, fixtures }
+ */
+function createProvider(name, options = {}) {
+  const { Provider } = getProviderInfo(name);
+  const provider = new Provider(options);
+
+  // Wrap with record/replay when fixtures are enabled
+  if (options.fixtures) {
+    return new ReplayProvider(provider, options.fixtures);
+  }
+  return provider;
+}
+
+/**
+ * Environment variable holding the API key for a provider (null if none needed)
+ */
+function getRequiredEnvVar(name, agentConfig = {}) {
+  return agentConfig.apiKeyEnv || getProviderInfo(name).apiKeyEnv;
+}
+
+// =============================================================================
+// Exports
+// =============================================================================
+
+module.exports = {
+  PROVIDERS,
+  createProvider,
+  getProviderInfo,
+  getRequiredEnvVar,
+  resolveFixtureConfig,
+};
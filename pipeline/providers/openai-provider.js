@@ -0,0 +1,120 @@
+/**
+ * =============================================================================
+ * OpenAI Provider
+ * =============================================================================
+ *
+ * OpenAI chat completions. Also serves OpenAI-compatible endpoints (Ollama,
+ * vLLM, LM Studio, llama.cpp server) when a baseURL is configured.
+ */
+
+const { BaseProvider } = require("./base-provider");
+
+// =============================================================================
+// OpenAI Provider
+// =============================================================================
+
+class OpenAIProvider extends BaseProvider {
+  constructor(options = {}) {
+    super(options);
+    this.name = "openai";
+    this.apiKeyEnv = options.apiKeyEnv || "OPENAI_API_KEY";
+    this.baseURL = options.baseURL || null;
+  }
+
+  /**
+   * Initialize the OpenAI client
+   */
+  async init() {
+    if (this.client) return;
+
+    const apiKey = this.resolveApiKey();
+
+    // Dynamic import for ES module
+    const OpenAI = (await import("openai")).default;
+    this.client = new OpenAI({
+      apiKey,
+      ...(this.baseURL ? { baseURL: this.baseURL } : {}),
+    });
+  }
+
+  /**
+   * Hosted OpenAI always needs a key
+   */
+  resolveApiKey() {
+    return this.requireApiKey(this.apiKeyEnv);
+  }
+
+  /**
+   * Run a single-turn completion
+   */
+  async complete({ system, prompt, maxTokens, temperature }) {
+    const messages = [];
+    if (system) messages.push({ role: "system", content: system });
+    messages.push({ role: "user", content: prompt });
+
+    try {
+      const response = await this.client.chat.completions.create({
+        model: this.model,
+        ...this.maxTokensParam(maxTokens),
+        ...(temperature !== undefined ? { temperature } : {}),
+        messages,
+      });
+
+      return {
+        text: response.choices[0].message.content,
+        usage: {
+          inputTokens: response.usage?.prompt_tokens || 0,
+          outputTokens: response.usage?.completion_tokens || 0,
+        },
+      };
+    } catch (error) {
+      if (error.code === "model_not_found") {
+        error.message = `Model '${this.model}' not found. Try 'gpt-4o' or 'gpt-4-turbo'. (${error.message})`;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Newer OpenAI models reject max_tokens in favour of max_completion_tokens
+   */
+  maxTokensParam(maxTokens) {
+    return { max_completion_tokens: maxTokens };
+  }
+}
+
+// =============================================================================
+// OpenAI-Compatible Provider (local endpoints)
+// =============================================================================
+
+class OpenAICompatibleProvider extends OpenAIProvider {
+  constructor(options = {}) {
+    super(options);
+    this.name = "openai-compatible";
+    this.apiKeyEnv = options.apiKeyEnv || "OPENAI_COMPATIBLE_API_KEY";
+    this.baseURL =
+      options.baseURL ||
+      process.env.OPENAI_COMPATIBLE_BASE_URL ||
+      "http://localhost:11434/v1";
+  }
+
+  /**
+   * Most local servers ignore the key, but the SDK requires a non-empty value
+   */
+  resolveApiKey() {
+    return process.env[this.apiKeyEnv] || "not-needed";
+  }
+
+  /**
+   * Local servers generally only understand the classic max_tokens field
+   */
+  maxTokensParam(maxTokens) {
+    return { max_tokens: maxTokens };
+  }
+}
+
+// =============================================================================
+// Exports
+// =============================================================================
+
+module.exports = { OpenAIProvider, OpenAICompatibleProvider };
@@ -0,0 +1,211 @@
+/**
+ * =============================================================================
+ * Record/Replay Provider
+ * =============================================================================
+ *
+ * Wraps any provider to record every request/response pair as a fixture file,
+ * or to replay previously recorded fixtures with no network access.
+ *
+ * Fixtures live under <dir>/<AgentName>/<label>.json. They are keyed by the
+ * call label (e.g. "toc", "classify-doc.txt", "image-title") rather than by the
+ * prompt, so a replay still works after a prompt edit; the stored request hash
+ * is compared on replay and a changed prompt is reported as stale. A label can
+ * only be recorded once per run: a second call under it would overwrite the
+ * first fixture, and the run could no longer be replayed.
+ */
+
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const { BaseProvider } = require("./base-provider");
+const { AgentError } = require("../agents/base-agent");
+
+const FIXTURE_MODES = ["off", "record", "replay"];
+
+// Fixture files recorded by this process, across agents and provider instances
+const recordedThisRun = new Set();
+
+// =============================================================================
+// Record/Replay Provider
+// =============================================================================
+
+class ReplayProvider extends BaseProvider {
+  /**
+   * @param {BaseProvider} inner - Provider that makes the real calls
+   * @param {object} fixtures - { mode: 'record'|'replay', dir, namespace, strict }
+   */
+  constructor(inner, fixtures = {}) {
+    super({ model: inner.model });
+    this.inner = inner;
+    this.name = inner.name;
+    this.mode = fixtures.mode;
+    this.dir = path.join(fixtures.dir, fixtures.namespace || "default");
+    this.strict = fixtures.strict || false;
+    this.staleFixtures = [];
+  }
+
+  /**
+   * Only recording needs a live client (and therefore an API key)
+   */
+  async init() {
+    if (this.mode === "record") {
+      await this.inner.init();
+    }
+  }
+
+  /**
+   * Run or replay a text completion
+   */
+  async complete(request) {
+    return this.handle("complete", request, () => this.inner.complete(request));
+  }
+
+  /**
+   * Run or replay an image generation
+   */
+  async generateImage(request) {
+    return this.handle("image", request, () => this.inner.generateImage(request));
+  }
+
+  /**
+   * Shared record/replay flow
+   */
+  async handle(kind, request, callInner) {
+    const label = request.label || this.hashRequest(request).substring(0, 16);
+    const fixturePath = this.fixturePath(label);
+    const requestHash = this.hashRequest(request);
+
+    if (this.mode === "replay") {
+      return this.replay(kind, label, fixturePath, requestHash);
+    }
+
+    // Checked before the call, so a clash costs nothing
+    if (recordedThisRun.has(fixturePath)) {
+      throw new AgentError(
+        `Fixture '${label}' was already recorded in this run (${fixturePath}); ` +
+          "each call needs its own label to be replayed"
+      );
+    }
+
+    const response = await callInner();
+    this.record(kind, label, fixturePath, requestHash, request, response);
+    return response;
+  }
+
+  /**
+   * Load a recorded response
+   */
+  replay(kind, label, fixturePath, requestHash) {
+    if (!fs.existsSync(fixturePath)) {
+      throw new AgentError(
+        `No recorded fixture for '${label}' (${fixturePath}). ` +
+          "Run the phase with --record first."
+      );
+    }
+
+    const fixture = JSON.parse(fs.readFileSync(fixturePath, "utf-8"));
+    if (fixture.kind !== kind) {
+      throw new AgentError(
+        `Fixture '${label}' was recorded as '${fixture.kind}', expected '${kind}'`
+      );
+    }
+
+    if (fixture.requestHash !== requestHash) {
+      this.staleFixtures.push(label);
+      if (this.strict) {
+        throw new AgentError(
+          `Fixture '${label}' is stale: the request changed since it was recorded`
+        );
+      }
+    }
+
+    // Replayed calls cost nothing
+    return {
+      ...fixture.response,
+      usage: { inputTokens: 0, outputTokens: 0 },
+      replayed: true,
+      stale: fixture.requestHash !== requestHash,
+    };
+  }
+
+  /**
+   * Save a request/response pair
+   */
+  record(kind, label, fixturePath, requestHash, request, response) {
+    if (!fs.existsSync(this.dir)) {
+      fs.mkdirSync(this.dir, { recursive: true });
+    }
+
+    const { label: _label, ...requestBody } = request;
+    const fixture = {
+      recordedAt: new Date().toISOString(),
+      kind,
+      label,
+      provider: this.inner.name,
+      model: this.inner.model,
+      requestHash,
+      request: requestBody,
+      response,
+    };
+
+    fs.writeFileSync(fixturePath, JSON.stringify(fixture, null, 2));
+    recordedThisRun.add(fixturePath);
+  }
+
+  /**
+   * Fixture file path for a call label
+   */
+  fixturePath(label) {
+    const safeLabel = label.replace(/[^A-Za-z0-9._-]+/g, "_");
+    return path.join(this.dir, `${safeLabel}.json`);
+  }
+
+  /**
+   * Stable hash of everything that influences the model's answer
+   */
+  hashRequest(request) {
+    const { label, ...body } = request;
+    const material = JSON.stringify({
+      provider: this.inner.name,
+      model: this.inner.model,
+      system: body.system || "",
+      prompt: body.prompt || "",
+      maxTokens: body.maxTokens ?? null,
+      temperature: body.temperature ?? null,
+    });
+    return crypto.createHash("sha256").update(material).digest("hex");
+  }
+}
+
+// =============================================================================
+// Configuration Helpers
+// =============================================================================
+
+/**
+ * Resolve fixture settings from CLI options and pipeline config.
+ * CLI flags (--record / --replay) win over pipelineConfig.fixtures.mode.
+ * @returns {object|null} - { mode, dir, strict } or null when disabled
+ */
+function resolveFixtureConfig(options, pipelineConfig, projectRoot) {
+  const configured = pipelineConfig?.fixtures || {};
+  const mode = options.record ? "record" : options.replay ? "replay" : configured.mode || "off";
+
+  if (!FIXTURE_MODES.includes(mode)) {
+    throw new AgentError(
+      `Invalid fixtures mode '${mode}'. Valid modes: ${FIXTURE_MODES.join(", ")}`
+    );
+  }
+  if (mode === "off") return null;
+
+  return {
+    mode,
+    dir: path.resolve(projectRoot, configured.dir || "intermediate/fixtures"),
+    strict: configured.strict || false,
+  };
+}
+
+// =============================================================================
+// Exports
+// =============================================================================
+
+module.exports = { ReplayProvider, resolveFixtureConfig, FIXTURE_MODES };
@@ -5,10 +5,18 @@
 #
 # Runs the complete multi-agent deck generation pipeline:
 #   1. Extract text from PDFs (markitdown)
-#   2. Classify context by slide type (Claude)
-#   3. Synthesize content (ChatGPT 5.2 extended_thinking)
-#   4. Generate final config + images (Gemini + Nano Banana Pro)
+#   2. Classify context by slide type (Claude), then resolve the data
+#      conflicts it found
+#   3. Synthesize content (ChatGPT 5.2 extended_thinking), have a critic
+#      (Claude) score each slide and send weak ones back for revision, then
+#      verify the citations against the extracted text; optionally write the
+#      footnoted investment memo (Claude)
+#   4. Generate final config + images (Gemini + Nano Banana Pro), plus any
+#      audience variants requested with --audience
 #   5. Render PowerPoint deck (pptxgenjs)
+#   6. Write the one-page investor summary (PDF + DOCX)
+#
+# Each completed run is archived under runs/<run id>/ (see tools/runs.js).
 #
 # Usage:
 #   ./run-pipeline.sh [options]
@@ -18,15 +26,29 @@
 #   --skip-extract      Skip PDF extraction (Phase 1)
 #   --skip-classify     Skip classification (Phase 2)
 #   --skip-synthesize   Skip synthesis (Phase 3)
+#   --skip-critique     Skip the critic review loop after synthesis (Phase 3)
+#   --appendix          Build backup slides from uncited content (Phase 3;
+#                       default: appendix.enabled in pipeline-config.json)
+#   --memo              Write the investment memo (Phase 3;
+#                       default: memo.enabled in pipeline-config.json)
 #   --skip-images       Skip image generation in Phase 4
-#   --from-phase <n>    Start from phase n (1-5)
+#   --audience <names>  Also write and render deck variants for these audience
+#                       profiles (comma-separated, or "all"; Phases 4-6)
+#   --skip-one-pager    Skip the one-page summary (Phase 6)
+#   --from-phase <n>    Start from phase n (1-6)
+#   --record            Record model calls as fixtures (Phases 2-4)
+#   --replay            Replay recorded fixtures instead of calling APIs (Phases 2-4)
 #   --yes, -y           Continue on missing API-key warnings without prompting
 #   --non-interactive   Fail instead of prompting when warnings occur
+#   --no-archive        Do not archive this run under runs/
+#   --label <text>      Label stored with the archived run
 #   --help              Show this help message
 #
-# Environment Variables:
+# Environment Variables (for the default providers; each phase's provider is
+# set under agents.<name>.provider in config/pipeline-config.json):
 #   ANTHROPIC_API_KEY   Required for Phase 2 (Claude)
 #   OPENAI_API_KEY      Required for Phase 3 (ChatGPT)
+#   ANTHROPIC_API_KEY   Also required for the Phase 3 critic and memo writer (Claude)
 #   GOOGLE_AI_API_KEY   Required for Phase 4 (Gemini + Nano Banana Pro)
 #
 # =============================================================================
@@ -63,10 +85,18 @@ MODE="extended_thinking"
 SKIP_EXTRACT=false
 SKIP_CLASSIFY=false
 SKIP_SYNTHESIZE=false
+SKIP_CRITIQUE=false
+APPENDIX=false
+MEMO=false
 SKIP_IMAGES=false
+SKIP_ONE_PAGER=false
 FROM_PHASE=1
 AUTO_YES=false
 NON_INTERACTIVE=false
+FIXTURE_FLAG=""
+ARCHIVE=true
+RUN_LABEL=""
+AUDIENCE=""
 
 # Parse arguments
 while [[ $# -gt 0 ]]; do
@@ -87,14 +117,42 @@ while [[ $# -gt 0 ]]; do
             SKIP_SYNTHESIZE=true
             shift
             ;;
+        --skip-critique)
+            SKIP_CRITIQUE=true
+            shift
+            ;;
+        --appendix)
+            APPENDIX=true
+            shift
+            ;;
+        --memo)
+            MEMO=true
+            shift
+            ;;
         --skip-images)
             SKIP_IMAGES=true
             shift
             ;;
+        --audience|--audiences)
+            AUDIENCE="$2"
+            shift 2
+            ;;
+        --skip-one-pager)
+            SKIP_ONE_PAGER=true
+            shift
+            ;;
         --from-phase)
             FROM_PHASE="$2"
             shift 2
             ;;
+        --record)
+            FIXTURE_FLAG="--record"
+            shift
+            ;;
+        --replay)
+            FIXTURE_FLAG="--replay"
+            shift
+            ;;
         --yes|-y)
             AUTO_YES=true
             shift
@@ -103,6 +161,14 @@ while [[ $# -gt 0 ]]; do
             NON_INTERACTIVE=true
             shift
             ;;
+        --no-archive)
+            ARCHIVE=false
+            shift
+            ;;
+        --label)
+            RUN_LABEL="$2"
+            shift 2
+            ;;
         --help|-h)
             echo "Usage: ./run-pipeline.sh [options]"
             echo ""
@@ -113,22 +179,40 @@ while [[ $# -gt 0 ]]; do
             echo "  --skip-extract      Skip PDF extraction (Phase 1)"
             echo "  --skip-classify     Skip classification (Phase 2)"
             echo "  --skip-synthesize   Skip synthesis (Phase 3)"
+            echo "  --skip-critique     Skip the critic review loop after synthesis (Phase 3)"
+            echo "  --appendix          Build backup slides from uncited content (Phase 3;"
+            echo "                      default: appendix.enabled in pipeline-config.json)"
+            echo "  --memo              Write the investment memo (Phase 3;"
+            echo "                      default: memo.enabled in pipeline-config.json)"
             echo "  --skip-images       Skip image generation in Phase 4"
-            echo "  --from-phase <n>    Start from phase n (1-5)"
+            echo "  --audience <names>  Also write and render deck variants for these audience"
+            echo "                      profiles (comma-separated, or \"all\"; Phases 4-6)"
+            echo "  --skip-one-pager    Skip the one-page summary (Phase 6)"
+            echo "  --from-phase <n>    Start from phase n (1-6)"
+            echo "  --record            Record model calls as fixtures (Phases 2-4)"
+            echo "  --replay            Replay recorded fixtures instead of calling APIs (Phases 2-4)"
             echo "  --yes, -y           Continue on missing API-key warnings without prompting"
             echo "  --non-interactive   Fail instead of prompting when warnings occur"
+            echo "  --no-archive        Do not archive this run under runs/"
+            echo "  --label <text>      Label stored with the archived run"
             echo "  --help              Show this help message"
             echo ""
             echo "Phases:"
             echo "  1. Extract     - Extract text from PDFs using markitdown"
-            echo "  2. Classify    - Classify content by slide type using Claude"
-            echo "  3. Synthesize  - Synthesize slides using ChatGPT 5.2"
+            echo "  2. Classify    - Classify content by slide type using Claude, resolve conflicts"
+            echo "  3. Synthesize  - Synthesize slides using ChatGPT 5.2, critique and revise"
+            echo "                   them with Claude, verify citations"
             echo "  4. Generate    - Polish JSON + generate images (Gemini + Nano Banana Pro)"
             echo "  5. Render      - Generate PowerPoint with pptxgenjs"
+            echo "  6. One-Pager   - Write the one-page investor summary (PDF + DOCX)"
+            echo ""
+            echo "Completed runs are archived under runs/; compare them with"
+            echo "  node tools/runs.js diff previous latest"
             echo ""
-            echo "Environment Variables Required:"
+            echo "Environment Variables Required (default providers):"
             echo "  ANTHROPIC_API_KEY   For Phase 2 (Claude classifier)"
             echo "  OPENAI_API_KEY      For Phase 3 (ChatGPT synthesizer)"
+            echo "  ANTHROPIC_API_KEY   Also for Phase 3 (Claude critic)"
             echo "  GOOGLE_AI_API_KEY   For Phase 4 (Gemini + Nano Banana Pro)"
             exit 0
             ;;
@@ -169,34 +253,74 @@ check_user_inputs() {
     fi
 }
 
+# Resolve the API key variable an agent's configured provider needs
+# (prints nothing for providers that need no key, e.g. openai-compatible)
+provider_env_var() {
+    node -e '
+const config = require("./config/pipeline-config.json");
+const { getRequiredEnvVar } = require("./providers");
+const agent = (config.agents || {})[process.argv[1]] || {};
+console.log(getRequiredEnvVar(agent.provider || process.argv[2], agent) || "");
+' "$1" "$2"
+}
+
+# Backup slides: --appendix, or appendix.enabled in pipeline-config.json
+appendix_enabled() {
+    [ "$APPENDIX" = true ] || [ "$(node -p 'require("./config/pipeline-config.json").appendix?.enabled === true')" = true ]
+}
+
+# Investment memo: --memo, or memo.enabled in pipeline-config.json
+memo_enabled() {
+    [ "$MEMO" = true ] || [ "$(node -p 'require("./config/pipeline-config.json").memo?.enabled === true')" = true ]
+}
+
+# Warn when the key for a phase's provider is missing
+check_provider_key() {
+    local agent="$1" default_provider="$2" phase="$3"
+    local var
+    var=$(provider_env_var "$agent" "$default_provider")
+    if [ -n "$var" ] && [ -z "${!var}" ]; then
+        echo "Warning: $var not set (required for Phase $phase)"
+        return 1
+    fi
+    return 0
+}
+
 # Check required API keys based on phases to run
 check_api_keys() {
     local errors=0
 
+    # Replayed runs make no API calls
+    if [ "$FIXTURE_FLAG" = "--replay" ]; then
+        return
+    fi
+
     if [ "$FROM_PHASE" -le 2 ] && [ "$SKIP_CLASSIFY" = false ]; then
-        if [ -z "$ANTHROPIC_API_KEY" ]; then
-            echo "Warning: ANTHROPIC_API_KEY not set (required for Phase 2)"
-            errors=$((errors + 1))
-        fi
+        check_provider_key classifier anthropic 2 || errors=$((errors + 1))
     fi
 
     if [ "$FROM_PHASE" -le 3 ] && [ "$SKIP_SYNTHESIZE" = false ]; then
-        if [ -z "$OPENAI_API_KEY" ]; then
-            echo "Warning: OPENAI_API_KEY not set (required for Phase 3)"
-            errors=$((errors + 1))
+        check_provider_key synthesizer openai 3 || errors=$((errors + 1))
+        if [ "$SKIP_CRITIQUE" = false ]; then
+            check_provider_key critic anthropic 3 || errors=$((errors + 1))
         fi
     fi
 
+    if [ "$FROM_PHASE" -le 3 ] && memo_enabled; then
+        check_provider_key memoWriter anthropic 3 || errors=$((errors + 1))
+    fi
+
     if [ "$FROM_PHASE" -le 4 ]; then
-        if [ -z "$GOOGLE_AI_API_KEY" ]; then
-            echo "Warning: GOOGLE_AI_API_KEY not set (required for Phase 4)"
-            errors=$((errors + 1))
+        check_provider_key generator google 4 || errors=$((errors + 1))
+        if [ "$SKIP_IMAGES" = false ]; then
+            check_provider_key imageGenerator google 4 || errors=$((errors + 1))
         fi
     fi
 
     if [ $errors -gt 0 ]; then
         echo ""
-        echo "Set missing API keys with:"
+        echo "Set missing API keys in .env, or switch the phase to another"
+        echo "provider under agents.<name>.provider in config/pipeline-config.json:"
         echo "  export ANTHROPIC_API_KEY='sk-ant-...'"
         echo "  export OPENAI_API_KEY='sk-...'"
         echo "  export GOOGLE_AI_API_KEY='AIza...'"
@@ -242,9 +366,9 @@ mkdir -p ../output/assets
 
 if [ "$FROM_PHASE" -le 1 ]; then
     if [ "$SKIP_EXTRACT" = true ]; then
-        echo "[1/5] Skipping PDF extraction (--skip-extract)"
+        echo "[1/6] Skipping PDF extraction (--skip-extract)"
     else
-        echo "[1/5] Extracting PDF content..."
+        echo "[1/6] Extracting PDF content..."
         echo "────────────────────────────────────────"
         ./01-extract-pdfs.sh
     fi
@@ -257,11 +381,21 @@ fi
 
 if [ "$FROM_PHASE" -le 2 ]; then
     if [ "$SKIP_CLASSIFY" = true ]; then
-        echo "[2/5] Skipping context classification (--skip-classify)"
+        echo "[2/6] Skipping context classification (--skip-classify)"
     else
-        echo "[2/5] Classifying context with Claude..."
+        echo "[2/6] Classifying context with Claude..."
         echo "────────────────────────────────────────"
-        node 02-classify-context.js
+        node 02-classify-context.js $FIXTURE_FLAG
+    fi
+    echo ""
+
+    # Prompts only in a terminal; otherwise lists the open conflicts
+    echo "[2/6] Resolving data conflicts..."
+    echo "────────────────────────────────────────"
+    if [ "$NON_INTERACTIVE" = true ] || [ "$AUTO_YES" = true ]; then
+        node 02-resolve-conflicts.js --list
+    else
+        node 02-resolve-conflicts.js
     fi
     echo ""
 fi
@@ -272,13 +406,47 @@ fi
 
 if [ "$FROM_PHASE" -le 3 ]; then
     if [ "$SKIP_SYNTHESIZE" = true ]; then
-        echo "[3/5] Skipping content synthesis (--skip-synthesize)"
+        echo "[3/6] Skipping content synthesis (--skip-synthesize)"
     else
-        echo "[3/5] Synthesizing content with ChatGPT 5.2..."
+        echo "[3/6] Synthesizing content with ChatGPT 5.2..."
         echo "────────────────────────────────────────"
-        node 03-synthesize-content.js --mode "$MODE"
+        node 03-synthesize-content.js --mode "$MODE" --no-appendix $FIXTURE_FLAG
     fi
     echo ""
+
+    # Rounds, threshold and cost cap come from critique in pipeline-config.json
+    if [ "$SKIP_SYNTHESIZE" = false ]; then
+        if [ "$SKIP_CRITIQUE" = true ]; then
+            echo "[3/6] Skipping slide critique (--skip-critique)"
+        else
+            echo "[3/6] Critiquing slides with Claude..."
+            echo "────────────────────────────────────────"
+            node 03-critique-slides.js --mode "$MODE" $FIXTURE_FLAG
+        fi
+        echo ""
+
+        # Built after the critique, from what the revised slides leave uncited
+        if appendix_enabled; then
+            echo "[3/6] Building appendix slides from overflow content..."
+            echo "────────────────────────────────────────"
+            node 03-synthesize-content.js --appendix-only --mode "$MODE" $FIXTURE_FLAG
+            echo ""
+        fi
+    fi
+
+    # Also re-checks a synthesis output kept with --skip-synthesize
+    echo "[3/6] Verifying citations against source text..."
+    echo "────────────────────────────────────────"
+    node 03-verify-citations.js
+    echo ""
+
+    # Written from the classified context, so --skip-synthesize does not skip it
+    if memo_enabled; then
+        echo "[3/6] Writing investment memo with Claude..."
+        echo "────────────────────────────────────────"
+        node 03-write-memo.js $FIXTURE_FLAG
+        echo ""
+    fi
 fi
 
 # =============================================================================
@@ -286,14 +454,26 @@ fi
 # =============================================================================
 
 if [ "$FROM_PHASE" -le 4 ]; then
-    echo "[4/5] Generating final config + images..."
+    echo "[4/6] Generating final config + images..."
     echo "────────────────────────────────────────"
     if [ "$SKIP_IMAGES" = true ]; then
-        node 04-generate-final.js --skip-images
+        node 04-generate-final.js --skip-images $FIXTURE_FLAG
     else
-        node 04-generate-final.js
+        node 04-generate-final.js $FIXTURE_FLAG
     fi
     echo ""
+
+    # Variants re-polish the same synthesis output for each audience profile
+    if [ -n "$AUDIENCE" ]; then
+        echo "[4/6] Generating audience variants ($AUDIENCE)..."
+        echo "────────────────────────────────────────"
+        if [ "$SKIP_IMAGES" = true ]; then
+            node 04-generate-final.js --audience "$AUDIENCE" --skip-images $FIXTURE_FLAG
+        else
+            node 04-generate-final.js --audience "$AUDIENCE" $FIXTURE_FLAG
+        fi
+        echo ""
+    fi
 fi
 
 # =============================================================================
@@ -301,10 +481,56 @@ fi
 # =============================================================================
 
 if [ "$FROM_PHASE" -le 5 ]; then
-    echo "[5/5] Rendering PowerPoint deck..."
+    echo "[5/6] Rendering PowerPoint deck..."
     echo "────────────────────────────────────────"
     ./05-render-deck.sh
     echo ""
+
+    if [ -n "$AUDIENCE" ]; then
+        echo "[5/6] Rendering audience variants ($AUDIENCE)..."
+        echo "────────────────────────────────────────"
+        ./05-render-deck.sh --audience "$AUDIENCE"
+        echo ""
+    fi
+fi
+
+# =============================================================================
+# Phase 6: One-Page Summary
+# =============================================================================
+
+if [ "$FROM_PHASE" -le 6 ]; then
+    if [ "$SKIP_ONE_PAGER" = true ]; then
+        echo "[6/6] Skipping one-page summary (--skip-one-pager)"
+    else
+        echo "[6/6] Writing one-page summary..."
+        echo "────────────────────────────────────────"
+        ./06-render-one-pager.sh
+        echo ""
+
+        if [ -n "$AUDIENCE" ]; then
+            echo "[6/6] Writing audience variant summaries ($AUDIENCE)..."
+            echo "────────────────────────────────────────"
+            ./06-render-one-pager.sh --audience "$AUDIENCE"
+            echo ""
+        fi
+    fi
+fi
+
+# =============================================================================
+# Archive Run
+# =============================================================================
+
+RUN_ID=""
+if [ "$ARCHIVE" = true ]; then
+    echo "Archiving run..."
+    echo "────────────────────────────────────────"
+    if [ -n "$RUN_LABEL" ]; then
+        node tools/runs.js archive --label "$RUN_LABEL"
+    else
+        node tools/runs.js archive
+    fi
+    RUN_ID=$(ls -1 ../runs | sort | tail -n 1)
+    echo ""
 fi
 
 # =============================================================================
@@ -323,13 +549,28 @@ echo "║  Duration: $(printf '%dm %02ds' $MINUTES $SECONDS)
 echo "╠══════════════════════════════════════════════════════════════════╣"
 echo "║  Output Files:                                                   ║"
 echo "║    • Deck:    output/investor-deck.pptx                          ║"
+if [ "$SKIP_ONE_PAGER" = false ]; then
+echo "║    • Summary: output/one-pager.pdf, output/one-pager.docx        ║"
+fi
+if memo_enabled; then
+echo "║    • Memo:    output/investment-memo.md, .docx                   ║"
+fi
 echo "║    • Config:  output/deck-config.json                            ║"
 echo "║    • Assets:  output/assets/*.png                                ║"
+if [ -n "$AUDIENCE" ]; then
+echo "║    • Variants: $(printf '%-48s' "output/*.<audience>.* ($AUDIENCE)")║"
+fi
 echo "╠══════════════════════════════════════════════════════════════════╣"
 echo "║  Intermediate Files:                                             ║"
 echo "║    • Classified: intermediate/classified-context.json            ║"
 echo "║    • Synthesis:  intermediate/synthesis-output.json              ║"
 echo "║    • Citations:  intermediate/citations.json                     ║"
+echo "║    • Critique:   intermediate/critique.json                      ║"
+echo "║    • Verified:   intermediate/citation-verification.json         ║"
+if [ -n "$RUN_ID" ]; then
+echo "╠══════════════════════════════════════════════════════════════════╣"
+echo "║  Archived Run: $(printf '%-48s' "runs/$RUN_ID") ║"
+fi
 echo "╚══════════════════════════════════════════════════════════════════╝"
 echo ""
 echo "Next steps:"
@@ -340,8 +581,11 @@ echo "  2. Review/edit the config if needed:"
 echo "     code ../output/deck-config.json"
 echo ""
 echo "  3. Re-run just the deck rendering after edits:"
-echo "     ./05-render-deck.sh"
+echo "     ./05-render-deck.sh && ./06-render-one-pager.sh"
 echo ""
 echo "  4. Re-run from a specific phase:"
 echo "     ./run-pipeline.sh --from-phase 4"
 echo ""
+echo "  5. Compare with the previous run:"
+echo "     node tools/runs.js diff previous latest"
+echo ""
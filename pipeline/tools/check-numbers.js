@@ -0,0 +1,205 @@
+#!/usr/bin/env node
+/**
+ * =============================================================================
+ * Numeric Consistency Checker
+ * =============================================================================
+ *
+ * Reports figures that disagree across the deck: the same metric (raise
+ * amount, TAM, ARR, customer count, ...) stated with different values for the
+ * same period, classification conflicts whose disputed figures the deck uses,
+ * and figures that differ from a value chosen in user-inputs/resolutions.json
+ * or pinned in user-inputs/facts.json.
+ * Figures are normalized before comparison, so "$1.2B" and "$1,200M" agree.
+ * No model calls are made.
+ *
+ * Usage:
+ *   node check-numbers.js
+ *   node check-numbers.js --deck output/deck-config.json --verbose
+ *   node check-numbers.js --warn-only
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+const {
+  checkNumericConsistency,
+  formatConsistencyReport,
+  collectFigures,
+} = require("../utils/numeric-consistency");
+const { loadResolutions } = require("../utils/conflict-resolutions");
+const { loadFacts } = require("../utils/fact-book");
+
+const PROJECT_ROOT = path.join(__dirname, "../..");
+
+const DEFAULTS = {
+  deck: path.join(PROJECT_ROOT, "output/deck-config.json"),
+  synthesis: path.join(PROJECT_ROOT, "intermediate/synthesis-output.json"),
+  classified: path.join(PROJECT_ROOT, "intermediate/classified-context.json"),
+  resolutions: path.join(PROJECT_ROOT, "user-inputs/resolutions.json"),
+  facts: path.join(PROJECT_ROOT, "user-inputs/facts.json"),
+  report: path.join(PROJECT_ROOT, "intermediate/numeric-consistency.json"),
+};
+
+// Parse command line arguments
+function parseArgs() {
+  const args = process.argv.slice(2);
+  const options = {
+    ...DEFAULTS,
+    warnOnly: false,
+    verbose: false,
+    help: false,
+    unknown: [],
+  };
+
+  for (let i = 0; i < args.length; i++) {
+    switch (args[i]) {
+      case "--deck":
+        options.deck = args[++i];
+        break;
+      case "--synthesis":
+        options.synthesis = args[++i];
+        break;
+      case "--classified":
+        options.classified = args[++i];
+        break;
+      case "--resolutions":
+        options.resolutions = args[++i];
+        break;
+      case "--facts":
+        options.facts = args[++i];
+        break;
+      case "--report":
+        options.report = args[++i];
+        break;
+      case "--warn-only":
+        options.warnOnly = true;
+        break;
+      case "--verbose":
+      case "-v":
+        options.verbose = true;
+        break;
+      case "--help":
+      case "-h":
+        options.help = true;
+        break;
+      default:
+        options.unknown.push(args[i]);
+        break;
+    }
+  }
+
+  return options;
+}
+
+// Print help message
+function printHelp() {
+  console.log(`
+Numeric Consistency Checker - Find figures that disagree across slides
+
+Usage:
+  node check-numbers.js [options]
+
+Options:
+  --deck <path>        Deck config (default: output/deck-config.json)
+  --synthesis <path>   Synthesis output (default: intermediate/synthesis-output.json)
+  --classified <path>  Classified context with globalConflicts
+                       (default: intermediate/classified-context.json)
+  --resolutions <path> Conflict decisions (default: user-inputs/resolutions.json)
+  --facts <path>       Pinned facts (default: user-inputs/facts.json)
+  --report <path>      Report file (default: intermediate/numeric-consistency.json)
+  --warn-only          Exit 0 even when figures disagree
+  --verbose, -v        List every figure found
+  --help, -h           Show this help message
+
+Missing synthesis, classification, resolution or fact files are skipped.
+Exits 1 when a metric has two different values for the same period, or a
+figure differs from a pinned fact or the value chosen for a resolved conflict.
+`);
+}
+
+// Read a JSON file, or null when it does not exist
+function readJSON(filePath) {
+  return fs.existsSync(filePath) ? JSON.parse(fs.readFileSync(filePath, "utf-8")) : null;
+}
+
+function main() {
+  const options = parseArgs();
+
+  if (options.help) {
+    printHelp();
+    process.exit(0);
+  }
+
+  if (options.unknown.length > 0) {
+    console.error(`Unknown option(s): ${options.unknown.join(", ")}`);
+    console.error("Use --help to see available options.");
+    process.exit(1);
+  }
+
+  const deckConfig = readJSON(path.resolve(options.deck));
+  const synthesisOutput = readJSON(path.resolve(options.synthesis));
+  if (!deckConfig && !synthesisOutput) {
+    console.error(`Neither ${options.deck} nor ${options.synthesis} exists.`);
+    console.error("Run the pipeline through Phase 3 or 4 first.");
+    process.exit(1);
+  }
+  const classifiedContext = readJSON(path.resolve(options.classified)) || {};
+  const resolutions = loadResolutions(path.resolve(options.resolutions));
+  const facts = loadFacts(path.resolve(options.facts));
+
+  console.log(`Deck config: ${deckConfig ? options.deck : "(not found)"}`);
+  console.log(`Synthesis output: ${synthesisOutput ? options.synthesis : "(not found)"}`);
+  console.log(`Source conflicts: ${(classifiedContext.globalConflicts || []).length}`);
+  console.log(`Resolutions: ${resolutions.resolutions.length}`);
+  console.log(`Pinned facts: ${facts.length}\n`);
+
+  if (options.verbose) {
+    console.log("Figures:");
+    for (const m of collectFigures({ deckConfig, synthesisOutput })) {
+      const period = m.period ? ` (${m.period})` : "";
+      console.log(`  ${`${m.metric}${period}`.padEnd(24)} ${m.figure.text.padEnd(10)} ${m.location}`);
+    }
+    console.log("");
+  }
+
+  const report = checkNumericConsistency({
+    deckConfig,
+    synthesisOutput,
+    globalConflicts: classifiedContext.globalConflicts,
+    resolutions,
+    facts,
+  });
+
+  fs.mkdirSync(path.dirname(path.resolve(options.report)), { recursive: true });
+  fs.writeFileSync(
+    path.resolve(options.report),
+    JSON.stringify({ checkedAt: new Date().toISOString(), ...report }, null, 2)
+  );
+
+  const { summary } = report;
+  console.log(`Figures: ${summary.figures} across ${summary.metrics} metrics`);
+  console.log(`Contradictions: ${summary.contradictions}`);
+  console.log(`Source conflicts used in the deck: ${summary.sourceConflicts}`);
+  console.log(`Figures differing from a resolution: ${summary.resolutionMismatches}`);
+  console.log(`Figures differing from a pinned fact: ${summary.factMismatches}`);
+
+  const lines = formatConsistencyReport(report);
+  if (lines.length > 0) {
+    console.log("");
+    lines.forEach((line) => console.log(`  - ${line}`));
+  }
+  console.log(`\nReport: ${options.report}`);
+
+  if (summary.contradictions + summary.resolutionMismatches + summary.factMismatches === 0) {
+    console.log("\n✓ Figures are consistent across slides");
+  } else if (!options.warnOnly) {
+    process.exit(1);
+  }
+}
+
+try {
+  main();
+} catch (error) {
+  console.error("Error:", error.message);
+  process.exit(1);
+}
@@ -0,0 +1,203 @@
+#!/usr/bin/env node
+/**
+ * =============================================================================
+ * Run History Tool
+ * =============================================================================
+ *
+ * Archives pipeline runs under runs/<run id>/ and compares them. Each run
+ * keeps the deck config, images, rendered files and intermediate outputs,
+ * with a manifest of input digests, models and cost. `diff` shows which
+ * slides' text, citations and images changed between two runs.
+ *
+ * Usage:
+ *   node runs.js list
+ *   node runs.js archive [--label "after new financials"]
+ *   node runs.js show <run>
+ *   node runs.js diff <from> [<to>] [--json]
+ *
+ * A run is named by its id, a unique id prefix, "latest" or "previous".
+ */
+
+const path = require("path");
+
+const { archiveRun, listRuns, resolveRun } = require("../utils/run-archive");
+const { diffRuns, formatDiff } = require("../utils/deck-diff");
+
+const PROJECT_ROOT = path.join(__dirname, "../..");
+const DEFAULT_RUNS_DIR = path.join(PROJECT_ROOT, "runs");
+
+const COMMANDS = ["list", "archive", "show", "diff"];
+
+// Parse command line arguments
+function parseArgs() {
+  const args = process.argv.slice(2);
+  const options = {
+    command: null,
+    refs: [],
+    runsDir: DEFAULT_RUNS_DIR,
+    label: null,
+    json: false,
+    help: false,
+    unknown: [],
+  };
+
+  for (let i = 0; i < args.length; i++) {
+    switch (args[i]) {
+      case "--label":
+        options.label = args[++i];
+        break;
+      case "--runs-dir":
+        options.runsDir = path.resolve(args[++i]);
+        break;
+      case "--json":
+        options.json = true;
+        break;
+      case "--help":
+      case "-h":
+        options.help = true;
+        break;
+      default:
+        if (args[i].startsWith("-")) {
+          options.unknown.push(args[i]);
+        } else if (!options.command) {
+          options.command = args[i];
+        } else {
+          options.refs.push(args[i]);
+        }
+        break;
+    }
+  }
+
+  return options;
+}
+
+// Print help message
+function printHelp() {
+  console.log(`
+Run History Tool - Archive pipeline runs and compare decks between them
+
+Usage:
+  node runs.js list                     List archived runs
+  node runs.js archive [--label <text>] Archive the current outputs as a new run
+  node runs.js show <run>               Show a run's manifest
+  node runs.js diff <from> [<to>]       Compare two runs (<to> defaults to latest)
+
+Options:
+  --label <text>       Label stored with an archived run
+  --runs-dir <path>    Run directory (default: runs/)
+  --json               Print the diff as JSON
+  --help, -h           Show this help message
+
+A run is named by its id (2026-01-20T14-05-09Z), a unique id prefix,
+"latest" or "previous". run-pipeline.sh archives every completed run.
+`);
+}
+
+function formatCost(cost) {
+  return `$${(cost || 0).toFixed(4)}`;
+}
+
+function list(runsDir) {
+  const runs = listRuns(runsDir);
+  if (runs.length === 0) {
+    console.log(`No archived runs in ${runsDir}`);
+    return;
+  }
+
+  console.log(`Runs in ${runsDir}:\n`);
+  for (const run of runs) {
+    const slides = Object.keys(run.files || {}).filter((f) => f.startsWith("output/assets/")).length;
+    const label = run.label ? `  ${run.label}` : "";
+    console.log(`  ${run.runId.padEnd(24)} ${formatCost(run.totalCost).padStart(9)}  ${slides} images${label}`);
+  }
+}
+
+function show(run) {
+  console.log(`Run: ${run.runId}${run.label ? ` (${run.label})` : ""}`);
+  console.log(`Created: ${run.createdAt}`);
+  console.log(`Directory: ${run.dir}`);
+  console.log(`Total cost: ${formatCost(run.totalCost)}`);
+
+  console.log("\nPhases:");
+  const phases = Object.entries(run.phases || {});
+  if (phases.length === 0) console.log("  (not recorded)");
+  for (const [phase, record] of phases) {
+    const mode = record.fixtures ? ` [fixtures: ${record.fixtures}]` : record.dryRun ? " [dry run]" : "";
+    console.log(`  ${phase} ${record.name}: ${formatCost(record.cost)}${mode}`);
+    for (const agent of record.agents || []) {
+      console.log(`    ${agent.agent}: ${agent.provider}/${agent.model} ${formatCost(agent.cost)}`);
+    }
+  }
+
+  console.log(`\nInputs (${Object.keys(run.inputs || {}).length}):`);
+  for (const [file, digest] of Object.entries(run.inputs || {})) {
+    console.log(`  ${digest.slice(0, 12)}  ${file}`);
+  }
+
+  console.log(`\nFiles (${Object.keys(run.files || {}).length}):`);
+  for (const [file, info] of Object.entries(run.files || {})) {
+    console.log(`  ${info.sha256.slice(0, 12)}  ${String(info.bytes).padStart(9)}  ${file}`);
+  }
+}
+
+function main() {
+  const options = parseArgs();
+
+  if (options.help || !options.command) {
+    printHelp();
+    process.exit(options.help ? 0 : 1);
+  }
+
+  if (options.unknown.length > 0 || !COMMANDS.includes(options.command)) {
+    const unknown = COMMANDS.includes(options.command) ? options.unknown : [options.command, ...options.unknown];
+    console.error(`Unknown option(s): ${unknown.join(", ")}`);
+    console.error("Use --help to see available options.");
+    process.exit(1);
+  }
+
+  switch (options.command) {
+    case "list":
+      list(options.runsDir);
+      break;
+
+    case "archive": {
+      const run = archiveRun(PROJECT_ROOT, { runsDir: options.runsDir, label: options.label });
+      console.log(`✓ Archived run ${run.runId}`);
+      console.log(`  Files: ${Object.keys(run.files).length}, inputs: ${Object.keys(run.inputs).length}`);
+      console.log(`  Directory: ${run.dir}`);
+      break;
+    }
+
+    case "show":
+      if (options.refs.length !== 1) {
+        console.error("Usage: node runs.js show <run>");
+        process.exit(1);
+      }
+      show(resolveRun(options.runsDir, options.refs[0]));
+      break;
+
+    case "diff": {
+      if (options.refs.length < 1 || options.refs.length > 2) {
+        console.error("Usage: node runs.js diff <from> [<to>]");
+        process.exit(1);
+      }
+      const from = resolveRun(options.runsDir, options.refs[0]);
+      const to = resolveRun(options.runsDir, options.refs[1] || "latest");
+      const diff = diffRuns(from, to);
+
+      if (options.json) {
+        console.log(JSON.stringify(diff, null, 2));
+      } else {
+        formatDiff(diff).forEach((line) => console.log(line));
+      }
+      break;
+    }
+  }
+}
+
+try {
+  main();
+} catch (error) {
+  console.error("Error:", error.message);
+  process.exit(1);
+}
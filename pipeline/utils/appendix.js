@@ -0,0 +1,99 @@
+/**
+ * =============================================================================
+ * Appendix Utility
+ * =============================================================================
+ *
+ * Finds the overflow for backup slides: classified content (allContent in
+ * intermediate/classified-context.json) that is confident enough to present
+ * but that no main slide cites. Each appendix type in slide-types.json names
+ * the slide types whose overflow it takes (overflowFrom); an item goes to the
+ * first appendix type that takes it.
+ *
+ * Backup slides carry `"appendix": true` in synthesis-output.json and
+ * deck-config.json and always follow the main slides.
+ */
+
+const { normalize } = require("./text");
+
+// Shorter texts are too generic to count as the same statement
+const MIN_MATCH_LENGTH = 20;
+
+// =============================================================================
+// Helpers
+// =============================================================================
+
+function isAppendixSlide(slide) {
+  return slide?.appendix === true;
+}
+
+/**
+ * Normalized facts and quotes cited by the main slides
+ */
+function citedTexts(slides) {
+  return slides
+    .filter((slide) => !isAppendixSlide(slide))
+    .flatMap((slide) => slide.citations || [])
+    .flatMap((c) => [c.quote, c.fact])
+    .map(normalize)
+    .filter((text) => text.length >= MIN_MATCH_LENGTH);
+}
+
+/**
+ * An item is already used when it contains, or is contained in, a citation
+ */
+function isCited(text, cited) {
+  if (text.length < MIN_MATCH_LENGTH) return false;
+  return cited.some((c) => text.includes(c) || c.includes(text));
+}
+
+// =============================================================================
+// Overflow
+// =============================================================================
+
+/**
+ * Collect the uncited, high-confidence content for each appendix type
+ * @param {object} classifiedContext - intermediate/classified-context.json
+ * @param {Array<object>} slides - Slides from synthesis-output.json
+ * @param {Array<object>} appendixTypes - Registry entries (loadAppendixTypes)
+ * @param {object} options - { minConfidence, maxItems } (maxItems per appendix type)
+ * @returns {Array<{type: string, items: Array<object>}>} - Appendix types with overflow,
+ *   items as { from, kind, content, confidence, source, location }, most confident first
+ */
+function collectOverflow(classifiedContext, slides, appendixTypes, { minConfidence = 0.8, maxItems = 8 } = {}) {
+  const cited = citedTexts(slides || []);
+  const taken = new Set();
+  const overflow = [];
+
+  for (const entry of appendixTypes) {
+    const items = [];
+    for (const from of entry.overflowFrom) {
+      for (const item of classifiedContext.slides?.[from]?.allContent || []) {
+        const text = normalize(item.content);
+        if (!text || taken.has(text)) continue;
+        if ((item.confidence ?? 0) < minConfidence || isCited(text, cited)) continue;
+
+        taken.add(text);
+        items.push({
+          from,
+          kind: item.type || "other",
+          content: item.content,
+          confidence: item.confidence,
+          source: item.source || "unknown",
+          ...(item.location ? { location: item.location } : {}),
+        });
+      }
+    }
+
+    if (items.length > 0) {
+      items.sort((a, b) => b.confidence - a.confidence);
+      overflow.push({ type: entry.type, items: items.slice(0, maxItems) });
+    }
+  }
+
+  return overflow;
+}
+
+module.exports = {
+  collectOverflow,
+  isAppendixSlide,
+};
@@ -0,0 +1,120 @@
+/**
+ * =============================================================================
+ * Audience Profiles
+ * =============================================================================
+ *
+ * Reads the audience profiles under "audiences" in pipeline-config.json. A
+ * profile re-polishes the same synthesis output for one kind of reader (seed
+ * VCs, strategic corporates, government program offices, ...): its tone and
+ * emphasis keywords go into the phase 4 prompt, and its slide list sets which
+ * slides the variant has and in what order. Variants are written next to the
+ * main deck with the audience in the file name: deck-config.<audience>.json,
+ * investor-deck.<audience>.pptx, ...
+ */
+
+// Audience names appear in file names
+const AUDIENCE_NAME = /^[a-z][a-z0-9-]*$/;
+
+// =============================================================================
+// Loading
+// =============================================================================
+
+/**
+ * Load and check the audience profiles from the pipeline config
+ * @param {object} pipelineConfig - Parsed pipeline-config.json
+ * @param {Array<object>} slideTypes - Registry entries (loadSlideTypes)
+ * @returns {Array<object>} - { name, label, description, tone, slides, emphasis } in config order
+ */
+function loadAudiences(pipelineConfig, slideTypes) {
+  const profiles = pipelineConfig?.audiences || {};
+  const known = slideTypes.map((t) => t.type);
+
+  return Object.entries(profiles).map(([name, profile]) => {
+    const where = `audiences.${name}`;
+    if (!AUDIENCE_NAME.test(name)) {
+      throw new Error(`${where}: audience names must be lowercase letters, digits and dashes (e.g. "seed-vc")`);
+    }
+    if (!profile || typeof profile.tone !== "string" || profile.tone.trim() === "") {
+      throw new Error(`${where}: 'tone' must be a non-empty string`);
+    }
+
+    const slides = profile.slides || known;
+    if (!Array.isArray(slides) || slides.length === 0) {
+      throw new Error(`${where}: 'slides' must be a non-empty array of slide types`);
+    }
+    const unknown = slides.filter((type) => !known.includes(type));
+    if (unknown.length > 0) {
+      throw new Error(`${where}: unknown slide type(s) ${unknown.join(", ")}. Known types: ${known.join(", ")}`);
+    }
+    const repeated = slides.filter((type, i) => slides.indexOf(type) !== i);
+    if (repeated.length > 0) {
+      throw new Error(`${where}: slide type(s) listed twice: ${[...new Set(repeated)].join(", ")}`);
+    }
+
+    const emphasis = profile.emphasis || [];
+    if (!Array.isArray(emphasis) || emphasis.some((e) => typeof e !== "string")) {
+      throw new Error(`${where}: 'emphasis' must be an array of strings`);
+    }
+
+    return {
+      name,
+      label: profile.label || name,
+      description: profile.description || "",
+      tone: profile.tone,
+      slides,
+      emphasis,
+    };
+  });
+}
+
+/**
+ * Parse --audience values ("seed-vc", "seed-vc,government", "all") into profiles
+ * @param {string[]} values - Raw option values
+ * @param {Array<object>} audiences - Profiles from loadAudiences
+ * @returns {Array<object>} - Selected profiles in config order
+ */
+function parseAudienceSelection(values, audiences) {
+  const requested = values.flatMap((v) => v.split(",")).map((v) => v.trim()).filter(Boolean);
+  if (audiences.length === 0) {
+    throw new Error("No audience profiles defined under 'audiences' in pipeline-config.json");
+  }
+  if (requested.includes("all")) return audiences;
+
+  const unknown = requested.filter((r) => !audiences.some((a) => a.name === r));
+  if (unknown.length > 0) {
+    throw new Error(
+      `Unknown audience(s): ${unknown.join(", ")}. Known audiences: ${audiences.map((a) => a.name).join(", ")}`
+    );
+  }
+  return audiences.filter((a) => requested.includes(a.name));
+}
+
+// =============================================================================
+// Variants
+// =============================================================================
+
+/**
+ * File name of an audience's variant: ("deck-config.json", "seed-vc") ->
+ * "deck-config.seed-vc.json". Without an audience the name is unchanged.
+ */
+function variantFileName(fileName, audience) {
+  if (!audience) return fileName;
+  const dot = fileName.indexOf(".");
+  return dot < 0 ? `${fileName}.${audience}` : `${fileName.slice(0, dot)}.${audience}${fileName.slice(dot)}`;
+}
+
+/**
+ * The slides an audience sees, in its order (slides of the same type keep
+ * their relative order; types not in the profile are dropped)
+ */
+function selectAudienceSlides(slides, audience) {
+  return audience.slides.flatMap((type) => (slides || []).filter((s) => s.type === type));
+}
+
+module.exports = {
+  loadAudiences,
+  parseAudienceSelection,
+  variantFileName,
+  selectAudienceSlides,
+  AUDIENCE_NAME,
+};
@@ -0,0 +1,323 @@
+/**
+ * =============================================================================
+ * Citation Verifier Utility
+ * =============================================================================
+ *
+ * Checks the citations in synthesis-output.json against the extracted text of
+ * the documents they cite. The quote (or, without one, the fact) is fuzzy
+ * matched against the best window of the source of the same length, and every
+ * figure it states must appear in the source. Each citation is marked:
+ *
+ *   verified     - the quote is in the source (near) verbatim
+ *   paraphrased  - most of its words are in one passage of the source
+ *   pinned       - states a pinned fact (user-inputs/facts.json) and names its source
+ *   resolved     - states a value the user entered for a data conflict
+ *                  (user-inputs/resolutions.json)
+ *   unsupported  - no such passage, a figure is missing, or no source text
+ *
+ * Pinned facts may come from a person or a system, and a custom conflict value
+ * from the user alone, so neither can be found in a document. Those citations
+ * are only marked pinned or resolved when the user's value is all the source
+ * is missing.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { extractNumbers, sameNumber } = require("./numbers");
+const { normalize } = require("./text");
+
+// Share of the quote's words found in one passage of the source
+const DEFAULT_THRESHOLDS = {
+  verified: 0.9,
+  paraphrased: 0.6,
+};
+
+// =============================================================================
+// Text Matching
+// =============================================================================
+
+/**
+ * Lowercase word tokens; curly quotes are straightened and numbers keep their
+ * separators ("1,200", "1.2") so figures stay single tokens
+ */
+function tokenize(text) {
+  return (
+    String(text ?? "")
+      .toLowerCase()
+      .replace(/[‘’]/g, "'")
+      .match(/[a-z0-9]+(?:[.,'][a-z0-9]+)*/g) || []
+  );
+}
+
+/**
+ * Best share of needle tokens found in any window of the haystack the size of
+ * the needle (word order inside the window is ignored)
+ * @returns {number} - 0 to 1
+ */
+function bestWindowOverlap(needle, haystack) {
+  const size = needle.length;
+  if (size === 0) return 0;
+
+  const wanted = new Map();
+  needle.forEach((token) => wanted.set(token, (wanted.get(token) || 0) + 1));
+
+  const held = new Map();
+  let overlap = 0;
+  let best = 0;
+
+  for (let i = 0; i < haystack.length; i++) {
+    const token = haystack[i];
+    if (wanted.has(token)) {
+      const count = (held.get(token) || 0) + 1;
+      held.set(token, count);
+      if (count <= wanted.get(token)) overlap++;
+    }
+
+    // Drop the token that just left the window
+    if (i >= size) {
+      const leaving = haystack[i - size];
+      if (wanted.has(leaving)) {
+        const count = held.get(leaving);
+        held.set(leaving, count - 1);
+        if (count <= wanted.get(leaving)) overlap--;
+      }
+    }
+
+    best = Math.max(best, overlap);
+    if (best === size) break;
+  }
+
+  return best / size;
+}
+
+/**
+ * Similarity of a passage to the source: 1 for a verbatim match, otherwise the
+ * best window overlap
+ */
+function passageSimilarity(passage, source) {
+  const tokens = tokenize(passage);
+  if (tokens.length === 0) return 0;
+  if (` ${source.tokens.join(" ")} `.includes(` ${tokens.join(" ")} `)) return 1;
+  return bestWindowOverlap(tokens, source.tokens);
+}
+
+// =============================================================================
+// Sources
+// =============================================================================
+
+/**
+ * Loads and tokenizes extracted-text documents on first use. A citation may
+ * name the text file, the original PDF, or either without an extension.
+ */
+class SourceLibrary {
+  constructor(extractedDir) {
+    this.extractedDir = extractedDir;
+    this.documents = new Map();
+  }
+
+  resolve(source) {
+    const name = path.basename(String(source || ""));
+    if (!name) return null;
+    const candidates = [name, `${name}.txt`, `${name.replace(/\.[^.]+$/, "")}.txt`];
+    const found = candidates.find((candidate) => fs.existsSync(path.join(this.extractedDir, candidate)));
+    return found ? path.join(this.extractedDir, found) : null;
+  }
+
+  get(source) {
+    const filePath = this.resolve(source);
+    if (!filePath) return null;
+
+    if (!this.documents.has(filePath)) {
+      const text = fs.readFileSync(filePath, "utf-8");
+      this.documents.set(filePath, {
+        filename: path.basename(filePath),
+        tokens: tokenize(text),
+        numbers: extractNumbers(text),
+      });
+    }
+    return this.documents.get(filePath);
+  }
+}
+
+// =============================================================================
+// Verification
+// =============================================================================
+
+/**
+ * Verify one citation against its source
+ * @returns {{status: string, similarity: number, matchedOn: string, missingNumbers?: string[], reason?: string}}
+ */
+function verifyCitation(citation, library, thresholds = DEFAULT_THRESHOLDS) {
+  const source = library.get(citation.source);
+  const matchedOn = citation.quote ? "quote" : "fact";
+  if (!source) {
+    return {
+      status: "unsupported",
+      similarity: 0,
+      matchedOn,
+      reason: `source text not found for '${citation.source || "(none)"}'`,
+    };
+  }
+
+  const similarity = Number(passageSimilarity(citation[matchedOn], source).toFixed(2));
+
+  const figures = extractNumbers(`${citation.fact || ""} ${citation.quote || ""}`);
+  const missingNumbers = [
+    ...new Set(
+      figures
+        .filter((figure) => !source.numbers.some((known) => sameNumber(figure, known)))
+        .map((figure) => figure.text)
+    ),
+  ];
+
+  const result = { status: "verified", similarity, matchedOn };
+  if (missingNumbers.length > 0) {
+    result.status = "unsupported";
+    result.missingNumbers = missingNumbers;
+    result.reason = `${missingNumbers.join(", ")} not found in ${source.filename}`;
+  } else if (similarity < thresholds.paraphrased) {
+    result.status = "unsupported";
+    result.reason = `${matchedOn} not found in ${source.filename}`;
+  } else if (similarity < thresholds.verified) {
+    result.status = "paraphrased";
+  }
+  return result;
+}
+
+// =============================================================================
+// User-Supplied Values
+// =============================================================================
+
+/**
+ * Whether a citation states a value: every figure in it, or for a value
+ * without figures its words
+ */
+function statesValue(citation, value) {
+  const text = `${citation.fact || ""} ${citation.quote || ""}`;
+  const figures = extractNumbers(value);
+  if (figures.length === 0) {
+    const words = normalize(value);
+    return words !== "" && normalize(text).includes(words);
+  }
+  const stated = extractNumbers(text);
+  return figures.every((figure) => stated.some((known) => sameNumber(figure, known)));
+}
+
+/**
+ * Whether the figures a check found missing from the source all belong to the
+ * value (a check without missing figures had no source text, or no matching
+ * passage)
+ */
+function onlyMissing(result, value) {
+  const figures = extractNumbers(value);
+  return (result.missingNumbers || []).every((text) =>
+    extractNumbers(text).every((missing) => figures.some((figure) => sameNumber(missing, figure)))
+  );
+}
+
+/**
+ * Re-check an unsupported citation against the user's own values: a pinned
+ * fact whose source the citation names, or a conflict resolution whose value
+ * is not one the documents reported
+ * @param {object} citation - Citation from synthesis-output.json
+ * @param {object} result - From verifyCitation
+ * @param {object} userValues - { facts, resolutions } (loadFacts, loadResolutions)
+ * @returns {object} - result, or a pinned or resolved result
+ */
+function checkUserValues(citation, result, { facts = [], resolutions = null } = {}) {
+  if (result.status !== "unsupported") return result;
+  const { similarity, matchedOn } = result;
+
+  const source = normalize(citation.source);
+  const fact = facts.find((f) => {
+    const from = normalize(f.source);
+    return (
+      source !== "" &&
+      from !== "" &&
+      (source.includes(from) || from.includes(source)) &&
+      statesValue(citation, f.value) &&
+      onlyMissing(result, f.value)
+    );
+  });
+  if (fact) return { status: "pinned", similarity, matchedOn, pinnedFact: fact.key };
+
+  const resolution = (resolutions?.resolutions || []).find(
+    (r) => !(r.options || []).includes(r.value) && statesValue(citation, r.value) && onlyMissing(result, r.value)
+  );
+  if (resolution) return { status: "resolved", similarity, matchedOn, resolution: resolution.conflict };
+
+  return result;
+}
+
+// =============================================================================
+// Report
+// =============================================================================
+
+/**
+ * Verify every citation in a synthesis output. Each citation gets a
+ * `verification` field; the returned report summarises them by slide.
+ * @param {object} synthesisOutput - Parsed synthesis-output.json (annotated in place)
+ * @param {object} options - { extractedDir, thresholds, facts, resolutions }
+ *   (facts from loadFacts, resolutions from loadResolutions)
+ * @returns {{summary: object, slides: Array<object>}}
+ */
+function verifyCitations(synthesisOutput, { extractedDir, thresholds = {}, facts = [], resolutions = null } = {}) {
+  const limits = { ...DEFAULT_THRESHOLDS, ...thresholds };
+  const library = new SourceLibrary(extractedDir);
+  const summary = { total: 0, verified: 0, paraphrased: 0, pinned: 0, resolved: 0, unsupported: 0 };
+
+  const slides = (synthesisOutput.slides || []).map((slide) => {
+    const citations = (slide.citations || []).map((citation) => {
+      citation.verification = checkUserValues(citation, verifyCitation(citation, library, limits), {
+        facts,
+        resolutions,
+      });
+      summary.total++;
+      summary[citation.verification.status]++;
+      return {
+        fact: citation.fact,
+        source: citation.source,
+        ...citation.verification,
+      };
+    });
+
+    return {
+      type: slide.type,
+      citations,
+      supported: citations.filter((c) => c.status !== "unsupported").length,
+    };
+  });
+
+  return { thresholds: limits, summary, slides };
+}
+
+/**
+ * Problems the pipeline should act on: unsupported citations, and (when
+ * citations are required) slides with no supported citation
+ * @returns {string[]}
+ */
+function findCitationProblems(report, { requiredCitations = true } = {}) {
+  const problems = [];
+  for (const slide of report.slides) {
+    for (const citation of slide.citations) {
+      if (citation.status === "unsupported") {
+        problems.push(`${slide.type}: "${String(citation.fact || "").slice(0, 80)}" - ${citation.reason}`);
+      }
+    }
+    if (requiredCitations && slide.supported === 0) {
+      problems.push(`${slide.type}: no supported citations`);
+    }
+  }
+  return problems;
+}
+
+module.exports = {
+  verifyCitations,
+  verifyCitation,
+  checkUserValues,
+  findCitationProblems,
+  passageSimilarity,
+  tokenize,
+  SourceLibrary,
+  DEFAULT_THRESHOLDS,
+};
@@ -0,0 +1,181 @@
+/**
+ * =============================================================================
+ * Conflict Resolutions Utility
+ * =============================================================================
+ *
+ * Reads and writes user-inputs/resolutions.json, the user's decisions on the
+ * data conflicts the classifier reports in globalConflicts. A conflict is
+ * identified by its field (or, without one, its description), so a decision
+ * keeps applying when classification is re-run and reports the conflict
+ * again. Conflicts on the same field from several documents are grouped.
+ *
+ * resolutions.json:
+ *   {
+ *     "resolutions": [
+ *       { "conflict": "Raise amount", "value": "$70M", "options": ["$70M", "$65M"],
+ *         "sources": ["term-sheet.pdf"], "note": "...", "resolvedAt": "..." }
+ *     ]
+ *   }
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { normalize } = require("./text");
+
+// =============================================================================
+// Conflicts
+// =============================================================================
+
+/**
+ * Identity of a conflict: its field or description, lowercased with the
+ * punctuation and spacing normalized
+ */
+function conflictKey(conflict) {
+  const name =
+    typeof conflict === "string" ? conflict : conflict?.field || conflict?.description || conflict?.conflict || "";
+  return normalize(name);
+}
+
+/**
+ * Group globalConflicts by field, collecting the disputed values and the
+ * documents that reported them
+ * @returns {Array<{key: string, field: string, values: Array<{value: string, sources: string[]}>, descriptions: string[], recommendations: string[], sources: string[]}>}
+ */
+function groupConflicts(globalConflicts) {
+  const groups = new Map();
+
+  for (const conflict of globalConflicts || []) {
+    const key = conflictKey(conflict);
+    if (!key) continue;
+
+    if (!groups.has(key)) {
+      groups.set(key, {
+        key,
+        field: typeof conflict === "string" ? conflict : conflict.field || conflict.description,
+        values: [],
+        descriptions: [],
+        recommendations: [],
+        sources: [],
+      });
+    }
+    const group = groups.get(key);
+    if (typeof conflict === "string") continue;
+
+    const sources = [].concat(conflict.sources || [], conflict.source || []).map(String);
+    for (const source of sources) {
+      if (!group.sources.includes(source)) group.sources.push(source);
+    }
+
+    // A value's document is named by { value, source }, or by `sources` listed
+    // in the same order as `values`
+    const values = conflict.values || [];
+    const parallel = Array.isArray(conflict.sources) && conflict.sources.length === values.length;
+    for (const [i, item] of values.entries()) {
+      const value = String(item && typeof item === "object" ? item.value : item);
+      const from =
+        item && typeof item === "object" && item.source
+          ? [String(item.source)]
+          : parallel
+            ? [String(conflict.sources[i])]
+            : [];
+      from.forEach((s) => group.sources.includes(s) || group.sources.push(s));
+      const existing = group.values.find((v) => v.value === value);
+      if (existing) {
+        from.forEach((s) => existing.sources.includes(s) || existing.sources.push(s));
+      } else {
+        group.values.push({ value, sources: [...from] });
+      }
+    }
+
+    if (conflict.field && conflict.description && !group.descriptions.includes(conflict.description)) {
+      group.descriptions.push(conflict.description);
+    }
+    if (conflict.recommendation && !group.recommendations.includes(conflict.recommendation)) {
+      group.recommendations.push(conflict.recommendation);
+    }
+  }
+
+  return [...groups.values()];
+}
+
+// =============================================================================
+// Resolutions File
+// =============================================================================
+
+/**
+ * Load resolutions.json; a missing file means no decisions yet
+ * @returns {{resolutions: Array<object>}}
+ */
+function loadResolutions(filePath) {
+  if (!filePath || !fs.existsSync(filePath)) return { resolutions: [] };
+
+  const data = JSON.parse(fs.readFileSync(filePath, "utf-8"));
+  if (!Array.isArray(data.resolutions)) {
+    throw new Error(`${filePath}: "resolutions" must be an array`);
+  }
+  for (const [i, resolution] of data.resolutions.entries()) {
+    if (!resolution.conflict || typeof resolution.value !== "string") {
+      throw new Error(`${filePath}: resolutions[${i}] needs a "conflict" and a string "value"`);
+    }
+  }
+  return data;
+}
+
+function saveResolutions(filePath, data) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, JSON.stringify(data, null, 2) + "\n");
+}
+
+/**
+ * The user's decision on a conflict, if any
+ */
+function findResolution(resolutions, conflict) {
+  const key = conflictKey(conflict);
+  return (resolutions?.resolutions || []).find((r) => conflictKey(r.conflict) === key) || null;
+}
+
+/**
+ * Record a decision, replacing any earlier one for the same conflict
+ */
+function setResolution(resolutions, group, value) {
+  const entry = {
+    conflict: group.field,
+    value,
+    options: group.values.map((v) => v.value),
+    sources: group.sources,
+    resolvedAt: new Date().toISOString(),
+  };
+
+  const others = resolutions.resolutions.filter((r) => conflictKey(r.conflict) !== group.key);
+  resolutions.resolutions = [...others, entry];
+  return entry;
+}
+
+/**
+ * Split conflicts into the ones the user has decided (once per decision) and
+ * the rest
+ * @returns {{resolved: Array<{conflict: object, resolution: object}>, unresolved: Array<object>}}
+ */
+function partitionConflicts(globalConflicts, resolutions) {
+  const resolved = [];
+  const unresolved = [];
+  for (const conflict of globalConflicts || []) {
+    const resolution = findResolution(resolutions, conflict);
+    if (!resolution) {
+      unresolved.push(conflict);
+    } else if (!resolved.some((r) => r.resolution === resolution)) {
+      resolved.push({ conflict, resolution });
+    }
+  }
+  return { resolved, unresolved };
+}
+
+module.exports = {
+  conflictKey,
+  groupConflicts,
+  loadResolutions,
+  saveResolutions,
+  findResolution,
+  setResolution,
+  partitionConflicts,
+};
@@ -0,0 +1,247 @@
+/**
+ * =============================================================================
+ * Deck Diff Utility
+ * =============================================================================
+ *
+ * Compares two archived runs (see run-archive.js): which inputs, models and
+ * costs changed, and slide by slide which text fields, citations and images
+ * changed. Slides are matched by type (the nth "team" slide of one run with
+ * the nth "team" slide of the other), so reordered slides are not reported
+ * as rewritten.
+ */
+
+const { readRunJSON } = require("./run-archive");
+
+// Deck config keys holding image paths rather than slide text
+const IMAGE_KEYS = new Set(["image", "useOfFundsImage", "backgroundImage"]);
+
+// =============================================================================
+// Helpers
+// =============================================================================
+
+/**
+ * Slides keyed "type" (or "type#2" for the second slide of a type)
+ */
+function keySlides(slides) {
+  const counts = {};
+  const keyed = new Map();
+  for (const slide of slides || []) {
+    const type = slide.type || "slide";
+    counts[type] = (counts[type] || 0) + 1;
+    keyed.set(counts[type] === 1 ? type : `${type}#${counts[type]}`, slide);
+  }
+  return keyed;
+}
+
+/**
+ * Text fields of a slide as path -> value ("points[1]" -> "...")
+ */
+function flattenText(value, prefix = "", out = {}) {
+  if (Array.isArray(value)) {
+    value.forEach((item, i) => flattenText(item, `${prefix}[${i}]`, out));
+  } else if (value && typeof value === "object") {
+    for (const [key, child] of Object.entries(value)) {
+      if (IMAGE_KEYS.has(key) || (prefix === "" && key === "type")) continue;
+      flattenText(child, prefix ? `${prefix}.${key}` : key, out);
+    }
+  } else if (value !== null && value !== undefined && value !== "") {
+    out[prefix] = String(value);
+  }
+  return out;
+}
+
+/**
+ * Changes between two flat maps: [{ key, from, to }] (from/to null when absent)
+ */
+function diffMaps(before, after) {
+  const keys = [...new Set([...Object.keys(before), ...Object.keys(after)])];
+  return keys
+    .filter((key) => before[key] !== after[key])
+    .map((key) => ({ key, from: before[key] ?? null, to: after[key] ?? null }));
+}
+
+function citationKey(citation) {
+  return `${citation.source || "?"}|${citation.fact || citation.quote || ""}`;
+}
+
+/**
+ * Citations of a synthesis slide keyed by source and fact, with their
+ * verification status
+ */
+function slideCitations(slide) {
+  const citations = new Map();
+  for (const citation of slide?.citations || []) {
+    citations.set(citationKey(citation), {
+      source: citation.source || null,
+      fact: citation.fact || citation.quote || "",
+      status: citation.verification?.status || null,
+    });
+  }
+  return citations;
+}
+
+/**
+ * Image files of a run keyed by slide type ("output/assets/team.png" -> team)
+ */
+function imageDigests(run) {
+  const images = {};
+  for (const [file, info] of Object.entries(run.files || {})) {
+    const match = file.match(/^output\/assets\/(.+)\.(png|jpe?g|webp)$/i);
+    if (match) images[match[1]] = info.sha256;
+  }
+  return images;
+}
+
+function describeModels(run) {
+  const models = {};
+  for (const [phase, record] of Object.entries(run.phases || {})) {
+    for (const agent of record.agents || []) {
+      models[`${phase} ${agent.agent}`] = `${agent.provider}/${agent.model}`;
+    }
+  }
+  return models;
+}
+
+// =============================================================================
+// Diff
+// =============================================================================
+
+/**
+ * Compare two runs
+ * @param {object} from - Manifest of the earlier run (from resolveRun)
+ * @param {object} to - Manifest of the later run
+ * @returns {object} - { from, to, inputs, models, cost, slides }
+ */
+function diffRuns(from, to) {
+  const inputs = diffMaps(from.inputs || {}, to.inputs || {}).map(({ key, from: a, to: b }) => ({
+    file: key,
+    change: a === null ? "added" : b === null ? "removed" : "modified",
+  }));
+
+  const deckBefore = keySlides(readRunJSON(from, "output/deck-config.json")?.slides);
+  const deckAfter = keySlides(readRunJSON(to, "output/deck-config.json")?.slides);
+  const synthesisBefore = keySlides(readRunJSON(from, "intermediate/synthesis-output.json")?.slides);
+  const synthesisAfter = keySlides(readRunJSON(to, "intermediate/synthesis-output.json")?.slides);
+
+  const imagesBefore = imageDigests(from);
+  const imagesAfter = imageDigests(to);
+
+  const slides = [];
+  const slideKeys = new Set([
+    ...deckBefore.keys(),
+    ...deckAfter.keys(),
+    ...synthesisBefore.keys(),
+    ...synthesisAfter.keys(),
+  ]);
+
+  for (const key of slideKeys) {
+    const before = deckBefore.get(key);
+    const after = deckAfter.get(key);
+    const type = (before || after || synthesisBefore.get(key) || synthesisAfter.get(key)).type;
+
+    const text = diffMaps(flattenText(before || {}), flattenText(after || {}));
+
+    const citesBefore = slideCitations(synthesisBefore.get(key));
+    const citesAfter = slideCitations(synthesisAfter.get(key));
+    const citations = {
+      added: [...citesAfter.keys()].filter((k) => !citesBefore.has(k)).map((k) => citesAfter.get(k)),
+      removed: [...citesBefore.keys()].filter((k) => !citesAfter.has(k)).map((k) => citesBefore.get(k)),
+      status: [...citesAfter.keys()]
+        .filter((k) => citesBefore.has(k) && citesBefore.get(k).status !== citesAfter.get(k).status)
+        .map((k) => ({ ...citesAfter.get(k), from: citesBefore.get(k).status })),
+    };
+
+    // An image changed when the slide points elsewhere or the file's bytes differ
+    const imageKey = (slide) => slide?.image?.replace(/^assets\//, "").replace(/\.\w+$/, "") || null;
+    const image = {
+      from: before?.image || null,
+      to: after?.image || null,
+      changed:
+        (before?.image || null) !== (after?.image || null) ||
+        (imageKey(after) !== null && imagesBefore[imageKey(after)] !== imagesAfter[imageKey(after)]),
+    };
+
+    const status = !before && after ? "added" : before && !after ? "removed" : "changed";
+    const citationChanges = citations.added.length + citations.removed.length + citations.status.length;
+    if (status === "changed" && text.length === 0 && citationChanges === 0 && !image.changed) continue;
+
+    slides.push({ key, type, status, text, citations, image });
+  }
+
+  return {
+    from: { runId: from.runId, label: from.label || null, createdAt: from.createdAt },
+    to: { runId: to.runId, label: to.label || null, createdAt: to.createdAt },
+    inputs,
+    models: diffMaps(describeModels(from), describeModels(to)),
+    cost: { from: from.totalCost || 0, to: to.totalCost || 0 },
+    slides,
+  };
+}
+
+// =============================================================================
+// Formatting
+// =============================================================================
+
+function truncate(text, length = 100) {
+  return text.length > length ? `${text.slice(0, length - 3)}...` : text;
+}
+
+/**
+ * Human-readable diff, one line per change
+ * @returns {string[]}
+ */
+function formatDiff(diff) {
+  const lines = [];
+  const name = (run) => (run.label ? `${run.runId} (${run.label})` : run.runId);
+
+  lines.push(`From: ${name(diff.from)}`);
+  lines.push(`To:   ${name(diff.to)}`);
+  lines.push(`Cost: $${diff.cost.from.toFixed(4)} -> $${diff.cost.to.toFixed(4)}`);
+
+  if (diff.inputs.length > 0) {
+    lines.push("", "Inputs:");
+    diff.inputs.forEach((i) => lines.push(`  ${i.change.padEnd(9)} ${i.file}`));
+  }
+
+  if (diff.models.length > 0) {
+    lines.push("", "Models:");
+    diff.models.forEach((m) => lines.push(`  ${m.key}: ${m.from || "(none)"} -> ${m.to || "(none)"}`));
+  }
+
+  lines.push("", diff.slides.length > 0 ? "Slides:" : "Slides: no changes");
+  for (const slide of diff.slides) {
+    if (slide.status !== "changed") {
+      lines.push(`  ${slide.key}: slide ${slide.status}`);
+      continue;
+    }
+
+    lines.push(`  ${slide.key}:`);
+    for (const change of slide.text) {
+      if (change.from === null) {
+        lines.push(`    + ${change.key}: ${truncate(change.to)}`);
+      } else if (change.to === null) {
+        lines.push(`    - ${change.key}: ${truncate(change.from)}`);
+      } else {
+        lines.push(`    ~ ${change.key}:`);
+        lines.push(`        - ${truncate(change.from)}`);
+        lines.push(`        + ${truncate(change.to)}`);
+      }
+    }
+    slide.citations.added.forEach((c) => lines.push(`    + citation [${c.source}] ${truncate(c.fact, 80)}`));
+    slide.citations.removed.forEach((c) => lines.push(`    - citation [${c.source}] ${truncate(c.fact, 80)}`));
+    slide.citations.status.forEach((c) =>
+      lines.push(`    ~ citation [${c.source}] ${truncate(c.fact, 60)}: ${c.from || "unverified"} -> ${c.status || "unverified"}`)
+    );
+    if (slide.image.changed) {
+      const same = slide.image.from === slide.image.to;
+      const change = same
+        ? `${slide.image.to} regenerated`
+        : `${slide.image.from || "(none)"} -> ${slide.image.to || "(none)"}`;
+      lines.push(`    ~ image: ${change}`);
+    }
+  }
+
+  return lines;
+}
+
+module.exports = { diffRuns, formatDiff, keySlides, IMAGE_KEYS };
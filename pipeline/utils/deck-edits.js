@@ -0,0 +1,160 @@
+/**
+ * =============================================================================
+ * Deck Edits Utility
+ * =============================================================================
+ *
+ * Keeps hand edits to output/deck-config.json when phase 4 regenerates the
+ * deck. Content is kept from the current file when:
+ *
+ *   - the slide is marked `"locked": true` (the whole slide is kept)
+ *   - the field is listed in the slide's `"lockedFields"` ("headline",
+ *     "statistic.value", ...)
+ *   - the field differs from the deck phase 4 generated last time
+ *     (intermediate/deck-config.generated.json), i.e. it was edited by hand
+ *
+ * Everything else comes from the new generation. Slides are matched by type,
+ * as in deck-diff.js. Image paths are managed by the pipeline and are never
+ * treated as edits. Slides regenerated on request (--slide) only keep their
+ * locks, since the user asked to replace their content.
+ */
+
+const fs = require("fs");
+const { keySlides, IMAGE_KEYS } = require("./deck-diff");
+
+// Slide keys that mark locks rather than content
+const LOCK_KEYS = new Set(["locked", "lockedFields"]);
+
+// =============================================================================
+// Helpers
+// =============================================================================
+
+function clone(value) {
+  return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+function sameValue(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+function getPath(object, fieldPath) {
+  return fieldPath.split(".").reduce((value, key) => (value == null ? undefined : value[key]), object);
+}
+
+/**
+ * Set a dotted field, creating objects along the way; undefined deletes it
+ */
+function setPath(object, fieldPath, value) {
+  const keys = fieldPath.split(".");
+  const last = keys.pop();
+  let target = object;
+  for (const key of keys) {
+    if (target[key] == null || typeof target[key] !== "object") {
+      if (value === undefined) return;
+      target[key] = {};
+    }
+    target = target[key];
+  }
+  if (value === undefined) {
+    delete target[last];
+  } else {
+    target[last] = clone(value);
+  }
+}
+
+/**
+ * Top-level fields of a slide that differ from the last generated version
+ */
+function editedFields(current, generated) {
+  const keys = new Set([...Object.keys(current), ...Object.keys(generated)]);
+  return [...keys].filter(
+    (key) => !IMAGE_KEYS.has(key) && !LOCK_KEYS.has(key) && !sameValue(current[key], generated[key])
+  );
+}
+
+// =============================================================================
+// Merge
+// =============================================================================
+
+/**
+ * Load a deck config, or null when it is missing or unreadable
+ */
+function loadDeck(filePath) {
+  if (!filePath || !fs.existsSync(filePath)) return null;
+  try {
+    return JSON.parse(fs.readFileSync(filePath, "utf-8"));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Merge a newly generated deck around the locked and hand-edited content of
+ * the current one
+ * @param {object} generated - Deck config from the generator
+ * @param {object|null} current - Deck config on disk (possibly edited)
+ * @param {object|null} baseline - Deck config as generated by the previous run
+ * @param {object} options - { regenerated: slide types whose hand edits are dropped }
+ * @returns {{deckConfig: object, preserved: Array<{slide: string, fields: string[], reason: string}>}}
+ */
+function mergeDeckEdits(generated, current, baseline, { regenerated = [] } = {}) {
+  const deckConfig = clone(generated);
+  const preserved = [];
+  if (!current?.slides) return { deckConfig, preserved };
+
+  const currentSlides = keySlides(current.slides);
+  const baselineSlides = keySlides(baseline?.slides);
+  const generatedKeys = [...keySlides(deckConfig.slides).keys()];
+
+  deckConfig.slides = deckConfig.slides.map((slide, i) => {
+    const key = generatedKeys[i];
+    const edited = currentSlides.get(key);
+    if (!edited) return slide;
+
+    if (edited.locked === true) {
+      preserved.push({ slide: key, fields: ["*"], reason: "locked" });
+      return clone(edited);
+    }
+
+    const locked = edited.lockedFields || [];
+    const base = baselineSlides.get(key);
+    const handEdited =
+      base && !regenerated.includes(edited.type)
+        ? editedFields(edited, base).filter((f) => !locked.includes(f))
+        : [];
+    if (locked.length === 0 && handEdited.length === 0) return slide;
+
+    const merged = clone(slide);
+    for (const field of [...locked, ...handEdited]) {
+      setPath(merged, field, getPath(edited, field));
+    }
+    if (locked.length > 0) {
+      merged.lockedFields = [...locked];
+      preserved.push({ slide: key, fields: locked, reason: "locked" });
+    }
+    if (handEdited.length > 0) {
+      preserved.push({ slide: key, fields: handEdited, reason: "edited" });
+    }
+    return merged;
+  });
+
+  // A locked slide the generator no longer produces is kept where it was
+  for (const [key, slide] of currentSlides) {
+    if (slide.locked !== true || generatedKeys.includes(key)) continue;
+    const index = current.slides.indexOf(slide);
+    deckConfig.slides.splice(Math.min(index, deckConfig.slides.length), 0, clone(slide));
+    preserved.push({ slide: key, fields: ["*"], reason: "locked" });
+  }
+
+  return { deckConfig, preserved };
+}
+
+/**
+ * One line per slide with kept content: "team: headline, points (edited)"
+ */
+function formatPreserved(preserved) {
+  return preserved.map(({ slide, fields, reason }) =>
+    fields[0] === "*" ? `${slide}: whole slide (locked)` : `${slide}: ${fields.join(", ")} (${reason})`
+  );
+}
+
+module.exports = { mergeDeckEdits, formatPreserved, loadDeck };
@@ -0,0 +1,61 @@
+/**
+ * =============================================================================
+ * Fact Book Utility
+ * =============================================================================
+ *
+ * Loads user-inputs/facts.json, the user's pinned facts: key numbers with a
+ * value, unit, source and as-of date that always win over values extracted
+ * from the source documents. The classifier treats them as known (not
+ * missing), the synthesizer is told to use them as given, and the numeric
+ * consistency check flags slides that state anything else.
+ */
+
+const fs = require("fs");
+const { validateSchema } = require("./schema-validator");
+
+/**
+ * Load and validate the fact book; a missing file means no pinned facts
+ * @returns {Array<object>}
+ */
+function loadFacts(filePath) {
+  if (!filePath || !fs.existsSync(filePath)) return [];
+
+  let data;
+  try {
+    data = JSON.parse(fs.readFileSync(filePath, "utf-8"));
+  } catch (error) {
+    throw new Error(`Invalid JSON in ${filePath}: ${error.message}`);
+  }
+
+  const { valid, errors } = validateSchema(data, "facts");
+  if (!valid) {
+    throw new Error(`${filePath} does not match the fact book schema:\n  - ${errors.join("\n  - ")}`);
+  }
+
+  const seen = new Set();
+  for (const fact of data.facts) {
+    if (seen.has(fact.key)) {
+      throw new Error(`${filePath}: fact key '${fact.key}' is used more than once`);
+    }
+    seen.add(fact.key);
+  }
+  return data.facts;
+}
+
+/**
+ * One line per fact: "Raise amount (raise): $70M USD, as of 2025-12 - source: ..."
+ */
+function formatFact(fact) {
+  const name = fact.label ? `${fact.label} (${fact.key})` : fact.key;
+  const note = fact.note ? ` (${fact.note})` : "";
+  return `${name}: ${fact.value} ${fact.unit}, as of ${fact.asOf} - source: ${fact.source}${note}`;
+}
+
+/**
+ * Stable digest input for cache keys: changes whenever any fact does
+ */
+function factsFingerprint(facts) {
+  return JSON.stringify(facts.map((f) => [f.key, f.value, f.unit, f.source, f.asOf, f.note || ""]));
+}
+
+module.exports = { loadFacts, formatFact, factsFingerprint };
@@ -0,0 +1,126 @@
+/**
+ * =============================================================================
+ * Markdown Chunker Utility
+ * =============================================================================
+ *
+ * Splits long extracted text into chunks that fit a model's context window.
+ * Cuts fall on the section headings markitdown preserves (`#`..`######`), so a
+ * chunk holds whole sections wherever possible. A section that is larger than
+ * a chunk on its own is split at paragraph, then line, boundaries.
+ */
+
+// ATX heading line, e.g. "## Market Opportunity"
+const HEADING_PATTERN = /^(#{1,6})\s+(.+?)\s*#*\s*$/;
+const FENCE_PATTERN = /^\s*(```|~~~)/;
+
+/**
+ * Split text into heading-delimited sections
+ * @param {string} text
+ * @returns {Array<{heading: string|null, start: number, end: number}>}
+ */
+function splitIntoSections(text) {
+  const sections = [];
+  let current = { heading: null, start: 0 };
+  let offset = 0;
+  let inFence = false;
+
+  for (const line of text.split("\n")) {
+    if (FENCE_PATTERN.test(line)) {
+      inFence = !inFence;
+    }
+
+    const match = !inFence && line.match(HEADING_PATTERN);
+    if (match) {
+      if (offset > current.start) {
+        sections.push({ ...current, end: offset });
+        current = { heading: match[2], start: offset };
+      } else {
+        current.heading = match[2];
+      }
+    }
+
+    offset += line.length + 1;
+  }
+
+  sections.push({ ...current, end: text.length });
+  return sections.filter((s) => s.end > s.start);
+}
+
+/**
+ * Split an oversized range at paragraph, then line, boundaries
+ * @returns {Array<{start: number, end: number}>}
+ */
+function splitRange(text, start, end, maxChars) {
+  const pieces = [];
+
+  while (end - start > maxChars) {
+    const limit = start + maxChars;
+    let cut = limit;
+
+    const paragraphBreak = text.lastIndexOf("\n\n", limit - 2);
+    const lineBreak = text.lastIndexOf("\n", limit - 1);
+    if (paragraphBreak > start) {
+      cut = paragraphBreak + 2;
+    } else if (lineBreak > start) {
+      cut = lineBreak + 1;
+    }
+
+    pieces.push({ start, end: cut });
+    start = cut;
+  }
+
+  pieces.push({ start, end });
+  return pieces;
+}
+
+/**
+ * Chunk markdown-ish text on section boundaries
+ * @param {string} text - Document text
+ * @param {number} maxChars - Maximum characters per chunk
+ * @returns {Array<{index: number, text: string, start: number, end: number, headings: string[]}>}
+ *   Chunks in document order; index is 1-based. Text that already fits is
+ *   returned as a single chunk.
+ */
+function chunkMarkdown(text, maxChars) {
+  if (text.length <= maxChars) {
+    return [{ index: 1, text, start: 0, end: text.length, headings: [] }];
+  }
+
+  // Sections, with oversized ones broken into pieces that keep their heading
+  const pieces = [];
+  for (const section of splitIntoSections(text)) {
+    for (const range of splitRange(text, section.start, section.end, maxChars)) {
+      pieces.push({ ...range, heading: section.heading });
+    }
+  }
+
+  // Pack consecutive pieces greedily into chunks
+  const chunks = [];
+  let current = null;
+  for (const piece of pieces) {
+    if (current && piece.end - current.start > maxChars) {
+      chunks.push(current);
+      current = null;
+    }
+    if (!current) {
+      current = { start: piece.start, end: piece.end, headings: [] };
+    }
+    current.end = piece.end;
+    if (piece.heading && current.headings[current.headings.length - 1] !== piece.heading) {
+      current.headings.push(piece.heading);
+    }
+  }
+  if (current) {
+    chunks.push(current);
+  }
+
+  return chunks.map((chunk, i) => ({
+    index: i + 1,
+    text: text.slice(chunk.start, chunk.end),
+    start: chunk.start,
+    end: chunk.end,
+    headings: chunk.headings,
+  }));
+}
+
+module.exports = { chunkMarkdown, splitIntoSections };
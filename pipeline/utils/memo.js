@@ -0,0 +1,278 @@
+/**
+ * =============================================================================
+ * Investment Memo Utility
+ * =============================================================================
+ *
+ * Shared pieces of the long-form investment memo (03-write-memo.js):
+ *
+ *   - the memo sections under "memo.sections" in pipeline-config.json, each
+ *     naming the slide types whose classified evidence it draws on (from)
+ *   - the evidence list given to the memo writer: classified content
+ *     (allContent in intermediate/classified-context.json) numbered E1, E2, ...
+ *     and the pinned facts from user-inputs/facts.json numbered F1, F2, ...
+ *   - footnotes: the writer cites evidence inline as [E3] or [E3, F1]; the
+ *     markers become numbered footnotes that name the source file, the
+ *     location and the evidence text
+ *   - the Markdown rendering, with [^n] footnotes
+ *
+ * Evidence without a source document is left out, so every footnote resolves
+ * to a source filename.
+ */
+
+const { normalize } = require("./text");
+
+// Section ids appear in the memo JSON and the prompt
+const SECTION_ID = /^[a-z][A-Za-z0-9]*$/;
+
+// One or more evidence references: [E3], [F1], [E3, E12, F1]
+const CITATION_MARKER = /\[((?:E|F)\d+(?:\s*,\s*(?:E|F)\d+)*)\]/g;
+
+// =============================================================================
+// Sections
+// =============================================================================
+
+/**
+ * Load and check the memo sections from the pipeline config
+ * @param {object} pipelineConfig - Parsed pipeline-config.json
+ * @param {Array<object>} slideTypes - Registry entries (loadSlideTypes)
+ * @returns {Array<object>} - { id, heading, from, guidance } in config order
+ */
+function loadMemoSections(pipelineConfig, slideTypes) {
+  const sections = pipelineConfig?.memo?.sections || {};
+  const known = slideTypes.map((t) => t.type);
+
+  const loaded = Object.entries(sections).map(([id, section]) => {
+    const where = `memo.sections.${id}`;
+    if (!SECTION_ID.test(id)) {
+      throw new Error(`${where}: section ids must be camelCase letters and digits (e.g. "thesis")`);
+    }
+    if (!section || typeof section.heading !== "string" || section.heading.trim() === "") {
+      throw new Error(`${where}: 'heading' must be a non-empty string`);
+    }
+
+    const from = section.from;
+    if (!Array.isArray(from) || from.length === 0) {
+      throw new Error(`${where}: 'from' must be a non-empty array of slide types`);
+    }
+    const unknown = from.filter((type) => !known.includes(type));
+    if (unknown.length > 0) {
+      throw new Error(`${where}: unknown slide type(s) ${unknown.join(", ")}. Known types: ${known.join(", ")}`);
+    }
+
+    if (section.guidance !== undefined && typeof section.guidance !== "string") {
+      throw new Error(`${where}: 'guidance' must be a string`);
+    }
+
+    return { id, heading: section.heading, from, guidance: section.guidance || "" };
+  });
+
+  if (loaded.length === 0) {
+    throw new Error("No memo sections defined under 'memo.sections' in pipeline-config.json");
+  }
+  return loaded;
+}
+
+// =============================================================================
+// Evidence
+// =============================================================================
+
+/**
+ * Number the classified content each section draws on, most confident first
+ * @param {object} classifiedContext - intermediate/classified-context.json
+ * @param {Array<object>} sections - From loadMemoSections
+ * @param {object} options - { minConfidence, maxItems } (maxItems per section)
+ * @returns {{ evidence: Array<object>, bySection: object }} - evidence as
+ *   { id, kind, content, confidence, source, location }, and the evidence ids
+ *   of each section
+ */
+function collectEvidence(classifiedContext, sections, { minConfidence = 0.5, maxItems = 30 } = {}) {
+  const evidence = [];
+  const ids = new Map();
+  const bySection = {};
+
+  for (const section of sections) {
+    const items = [];
+    const seen = new Set();
+    // The same statement from two slide types gets one evidence id
+    for (const from of section.from) {
+      for (const item of classifiedContext.slides?.[from]?.allContent || []) {
+        const text = normalize(item.content);
+        if (!text || seen.has(text) || !item.source) continue;
+        if ((item.confidence ?? 0) < minConfidence) continue;
+        seen.add(text);
+        items.push({ text, item });
+      }
+    }
+
+    items.sort((a, b) => (b.item.confidence ?? 0) - (a.item.confidence ?? 0));
+    bySection[section.id] = items.slice(0, maxItems).map(({ text, item }) => {
+      if (!ids.has(text)) {
+        const id = `E${evidence.length + 1}`;
+        ids.set(text, id);
+        evidence.push({
+          id,
+          kind: item.type || "other",
+          content: item.content,
+          confidence: item.confidence ?? 0,
+          source: item.source,
+          ...(item.location ? { location: item.location } : {}),
+        });
+      }
+      return ids.get(text);
+    });
+  }
+
+  return { evidence, bySection };
+}
+
+/**
+ * Pinned facts as citable references F1, F2, ...: "Raise amount: $70M USD"
+ */
+function factReferences(facts) {
+  return facts.map((fact, i) => ({
+    id: `F${i + 1}`,
+    kind: "pinned_fact",
+    content: `${fact.label || fact.key}: ${fact.value} ${fact.unit}${fact.note ? ` (${fact.note})` : ""}`,
+    source: fact.source,
+    location: `as of ${fact.asOf}`,
+  }));
+}
+
+/**
+ * One evidence line for the prompt: "[E3] (metric) ... - deck.txt, p. 4"
+ */
+function formatEvidence(item) {
+  const where = [item.source, item.location].filter(Boolean).join(", ");
+  return `[${item.id}] (${item.kind}) ${item.content} - ${where}`;
+}
+
+// =============================================================================
+// Footnotes
+// =============================================================================
+
+/**
+ * Turn the writer's [E3] markers into numbered footnotes. Footnotes are
+ * numbered in order of first use; citing the same evidence again reuses its
+ * number.
+ * @param {object} draft - Memo from the writer: { title, summary, sections: [{ id, paragraphs }] }
+ * @param {Array<object>} sections - From loadMemoSections (headings and order)
+ * @param {Array<object>} references - Evidence and pinned fact references
+ * @returns {{ memo: object, unknown: string[] }} - memo as { title, summary,
+ *   sections: [{ id, heading, paragraphs }], footnotes: [{ n, id, source,
+ *   location, quote }] } with each paragraph a list of { text } and
+ *   { footnote: n } parts; unknown lists the cited ids with no reference
+ */
+function resolveFootnotes(draft, sections, references) {
+  const byId = new Map(references.map((r) => [r.id, r]));
+  const numbers = new Map();
+  const footnotes = [];
+  const unknown = new Set();
+
+  const toParts = (text) => {
+    const parts = [];
+    let last = 0;
+    for (const match of String(text).matchAll(CITATION_MARKER)) {
+      // The marker replaces the space before it, as a footnote reference does
+      const before = text.slice(last, match.index).replace(/\s+$/, "");
+      if (before) parts.push({ text: before });
+      for (const id of match[1].split(/\s*,\s*/)) {
+        const reference = byId.get(id);
+        if (!reference) {
+          unknown.add(id);
+          continue;
+        }
+        if (!numbers.has(id)) {
+          numbers.set(id, footnotes.length + 1);
+          footnotes.push({
+            n: footnotes.length + 1,
+            id,
+            source: reference.source,
+            ...(reference.location ? { location: reference.location } : {}),
+            quote: reference.content,
+          });
+        }
+        parts.push({ footnote: numbers.get(id) });
+      }
+      last = match.index + match[0].length;
+    }
+    const rest = text.slice(last);
+    if (rest.trim()) parts.push({ text: rest });
+    return parts;
+  };
+
+  const memo = {
+    title: draft.title,
+    summary: draft.summary ? toParts(draft.summary) : null,
+    sections: sections.map((section) => {
+      const written = (draft.sections || []).find((s) => s.id === section.id);
+      return {
+        id: section.id,
+        heading: section.heading,
+        paragraphs: (written?.paragraphs || []).map(toParts),
+      };
+    }),
+    footnotes,
+  };
+
+  return { memo, unknown: [...unknown] };
+}
+
+/**
+ * Footnote text: "deck.txt, p. 4: "ARR reached $1.2M in Q3""
+ */
+function formatFootnote(footnote) {
+  const where = [footnote.source, footnote.location].filter(Boolean).join(", ");
+  return `${where}: "${footnote.quote}"`;
+}
+
+// =============================================================================
+// Markdown
+// =============================================================================
+
+function partsToMarkdown(parts) {
+  return parts.map((part) => (part.footnote ? `[^${part.footnote}]` : part.text)).join("");
+}
+
+/**
+ * Render the resolved memo as Markdown with [^n] footnotes
+ * @param {object} memo - From resolveFootnotes
+ * @param {object} meta - { company, date }
+ * @returns {string}
+ */
+function renderMemoMarkdown(memo, { company = "", date = "" } = {}) {
+  const lines = [`# ${memo.title}`, ""];
+  const byline = [company, date].filter(Boolean).join(" | ");
+  if (byline) lines.push(`_${byline}_`, "");
+  if (memo.summary?.length > 0) lines.push(`> ${partsToMarkdown(memo.summary)}`, "");
+
+  for (const section of memo.sections) {
+    lines.push(`## ${section.heading}`, "");
+    if (section.paragraphs.length === 0) {
+      lines.push("_No supporting evidence in the source documents._", "");
+    }
+    for (const paragraph of section.paragraphs) {
+      lines.push(partsToMarkdown(paragraph), "");
+    }
+  }
+
+  if (memo.footnotes.length > 0) {
+    lines.push("---", "");
+    for (const footnote of memo.footnotes) {
+      // Quotes are single-line in a footnote definition
+      lines.push(`[^${footnote.n}]: ${formatFootnote(footnote).replace(/\s*\n\s*/g, " ")}`);
+    }
+    lines.push("");
+  }
+
+  return lines.join("\n");
+}
+
+module.exports = {
+  loadMemoSections,
+  collectEvidence,
+  factReferences,
+  formatEvidence,
+  resolveFootnotes,
+  formatFootnote,
+  renderMemoMarkdown,
+};
@@ -0,0 +1,63 @@
+/**
+ * =============================================================================
+ * Number Parsing Utility
+ * =============================================================================
+ *
+ * Finds the figures in a piece of text and reduces each to a plain value, so
+ * the same number written differently ("$1.2B", "1.2 billion", "$1,200M")
+ * compares equal. Magnitude letters (K, M, B, T) only count when attached to
+ * the digits; spelled-out magnitudes may follow a space.
+ */
+
+const MAGNITUDES = {
+  k: 1e3,
+  thousand: 1e3,
+  m: 1e6,
+  mm: 1e6,
+  million: 1e6,
+  b: 1e9,
+  bn: 1e9,
+  billion: 1e9,
+  t: 1e12,
+  trillion: 1e12,
+};
+
+// Not preceded by a letter, digit or dot, so "Q4", "H100" and "v2.1" are skipped
+const NUMBER_PATTERN =
+  /(?<![A-Za-z0-9_.])([$€£])?(\d{1,3}(?:,\d{3})+(?:\.\d+)?|\d+(?:\.\d+)?)(?:(%)|\s*(percent|per cent)\b|(k|mm|m|bn|b|t)\b|\s+(thousand|million|billion|trillion)\b)?/gi;
+
+// Relative difference still treated as the same figure (rounding in restatements)
+const TOLERANCE = 0.005;
+
+/**
+ * Extract every figure from text
+ * @param {string} text
+ * @returns {Array<{text: string, value: number, percent: boolean, currency: string|null, index: number}>}
+ */
+function extractNumbers(text) {
+  const numbers = [];
+  for (const match of String(text ?? "").matchAll(NUMBER_PATTERN)) {
+    const [raw, currency, digits, percentSign, percentWord, letter, word] = match;
+    const magnitude = MAGNITUDES[(letter || word || "").toLowerCase()] || 1;
+    numbers.push({
+      text: raw.trim(),
+      value: parseFloat(digits.replace(/,/g, "")) * magnitude,
+      percent: Boolean(percentSign || percentWord),
+      currency: currency || null,
+      index: match.index,
+    });
+  }
+  return numbers;
+}
+
+/**
+ * Whether two parsed figures are the same number (currency symbols are ignored)
+ */
+function sameNumber(a, b) {
+  if (a.percent !== b.percent) return false;
+  if (a.value === b.value) return true;
+  const scale = Math.max(Math.abs(a.value), Math.abs(b.value));
+  return Math.abs(a.value - b.value) <= scale * TOLERANCE;
+}
+
+module.exports = { extractNumbers, sameNumber };
@@ -0,0 +1,466 @@
+/**
+ * =============================================================================
+ * Numeric Consistency Utility
+ * =============================================================================
+ *
+ * Finds figures that should agree across the deck (raise amount, TAM/SAM/SOM,
+ * revenue, customer counts, ...) and reports the ones that do not. Figures
+ * are collected from deck-config.json and synthesis-output.json, assigned to a
+ * metric by their field name or the clause around them, qualified by the
+ * period they refer to ("2025", "Q4 2025", projections), and compared after
+ * normalization, so "$1.2B" and "$1,200M" agree. Classification conflicts
+ * (globalConflicts) whose disputed figures the deck uses are reported too;
+ * for a conflict the user has resolved (user-inputs/resolutions.json), only
+ * figures that differ from the chosen value are. Facts pinned in
+ * user-inputs/facts.json win over both: every figure for a pinned metric must
+ * match the pinned value.
+ */
+
+const { extractNumbers, sameNumber } = require("./numbers");
+const { findResolution } = require("./conflict-resolutions");
+
+// Metrics compared across the deck. `fields` match "<slideType>.<path>"; the
+// pattern matches the field name or the clause a figure appears in.
+const METRICS = [
+  { key: "raise", label: "Raise amount", kind: "money", fields: /^ask\.amount$/, pattern: /\b(rais(e|ing)|round|funding|ask|series [a-f])\b/ },
+  { key: "valuation", label: "Valuation", kind: "money", pattern: /\b(valuation|pre-money|post-money|valuation cap)\b/ },
+  { key: "tam", label: "TAM", kind: "money", fields: /^marketSize\.(marketData\.)?tam$/, pattern: /\btam\b|total addressable/ },
+  { key: "sam", label: "SAM", kind: "money", fields: /^marketSize\.(marketData\.)?sam$/, pattern: /\bsam\b|serviceable (addressable|available)/ },
+  { key: "som", label: "SOM", kind: "money", fields: /^marketSize\.(marketData\.)?som$/, pattern: /\bsom\b|serviceable obtainable/ },
+  { key: "arr", label: "ARR", kind: "money", pattern: /\barr\b|annual recurring revenue|run[- ]rate/ },
+  { key: "revenue", label: "Revenue", kind: "money", pattern: /\brevenues?\b/ },
+  { key: "acv", label: "ACV", kind: "money", pattern: /\bacv\b|(annual )?contract value/ },
+  { key: "pipeline", label: "Pipeline", kind: "money", pattern: /\bpipeline\b/ },
+  { key: "customers", label: "Customer count", kind: "count", pattern: /\b(customers?|clients?|paying accounts)\b/ },
+  { key: "grossMargin", label: "Gross margin", kind: "percent", pattern: /\bgross margins?\b/ },
+  { key: "nrr", label: "Net revenue retention", kind: "percent", pattern: /\bnrr\b|net (revenue|dollar) retention/ },
+];
+
+// Keys whose value is named by a sibling label ({ value: "$200M", label: "Pipeline" })
+const VALUE_KEYS = ["value", "amount", "figure", "metric"];
+
+// Characters between a metric's name and a figure for the two to be linked
+const MAX_KEYWORD_DISTANCE = 40;
+
+// Forward-looking figures are compared only with each other
+const PROJECTION_PATTERN = /\b(target|goal|projected|projection|forecast|expected|plan(ned)?|reach(ing)?|by end of)\b/;
+
+// =============================================================================
+// Figure Extraction
+// =============================================================================
+
+/**
+ * Dates a clause refers to: years, quarters ("Q4 2025"), fiscal years ("FY25")
+ */
+function extractPeriods(text) {
+  const periods = new Set();
+  for (const match of text.matchAll(/\bq([1-4])\s*'?((?:19|20)?\d{2})\b/gi)) {
+    periods.add(`Q${match[1]} ${match[2].length === 2 ? `20${match[2]}` : match[2]}`);
+  }
+  for (const match of text.matchAll(/\bfy\s*'?(\d{2}|\d{4})\b/gi)) {
+    periods.add(`FY${match[1].slice(-2)}`);
+  }
+  for (const match of text.matchAll(/\b(19|20)\d{2}\b/g)) {
+    if (![...periods].some((p) => p.endsWith(match[0]))) periods.add(match[0]);
+  }
+  return [...periods].sort();
+}
+
+/**
+ * Money, percent, count or date, from how the figure is written
+ */
+function figureKind(figure) {
+  if (figure.percent) return "percent";
+  if (figure.currency) return "money";
+  if (Number.isInteger(figure.value) && figure.value >= 1900 && figure.value <= 2100 && /^\d{4}$/.test(figure.text)) {
+    return "date";
+  }
+  return "count";
+}
+
+/**
+ * Readable field name: "unitEconomics.subscriptionACV" -> "unit economics subscription acv"
+ */
+function humanizePath(fieldPath) {
+  return fieldPath
+    .replace(/\[\d+\]/g, "")
+    .replace(/([a-z])([A-Z])/g, "$1 $2")
+    .replace(/[._]/g, " ")
+    .toLowerCase();
+}
+
+/**
+ * Split prose into clauses; a figure is only assigned to a metric named in
+ * its own clause ("Revenue of $12M, up from $4M" -> "Revenue of $12M")
+ */
+function splitClauses(text) {
+  return text.split(/[.;!?](?:\s|$)|\n|,\s|\s[-–—]\s|\bvs\.?\s/i).filter((c) => c.trim());
+}
+
+/**
+ * Metric a field holds, from its location ("ask.amount"), its own name
+ * ("subscriptionACV") or, for a bare value, its sibling label
+ */
+function fieldMetric(location, key, parent) {
+  const byLocation = METRICS.find((m) => m.fields && m.fields.test(location));
+  if (byLocation) return byLocation;
+
+  const names = [humanizePath(key)];
+  if (VALUE_KEYS.includes(key)) {
+    names.push(...[parent?.label, parent?.name, parent?.title].filter((l) => typeof l === "string"));
+  }
+  const context = names.join(" ").toLowerCase();
+  return METRICS.find((m) => m.pattern.test(context)) || null;
+}
+
+/**
+ * Metric named closest to a figure in a clause, among metrics of its kind
+ */
+function nearestMetric(clause, figure) {
+  let best = null;
+  for (const metric of METRICS.filter((m) => m.kind === figureKind(figure))) {
+    for (const match of clause.matchAll(new RegExp(metric.pattern.source, "g"))) {
+      const distance =
+        match.index < figure.index
+          ? figure.index - (match.index + match[0].length)
+          : match.index - (figure.index + figure.text.length);
+      if (distance <= MAX_KEYWORD_DISTANCE && (!best || distance < best.distance)) {
+        best = { metric, distance };
+      }
+    }
+  }
+  return best?.metric || null;
+}
+
+/**
+ * Numeric chart fields rendered as text in their unit: 50 in "$B" -> "$50B"
+ */
+function withUnit(value, unit) {
+  if (!unit) return String(value);
+  return unit.startsWith("$") ? `$${value}${unit.slice(1)}` : `${value} ${unit}`;
+}
+
+/**
+ * Every metric figure in one slide
+ * @param {object} slide - Slide fields (deck-config slide or synthesis content)
+ * @param {string} slideType
+ * @param {string} where - Prefix for locations, e.g. "deck-config slides[3]"
+ * @returns {Array<object>} - { metric, period, figure, location, text }
+ */
+function collectSlideFigures(slide, slideType, where) {
+  const mentions = [];
+
+  // Numbers in chart data (marketData, series points) take the nearest enclosing unit
+  const visit = (value, fieldPath, parent, unit) => {
+    if (value === null || value === undefined) return;
+    if (Array.isArray(value)) {
+      value.forEach((item, i) => visit(item, `${fieldPath}[${i}]`, parent, unit));
+      return;
+    }
+    if (typeof value === "object") {
+      const scope = typeof value.unit === "string" ? value.unit : unit;
+      for (const [key, child] of Object.entries(value)) {
+        const text = typeof child === "number" && scope ? withUnit(child, scope) : child;
+        visit(text, fieldPath ? `${fieldPath}.${key}` : key, value, scope);
+      }
+      return;
+    }
+    if (typeof value !== "string") return;
+
+    const key = fieldPath.split(".").pop().replace(/\[\d+\]$/, "");
+    const location = `${slideType}.${fieldPath.replace(/\[\d+\]/g, "")}`;
+    const metricOfField = fieldMetric(location, key, parent);
+    const period = typeof parent?.period === "string" ? parent.period : "";
+
+    const record = (metric, figure, clause) => {
+      const periods = extractPeriods(`${period} ${clause}`);
+      if (PROJECTION_PATTERN.test(`${humanizePath(key)} ${clause.toLowerCase()}`)) periods.push("projected");
+      mentions.push({
+        metric: metric.key,
+        period: periods.join(" "),
+        figure,
+        location: `${where}.${fieldPath}`,
+        text: clause.trim().slice(0, 120),
+      });
+    };
+
+    for (const clause of splitClauses(value)) {
+      const figures = extractNumbers(clause).filter((f) => figureKind(f) !== "date");
+
+      // A field that names its metric holds it: the first figure of the metric's kind
+      if (metricOfField) {
+        const own = figures.find((f) => figureKind(f) === metricOfField.kind);
+        if (own) record(metricOfField, own, clause);
+        continue;
+      }
+
+      // Prose: each figure belongs to the metric named nearest to it; a metric
+      // with two figures in one clause ("from $4M to $12M") is ambiguous
+      const byMetric = new Map();
+      for (const figure of figures) {
+        const metric = nearestMetric(clause.toLowerCase(), figure);
+        if (metric) byMetric.set(metric, [...(byMetric.get(metric) || []), figure]);
+      }
+      for (const [metric, found] of byMetric) {
+        if (found.length === 1) record(metric, found[0], clause);
+      }
+    }
+  };
+
+  visit(slide, "", null, null);
+  return mentions;
+}
+
+/**
+ * Figures from deck-config.json and synthesis-output.json
+ */
+function collectFigures({ deckConfig, synthesisOutput }) {
+  const mentions = [];
+  (deckConfig?.slides || []).forEach((slide, i) => {
+    const { type, ...fields } = slide || {};
+    mentions.push(...collectSlideFigures(fields, type, `deck-config slides[${i}] (${type})`));
+  });
+  (synthesisOutput?.slides || []).forEach((slide, i) => {
+    mentions.push(...collectSlideFigures(slide?.content || {}, slide?.type, `synthesis slides[${i}] (${slide?.type})`));
+  });
+  return mentions;
+}
+
+// =============================================================================
+// Comparison
+// =============================================================================
+
+/**
+ * Group mentions into distinct values (figures that agree share a group)
+ */
+function distinctValues(mentions) {
+  const values = [];
+  for (const mention of mentions) {
+    const match = values.find((v) => sameNumber(v.figure, mention.figure));
+    if (match) {
+      match.locations.push(mention.location);
+    } else {
+      values.push({ figure: mention.figure, value: mention.figure.text, locations: [mention.location] });
+    }
+  }
+  return values;
+}
+
+/**
+ * Metrics stated with different values for the same period
+ */
+function findContradictions(mentions) {
+  const groups = new Map();
+  for (const mention of mentions) {
+    const key = `${mention.metric}|${mention.period}`;
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(mention);
+  }
+
+  const contradictions = [];
+  for (const group of groups.values()) {
+    const values = distinctValues(group);
+    if (values.length < 2) continue;
+    const metric = METRICS.find((m) => m.key === group[0].metric);
+    contradictions.push({
+      metric: metric.key,
+      label: metric.label,
+      period: group[0].period || null,
+      values: values.map(({ value, locations }) => ({ value, locations })),
+    });
+  }
+  return contradictions;
+}
+
+/**
+ * One line for a classification conflict (string or object)
+ */
+function describeConflict(conflict) {
+  if (typeof conflict === "string") return conflict;
+  const parts = [conflict.field, conflict.description].filter(Boolean);
+  if (Array.isArray(conflict.values)) parts.push(conflict.values.join(" vs "));
+  return parts.join(": ") || JSON.stringify(conflict);
+}
+
+/**
+ * Classification conflicts whose disputed figures appear in the deck. For a
+ * resolved conflict, the deck figures that differ from the chosen value.
+ * @param {Array<string|object>} globalConflicts - From classified-context.json
+ * @param {Array<object>} mentions - Deck figures from collectFigures
+ * @param {object} [resolutions] - Parsed user-inputs/resolutions.json
+ * @param {Set<string>} [pinnedMetrics] - Metrics settled by a pinned fact (skipped)
+ */
+function checkSourceConflicts(globalConflicts, mentions, resolutions, pinnedMetrics = new Set()) {
+  const findings = [];
+  const seen = new Set();
+
+  for (const conflict of globalConflicts || []) {
+    const summary = describeConflict(conflict);
+    const context = (typeof conflict === "string"
+      ? conflict
+      : [conflict.field, conflict.description, conflict.type].filter(Boolean).join(" ")
+    ).toLowerCase();
+    const metric = METRICS.find((m) => m.pattern.test(context) || m.pattern.test(humanizePath(String(conflict.field || ""))));
+
+    const valuesText = typeof conflict === "string" ? conflict : (conflict.values || []).join(" ; ") || summary;
+    const disputed = extractNumbers(valuesText).filter((f) =>
+      metric ? figureKind(f) === metric.kind : figureKind(f) !== "date"
+    );
+    if (disputed.length < 2) continue;
+    if (metric && pinnedMetrics.has(metric.key)) continue;
+
+    const used = mentions.filter(
+      (m) => (!metric || m.metric === metric.key) && disputed.some((f) => sameNumber(f, m.figure))
+    );
+
+    const resolution = findResolution(resolutions, conflict);
+    if (resolution) {
+      // The same field is often reported by several documents; check it once
+      if (seen.has(resolution)) continue;
+      seen.add(resolution);
+
+      const [chosen] = extractNumbers(resolution.value);
+      if (!chosen) continue;
+      // With a known metric, every current figure for it must match the decision
+      const checked = metric
+        ? mentions.filter((m) => m.metric === metric.key && !m.period.includes("projected"))
+        : used;
+      const differing = checked.filter((m) => !sameNumber(chosen, m.figure));
+      if (differing.length === 0) continue;
+
+      findings.push({
+        conflict: summary,
+        metric: metric?.key || null,
+        resolution: resolution.value,
+        deckValues: distinctValues(differing).map(({ value, locations }) => ({ value, locations })),
+        otherValues: [],
+      });
+      continue;
+    }
+    if (used.length === 0) continue;
+
+    const usedValues = distinctValues(used);
+    findings.push({
+      conflict: summary,
+      metric: metric?.key || null,
+      recommendation: conflict.recommendation || null,
+      deckValues: usedValues.map(({ value, locations }) => ({ value, locations })),
+      otherValues: disputed
+        .filter((f) => !usedValues.some((v) => sameNumber(v.figure, f)))
+        .map((f) => f.text),
+    });
+  }
+  return findings;
+}
+
+/**
+ * Metric a pinned fact sets: by its key ("raise"), else by its key and label
+ */
+function metricForFact(fact) {
+  return (
+    METRICS.find((m) => m.key === fact.key) ||
+    METRICS.find((m) => m.pattern.test(`${humanizePath(fact.key)} ${fact.label || ""}`.toLowerCase())) ||
+    null
+  );
+}
+
+/**
+ * Deck figures that differ from a pinned fact. Figures for another year than
+ * the fact's as-of date, and projections, are not compared.
+ * @param {Array<object>} facts - From user-inputs/facts.json
+ * @param {Array<object>} mentions - Deck figures from collectFigures
+ */
+function checkPinnedFacts(facts, mentions) {
+  const findings = [];
+
+  for (const fact of facts || []) {
+    const metric = metricForFact(fact);
+    const [pinned] = extractNumbers(fact.value).filter((f) => figureKind(f) !== "date");
+    if (!metric || !pinned) continue;
+
+    const year = fact.asOf.slice(0, 4);
+    const differing = mentions.filter(
+      (m) =>
+        m.metric === metric.key &&
+        !m.period.includes("projected") &&
+        (!m.period || m.period.includes(year)) &&
+        !sameNumber(pinned, m.figure)
+    );
+    if (differing.length === 0) continue;
+
+    findings.push({
+      fact: fact.key,
+      label: fact.label || metric.label,
+      metric: metric.key,
+      value: fact.value,
+      source: fact.source,
+      asOf: fact.asOf,
+      deckValues: distinctValues(differing).map(({ value, locations }) => ({ value, locations })),
+    });
+  }
+  return findings;
+}
+
+/**
+ * Check a deck for inconsistent figures
+ * @param {object} inputs - { deckConfig, synthesisOutput, globalConflicts, resolutions, facts }
+ * @returns {{summary: object, contradictions: Array<object>, sourceConflicts: Array<object>, factMismatches: Array<object>}}
+ */
+function checkNumericConsistency({ deckConfig, synthesisOutput, globalConflicts, resolutions, facts } = {}) {
+  const mentions = collectFigures({ deckConfig, synthesisOutput });
+  const contradictions = findContradictions(mentions);
+  const pinnedMetrics = new Set((facts || []).map(metricForFact).filter(Boolean).map((m) => m.key));
+  const sourceConflicts = checkSourceConflicts(globalConflicts, mentions, resolutions, pinnedMetrics);
+  const factMismatches = checkPinnedFacts(facts, mentions);
+
+  return {
+    summary: {
+      figures: mentions.length,
+      metrics: new Set(mentions.map((m) => m.metric)).size,
+      contradictions: contradictions.length,
+      sourceConflicts: sourceConflicts.filter((c) => !c.resolution).length,
+      resolutionMismatches: sourceConflicts.filter((c) => c.resolution).length,
+      factMismatches: factMismatches.length,
+    },
+    contradictions,
+    sourceConflicts,
+    factMismatches,
+  };
+}
+
+/**
+ * Report lines for the console
+ * @returns {string[]}
+ */
+function formatConsistencyReport(report) {
+  const lines = [];
+  for (const f of report.factMismatches || []) {
+    lines.push(
+      `Pinned fact "${f.label}" is ${f.value} (${f.source}, as of ${f.asOf}), but the deck uses ${f.deckValues.map((v) => `${v.value} (${v.locations.join(", ")})`).join(", ")}`
+    );
+  }
+  for (const c of report.contradictions) {
+    lines.push(`${c.label}${c.period ? ` (${c.period})` : ""}: ${c.values.map((v) => `${v.value} on ${v.locations.join(", ")}`).join("; ")}`);
+  }
+  for (const c of report.sourceConflicts) {
+    if (c.resolution) {
+      lines.push(
+        `Resolved conflict "${c.conflict}": chosen value is ${c.resolution}, but the deck uses ${c.deckValues.map((v) => `${v.value} (${v.locations.join(", ")})`).join(", ")}`
+      );
+      continue;
+    }
+    const others = c.otherValues.length ? `; sources also report ${c.otherValues.join(", ")}` : "";
+    lines.push(
+      `Source conflict "${c.conflict}": deck uses ${c.deckValues.map((v) => `${v.value} (${v.locations.join(", ")})`).join(", ")}${others}`
+    );
+  }
+  return lines;
+}
+
+module.exports = {
+  checkNumericConsistency,
+  formatConsistencyReport,
+  collectFigures,
+  extractPeriods,
+  METRICS,
+};
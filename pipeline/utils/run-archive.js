@@ -0,0 +1,279 @@
+/**
+ * =============================================================================
+ * Run Archive Utility
+ * =============================================================================
+ *
+ * Keeps a copy of every pipeline run under runs/<run id>/, so a deck can be
+ * compared with any earlier version. A run directory mirrors the project
+ * layout (output/deck-config.json, output/assets/*.png,
+ * intermediate/synthesis-output.json, ...) and holds a manifest.json with:
+ *
+ *   - digests of the inputs (user inputs, source documents, configuration)
+ *   - digests and sizes of the archived files
+ *   - the provider, model and cost of each model phase, as recorded by the
+ *     phase scripts in intermediate/run-phases.json
+ *
+ * Audience variants of the archived files (output/deck-config.seed-vc.json,
+ * output/investor-deck.seed-vc.pptx, ...) are archived with them.
+ */
+
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+
+// Files copied into a run, relative to the project root (missing ones are skipped)
+const ARCHIVED_FILES = [
+  "output/deck-config.json",
+  "output/investor-deck.pptx",
+  "output/investor-deck.pdf",
+  "output/investor-deck.html",
+  "output/one-pager.pdf",
+  "output/one-pager.docx",
+  "output/investment-memo.md",
+  "output/investment-memo.docx",
+  "output/image-prompts.json",
+  "output/generated-images.json",
+  "intermediate/classified-context.json",
+  "intermediate/synthesis-output.json",
+  "intermediate/critique.json",
+  "intermediate/memo.json",
+  "intermediate/citations.json",
+  "intermediate/citation-verification.json",
+  "intermediate/numeric-consistency.json",
+  "intermediate/run-phases.json",
+];
+
+// Directories copied whole
+const ARCHIVED_DIRS = ["output/assets"];
+
+// Inputs whose digests are recorded (files, or every file under a directory)
+const INPUTS = [
+  "user-inputs",
+  "context-refs",
+  "pipeline/config/pipeline-config.json",
+  "pipeline/config/slide-types.json",
+  "pipeline/config/agent-prompts",
+];
+
+// Example files are not inputs to a run
+const IGNORED_INPUTS = /(^|\/)(examples\/|\.gitkeep$|\.DS_Store$)/;
+
+const PHASES_FILE = "intermediate/run-phases.json";
+
+// =============================================================================
+// Helpers
+// =============================================================================
+
+function sha256(filePath) {
+  return crypto.createHash("sha256").update(fs.readFileSync(filePath)).digest("hex");
+}
+
+/**
+ * Every file under a directory, as paths relative to `root` (sorted)
+ */
+function listFiles(root, relativeDir) {
+  const dir = path.join(root, relativeDir);
+  if (!fs.existsSync(dir)) return [];
+  if (fs.statSync(dir).isFile()) return [relativeDir];
+
+  return fs
+    .readdirSync(dir, { withFileTypes: true })
+    .flatMap((entry) => {
+      const relative = path.posix.join(relativeDir, entry.name);
+      return entry.isDirectory() ? listFiles(root, relative) : [relative];
+    })
+    .sort();
+}
+
+/**
+ * Audience variants of an archived file that exist: "output/deck-config.json"
+ * -> ["output/deck-config.government.json", "output/deck-config.seed-vc.json"]
+ */
+function listVariants(root, relative) {
+  const dir = path.posix.dirname(relative);
+  const base = path.posix.basename(relative);
+  const dot = base.indexOf(".");
+  const escape = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+  const pattern = new RegExp(`^${escape(base.slice(0, dot))}\\.[a-z][a-z0-9-]*${escape(base.slice(dot))}$`);
+
+  if (!fs.existsSync(path.join(root, dir))) return [];
+  return fs
+    .readdirSync(path.join(root, dir))
+    .filter((name) => pattern.test(name))
+    .sort()
+    .map((name) => path.posix.join(dir, name));
+}
+
+// =============================================================================
+// Phase Records
+// =============================================================================
+
+/**
+ * Provider, model and cost of an agent after it has run
+ */
+function describeAgent(agent) {
+  return {
+    agent: agent.constructor.name,
+    provider: agent.provider || null,
+    model: agent.model || null,
+    cost: Number((agent.costTracker?.totalCost || 0).toFixed(4)),
+  };
+}
+
+/**
+ * Record a completed model phase in intermediate/run-phases.json. Each phase
+ * replaces its previous record, so the file describes the phases behind the
+ * current outputs.
+ * @param {string} projectRoot
+ * @param {object} record - { phase, name, agents: [describeAgent(...)], dryRun, fixtures }
+ */
+function recordPhase(projectRoot, { phase, name, agents, dryRun = false, fixtures = null }) {
+  const filePath = path.join(projectRoot, PHASES_FILE);
+  const phases = fs.existsSync(filePath) ? JSON.parse(fs.readFileSync(filePath, "utf-8")) : {};
+
+  phases[phase] = {
+    name,
+    completedAt: new Date().toISOString(),
+    dryRun,
+    fixtures: fixtures?.mode || null,
+    agents,
+    cost: Number(agents.reduce((sum, a) => sum + a.cost, 0).toFixed(4)),
+  };
+
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, JSON.stringify(phases, null, 2));
+}
+
+// =============================================================================
+// Archiving
+// =============================================================================
+
+/**
+ * Run id from the current time: 2026-01-20T14-05-09Z (a suffix keeps ids unique)
+ */
+function newRunId(runsDir) {
+  const base = new Date().toISOString().replace(/\.\d+Z$/, "Z").replace(/:/g, "-");
+  let runId = base;
+  for (let n = 2; fs.existsSync(path.join(runsDir, runId)); n++) {
+    runId = `${base}-${n}`;
+  }
+  return runId;
+}
+
+/**
+ * Copy the current outputs into a new run directory and write its manifest
+ * @param {string} projectRoot
+ * @param {object} options - { runsDir, label }
+ * @returns {object} - The manifest (with `dir`)
+ */
+function archiveRun(projectRoot, { runsDir = path.join(projectRoot, "runs"), label = null } = {}) {
+  const deckConfig = path.join(projectRoot, "output/deck-config.json");
+  if (!fs.existsSync(deckConfig)) {
+    throw new Error(`Nothing to archive: ${deckConfig} not found`);
+  }
+
+  fs.mkdirSync(runsDir, { recursive: true });
+  const runId = newRunId(runsDir);
+  const runDir = path.join(runsDir, runId);
+
+  const archived = [
+    ...ARCHIVED_FILES.filter((f) => fs.existsSync(path.join(projectRoot, f))),
+    ...ARCHIVED_FILES.flatMap((f) => listVariants(projectRoot, f)),
+    ...ARCHIVED_DIRS.flatMap((d) => listFiles(projectRoot, d)),
+  ];
+
+  const files = {};
+  for (const relative of archived) {
+    const source = path.join(projectRoot, relative);
+    const target = path.join(runDir, relative);
+    fs.mkdirSync(path.dirname(target), { recursive: true });
+    fs.copyFileSync(source, target);
+    files[relative] = { sha256: sha256(source), bytes: fs.statSync(source).size };
+  }
+
+  const inputs = {};
+  for (const relative of INPUTS.flatMap((i) => listFiles(projectRoot, i))) {
+    if (IGNORED_INPUTS.test(relative)) continue;
+    inputs[relative] = sha256(path.join(projectRoot, relative));
+  }
+
+  const phasesPath = path.join(projectRoot, PHASES_FILE);
+  const phases = fs.existsSync(phasesPath) ? JSON.parse(fs.readFileSync(phasesPath, "utf-8")) : {};
+
+  const manifest = {
+    runId,
+    createdAt: new Date().toISOString(),
+    label,
+    phases,
+    totalCost: Number(Object.values(phases).reduce((sum, p) => sum + (p.cost || 0), 0).toFixed(4)),
+    inputs,
+    files,
+  };
+  fs.writeFileSync(path.join(runDir, "manifest.json"), JSON.stringify(manifest, null, 2));
+
+  return { ...manifest, dir: runDir };
+}
+
+// =============================================================================
+// Reading Runs
+// =============================================================================
+
+/**
+ * Archived runs, oldest first
+ * @returns {Array<object>} - Manifests (with `dir`)
+ */
+function listRuns(runsDir) {
+  if (!fs.existsSync(runsDir)) return [];
+  return fs
+    .readdirSync(runsDir)
+    .filter((name) => fs.existsSync(path.join(runsDir, name, "manifest.json")))
+    .sort()
+    .map((name) => ({
+      ...JSON.parse(fs.readFileSync(path.join(runsDir, name, "manifest.json"), "utf-8")),
+      dir: path.join(runsDir, name),
+    }));
+}
+
+/**
+ * Find a run by id, unique id prefix ("2026-01-20"), "latest" or "previous"
+ */
+function resolveRun(runsDir, ref) {
+  const runs = listRuns(runsDir);
+  if (runs.length === 0) {
+    throw new Error(`No archived runs in ${runsDir}`);
+  }
+
+  if (ref === "latest") return runs[runs.length - 1];
+  if (ref === "previous") {
+    if (runs.length < 2) throw new Error("Only one archived run; nothing before it");
+    return runs[runs.length - 2];
+  }
+
+  const exact = runs.find((r) => r.runId === ref);
+  if (exact) return exact;
+
+  const matches = runs.filter((r) => r.runId.startsWith(ref));
+  if (matches.length === 1) return matches[0];
+  if (matches.length === 0) {
+    throw new Error(`No run matches '${ref}'`);
+  }
+  throw new Error(`'${ref}' matches ${matches.length} runs:\n  ${matches.map((r) => r.runId).join("\n  ")}`);
+}
+
+/**
+ * Read a JSON file from a run (null when the run does not have it)
+ */
+function readRunJSON(run, relative) {
+  const filePath = path.join(run.dir, relative);
+  return fs.existsSync(filePath) ? JSON.parse(fs.readFileSync(filePath, "utf-8")) : null;
+}
+
+module.exports = {
+  archiveRun,
+  listRuns,
+  resolveRun,
+  readRunJSON,
+  recordPhase,
+  describeAgent,
+  ARCHIVED_FILES,
+};
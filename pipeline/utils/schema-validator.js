@@ -0,0 +1,207 @@
+/**
+ * =============================================================================
+ * Schema Validator
+ * =============================================================================
+ *
+ * Ajv validation for the pipeline's phase outputs (classified context,
+ * synthesis output, deck config, image prompts) and the user's fact book
+ * against the JSON Schemas in pipeline/config/schemas/. Schemas are referenced
+ * by name ("deck-config") or by a definition inside one
+ * ("classified-context#/definitions/documentClassification"), and errors come
+ * back as one readable line per problem, short enough to feed back to a model
+ * in a repair prompt.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const Ajv = require("ajv");
+
+const SCHEMAS_DIR = path.join(__dirname, "../config/schemas");
+
+// Shared Ajv instance; schemas are added under their name on first use
+let ajv = null;
+
+// Compiled validators for inline schema objects
+const inlineValidators = new WeakMap();
+
+// =============================================================================
+// Loading
+// =============================================================================
+
+function getAjv() {
+  if (!ajv) {
+    // strict off: per-type definitions list properties without repeating "type"
+    ajv = new Ajv({ allErrors: true, strict: false });
+    ajv.addFormat("date-time", (value) => !Number.isNaN(Date.parse(value)));
+  }
+  return ajv;
+}
+
+/**
+ * Path of a named schema: "deck-config" -> config/schemas/deck-config.schema.json
+ */
+function schemaPath(name) {
+  return path.join(SCHEMAS_DIR, `${name}.schema.json`);
+}
+
+/**
+ * Add a named schema to the shared Ajv instance (once)
+ */
+function loadSchema(name) {
+  const instance = getAjv();
+  if (instance.getSchema(name)) return;
+
+  const file = schemaPath(name);
+  if (!fs.existsSync(file)) {
+    throw new Error(`Schema not found: ${file}`);
+  }
+
+  let schema;
+  try {
+    schema = JSON.parse(fs.readFileSync(file, "utf-8"));
+  } catch (error) {
+    throw new Error(`Invalid JSON in schema ${file}: ${error.message}`);
+  }
+  instance.addSchema(schema, name);
+}
+
+/**
+ * Compiled validator for a schema reference
+ * @param {string|object} schema - Schema name, "name#/json/pointer", or a schema object
+ * @returns {Function} - Ajv validate function
+ */
+function getValidator(schema) {
+  if (schema && typeof schema === "object") {
+    if (!inlineValidators.has(schema)) {
+      inlineValidators.set(schema, getAjv().compile(schema));
+    }
+    return inlineValidators.get(schema);
+  }
+
+  const [name] = String(schema).split("#");
+  loadSchema(name);
+  const validate = getAjv().getSchema(schema);
+  if (!validate) {
+    throw new Error(`Schema reference not found: ${schema}`);
+  }
+  return validate;
+}
+
+// =============================================================================
+// Error Formatting
+// =============================================================================
+
+/**
+ * Readable location for a JSON pointer, naming the slide type:
+ * "/slides/2/points/0" -> "slides[2] (problem).points[0]"
+ */
+function formatLocation(instancePath, data) {
+  const keys = instancePath.split("/").slice(1).map((k) => k.replace(/~1/g, "/").replace(/~0/g, "~"));
+  if (keys.length === 0) return "(root)";
+
+  let location = "";
+  keys.forEach((key, i) => {
+    location += /^\d+$/.test(key) ? `[${key}]` : `${location ? "." : ""}${key}`;
+    if (i === 1 && keys[0] === "slides" && /^\d+$/.test(key)) {
+      const type = data?.slides?.[key]?.type;
+      if (typeof type === "string") location += ` (${type})`;
+    }
+  });
+  return location;
+}
+
+function describeValue(value) {
+  if (value === null) return "null";
+  if (value === undefined) return "nothing";
+  if (Array.isArray(value)) return "an array";
+  if (typeof value === "object") return "an object";
+  return JSON.stringify(value).slice(0, 60);
+}
+
+function valueAt(instancePath, data) {
+  return instancePath.split("/").slice(1).reduce((obj, key) => obj?.[key.replace(/~1/g, "/").replace(/~0/g, "~")], data);
+}
+
+function describeError(error, data) {
+  const { keyword, params } = error;
+  if (keyword === "required") return `missing required field '${params.missingProperty}'`;
+  const got = ` (got ${describeValue(valueAt(error.instancePath, data))})`;
+  if (keyword === "type") return `must be ${[].concat(params.type).join(" or ")}${got}`;
+  if (keyword === "enum") return `must be one of ${params.allowedValues.map((v) => JSON.stringify(v)).join(", ")}${got}`;
+  if (keyword === "pattern" || keyword === "minimum" || keyword === "maximum") return `${error.message}${got}`;
+  return error.message;
+}
+
+/**
+ * Turn Ajv errors into one line per problem. The branches of an anyOf/oneOf
+ * are folded into a single line ("needs one of 'points', 'bullets'", "must
+ * be string or object"); "if" wrappers are dropped. Branches must be inline
+ * (not $ref) to be recognised.
+ * @param {Array<object>} errors - validate.errors
+ * @param {object} data - The validated data, to name slide types
+ * @returns {string[]}
+ */
+function formatSchemaErrors(errors, data) {
+  const list = (errors || []).filter((e) => e.keyword !== "if");
+  const folded = new Set();
+  const lines = [];
+
+  for (const error of list) {
+    if (error.keyword !== "anyOf" && error.keyword !== "oneOf") continue;
+    const prefix = error.schemaPath.replace(/\/(anyOf|oneOf)$/, `/${error.keyword}/`);
+    const branches = list.filter((e) => e !== error && e.schemaPath.startsWith(prefix));
+    const location = formatLocation(error.instancePath, data);
+
+    if (branches.length > 0 && branches.every((e) => e.keyword === "required" && e.instancePath === error.instancePath)) {
+      const fields = branches.map((e) => `'${e.params.missingProperty}'`);
+      lines.push(`${location}: needs one of ${fields.join(", ")}`);
+    } else if (branches.length > 0 && branches.every((e) => e.keyword === "type" && e.instancePath === error.instancePath)) {
+      const types = [...new Set(branches.flatMap((e) => e.params.type))];
+      lines.push(`${location}: must be ${types.join(" or ")} (got ${describeValue(valueAt(error.instancePath, data))})`);
+    } else {
+      // Report the branches for the value's type; drop the ones for other types
+      branches
+        .filter((e) => e.keyword === "type" && e.instancePath === error.instancePath)
+        .forEach((e) => folded.add(e));
+      folded.add(error);
+      continue;
+    }
+    branches.forEach((e) => folded.add(e));
+    folded.add(error);
+  }
+
+  for (const error of list) {
+    if (folded.has(error) || error.keyword === "anyOf" || error.keyword === "oneOf") continue;
+    lines.push(`${formatLocation(error.instancePath, data)}: ${describeError(error, data)}`);
+  }
+
+  return [...new Set(lines)];
+}
+
+// =============================================================================
+// Validation
+// =============================================================================
+
+/**
+ * Validate data against a schema
+ * @param {*} data - Parsed JSON to check
+ * @param {string|object} schema - Schema name, "name#/json/pointer", or a schema object
+ * @returns {{valid: boolean, errors: string[]}}
+ */
+function validateSchema(data, schema) {
+  const validate = getValidator(schema);
+  const valid = validate(data);
+  return { valid, errors: valid ? [] : formatSchemaErrors(validate.errors, data) };
+}
+
+// =============================================================================
+// Exports
+// =============================================================================
+
+module.exports = {
+  validateSchema,
+  getValidator,
+  formatSchemaErrors,
+  schemaPath,
+  SCHEMAS_DIR
+};
@@ -0,0 +1,219 @@
+/**
+ * =============================================================================
+ * Slide Type Registry
+ * =============================================================================
+ *
+ * Loads pipeline/config/slide-types.json, the single definition of the deck's
+ * slide types. Each entry carries everything a phase needs to handle its type:
+ * classification requirements, synthesis prompt, image template, fallback
+ * layout and where it goes on the one-page summary. Deck order follows the
+ * order of the registry.
+ *
+ * The optional "appendixTypes" list defines backup slides, which follow the
+ * ask slide and are built from the classified content the main slides left
+ * out (see utils/appendix.js).
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+const DEFAULT_REGISTRY_PATH = path.join(__dirname, "../config/slide-types.json");
+
+// Where a slide type's content goes on the one-page summary (onePager.placement)
+const ONE_PAGER_PLACEMENTS = ["header", "intro", "left", "right"];
+
+// =============================================================================
+// Loading
+// =============================================================================
+
+/**
+ * Read and parse slide-types.json
+ */
+function readRegistry(registryPath) {
+  if (!fs.existsSync(registryPath)) {
+    throw new Error(`Slide type registry not found: ${registryPath}`);
+  }
+
+  try {
+    return JSON.parse(fs.readFileSync(registryPath, "utf-8"));
+  } catch (error) {
+    throw new Error(`Invalid JSON in slide type registry ${registryPath}: ${error.message}`);
+  }
+}
+
+/**
+ * Load and check the slide type registry
+ * @param {string} registryPath - Path to slide-types.json
+ * @returns {Array<object>} - Slide type entries in deck order
+ */
+function loadSlideTypes(registryPath = DEFAULT_REGISTRY_PATH) {
+  const registry = readRegistry(registryPath);
+
+  const entries = registry.slideTypes;
+  if (!Array.isArray(entries) || entries.length === 0) {
+    throw new Error(`Slide type registry ${registryPath} has no slideTypes`);
+  }
+
+  const seen = new Set();
+  entries.forEach((entry, i) => {
+    const where = `slideTypes[${i}]`;
+    if (!entry || typeof entry.type !== "string" || !/^[A-Za-z][A-Za-z0-9]*$/.test(entry.type)) {
+      throw new Error(`${where}: 'type' must be an alphanumeric identifier (e.g. "caseStudy")`);
+    }
+    if (seen.has(entry.type)) {
+      throw new Error(`${where}: duplicate slide type '${entry.type}'`);
+    }
+    seen.add(entry.type);
+
+    if (entry.criticalRequirements && !Array.isArray(entry.criticalRequirements)) {
+      throw new Error(`${where} (${entry.type}): 'criticalRequirements' must be an array`);
+    }
+    if (entry.synthesis && typeof entry.synthesis.prompt !== "string") {
+      throw new Error(`${where} (${entry.type}): 'synthesis.prompt' must be a string`);
+    }
+    if (entry.onePager && !ONE_PAGER_PLACEMENTS.includes(entry.onePager.placement)) {
+      throw new Error(`${where} (${entry.type}): 'onePager.placement' must be one of ${ONE_PAGER_PLACEMENTS.join(", ")}`);
+    }
+  });
+
+  return entries;
+}
+
+/**
+ * Load and check the registry's appendix (backup slide) types
+ * @param {string} registryPath - Path to slide-types.json
+ * @returns {Array<object>} - Appendix type entries in appendix order (empty without any)
+ */
+function loadAppendixTypes(registryPath = DEFAULT_REGISTRY_PATH) {
+  const entries = readRegistry(registryPath).appendixTypes || [];
+  if (!Array.isArray(entries)) {
+    throw new Error(`Slide type registry ${registryPath}: 'appendixTypes' must be an array`);
+  }
+
+  const known = loadSlideTypes(registryPath).map((t) => t.type);
+  const seen = new Set();
+  entries.forEach((entry, i) => {
+    const where = `appendixTypes[${i}]`;
+    if (!entry || typeof entry.type !== "string" || !/^[A-Za-z][A-Za-z0-9]*$/.test(entry.type)) {
+      throw new Error(`${where}: 'type' must be an alphanumeric identifier (e.g. "appendixTeam")`);
+    }
+    if (seen.has(entry.type) || known.includes(entry.type)) {
+      throw new Error(`${where}: duplicate slide type '${entry.type}'`);
+    }
+    seen.add(entry.type);
+
+    const from = entry.overflowFrom;
+    if (!Array.isArray(from) || from.length === 0) {
+      throw new Error(`${where} (${entry.type}): 'overflowFrom' must be a non-empty array of slide types`);
+    }
+    const unknown = from.filter((type) => !known.includes(type));
+    if (unknown.length > 0) {
+      throw new Error(`${where} (${entry.type}): unknown slide type(s) in 'overflowFrom': ${unknown.join(", ")}`);
+    }
+    if (typeof entry.synthesis?.prompt !== "string") {
+      throw new Error(`${where} (${entry.type}): 'synthesis.prompt' must be a string`);
+    }
+  });
+
+  return entries;
+}
+
+// =============================================================================
+// Image Template Resolution
+// =============================================================================
+
+/**
+ * Resolve an image template's content spec against a slide.
+ * A field spec { from: ["slide.bullets", "slide.painPoints"], default: [] }
+ * takes the first truthy path; any other value is used as-is.
+ * @param {object} contentSpec - image.content from a registry entry
+ * @param {object} slide - Slide from deck-config.json
+ * @param {object} company - deckConfig.company
+ * @returns {object}
+ */
+function resolveTemplateContent(contentSpec, slide, company) {
+  const scope = { slide, company: company || {} };
+  const content = {};
+
+  for (const [field, spec] of Object.entries(contentSpec || {})) {
+    if (!spec || typeof spec !== "object" || !Array.isArray(spec.from)) {
+      content[field] = spec;
+      continue;
+    }
+
+    const value = spec.from
+      .map((p) => p.split(".").reduce((obj, key) => obj?.[key], scope))
+      .find(Boolean);
+    content[field] = value || (spec.default !== undefined ? spec.default : null);
+  }
+
+  return content;
+}
+
+// =============================================================================
+// Regenerating Single Slides
+// =============================================================================
+
+/**
+ * Parse --slide values ("problem", "problem,team") into registry types,
+ * matched case-insensitively
+ * @param {string[]} values - Raw option values
+ * @param {Array<object>} slideTypes - Registry entries
+ * @returns {string[]} - Slide types in deck order
+ */
+function parseSlideSelection(values, slideTypes) {
+  const requested = values.flatMap((v) => v.split(",")).map((v) => v.trim()).filter(Boolean);
+  const unknown = requested.filter((r) => !slideTypes.some((t) => t.type.toLowerCase() === r.toLowerCase()));
+  if (unknown.length > 0) {
+    throw new Error(
+      `Unknown slide type(s): ${unknown.join(", ")}. Known types: ${slideTypes.map((t) => t.type).join(", ")}`
+    );
+  }
+  return slideTypes
+    .map((t) => t.type)
+    .filter((type) => requested.some((r) => r.toLowerCase() === type.toLowerCase()));
+}
+
+/**
+ * Replace the slides of the regenerated types, keeping every other slide.
+ * The nth regenerated slide of a type replaces the nth existing one; a type
+ * the deck lacks is inserted at its registry position.
+ * @param {Array<object>} slides - Existing slides
+ * @param {Array<object>} replacements - Regenerated slides
+ * @param {string[]} typeOrder - Slide types in deck order
+ * @returns {Array<object>}
+ */
+function spliceSlides(slides, replacements, typeOrder) {
+  const result = [...slides];
+  const rank = (type) => (typeOrder.includes(type) ? typeOrder.indexOf(type) : typeOrder.length);
+
+  for (const type of new Set(replacements.map((r) => r.type))) {
+    const incoming = replacements.filter((r) => r.type === type);
+    const positions = result.map((s, i) => (s.type === type ? i : -1)).filter((i) => i >= 0);
+
+    positions.slice(incoming.length).reverse().forEach((i) => result.splice(i, 1));
+    incoming.forEach((slide, n) => {
+      if (n < positions.length) {
+        result[positions[n]] = slide;
+      } else {
+        const after = result.findIndex((s) => rank(s.type) > rank(type));
+        result.splice(after === -1 ? result.length : after, 0, slide);
+      }
+    });
+  }
+
+  return result;
+}
+
+// =============================================================================
+// Exports
+// =============================================================================
+
+module.exports = {
+  loadSlideTypes,
+  loadAppendixTypes,
+  resolveTemplateContent,
+  parseSlideSelection,
+  spliceSlides,
+  DEFAULT_REGISTRY_PATH,
+};
@@ -0,0 +1,21 @@
+/**
+ * =============================================================================
+ * Text Utility
+ * =============================================================================
+ *
+ * Text comparison shared by the utilities that match statements across
+ * documents and slides (appendix overflow, memo evidence, conflict keys).
+ */
+
+/**
+ * Lowercase and reduce to words, so the same text matches regardless of
+ * punctuation and spacing. "$", "%" and "." are kept, so figures survive.
+ */
+function normalize(text) {
+  return String(text ?? "")
+    .toLowerCase()
+    .replace(/[^a-z0-9$%.]+/g, " ")
+    .trim();
+}
+
+module.exports = { normalize };
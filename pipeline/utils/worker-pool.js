@@ -0,0 +1,34 @@
+/**
+ * =============================================================================
+ * Worker Pool Utility
+ * =============================================================================
+ *
+ * Runs async tasks with a bounded number in flight. Results are returned in
+ * input order regardless of completion order, so outputs built from them stay
+ * deterministic.
+ */
+
+/**
+ * Map items through an async function with at most `limit` calls in flight
+ * @param {Array} items - Items to process
+ * @param {number} limit - Maximum concurrent calls (>= 1)
+ * @param {Function} fn - async (item, index) => result
+ * @returns {Promise<Array>} - Results in the same order as items
+ */
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  const workerCount = Math.max(1, Math.min(limit || 1, items.length));
+  let nextIndex = 0;
+
+  async function worker() {
+    while (nextIndex < items.length) {
+      const index = nextIndex++;
+      results[index] = await fn(items[index], index);
+    }
+  }
+
+  await Promise.all(Array.from({ length: workerCount }, () => worker()));
+  return results;
+}
+
+module.exports = { mapWithConcurrency };